@@ -98,7 +98,7 @@ async function req(method, urlPath, body, headers = {}) {
   if (body) opts.body = JSON.stringify(body);
   const res = await fetch(`${API}${urlPath}`, opts);
   const data = await res.json().catch(() => ({}));
-  return { status: res.status, data };
+  return { status: res.status, data, headers: res.headers };
 }
 
 function auth(apiKey) { return { Authorization: `Bearer ${apiKey}` }; }
@@ -935,6 +935,1745 @@ async function group13_threadStatus() {
   }
 }
 
+// ─── Group 14: Counter-offer Negotiation ─────────────────
+
+async function group14_counterOffers() {
+  group('Group 14: Counter-offer Negotiation');
+
+  const merchantKey = SEED.merchants[2].apiKey; // glowlabs
+  const listingId = SEED.merchants[2].listingId;
+  const buyerKey = C().apiKey;
+  const thirdPartyKey = C3().apiKey;
+
+  const offer = await req('POST', '/commerce/offers', {
+    listingId, proposedPriceCents: 2000, buyerMessage: 'Would you take twenty for this lamp?'
+  }, auth(buyerKey));
+  const offerId = offer.data?.offer?.id;
+  if (!offerId) {
+    skip('Counter-offer tests', `could not create offer: status=${offer.status}`);
+    return;
+  }
+
+  // Buyer made the opening move — merchant counters first
+  const earlyBuyer = await req('POST', `/commerce/offers/${offerId}/counter`, { priceCents: 2100 }, auth(buyerKey));
+  assert('Buyer cannot counter own opening offer (400)', earlyBuyer.status === 400,
+    `status=${earlyBuyer.status}`);
+
+  const m1 = await req('POST', `/commerce/offers/${offerId}/counter`, {
+    priceCents: 3500, message: 'Meet me at thirty-five and it is yours.'
+  }, auth(merchantKey));
+  assert('Merchant counters (round 1)', m1.status === 201 && m1.data?.counter?.round === 1,
+    `status=${m1.status}, round=${m1.data?.counter?.round}`);
+
+  const m2 = await req('POST', `/commerce/offers/${offerId}/counter`, { priceCents: 3400 }, auth(merchantKey));
+  assert('Merchant cannot counter twice in a row (400)', m2.status === 400,
+    `status=${m2.status}`);
+
+  const peek = await req('GET', `/commerce/offers/${offerId}/counter`, null, auth(thirdPartyKey));
+  assert('Third party cannot read counter chain (403)', peek.status === 403,
+    `status=${peek.status}`);
+
+  const b1 = await req('POST', `/commerce/offers/${offerId}/counter`, {
+    priceCents: 3000, message: 'Thirty is my best, final answer.'
+  }, auth(buyerKey));
+  assert('Buyer counters back (round 2)', b1.status === 201 && b1.data?.counter?.round === 2,
+    `status=${b1.status}, round=${b1.data?.counter?.round}`);
+
+  const chain = await req('GET', `/commerce/offers/${offerId}/counter`, null, auth(buyerKey));
+  const rounds = chain.data?.counters || [];
+  assert('Chain links rounds and supersedes older terms',
+    rounds.length === 2 && rounds[0].status === 'SUPERSEDED' && rounds[1].parent_counter_id === rounds[0].id,
+    `rounds=${rounds.map(r => r.status).join(',')}`);
+
+  const accept = await req('POST', `/commerce/offers/${offerId}/accept`, null, auth(merchantKey));
+  assert('Merchant accepts buyer\'s latest terms', accept.status === 200 &&
+    accept.data?.offer?.status === 'ACCEPTED' && accept.data?.offer?.agreed_price_cents === 3000,
+    `status=${accept.status}, agreed=${accept.data?.offer?.agreed_price_cents}`);
+
+  const order = await req('POST', '/commerce/orders/from-offer', { offerId }, auth(buyerKey));
+  assert('Purchase charges the agreed price', order.data?.order?.unit_price_cents === 3000,
+    `unit_price_cents=${order.data?.order?.unit_price_cents}`);
+
+  const act = await req('GET', `/commerce/activity?type=OFFER_COUNTERED&listingId=${listingId}&limit=5`);
+  const leaks = (act.data?.data || []).filter(e => e.meta && (e.meta.price_cents || e.meta.priceCents || e.meta.message));
+  assert('OFFER_COUNTERED events carry no terms', act.status === 200 && act.data?.data?.length > 0 && leaks.length === 0,
+    `count=${act.data?.data?.length}, leaks=${leaks.length}`);
+}
+
+async function group15_offerExpiry() {
+  group('Group 15: Offer Expiry');
+
+  const merchantKey = SEED.merchants[4].apiKey; // hypehaus
+  const listingId = SEED.merchants[4].listingId;
+  const buyerKey = SEED.customers[3].apiKey; // impulse_ivy
+
+  const past = await req('POST', '/commerce/offers', {
+    listingId, proposedPriceCents: 1500, expiresAt: new Date(Date.now() - 60000).toISOString()
+  }, auth(buyerKey));
+  assert('Offer with past expiresAt rejected (400)', past.status === 400, `status=${past.status}`);
+
+  const dflt = await req('POST', '/commerce/offers', {
+    listingId, proposedPriceCents: 1500
+  }, auth(buyerKey));
+  assert('Offer without expiresAt gets default TTL', dflt.status === 201 &&
+    new Date(dflt.data?.offer?.expires_at) > new Date(), `expires_at=${dflt.data?.offer?.expires_at}`);
+
+  const offer = await req('POST', '/commerce/offers', {
+    listingId, proposedPriceCents: 1600, expiresAt: new Date(Date.now() + 2000).toISOString()
+  }, auth(buyerKey));
+  const offerId = offer.data?.offer?.id;
+  if (!offerId) {
+    skip('Offer expiry tests', `could not create offer: status=${offer.status}`);
+    return;
+  }
+
+  const accept = await req('POST', `/commerce/offers/${offerId}/accept`, null, auth(merchantKey));
+  assert('Merchant accepts short-lived offer', accept.status === 200, `status=${accept.status}`);
+
+  await new Promise(r => setTimeout(r, 2500));
+
+  const buy = await req('POST', '/commerce/orders/from-offer', { offerId }, auth(buyerKey));
+  assert('Purchase refused once offer is past due (400)', buy.status === 400, `status=${buy.status}`);
+
+  const sweep = await req('POST', '/operator/expire-offers', null, opAuth());
+  assert('Operator sweep expires past-due offers', sweep.status === 200 && sweep.data?.expired >= 1,
+    `status=${sweep.status}, expired=${sweep.data?.expired}`);
+
+  const after = await req('GET', `/commerce/offers/${offerId}`, null, auth(buyerKey));
+  assert('Unpurchased accepted offer is EXPIRED', after.data?.offer?.status === 'EXPIRED',
+    `status=${after.data?.offer?.status}`);
+
+  const live = await req('GET', `/commerce/offers/${dflt.data?.offer?.id}`, null, auth(buyerKey));
+  assert('Offer within TTL untouched by sweep', live.data?.offer?.status === 'PROPOSED',
+    `status=${live.data?.offer?.status}`);
+
+  const act = await req('GET', `/commerce/activity?type=OFFER_EXPIRED&listingId=${listingId}&limit=5`);
+  assert('OFFER_EXPIRED activity emitted', act.status === 200 && act.data?.data?.length > 0,
+    `count=${act.data?.data?.length}`);
+}
+
+async function group16_offerCancel() {
+  group('Group 16: Buyer Offer Cancellation');
+
+  const merchantKey = SEED.merchants[5].apiKey; // budget_barn
+  const listingId = SEED.merchants[5].listingId;
+  const buyerKey = SEED.customers[4].apiKey; // gift_gary
+  const otherKey = SEED.customers[5].apiKey; // returner_riley
+
+  const offer = await req('POST', '/commerce/offers', {
+    listingId, proposedPriceCents: 2500, buyerMessage: 'Would you part with it for twenty-five?'
+  }, auth(buyerKey));
+  const offerId = offer.data?.offer?.id;
+  if (!offerId) {
+    skip('Offer cancellation tests', `could not create offer: status=${offer.status}`);
+    return;
+  }
+
+  const stranger = await req('POST', `/commerce/offers/${offerId}/cancel`, null, auth(otherKey));
+  assert('Other customer cannot cancel (403)', stranger.status === 403, `status=${stranger.status}`);
+
+  const merchant = await req('POST', `/commerce/offers/${offerId}/cancel`, null, auth(merchantKey));
+  assert('Merchant cannot cancel (403)', merchant.status === 403, `status=${merchant.status}`);
+
+  const counter = await req('POST', `/commerce/offers/${offerId}/counter`, { priceCents: 4000 }, auth(merchantKey));
+  const cancel = await req('POST', `/commerce/offers/${offerId}/cancel`, null, auth(buyerKey));
+  assert('Buyer cancels PROPOSED offer', cancel.status === 200 && cancel.data?.offer?.status === 'CANCELLED' &&
+    !!cancel.data?.offer?.cancelled_at, `status=${cancel.status}, offer=${cancel.data?.offer?.status}`);
+
+  if (counter.status === 201) {
+    const chain = await req('GET', `/commerce/offers/${offerId}/counter`, null, auth(buyerKey));
+    const open = (chain.data?.counters || []).filter(c => c.status === 'PENDING');
+    assert('Open counter round closed with the offer', open.length === 0, `pending=${open.length}`);
+  }
+
+  const again = await req('POST', `/commerce/offers/${offerId}/cancel`, null, auth(buyerKey));
+  assert('Cannot cancel twice (400)', again.status === 400, `status=${again.status}`);
+
+  const lateAccept = await req('POST', `/commerce/offers/${offerId}/accept`, null, auth(merchantKey));
+  assert('Merchant cannot accept cancelled offer (400)', lateAccept.status === 400, `status=${lateAccept.status}`);
+
+  // Accepted then purchased offers are final
+  const o2 = await req('POST', '/commerce/offers', { listingId, proposedPriceCents: 2600 }, auth(buyerKey));
+  const o2Id = o2.data?.offer?.id;
+  await req('POST', `/commerce/offers/${o2Id}/accept`, null, auth(merchantKey));
+  const bought = await req('POST', '/commerce/orders/from-offer', { offerId: o2Id }, auth(buyerKey));
+  if (bought.status === 201) {
+    const late = await req('POST', `/commerce/offers/${o2Id}/cancel`, null, auth(buyerKey));
+    assert('Cannot cancel purchased offer (400)', late.status === 400, `status=${late.status}`);
+  } else {
+    skip('Cancel purchased offer', `purchase failed: status=${bought.status}`);
+  }
+
+  const act = await req('GET', `/commerce/activity?type=OFFER_CANCELLED&listingId=${listingId}&limit=5`);
+  assert('OFFER_CANCELLED activity emitted', act.status === 200 && act.data?.data?.length > 0,
+    `count=${act.data?.data?.length}`);
+}
+
+async function group17_promotionCheckout() {
+  group('Group 17: Promotion Pricing at Checkout');
+
+  const listingId = SEED.merchants[1].listingId; // cableking
+  const buyerKey = SEED.customers[6].apiKey; // comparison_queen
+
+  const listing = await req('GET', `/commerce/listings/${listingId}`);
+  const listPrice = listing.data?.listing?.price_cents;
+  const promoPrice = Math.floor(listPrice / 2);
+
+  const inject = await req('POST', '/operator/test-inject', {
+    action: 'create_promotion', listingId, value: promoPrice
+  }, opAuth());
+  const promoId = inject.data?.promotion?.id;
+  if (!promoId || inject.data?.promotion?.status !== 'ACTIVE') {
+    skip('Promotion checkout tests', `could not create active promotion: status=${inject.status}`);
+    return;
+  }
+
+  await req('POST', `/commerce/listings/${listingId}/questions`, {
+    content: 'Is the promo price going to last through the weekend?'
+  }, auth(buyerKey));
+  const buy = await req('POST', '/commerce/orders/direct', { listingId }, auth(buyerKey));
+  const order = buy.data?.order;
+  assert('Direct purchase charges the promo price', buy.status === 201 && order?.unit_price_cents === promoPrice,
+    `status=${buy.status}, unit=${order?.unit_price_cents}, promo=${promoPrice}`);
+  assert('Order records the applied promotion', order?.promotion_id === promoId,
+    `promotion_id=${order?.promotion_id}`);
+
+  const stats = await req('GET', `/commerce/promotions/${promoId}/stats`);
+  assert('Promotion stats count orders and revenue', stats.status === 200 &&
+    stats.data?.orders === 1 && stats.data?.revenueCents === promoPrice &&
+    stats.data?.discountCents === listPrice - promoPrice,
+    `status=${stats.status}, orders=${stats.data?.orders}, revenue=${stats.data?.revenueCents}`);
+  assert('Promotion stats report conversion', stats.data?.conversionRate > 0 && stats.data?.conversionRate <= 1,
+    `conversionRate=${stats.data?.conversionRate}, engaged=${stats.data?.engagedCustomers}`);
+
+  const missing = await req('GET', '/commerce/promotions/00000000-0000-0000-0000-000000000000/stats');
+  assert('Unknown promotion stats returns 404', missing.status === 404, `status=${missing.status}`);
+}
+
+async function group18_fulfillment() {
+  group('Group 18: Simulated Fulfillment');
+
+  const merchantKey = M().apiKey;
+  const storeId = M().storeId;
+  const listingId = M().listingId;
+  const buyerKey = SEED.customers[7].apiKey; // whale_walter
+
+  const bad = await req('PATCH', `/commerce/stores/${storeId}/settings`, { fulfillmentMode: 'TELEPORT' }, auth(merchantKey));
+  assert('Invalid fulfillment mode rejected (400)', bad.status === 400, `status=${bad.status}`);
+
+  const notMine = await req('PATCH', `/commerce/stores/${storeId}/settings`, { fulfillmentMode: 'SIMULATED' }, auth(M2().apiKey));
+  assert('Other merchant cannot change settings (403)', notMine.status === 403, `status=${notMine.status}`);
+
+  const set = await req('PATCH', `/commerce/stores/${storeId}/settings`, { fulfillmentMode: 'SIMULATED' }, auth(merchantKey));
+  assert('Merchant switches store to simulated shipping', set.status === 200 &&
+    set.data?.store?.fulfillment_mode === 'SIMULATED', `status=${set.status}`);
+
+  await req('POST', `/commerce/listings/${listingId}/questions`, {
+    content: 'How well does this hold up to daily heavy use?'
+  }, auth(buyerKey));
+  const buy = await req('POST', '/commerce/orders/direct', { listingId }, auth(buyerKey));
+  const orderId = buy.data?.order?.id;
+  assert('New order starts PLACED', buy.status === 201 && buy.data?.order?.status === 'PLACED' &&
+    !buy.data?.order?.delivered_at, `status=${buy.status}, order=${buy.data?.order?.status}`);
+
+  try {
+    if (!orderId) return;
+
+    const earlyReview = await req('POST', '/commerce/reviews', {
+      orderId, rating: 4, body: 'Has not arrived yet but excited.'
+    }, auth(buyerKey));
+    assert('Review blocked before delivery (400)', earlyReview.status === 400, `status=${earlyReview.status}`);
+
+    const skipAhead = await req('POST', `/commerce/orders/${orderId}/deliver`, null, auth(merchantKey));
+    assert('Cannot skip straight to DELIVERED (400)', skipAhead.status === 400, `status=${skipAhead.status}`);
+
+    const stranger = await req('POST', `/commerce/orders/${orderId}/pack`, null, auth(M2().apiKey));
+    assert('Other merchant cannot pack (403)', stranger.status === 403, `status=${stranger.status}`);
+
+    const queue = await req('GET', `/commerce/orders/store/${storeId}?status=PLACED`, null, auth(merchantKey));
+    assert('Store order queue lists PLACED order', queue.status === 200 &&
+      (queue.data?.data || []).some(o => o.id === orderId), `status=${queue.status}`);
+
+    const pack = await req('POST', `/commerce/orders/${orderId}/pack`, null, auth(merchantKey));
+    assert('Merchant packs order', pack.data?.order?.status === 'PACKED' && !!pack.data?.order?.packed_at,
+      `status=${pack.status}, order=${pack.data?.order?.status}`);
+
+    const noCarrier = await req('POST', `/commerce/orders/${orderId}/ship`, {}, auth(merchantKey));
+    assert('Shipping requires a carrier (400)', noCarrier.status === 400, `status=${noCarrier.status}`);
+
+    const ship = await req('POST', `/commerce/orders/${orderId}/ship`, {
+      carrier: 'ShellEx', trackingNumber: 'SX-1234'
+    }, auth(merchantKey));
+    assert('Merchant ships with tracking', ship.data?.order?.status === 'SHIPPED' &&
+      ship.data?.order?.carrier === 'ShellEx' && ship.data?.order?.tracking_number === 'SX-1234' &&
+      !!ship.data?.order?.shipped_at, `status=${ship.status}, order=${ship.data?.order?.status}`);
+
+    const deliver = await req('POST', `/commerce/orders/${orderId}/deliver`, null, auth(merchantKey));
+    assert('Merchant confirms delivery', deliver.data?.order?.status === 'DELIVERED' &&
+      !!deliver.data?.order?.delivered_at, `status=${deliver.status}, order=${deliver.data?.order?.status}`);
+
+    const review = await req('POST', '/commerce/reviews', {
+      orderId, rating: 5, body: 'Arrived well packed and right on schedule.'
+    }, auth(buyerKey));
+    assert('Review unlocked after delivery', review.status === 201, `status=${review.status}`);
+  } finally {
+    await req('PATCH', `/commerce/stores/${storeId}/settings`, { fulfillmentMode: 'INSTANT' }, auth(merchantKey));
+  }
+}
+
+async function group19_returns() {
+  group('Group 19: Returns and Refunds');
+
+  const merchantKey = M2().apiKey;
+  const storeId = M2().storeId;
+  const listingId = M2().listingId;
+  const buyerKey = SEED.customers[8].apiKey; // pennypinch_pete
+  const otherKey = SEED.customers[9].apiKey; // alien_observer
+
+  await req('POST', `/commerce/listings/${listingId}/questions`, {
+    content: 'Does this come with any warranty or guarantee?'
+  }, auth(buyerKey));
+  const buy = async () => (await req('POST', '/commerce/orders/direct', { listingId }, auth(buyerKey))).data?.order;
+
+  const order = await buy();
+  if (!order) {
+    skip('Returns tests', 'could not place order');
+    return;
+  }
+
+  const noReason = await req('POST', '/commerce/returns', { orderId: order.id }, auth(buyerKey));
+  assert('Return requires a reason (400)', noReason.status === 400, `status=${noReason.status}`);
+
+  const notMine = await req('POST', '/commerce/returns', { orderId: order.id, reason: 'Not mine' }, auth(otherKey));
+  assert('Cannot return someone else\'s order (403)', notMine.status === 403, `status=${notMine.status}`);
+
+  const request = await req('POST', '/commerce/returns', {
+    orderId: order.id, reason: 'The connector wobbles loose after a day of use.'
+  }, auth(buyerKey));
+  const returnId = request.data?.returnRequest?.id;
+  assert('Customer requests return with policy attached', request.status === 201 &&
+    typeof request.data?.returnRequest?.return_policy_text === 'string' &&
+    request.data?.returnRequest?.return_window_days >= 1 && !!request.data?.returnRequest?.return_deadline,
+    `status=${request.status}`);
+
+  const dup = await req('POST', '/commerce/returns', { orderId: order.id, reason: 'Again please' }, auth(buyerKey));
+  assert('Only one return per order (400)', dup.status === 400, `status=${dup.status}`);
+
+  const peek = await req('GET', `/commerce/returns/${returnId}`, null, auth(otherKey));
+  assert('Third party cannot view return (403)', peek.status === 403, `status=${peek.status}`);
+
+  const queue = await req('GET', `/commerce/returns/store/${storeId}?status=REQUESTED`, null, auth(merchantKey));
+  assert('Merchant sees pending return', (queue.data?.data || []).some(r => r.id === returnId),
+    `status=${queue.status}`);
+
+  const before = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing?.inventory_on_hand;
+  const approve = await req('POST', `/commerce/returns/${returnId}/approve`, { note: 'Sorry about that!' }, auth(merchantKey));
+  assert('Merchant approves return with refund', approve.status === 200 &&
+    approve.data?.returnRequest?.status === 'APPROVED' && approve.data?.refund?.amount_cents === order.total_price_cents,
+    `status=${approve.status}, refund=${approve.data?.refund?.amount_cents}`);
+
+  const after = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing?.inventory_on_hand;
+  assert('Approved return restocks inventory', after === before + order.quantity, `before=${before}, after=${after}`);
+
+  const refunded = await req('GET', `/commerce/orders/${order.id}`, null, auth(buyerKey));
+  assert('Order marked REFUNDED', refunded.data?.order?.status === 'REFUNDED', `status=${refunded.data?.order?.status}`);
+
+  const again = await req('POST', `/commerce/returns/${returnId}/approve`, null, auth(merchantKey));
+  assert('Cannot decide a return twice (400)', again.status === 400, `status=${again.status}`);
+
+  const order2 = await buy();
+  const r2 = await req('POST', '/commerce/returns', {
+    orderId: order2?.id, reason: 'Changed my mind about the colour.'
+  }, auth(buyerKey));
+  const r2Id = r2.data?.returnRequest?.id;
+  const bareDeny = await req('POST', `/commerce/returns/${r2Id}/deny`, {}, auth(merchantKey));
+  assert('Denial requires a note (400)', bareDeny.status === 400, `status=${bareDeny.status}`);
+  const deny = await req('POST', `/commerce/returns/${r2Id}/deny`, { note: 'Colour was shown accurately.' }, auth(merchantKey));
+  assert('Merchant denies return', deny.data?.returnRequest?.status === 'DENIED', `status=${deny.status}`);
+
+  const raced = await buy();
+  const racing = await Promise.all(['Arrived scuffed.', 'Arrived scuffed on one side.'].map(reason =>
+    req('POST', '/commerce/returns', { orderId: raced?.id, reason }, auth(buyerKey))));
+  assert('Concurrent duplicate return requests: one 201, one 400',
+    racing.map(r => r.status).sort().join(',') === '201,400', `statuses=${racing.map(r => r.status)}`);
+
+  const store = await req('GET', `/commerce/stores/${storeId}`);
+  const reasons = (store.data?.store?.recentTrustEvents || []).map(e => e.reason);
+  assert('Return decisions recorded as trust events',
+    reasons.includes('RETURN_APPROVED') && reasons.includes('RETURN_DENIED'), `reasons=${reasons.join(',')}`);
+
+  await req('PATCH', `/commerce/stores/${storeId}/policies`, {
+    returnWindowDays: 0, reason: 'Final sale on all cables from now on'
+  }, auth(merchantKey));
+  const order3 = await buy();
+  const closed = await req('POST', '/commerce/returns', {
+    orderId: order3?.id, reason: 'Arrived scratched on one side.'
+  }, auth(buyerKey));
+  assert('Return outside window rejected (400)', closed.status === 400, `status=${closed.status}`);
+  await req('PATCH', `/commerce/stores/${storeId}/policies`, {
+    returnWindowDays: 14, reason: 'Bringing back our two-week returns'
+  }, auth(merchantKey));
+}
+
+async function group20_cart() {
+  group('Group 20: Cart and Multi-Store Checkout');
+
+  const buyerKey = SEED.customers[10].apiKey; // ramen_budget_ryan
+  const listingA = SEED.merchants[2].listingId; // glowlabs
+  const listingB = SEED.merchants[3].listingId; // mathaus
+  const ungated = SEED.merchants[4].listingId; // hypehaus — no question asked
+
+  const empty = await req('POST', '/commerce/cart/checkout', null, auth(buyerKey));
+  assert('Empty cart checkout rejected (400)', empty.status === 400, `status=${empty.status}`);
+
+  const merchantAdd = await req('POST', '/commerce/cart/items', { listingId: listingA }, auth(M().apiKey));
+  assert('Merchant cannot use a cart (403)', merchantAdd.status === 403, `status=${merchantAdd.status}`);
+
+  const badQty = await req('POST', '/commerce/cart/items', { listingId: listingA, quantity: -2 }, auth(buyerKey));
+  assert('Non-positive quantity rejected (400)', badQty.status === 400, `status=${badQty.status}`);
+
+  for (const listingId of [listingA, listingB]) {
+    await req('POST', `/commerce/listings/${listingId}/questions`, {
+      content: 'Would this hold up in a small apartment with no desk?'
+    }, auth(buyerKey));
+  }
+
+  await req('POST', '/commerce/cart/items', { listingId: listingA }, auth(buyerKey));
+  await req('POST', '/commerce/cart/items', { listingId: listingA }, auth(buyerKey));
+  await req('POST', '/commerce/cart/items', { listingId: listingB, quantity: 3 }, auth(buyerKey));
+  const patch = await req('PATCH', `/commerce/cart/items/${listingB}`, { quantity: 1 }, auth(buyerKey));
+  assert('Cart quantity updated', patch.status === 200 && patch.data?.item?.quantity === 1, `status=${patch.status}`);
+  await req('POST', '/commerce/cart/items', { listingId: ungated }, auth(buyerKey));
+
+  const cart = await req('GET', '/commerce/cart', null, auth(buyerKey));
+  const items = cart.data?.cart?.items || [];
+  const lineA = items.find(i => i.listing_id === listingA);
+  assert('Cart merges repeat adds and groups by store', cart.status === 200 && items.length === 3 &&
+    lineA?.quantity === 2 && cart.data?.cart?.stores?.length === 3,
+    `status=${cart.status}, items=${items.length}, qtyA=${lineA?.quantity}`);
+
+  const before = (await req('GET', `/commerce/listings/${listingA}`)).data?.listing?.inventory_on_hand;
+  const blocked = await req('POST', '/commerce/cart/checkout', null, auth(buyerKey));
+  const blockedItems = blocked.data?.blockedItems || [];
+  assert('Checkout blocked by an ungated item (403)', blocked.status === 403 &&
+    blockedItems.length === 1 && blockedItems[0].listingId === ungated && blockedItems[0].reason === 'GATING',
+    `status=${blocked.status}, blocked=${JSON.stringify(blockedItems)}`);
+  const untouched = (await req('GET', `/commerce/listings/${listingA}`)).data?.listing?.inventory_on_hand;
+  assert('Blocked checkout buys nothing', untouched === before, `before=${before}, after=${untouched}`);
+
+  const remove = await req('DELETE', `/commerce/cart/items/${ungated}`, null, auth(buyerKey));
+  assert('Item removed from cart', remove.status === 204, `status=${remove.status}`);
+
+  const checkout = await req('POST', '/commerce/cart/checkout', null, auth(buyerKey));
+  const orders = checkout.data?.orders || [];
+  assert('Checkout splits into one order per store', checkout.status === 201 && orders.length === 2 &&
+    new Set(orders.map(o => o.store_id)).size === 2, `status=${checkout.status}, orders=${orders.length}`);
+
+  const orderA = orders.find(o => o.listing_id === listingA);
+  const detail = await req('GET', `/commerce/orders/${orderA?.id}`, null, auth(buyerKey));
+  assert('Order lists its items', detail.data?.order?.items?.length === 1 &&
+    detail.data.order.items[0].quantity === 2, `items=${JSON.stringify(detail.data?.order?.items)}`);
+
+  const after = (await req('GET', `/commerce/listings/${listingA}`)).data?.listing?.inventory_on_hand;
+  assert('Checkout decrements inventory', after === before - 2, `before=${before}, after=${after}`);
+
+  const cleared = await req('GET', '/commerce/cart', null, auth(buyerKey));
+  assert('Cart is empty after checkout', (cleared.data?.cart?.items || []).length === 0,
+    `items=${cleared.data?.cart?.items?.length}`);
+
+  // Two lines from one store: each line is reviewed and rated on its own listing
+  const merchantKey = M2().apiKey;
+  const storeId = M2().storeId;
+  const newListing = async (title, priceCents) => {
+    const product = await req('POST', '/commerce/products', {
+      storeId, title, description: `${title} for tidy desks and tidier cable runs`
+    }, auth(merchantKey));
+    const listing = await req('POST', '/commerce/listings', {
+      storeId, productId: product.data?.product?.id, priceCents, inventoryOnHand: 5
+    }, auth(merchantKey));
+    return listing.data?.listing?.id;
+  };
+  const leadId = await newListing(`Cable Sleeve ${Date.now().toString(36)}`, 1200);
+  const secondId = await newListing(`Velcro Ties ${Date.now().toString(36)}`, 600);
+  for (const listingId of [leadId, secondId]) {
+    await req('POST', `/commerce/listings/${listingId}/questions`, {
+      content: 'Does this come in a pack big enough for two desks?'
+    }, auth(buyerKey));
+    await req('POST', '/commerce/cart/items', { listingId }, auth(buyerKey));
+  }
+  const multi = (await req('POST', '/commerce/cart/checkout', null, auth(buyerKey))).data?.orders?.[0];
+  assert('One store\'s lines share an order', multi?.items?.length === 2 && multi?.total_price_cents === 1800,
+    `items=${multi?.items?.length}, total=${multi?.total_price_cents}`);
+  await req('POST', '/operator/test-inject', { action: 'set_order_status', orderId: multi?.id, value: 'DELIVERED' }, opAuth());
+
+  const review = (fields) => req('POST', '/commerce/reviews', {
+    orderId: multi?.id, rating: 2, body: 'The ties frayed within a week of light use.', ...fields
+  }, auth(buyerKey));
+  const ambiguous = await review({});
+  const notOnOrder = await review({ listingId: listingA });
+  assert('A multi-line review must name an item on the order (400)', ambiguous.status === 400 &&
+    notOnOrder.status === 400, `ambiguous=${ambiguous.status}, other=${notOnOrder.status}`);
+
+  const second = await review({ listingId: secondId });
+  const secondRating = (await req('GET', `/commerce/listings/${secondId}`)).data?.listing?.rating;
+  const leadRating = (await req('GET', `/commerce/listings/${leadId}`)).data?.listing?.rating;
+  assert('A line\'s review rates its own listing, not the lead line', second.status === 201 &&
+    second.data?.review?.order_item_id === multi?.items?.find(i => i.listing_id === secondId)?.id &&
+    secondRating?.count === 1 && secondRating?.histogram?.['2'] === 1 && leadRating?.count === 0,
+    `status=${second.status}, second=${JSON.stringify(secondRating)}, lead=${leadRating?.count}`);
+
+  const lead = await review({ listingId: leadId, rating: 5, body: 'Sleeve fits four cables with room to spare.' });
+  const again = await review({ listingId: secondId });
+  const byOrder = await req('GET', `/commerce/reviews/order/${multi?.id}`);
+  assert('Each line is reviewed once', lead.status === 201 && again.status === 400 &&
+    byOrder.data?.reviews?.length === 2, `lead=${lead.status}, again=${again.status}, reviews=${byOrder.data?.reviews?.length}`);
+}
+
+async function group21_idempotency() {
+  group('Group 21: Idempotency Keys');
+
+  const buyerKey = SEED.customers[11].apiKey; // vintage_vera
+  const listingId = SEED.merchants[5].listingId; // budget_barn
+  const withKey = (key) => ({ ...auth(buyerKey), 'Idempotency-Key': key });
+  const run = Date.now();
+
+  await req('POST', `/commerce/listings/${listingId}/questions`, {
+    content: 'Is this the same model that was sold last season?'
+  }, auth(buyerKey));
+
+  const before = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing?.inventory_on_hand;
+  const first = await req('POST', '/commerce/orders/direct', { listingId }, withKey(`buy-${run}`));
+  const retry = await req('POST', '/commerce/orders/direct', { listingId }, withKey(`buy-${run}`));
+  assert('Retried purchase replays the first order', first.status === 201 && retry.status === 201 &&
+    retry.data?.order?.id === first.data?.order?.id && retry.headers.get('idempotent-replayed') === 'true',
+    `status=${first.status}/${retry.status}, ids=${first.data?.order?.id}/${retry.data?.order?.id}`);
+  const after = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing?.inventory_on_hand;
+  assert('Retried purchase decrements inventory once', after === before - 1, `before=${before}, after=${after}`);
+
+  const conflicting = await req('POST', '/commerce/orders/direct', { listingId, quantity: 2 }, withKey(`buy-${run}`));
+  assert('Same key with a different body rejected (422)', conflicting.status === 422, `status=${conflicting.status}`);
+
+  const offerBody = { listingId, proposedPriceCents: 500, buyerMessage: 'Would you take five dollars for it?' };
+  const offer = await req('POST', '/commerce/offers', offerBody, withKey(`offer-${run}`));
+  const offerRetry = await req('POST', '/commerce/offers', offerBody, withKey(`offer-${run}`));
+  assert('Retried offer is not duplicated', offer.status === 201 &&
+    offerRetry.data?.offer?.id === offer.data?.offer?.id, `ids=${offer.data?.offer?.id}/${offerRetry.data?.offer?.id}`);
+
+  const failed = await req('POST', '/commerce/offers', { listingId }, withKey(`bad-${run}`));
+  const failedRetry = await req('POST', '/commerce/offers', { listingId }, withKey(`bad-${run}`));
+  assert('Error responses are replayed too', failed.status === 400 && failedRetry.status === 400 &&
+    failedRetry.headers.get('idempotent-replayed') === 'true', `status=${failed.status}/${failedRetry.status}`);
+
+  const otherAgent = await req('POST', '/commerce/offers', offerBody, {
+    ...auth(SEED.customers[12].apiKey), 'Idempotency-Key': `offer-${run}`
+  });
+  assert('Keys are scoped per agent', otherAgent.status === 201 &&
+    otherAgent.data?.offer?.id !== offer.data?.offer?.id, `status=${otherAgent.status}`);
+
+  const tooLong = await req('POST', '/commerce/offers', offerBody, withKey('k'.repeat(256)));
+  assert('Oversized key rejected (400)', tooLong.status === 400, `status=${tooLong.status}`);
+}
+
+async function group22_reservations() {
+  group('Group 22: Inventory Reservations');
+
+  const merchantKey = M().apiKey;
+  const listingId = M().listingId;
+  const holderKey = SEED.customers[12].apiKey; // techbro_todd
+  const rivalKey = SEED.customers[13].apiKey; // eco_emma
+
+  const original = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing?.inventory_on_hand;
+  await req('POST', '/operator/test-inject', { action: 'set_inventory', listingId, value: 3 }, opAuth());
+
+  const offerFor = async (quantity) => (await req('POST', '/commerce/offers', {
+    listingId, proposedPriceCents: 1500, quantity, buyerMessage: 'Bulk order for the whole team, please?'
+  }, auth(holderKey))).data?.offer;
+
+  try {
+    const big = await offerFor(2);
+    assert('Offer records its quantity', big?.quantity === 2, `quantity=${big?.quantity}`);
+
+    const accept = await req('POST', `/commerce/offers/${big?.id}/accept`, null, auth(merchantKey));
+    const listing = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing;
+    assert('Accepted offer reserves stock', accept.status === 200 && listing?.inventory_on_hand === 3 &&
+      listing?.reserved_quantity === 2 && listing?.inventory_available === 1,
+      `status=${accept.status}, onHand=${listing?.inventory_on_hand}, available=${listing?.inventory_available}`);
+
+    await req('POST', `/commerce/listings/${listingId}/questions`, {
+      content: 'Can you confirm the dimensions before I order?'
+    }, auth(rivalKey));
+    const rival = await req('POST', '/commerce/orders/direct', { listingId, quantity: 2 }, auth(rivalKey));
+    assert('Reserved stock is not sold to others (400)', rival.status === 400, `status=${rival.status}`);
+
+    const tooMany = await offerFor(5);
+    const overAccept = await req('POST', `/commerce/offers/${tooMany?.id}/accept`, null, auth(merchantKey));
+    assert('Cannot accept beyond available stock (400)', overAccept.status === 400, `status=${overAccept.status}`);
+    await req('POST', `/commerce/offers/${tooMany?.id}/cancel`, null, auth(holderKey));
+
+    await req('POST', `/commerce/offers/${big?.id}/cancel`, null, auth(holderKey));
+    const released = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing;
+    assert('Cancelling releases the reservation', released?.inventory_available === 3,
+      `available=${released?.inventory_available}`);
+
+    const small = await offerFor(1);
+    await req('POST', `/commerce/offers/${small?.id}/accept`, null, auth(merchantKey));
+    const buy = await req('POST', '/commerce/orders/from-offer', { offerId: small?.id }, auth(holderKey));
+    const after = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing;
+    assert('Purchase consumes the reservation', buy.status === 201 && buy.data?.order?.quantity === 1 &&
+      after?.inventory_on_hand === 2 && after?.reserved_quantity === 0,
+      `status=${buy.status}, onHand=${after?.inventory_on_hand}, reserved=${after?.reserved_quantity}`);
+  } finally {
+    await req('POST', '/operator/test-inject', { action: 'set_inventory', listingId, value: original ?? 20 }, opAuth());
+  }
+}
+
+async function group23_inventoryLedger() {
+  group('Group 23: Inventory Ledger and Restock');
+
+  const merchantKey = M2().apiKey;
+  const listingId = M2().listingId; // cableking
+  const buyerKey = SEED.customers[10].apiKey; // ramen_budget_ryan
+
+  const original = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing?.inventory_on_hand;
+  await req('POST', '/operator/test-inject', { action: 'set_inventory', listingId, value: 1 }, opAuth());
+
+  try {
+    await req('POST', `/commerce/listings/${listingId}/questions`, {
+      content: 'Will this survive being coiled in a backpack daily?'
+    }, auth(buyerKey));
+    const buy = await req('POST', '/commerce/orders/direct', { listingId }, auth(buyerKey));
+    const soldOut = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing;
+    assert('Last unit sells the listing out', buy.status === 201 && soldOut?.status === 'SOLD_OUT',
+      `status=${buy.status}, listing=${soldOut?.status}`);
+
+    const asCustomer = await req('POST', `/commerce/listings/${listingId}/restock`, { quantity: 5 }, auth(buyerKey));
+    assert('Customer cannot restock (403)', asCustomer.status === 403, `status=${asCustomer.status}`);
+    const notMine = await req('POST', `/commerce/listings/${listingId}/restock`, { quantity: 5 }, auth(M().apiKey));
+    assert('Other merchant cannot restock (403)', notMine.status === 403, `status=${notMine.status}`);
+    const zero = await req('POST', `/commerce/listings/${listingId}/restock`, { quantity: 0 }, auth(merchantKey));
+    assert('Restock quantity must be positive (400)', zero.status === 400, `status=${zero.status}`);
+
+    const restock = await req('POST', `/commerce/listings/${listingId}/restock`, {
+      quantity: 5, note: 'New shipment from the factory'
+    }, auth(merchantKey));
+    assert('Restock brings a sold-out listing back', restock.status === 200 &&
+      restock.data?.listing?.status === 'ACTIVE' && restock.data?.listing?.inventory_on_hand === 5 &&
+      restock.data?.movement?.type === 'RESTOCK', `status=${restock.status}, listing=${restock.data?.listing?.status}`);
+
+    const ledger = await req('GET', `/commerce/listings/${listingId}/ledger?limit=100`, null, auth(merchantKey));
+    const movements = ledger.data?.ledger?.movements || [];
+    assert('Ledger lists movements newest first', ledger.status === 200 &&
+      movements[0]?.type === 'RESTOCK' && movements[1]?.type === 'SALE' && movements[1]?.order_id === buy.data?.order?.id &&
+      movements[2]?.type === 'ADJUSTMENT', `types=${movements.slice(0, 3).map(m => m.type).join(',')}`);
+    const total = movements.reduce((sum, m) => sum + m.on_hand_delta, 0);
+    assert('Ledger accounts for all on-hand stock', total === ledger.data?.ledger?.inventoryOnHand,
+      `sum=${total}, onHand=${ledger.data?.ledger?.inventoryOnHand}`);
+
+    const peek = await req('GET', `/commerce/listings/${listingId}/ledger`, null, auth(M().apiKey));
+    assert('Other merchant cannot read the ledger (403)', peek.status === 403, `status=${peek.status}`);
+  } finally {
+    await req('POST', '/operator/test-inject', { action: 'set_inventory', listingId, value: original ?? 20 }, opAuth());
+  }
+}
+
+async function group24_variants() {
+  group('Group 24: Product Variants');
+
+  const merchantKey = M2().apiKey; // cableking
+  const storeId = M2().storeId;
+  const buyerKey = SEED.customers[11].apiKey; // vintage_vera
+
+  const product = await req('POST', '/commerce/products', {
+    storeId,
+    title: `Braided Cable ${Date.now()}`,
+    description: 'Nylon-braided USB-C cable in two lengths',
+    variants: [
+      { options: { Length: '1m' }, inventoryOnHand: 3 },
+      { options: { Length: '3m' }, priceCents: 2599, inventoryOnHand: 1 }
+    ]
+  }, auth(merchantKey));
+  const productId = product.data?.product?.id;
+  const [short, long] = product.data?.product?.variants || [];
+  assert('Create product with variants', product.status === 201 && short?.sku && long?.price_cents === 2599,
+    `status=${product.status}`);
+  if (!productId || !long) return;
+
+  const dup = await req('POST', `/commerce/products/${productId}/variants`, {
+    variants: [{ options: { Length: '1m' }, inventoryOnHand: 1 }]
+  }, auth(merchantKey));
+  assert('Duplicate variant options rejected (400)', dup.status === 400, `status=${dup.status}`);
+  const added = await req('POST', `/commerce/products/${productId}/variants`, {
+    variants: [{ options: { Length: '5m' }, inventoryOnHand: 2 }]
+  }, auth(merchantKey));
+  const options = (await req('GET', `/commerce/products/${productId}`)).data?.product?.options || [];
+  assert('Adding a variant extends the product options', added.status === 201 &&
+    options[0]?.name === 'Length' && options[0]?.values?.length === 3, `status=${added.status}`);
+
+  const created = await req('POST', '/commerce/listings', {
+    storeId, productId, priceCents: 1999, inventoryOnHand: 99
+  }, auth(merchantKey));
+  const listingId = created.data?.listing?.id;
+  assert('Listing stock is the total of its variants', created.status === 201 &&
+    created.data?.listing?.inventory_on_hand === 6, `inventory=${created.data?.listing?.inventory_on_hand}`);
+  if (!listingId) return;
+
+  await req('POST', `/commerce/listings/${listingId}/questions`, {
+    content: 'Does the longer one still support fast charging?'
+  }, auth(buyerKey));
+  const noVariant = await req('POST', '/commerce/orders/direct', { listingId }, auth(buyerKey));
+  assert('Purchase without variantId rejected (400)', noVariant.status === 400, `status=${noVariant.status}`);
+
+  const buy = await req('POST', '/commerce/orders/direct', { listingId, variantId: long.id }, auth(buyerKey));
+  const order = buy.data?.order;
+  assert('Variant sells at its own price', buy.status === 201 && order?.unit_price_cents === 2599 &&
+    order?.variant_id === long.id, `status=${buy.status}, price=${order?.unit_price_cents}`);
+
+  const listing = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing;
+  const longAfter = listing?.variants?.find(v => v.id === long.id);
+  assert('Sale draws down the variant and the listing', longAfter?.inventory_on_hand === 0 &&
+    listing?.inventory_on_hand === 5, `variant=${longAfter?.inventory_on_hand}, listing=${listing?.inventory_on_hand}`);
+  const again = await req('POST', '/commerce/orders/direct', { listingId, variantId: long.id }, auth(buyerKey));
+  assert('Sold-out variant cannot be bought (400)', again.status === 400, `status=${again.status}`);
+
+  await req('POST', '/commerce/cart/items', { listingId, variantId: short.id }, auth(buyerKey));
+  await req('POST', '/commerce/cart/items', { listingId, variantId: added.data?.variants?.[0]?.id }, auth(buyerKey));
+  const cart = (await req('GET', '/commerce/cart', null, auth(buyerKey))).data?.cart;
+  const lines = (cart?.items || []).filter(i => i.listing_id === listingId);
+  assert('Each variant is its own cart line', lines.length === 2 && lines[0].variant_id !== lines[1].variant_id,
+    `lines=${lines.length}`);
+  for (const line of lines) {
+    await req('DELETE', `/commerce/cart/items/${listingId}?variantId=${line.variant_id}`, null, auth(buyerKey));
+  }
+
+  const single = await req('POST', '/commerce/listings', {
+    storeId, productId, variantId: short.id, priceCents: 1499
+  }, auth(merchantKey));
+  const singleId = single.data?.listing?.id;
+  await req('POST', '/commerce/orders/direct', { listingId, variantId: short.id }, auth(buyerKey));
+  const afterSale = (await req('GET', `/commerce/listings/${singleId}`)).data?.listing;
+  await req('POST', `/commerce/listings/${singleId}/restock`, { quantity: 2 }, auth(merchantKey));
+  const wholeAfter = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing;
+  assert('Variant stock changes resync the product\'s other listings', single.status === 201 &&
+    afterSale?.inventory_on_hand === 2 && wholeAfter?.inventory_on_hand === 6,
+    `single=${afterSale?.inventory_on_hand}, whole=${wholeAfter?.inventory_on_hand}`);
+  const ledgers = await Promise.all([listingId, singleId].map(id =>
+    req('GET', `/commerce/listings/${id}/ledger?limit=100`, null, auth(merchantKey))));
+  const drift = ledgers.map(l => {
+    const sum = (l.data?.ledger?.movements || []).reduce((total, m) => total + m.on_hand_delta, 0);
+    return `${sum}/${l.data?.ledger?.inventoryOnHand}`;
+  });
+  assert('Sibling listing ledgers account for their synced stock', ledgers.every(l => l.status === 200) &&
+    drift.every(d => d.split('/')[0] === d.split('/')[1]), `sum/onHand=${drift.join(', ')}`);
+  const forced = await req('POST', '/operator/test-inject', { action: 'set_inventory', listingId, value: 50 }, opAuth());
+  assert('Operator set_inventory is refused on variant listings (400)', forced.status === 400, `status=${forced.status}`);
+
+  if (order?.status === 'DELIVERED') {
+    const review = await req('POST', '/commerce/reviews', {
+      orderId: order.id, rating: 4, body: 'Long enough to reach the couch, charges fast.'
+    }, auth(buyerKey));
+    assert('Review records the purchased variant', review.status === 201 &&
+      review.data?.review?.variant_id === long.id, `status=${review.status}`);
+  }
+}
+
+async function group25_productCopy() {
+  group('Group 25: Product Copy Edits');
+
+  const merchantKey = M2().apiKey; // cableking
+  const storeId = M2().storeId;
+
+  const created = await req('POST', '/commerce/products', {
+    storeId, title: `Cable Sleeve ${Date.now()}`, description: 'Neoprene sleeve that bundles desk cables'
+  }, auth(merchantKey));
+  const productId = created.data?.product?.id;
+  if (!productId) {
+    assert('Create product for copy edits', false, `status=${created.status}`);
+    return;
+  }
+
+  const noReason = await req('PATCH', `/commerce/products/${productId}`, { title: 'Sleeve' }, auth(merchantKey));
+  assert('Copy edit requires a reason (400)', noReason.status === 400, `status=${noReason.status}`);
+  const notMine = await req('PATCH', `/commerce/products/${productId}`, {
+    title: 'Hijacked', reason: 'Mine now'
+  }, auth(M().apiKey));
+  assert('Other merchant cannot edit copy (403)', notMine.status === 403, `status=${notMine.status}`);
+  const same = await req('PATCH', `/commerce/products/${productId}`, {
+    description: 'Neoprene sleeve that bundles desk cables', reason: 'No-op'
+  }, auth(merchantKey));
+  assert('Unchanged copy rejected (400)', same.status === 400, `status=${same.status}`);
+
+  const edit = await req('PATCH', `/commerce/products/${productId}`, {
+    description: 'Zip-up neoprene sleeve, fits up to eight cables, washable', reason: 'Clarified capacity'
+  }, auth(merchantKey));
+  assert('Copy edit before any sale raises claim accuracy', edit.status === 200 &&
+    edit.data?.product?.description?.startsWith('Zip-up') && edit.data?.thread?.thread_type === 'UPDATE' &&
+    edit.data?.trustEvent?.reason === 'PRODUCT_COPY_UPDATED' && edit.data?.trustEvent?.delta_claim_accuracy > 0,
+    `status=${edit.status}, delta=${edit.data?.trustEvent?.delta_claim_accuracy}`);
+
+  const store = (await req('GET', `/commerce/stores/${storeId}`)).data?.store;
+  const logged = (store?.recentUpdates || []).find(u => u.linked_product_id === productId);
+  assert('Copy edit recorded as a store update diff', logged?.update_type === 'PRODUCT_COPY_UPDATED' &&
+    logged?.field_name === 'description' && logged?.old_value === 'Neoprene sleeve that bundles desk cables' &&
+    logged?.linked_thread_id === edit.data?.thread?.id, `update=${logged?.update_type}`);
+
+  // cableking's seed product has sold by now
+  const sold = await req('PATCH', `/commerce/products/${M2().productId}`, {
+    description: `${(await req('GET', `/commerce/products/${M2().productId}`)).data?.product?.description} Now with gold-plated tips.`,
+    reason: 'Supplier upgraded the connectors'
+  }, auth(merchantKey));
+  assert('Copy edit after sales costs claim accuracy', sold.status === 200 &&
+    sold.data?.trustEvent?.delta_claim_accuracy < 0, `status=${sold.status}, delta=${sold.data?.trustEvent?.delta_claim_accuracy}`);
+}
+
+async function group26_lifecycle() {
+  group('Group 26: Listing & Store Lifecycle');
+
+  const merchantKey = M2().apiKey; // cableking
+  const storeId = M2().storeId;
+  const buyerKey = SEED.customers[12].apiKey; // techbro_todd
+
+  const product = await req('POST', '/commerce/products', {
+    storeId, title: `Cable Clips ${Date.now()}`, description: 'Adhesive clips that keep cables off the floor'
+  }, auth(merchantKey));
+  const created = await req('POST', '/commerce/listings', {
+    storeId, productId: product.data?.product?.id, priceCents: 899, inventoryOnHand: 10
+  }, auth(merchantKey));
+  const listingId = created.data?.listing?.id;
+  if (!listingId) {
+    assert('Create listing for lifecycle', false, `status=${created.status}`);
+    return;
+  }
+  await req('POST', `/commerce/listings/${listingId}/questions`, {
+    content: 'Do these hold on textured walls?'
+  }, auth(buyerKey));
+
+  const notMine = await req('POST', `/commerce/listings/${listingId}/pause`, { reason: 'x' }, auth(M().apiKey));
+  assert('Other merchant cannot pause a listing (403)', notMine.status === 403, `status=${notMine.status}`);
+
+  const paused = await req('POST', `/commerce/listings/${listingId}/pause`, { reason: 'Supplier delay' }, auth(merchantKey));
+  const browse = (await req('GET', '/commerce/listings?limit=100')).data?.data || [];
+  assert('Paused listing leaves the catalog', paused.status === 200 &&
+    paused.data?.listing?.status === 'PAUSED' && !browse.some(l => l.id === listingId), `status=${paused.status}`);
+  const buyPaused = await req('POST', '/commerce/orders/direct', { listingId }, auth(buyerKey));
+  assert('Paused listing cannot be bought (400)', buyPaused.status === 400, `status=${buyPaused.status}`);
+  const pauseAgain = await req('POST', `/commerce/listings/${listingId}/pause`, {}, auth(merchantKey));
+  assert('Pausing a paused listing rejected (400)', pauseAgain.status === 400, `status=${pauseAgain.status}`);
+
+  const resumed = await req('POST', `/commerce/listings/${listingId}/resume`, {}, auth(merchantKey));
+  assert('Resumed listing is back on sale', resumed.status === 200 && resumed.data?.listing?.status === 'ACTIVE',
+    `status=${resumed.status}`);
+
+  const offer = await req('POST', '/commerce/offers', {
+    listingId, proposedPriceCents: 700, buyerMessage: 'Would you take $7?'
+  }, auth(buyerKey));
+  const offerId = offer.data?.offer?.id;
+  const retired = await req('POST', `/commerce/listings/${listingId}/retire`, {
+    reason: 'Discontinued by the manufacturer'
+  }, auth(merchantKey));
+  const closedOffer = offerId ? (await req('GET', `/commerce/offers/${offerId}`, null, auth(buyerKey))).data?.offer : null;
+  assert('Retiring a listing closes out its pending offers', retired.status === 200 &&
+    retired.data?.listing?.status === 'RETIRED' && retired.data?.offersClosed >= 1 &&
+    closedOffer?.status === 'REJECTED', `status=${retired.status}, offer=${closedOffer?.status}`);
+  const revive = await req('POST', `/commerce/listings/${listingId}/resume`, {}, auth(merchantKey));
+  const restock = await req('POST', `/commerce/listings/${listingId}/restock`, { quantity: 5 }, auth(merchantKey));
+  assert('Retired listing cannot be resumed or restocked (400)', revive.status === 400 && restock.status === 400,
+    `resume=${revive.status}, restock=${restock.status}`);
+
+  // Store pause/resume on cableking's seed store
+  await req('POST', `/commerce/listings/${M2().listingId}/questions`, {
+    content: 'Is this the braided version?'
+  }, auth(buyerKey));
+  const noReason = await req('POST', `/commerce/stores/${storeId}/pause`, {}, auth(merchantKey));
+  assert('Store pause requires a reason (400)', noReason.status === 400, `status=${noReason.status}`);
+  const storePaused = await req('POST', `/commerce/stores/${storeId}/pause`, {
+    reason: 'Moving warehouses this week'
+  }, auth(merchantKey));
+  try {
+    const stores = (await req('GET', '/commerce/stores?limit=100')).data?.data || [];
+    assert('Paused store leaves the directory', storePaused.status === 200 &&
+      storePaused.data?.store?.status === 'PAUSED' && !stores.some(s => s.id === storeId),
+      `status=${storePaused.status}`);
+    const buyClosed = await req('POST', '/commerce/orders/direct', { listingId: M2().listingId }, auth(buyerKey));
+    assert('Paused store cannot sell (400)', buyClosed.status === 400, `status=${buyClosed.status}`);
+  } finally {
+    const reopened = await req('POST', `/commerce/stores/${storeId}/resume`, {
+      reason: 'Warehouse move done'
+    }, auth(merchantKey));
+    assert('Resumed store is open again', reopened.status === 200 && reopened.data?.store?.status === 'ACTIVE',
+      `status=${reopened.status}`);
+  }
+
+  // Closing is permanent, so use a throwaway store
+  const spare = await req('POST', '/commerce/stores', {
+    name: `Cable Outlet ${Date.now()}`, returnPolicyText: 'No returns', shippingPolicyText: 'Ships in 3 days'
+  }, auth(merchantKey));
+  const spareId = spare.data?.store?.id;
+  if (!spareId) return;
+  const spareProduct = await req('POST', '/commerce/products', {
+    storeId: spareId, title: `Cable Ties ${Date.now()}`, description: 'Reusable velcro ties'
+  }, auth(merchantKey));
+  await req('POST', '/commerce/listings', {
+    storeId: spareId, productId: spareProduct.data?.product?.id, priceCents: 499, inventoryOnHand: 4
+  }, auth(merchantKey));
+  const closed = await req('POST', `/commerce/stores/${spareId}/close`, {
+    reason: 'Consolidating into the main store'
+  }, auth(merchantKey));
+  const reopen = await req('POST', `/commerce/stores/${spareId}/resume`, { reason: 'Changed my mind' }, auth(merchantKey));
+  assert('Closing a store retires its listings for good', closed.status === 200 &&
+    closed.data?.store?.status === 'CLOSED' && closed.data?.retiredListings === 1 && reopen.status === 400,
+    `status=${closed.status}, retired=${closed.data?.retiredListings}, reopen=${reopen.status}`);
+}
+
+async function group27_categories() {
+  group('Group 27: Categories & Tags');
+
+  const merchantKey = M().apiKey; // deskcraft
+  const storeId = M().storeId;
+
+  const tree = (await req('GET', '/commerce/categories')).data?.categories || [];
+  const deskSetup = tree.find(c => c.slug === 'desk-setup');
+  assert('Category tree has nested nodes', deskSetup?.children?.some(c => c.slug === 'desk-mats'),
+    `roots=${tree.length}`);
+  const before = deskSetup?.listingCount ?? 0;
+
+  const bad = await req('POST', '/commerce/products', {
+    storeId, title: `Mystery Item ${Date.now()}`, category: 'no-such-category'
+  }, auth(merchantKey));
+  assert('Unknown category rejected (400)', bad.status === 400, `status=${bad.status}`);
+
+  const tag = `felt-${Date.now()}`;
+  const product = await req('POST', '/commerce/products', {
+    storeId,
+    title: `Wool Desk Mat ${Date.now()}`,
+    description: 'Thick merino felt mat for a quiet desk',
+    category: 'Desk Mats',
+    tags: ['Merino', `#${tag}`, 'merino']
+  }, auth(merchantKey));
+  const created = product.data?.product;
+  assert('Product takes a category (by name) and normalized tags', product.status === 201 &&
+    created?.category_id && created?.tags?.length === 2 && created.tags.includes(tag),
+    `status=${product.status}, tags=${JSON.stringify(created?.tags)}`);
+  if (!created?.id) return;
+
+  const listing = await req('POST', '/commerce/listings', {
+    storeId, productId: created.id, priceCents: 3499, inventoryOnHand: 5
+  }, auth(merchantKey));
+  const listingId = listing.data?.listing?.id;
+
+  const byParent = (await req('GET', '/commerce/listings?category=desk-setup&limit=200')).data?.data || [];
+  const byTag = (await req('GET', `/commerce/listings?tag=${tag}`)).data?.data || [];
+  const otherCategory = (await req('GET', '/commerce/listings?category=audio&limit=200')).data?.data || [];
+  assert('Listings filter by parent category and by tag', byParent.some(l => l.id === listingId) &&
+    byTag.length === 1 && byTag[0].category_slug === 'desk-mats' && !otherCategory.some(l => l.id === listingId),
+    `parent=${byParent.length}, tag=${byTag.length}`);
+
+  const stores = (await req('GET', `/commerce/stores?tag=${tag}`)).data?.data || [];
+  assert('Stores filter by what they list', stores.length === 1 && stores[0].id === storeId,
+    `stores=${stores.length}`);
+  const badFilter = await req('GET', '/commerce/listings?category=no-such-category');
+  assert('Unknown category filter rejected (400)', badFilter.status === 400, `status=${badFilter.status}`);
+
+  const after = (await req('GET', '/commerce/categories')).data?.categories?.find(c => c.slug === 'desk-setup');
+  const mats = after?.children?.find(c => c.slug === 'desk-mats');
+  assert('Category counts roll up to the parent', after?.listingCount === before + 1 &&
+    mats?.directListingCount >= 1, `before=${before}, after=${after?.listingCount}`);
+}
+
+async function group28_search() {
+  group('Group 28: Listing Search');
+
+  const merchantKey = M().apiKey; // deskcraft
+  const storeId = M().storeId;
+  const word = `lumenwick${Date.now().toString(36)}`;
+
+  const product = await req('POST', '/commerce/products', {
+    storeId,
+    title: `${word} Desk Lamp`,
+    description: 'A dimmable brass lamp with a warm amber glow for late-night work sessions.',
+    category: 'desk-lighting',
+    tags: ['brass', 'dimmable']
+  }, auth(merchantKey));
+  const productId = product.data?.product?.id;
+  const listing = await req('POST', '/commerce/listings', {
+    storeId, productId, priceCents: 4200, inventoryOnHand: 3
+  }, auth(merchantKey));
+  const listingId = listing.data?.listing?.id;
+  if (!listingId) {
+    assert('Create listing for search', false, `status=${listing.status}`);
+    return;
+  }
+
+  const found = await req('GET', `/commerce/search?q=${word}`);
+  const hit = found.data?.results?.[0];
+  assert('Search finds the listing with highlights', found.status === 200 && found.data?.total === 1 &&
+    hit?.id === listingId && hit?.title_highlight?.includes('<mark>') && hit?.snippet,
+    `status=${found.status}, total=${found.data?.total}`);
+
+  const facets = found.data?.facets;
+  const bucket = facets?.price?.find(b => b.key === '25-50');
+  const trustTotal = (facets?.trust || []).reduce((sum, b) => sum + b.count, 0);
+  assert('Facets count price bucket, category, store, trust and stock', bucket?.count === 1 &&
+    facets?.category?.[0]?.slug === 'desk-lighting' && facets?.store?.[0]?.storeId === storeId &&
+    trustTotal === 1 && facets?.inStock?.true === 1, `facets=${JSON.stringify(facets?.price)}`);
+
+  const pricey = await req('GET', `/commerce/search?q=${word}&minPriceCents=5000`);
+  assert('Price filter narrows results but not its own facet', pricey.data?.total === 0 &&
+    pricey.data?.facets?.price?.find(b => b.key === '25-50')?.count === 1, `total=${pricey.data?.total}`);
+  const soldOut = await req('GET', `/commerce/search?q=${word}&inStock=false`);
+  assert('In-stock filter excludes available listings', soldOut.data?.total === 0, `total=${soldOut.data?.total}`);
+
+  const byDescription = await req('GET', '/commerce/search?q=brass%20amber%20lamp&category=desk-setup');
+  assert('Description and tags are searchable within a category tree',
+    (byDescription.data?.results || []).some(r => r.id === listingId), `total=${byDescription.data?.total}`);
+
+  const renamed = `glowmoth${Date.now().toString(36)}`;
+  await req('PATCH', `/commerce/products/${productId}`, {
+    title: `${renamed} Desk Lamp`, reason: 'Renamed the line'
+  }, auth(merchantKey));
+  const afterEdit = await req('GET', `/commerce/search?q=${renamed}`);
+  assert('Search index follows product edits', afterEdit.data?.results?.[0]?.id === listingId,
+    `total=${afterEdit.data?.total}`);
+
+  const sorted = await req('GET', '/commerce/search?sort=price_asc&limit=20');
+  const prices = (sorted.data?.results || []).map(r => r.price_cents);
+  assert('Browse sorted by price', sorted.status === 200 && prices.length > 1 &&
+    prices.every((p, i) => i === 0 || prices[i - 1] <= p), `prices=${prices.slice(0, 5)}`);
+
+  const badSort = await req('GET', '/commerce/search?q=lamp&sort=cheapest');
+  const badBand = await req('GET', '/commerce/search?q=lamp&trustBand=stellar');
+  assert('Invalid sort or trust band rejected (400)', badSort.status === 400 && badBand.status === 400,
+    `sort=${badSort.status}, band=${badBand.status}`);
+}
+
+async function group29_lookingForMatches() {
+  group('Group 29: Looking-For Matching');
+
+  const merchantKey = M2().apiKey; // cableking
+  const storeId = M2().storeId;
+  const shopperKey = SEED.customers[13].apiKey; // eco_emma
+  const word = `snapcoil${Date.now().toString(36)}`;
+
+  const listingFor = async (title, priceCents) => {
+    const product = await req('POST', '/commerce/products', {
+      storeId, title, description: `Magnetic ${word} cable organizer that snaps to any desk edge`,
+      category: 'cable-organizers'
+    }, auth(merchantKey));
+    const listing = await req('POST', '/commerce/listings', {
+      storeId, productId: product.data?.product?.id, priceCents, inventoryOnHand: 5
+    }, auth(merchantKey));
+    return listing.data?.listing?.id;
+  };
+  const cheapId = await listingFor(`${word} Mini`, 1500);
+  const priceyId = await listingFor(`${word} Max`, 2400);
+
+  const lf = await req('POST', '/commerce/looking-for', {
+    title: 'Need a magnetic cable organizer for my desk',
+    constraints: { budgetCents: 2000, category: 'Cable Management', mustHaves: ['magnetic', word] }
+  }, auth(shopperKey));
+  const threadId = lf.data?.thread?.id;
+  if (!threadId || !cheapId || !priceyId) {
+    assert('Set up looking-for thread and listings', false, `thread=${lf.status}`);
+    return;
+  }
+
+  const res = await req('GET', `/commerce/looking-for/${threadId}/matches`);
+  const matches = res.data?.matches || [];
+  const cheap = matches.find(m => m.listingId === cheapId);
+  const pricey = matches.find(m => m.listingId === priceyId);
+  assert('Matches score budget, category and must-haves', res.status === 200 &&
+    res.data?.thread?.constraints?.budgetCents === 2000 && cheap?.score === 1 &&
+    cheap?.reasons?.withinBudget === true && cheap?.reasons?.categoryMatch === true &&
+    cheap?.reasons?.mustHaveHits?.length === 2, `status=${res.status}, cheap=${JSON.stringify(cheap)}`);
+  assert('Over-budget listing ranks lower', pricey && pricey.score < cheap?.score &&
+    pricey.reasons?.withinBudget === false &&
+    matches.findIndex(m => m.listingId === priceyId) > matches.findIndex(m => m.listingId === cheapId),
+    `pricey=${pricey?.score}`);
+
+  const loose = await req('POST', '/commerce/looking-for', {
+    title: `Anyone selling a ${word}?`,
+    constraints: { budgetCents: 2000, deadline: new Date(Date.now() + 7 * 86400000).toISOString() }
+  }, auth(shopperKey));
+  const looseRes = await req('GET', `/commerce/looking-for/${loose.data?.thread?.id}/matches`);
+  const looseMatches = looseRes.data?.matches || [];
+  assert('Title words match a thread without category or must-haves', looseRes.status === 200 &&
+    looseMatches.find(m => m.listingId === cheapId)?.reasons?.titleWordHits?.includes(word) &&
+    looseMatches.every(m => m.reasons?.titleWordHits?.length > 0),
+    `status=${looseRes.status}, matches=${JSON.stringify(looseMatches.map(m => m.reasons?.titleWordHits))}`);
+
+  const offTopic = await req('POST', '/commerce/looking-for', {
+    title: `Something ${word}-free for the kitchen`,
+    constraints: { budgetCents: 500, category: 'kitchen' }
+  }, auth(shopperKey));
+  const none = await req('GET', `/commerce/looking-for/${offTopic.data?.thread?.id}/matches`);
+  assert('Unrelated demand does not match', none.status === 200 &&
+    !(none.data?.matches || []).some(m => m.listingId === cheapId), `matches=${none.data?.matches?.length}`);
+
+  const notLf = await req('GET', `/commerce/looking-for/${M().listingId}/matches`);
+  assert('Matches for a non-looking-for id is 404', notLf.status === 404, `status=${notLf.status}`);
+}
+
+async function group30_pitches() {
+  group('Group 30: Merchant Pitches');
+
+  const shopperKey = SEED.customers[13].apiKey; // eco_emma
+  const otherKey = SEED.customers[10].apiKey; // ramen_budget_ryan
+
+  const lf = await req('POST', '/commerce/looking-for', {
+    title: 'Want something to tame the cable mess behind my monitor',
+    constraints: { budgetCents: 5000, mustHaves: ['reusable'] }
+  }, auth(shopperKey));
+  const threadId = lf.data?.thread?.id;
+  const listing = (await req('GET', `/commerce/listings/${M2().listingId}`)).data?.listing;
+  if (!threadId || !listing) {
+    assert('Set up looking-for thread for pitches', false, `status=${lf.status}`);
+    return;
+  }
+  const specialPrice = Math.max(listing.price_cents - 300, 1);
+
+  const custPitch = await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M2().listingId, message: 'Customers cannot pitch listings here.'
+  }, auth(otherKey));
+  assert('Customer cannot pitch (403)', custPitch.status === 403, `status=${custPitch.status}`);
+  const notMine = await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M2().listingId, message: 'Pitching somebody else\'s listing for fun.'
+  }, auth(M().apiKey));
+  assert('Merchant cannot pitch another store\'s listing (403)', notMine.status === 403, `status=${notMine.status}`);
+  const tooHigh = await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M2().listingId, message: 'Special price, specially for you!', pitchPriceCents: listing.price_cents + 1
+  }, auth(M2().apiKey));
+  assert('Special price above the listing price rejected (400)', tooHigh.status === 400, `status=${tooHigh.status}`);
+
+  const variantProduct = await req('POST', '/commerce/products', {
+    storeId: M2().storeId,
+    title: `Velcro Wrap Pack ${Date.now()}`,
+    description: 'Reusable velcro cable wraps in two pack sizes',
+    variants: [{ options: { Pack: '10' }, priceCents: 900, inventoryOnHand: 5 }, { options: { Pack: '50' }, inventoryOnHand: 5 }]
+  }, auth(M2().apiKey));
+  const smallPack = variantProduct.data?.product?.variants?.[0];
+  const packListing = await req('POST', '/commerce/listings', {
+    storeId: M2().storeId, productId: variantProduct.data?.product?.id, priceCents: 2500
+  }, auth(M2().apiKey));
+  const aboveVariant = await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: packListing.data?.listing?.id, variantId: smallPack?.id,
+    message: 'The ten-pack is all you need, at a special price.', pitchPriceCents: 1500
+  }, auth(M2().apiKey));
+  const zero = await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M2().listingId, message: 'Free, as a special price for you only.', pitchPriceCents: 0
+  }, auth(M2().apiKey));
+  assert('Special price is checked against the pitched variant\'s price (400)', aboveVariant.status === 400 &&
+    zero.status === 400 && /at least/.test(zero.data?.error || ''),
+    `variant=${aboveVariant.status}, zero=${zero.status}: ${zero.data?.error}`);
+
+  const pitch = await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M2().listingId,
+    message: 'Our reusable wraps untangle anything behind a monitor, and I will knock a few bucks off.',
+    pitchPriceCents: specialPrice
+  }, auth(M2().apiKey));
+  const pitchId = pitch.data?.pitch?.id;
+  assert('Merchant pitches a listing with a special price', pitch.status === 201 &&
+    pitch.data?.pitch?.pitch_price_cents === specialPrice && pitch.data?.pitch?.comment_id,
+    `status=${pitch.status}`);
+  const again = await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M2().listingId, message: 'Just bumping my earlier pitch in case you missed it.'
+  }, auth(M2().apiKey));
+  assert('One pitch per store per thread (409)', again.status === 409, `status=${again.status}`);
+  await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M().listingId, message: 'Not a cable tidy, but a desk this clean needs fewer cables.'
+  }, auth(M().apiKey));
+
+  const authorView = await req('GET', `/commerce/looking-for/${threadId}/pitches`, null, auth(shopperKey));
+  const merchantView = await req('GET', `/commerce/looking-for/${threadId}/pitches`, null, auth(M2().apiKey));
+  const outsiderView = await req('GET', `/commerce/looking-for/${threadId}/pitches`, null, auth(otherKey));
+  const mine = (authorView.data?.pitches || []).find(p => p.id === pitchId);
+  assert('Author sees every pitch with its terms', authorView.status === 200 &&
+    authorView.data?.pitches?.length === 2 && mine?.effective_price_cents === specialPrice && mine?.store_name,
+    `status=${authorView.status}, count=${authorView.data?.pitches?.length}`);
+  assert('Merchants see only their own pitch; others are refused', merchantView.data?.pitches?.length === 1 &&
+    outsiderView.status === 403, `merchant=${merchantView.data?.pitches?.length}, outsider=${outsiderView.status}`);
+
+  const hijack = await req('POST', `/commerce/looking-for/${threadId}/pitches/${pitchId}/accept`, {}, auth(otherKey));
+  assert('Only the author can accept a pitch (403)', hijack.status === 403, `status=${hijack.status}`);
+  const accepted = await req('POST', `/commerce/looking-for/${threadId}/pitches/${pitchId}/accept`, {}, auth(shopperKey));
+  assert('Accepting a pitch opens an offer at the pitched price', accepted.status === 201 &&
+    accepted.data?.offer?.proposed_price_cents === specialPrice && accepted.data?.offer?.status === 'PROPOSED' &&
+    accepted.data?.pitch?.status === 'ACCEPTED' && accepted.data?.pitch?.offer_id === accepted.data?.offer?.id,
+    `status=${accepted.status}`);
+  const twice = await req('POST', `/commerce/looking-for/${threadId}/pitches/${pitchId}/accept`, {}, auth(shopperKey));
+  assert('A pitch can only be accepted once (400)', twice.status === 400, `status=${twice.status}`);
+
+  if (accepted.data?.offer?.id) {
+    await req('POST', `/commerce/offers/${accepted.data.offer.id}/cancel`, null, auth(shopperKey));
+  }
+}
+
+async function group31_lookingForLifecycle() {
+  group('Group 31: Looking-For Lifecycle');
+
+  const shopperKey = SEED.customers[12].apiKey; // techbro_todd
+  const otherKey = SEED.customers[11].apiKey; // vintage_vera
+
+  const pastDeadline = await req('POST', '/commerce/looking-for', {
+    title: 'Need a cable tidy by last year',
+    constraints: { budgetCents: 3000, deadline: '2020-01-01' }
+  }, auth(shopperKey));
+  const badDeadline = await req('POST', '/commerce/looking-for', {
+    title: 'Need a cable tidy soonish',
+    constraints: { budgetCents: 3000, deadline: 'whenever works' }
+  }, auth(shopperKey));
+  assert('Past or unparseable deadline rejected (400)', pastDeadline.status === 400 && badDeadline.status === 400,
+    `past=${pastDeadline.status}, bad=${badDeadline.status}`);
+
+  const deadline = new Date(Date.now() + 14 * 86400000).toISOString().slice(0, 10);
+  const lf = await req('POST', '/commerce/looking-for', {
+    title: 'Looking for a cable organizer for a standing desk',
+    constraints: { budgetCents: 5000, deadline, mustHaves: ['reusable'] }
+  }, auth(shopperKey));
+  const threadId = lf.data?.thread?.id;
+  assert('Deadline is stored on the thread', lf.status === 201 &&
+    lf.data?.thread?.deadline_at?.startsWith(deadline), `status=${lf.status}, deadline=${lf.data?.thread?.deadline_at}`);
+  if (!threadId) return;
+
+  await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M2().listingId,
+    message: 'Our cable kit straps right under a standing desk and is fully reusable.'
+  }, auth(M2().apiKey));
+  await req('POST', `/commerce/listings/${M2().listingId}/questions`, {
+    content: 'Does this kit fit under a standing desk frame with a crossbar?'
+  }, auth(shopperKey));
+  const order = await req('POST', '/commerce/orders/direct', { listingId: M2().listingId }, auth(shopperKey));
+  const orderId = order.data?.order?.id;
+  assert('Shopper buys from the pitching store', order.status === 201 && orderId, `status=${order.status}`);
+
+  const notAuthor = await req('POST', `/commerce/looking-for/${threadId}/fulfill`, { orderId }, auth(otherKey));
+  assert('Only the author can mark a request fulfilled (403)', notAuthor.status === 403, `status=${notAuthor.status}`);
+
+  const fulfilled = await req('POST', `/commerce/looking-for/${threadId}/fulfill`, { orderId }, auth(shopperKey));
+  assert('Fulfilling closes the thread and links the order and store', fulfilled.status === 200 &&
+    fulfilled.data?.thread?.thread_status === 'CLOSED' && fulfilled.data?.thread?.close_reason === 'FULFILLED' &&
+    fulfilled.data?.thread?.fulfilled_order_id === orderId && fulfilled.data?.store?.id === M2().storeId,
+    `status=${fulfilled.status}`);
+
+  const act = await req('GET', `/commerce/activity?type=LOOKING_FOR_FULFILLED&storeId=${M2().storeId}&limit=5`);
+  const event = (act.data?.data || []).find(e => e.thread_id === threadId);
+  assert('Activity feed names the winning store', event?.order_id === orderId &&
+    event?.meta?.storeName && event?.meta?.viaPitch === true, `events=${act.data?.data?.length}`);
+
+  const again = await req('POST', `/commerce/looking-for/${threadId}/fulfill`, { orderId }, auth(shopperKey));
+  const latePitch = await req('POST', `/commerce/looking-for/${threadId}/pitches`, {
+    listingId: M().listingId, message: 'Late to the party but this desk mat is great.'
+  }, auth(M().apiKey));
+  assert('Fulfilled threads refuse a second fulfillment and new pitches', again.status === 409 &&
+    latePitch.status === 400, `again=${again.status}, pitch=${latePitch.status}`);
+
+  const withdraw = await req('POST', '/commerce/looking-for', {
+    title: 'Looking for a monitor light bar',
+    constraints: { budgetCents: 4000, category: 'desk-lighting' }
+  }, auth(shopperKey));
+  const withdrawId = withdraw.data?.thread?.id;
+  const closed = await req('POST', `/commerce/looking-for/${withdrawId}/close`, null, auth(shopperKey));
+  const closedTwice = await req('POST', `/commerce/looking-for/${withdrawId}/close`, null, auth(shopperKey));
+  assert('Author can withdraw an open request once', closed.status === 200 &&
+    closed.data?.thread?.close_reason === 'WITHDRAWN' && closedTwice.status === 400,
+    `close=${closed.status}, twice=${closedTwice.status}`);
+
+  const stale = await req('POST', '/operator/inject-looking-for', {
+    title: 'Looking for a desk fan before the heatwave',
+    constraints: { budgetCents: 2500, deadline: new Date(Date.now() - 60000).toISOString() }
+  }, opAuth());
+  const staleId = stale.data?.thread?.id;
+  const sweep = await req('POST', '/operator/expire-looking-for', null, opAuth());
+  const staleMatches = await req('GET', `/commerce/looking-for/${staleId}/matches`);
+  assert('Sweep closes threads past their deadline', sweep.status === 200 && sweep.data?.expired >= 1 &&
+    staleMatches.data?.thread?.status === 'CLOSED', `expired=${sweep.data?.expired}, status=${staleMatches.data?.thread?.status}`);
+}
+
+async function group32_claimChallenges() {
+  group('Group 32: Claim Challenges');
+
+  const merchantKey = M2().apiKey; // cableking
+  const storeId = M2().storeId;
+  const skepticKey = SEED.customers[11].apiKey; // vintage_vera
+  const otherKey = SEED.customers[13].apiKey; // eco_emma
+
+  const product = await req('POST', '/commerce/products', {
+    storeId,
+    title: `Heirloom Cable Weight ${Date.now().toString(36)}`,
+    description: 'A hand-finished brass weight that keeps charging cables from sliding off the desk. Lasts a lifetime.',
+    category: 'cable-organizers'
+  }, auth(merchantKey));
+  const productId = product.data?.product?.id;
+  const listing = await req('POST', '/commerce/listings', {
+    storeId, productId, priceCents: 1800, inventoryOnHand: 5
+  }, auth(merchantKey));
+  const listingId = listing.data?.listing?.id;
+  if (!listingId) {
+    assert('Create listing for claim challenges', false, `status=${listing.status}`);
+    return;
+  }
+
+  const notQuoted = await req('POST', '/commerce/challenges', {
+    listingId, claim: 'solid gold', details: 'I doubt there is any gold in a cable weight at this price.'
+  }, auth(skepticKey));
+  assert('Claim must be quoted from the product copy (400)', notQuoted.status === 400, `status=${notQuoted.status}`);
+
+  const opened = await req('POST', '/commerce/challenges', {
+    listingId, claim: 'Hand-finished brass', details: 'At $18 this looks like plated zinc, not hand-finished brass.'
+  }, auth(skepticKey));
+  const challengeId = opened.data?.challenge?.id;
+  assert('Customer challenges a claim in its own thread', opened.status === 201 &&
+    opened.data?.challenge?.status === 'OPEN' && opened.data?.challenge?.thread_id, `status=${opened.status}`);
+  const duplicate = await req('POST', '/commerce/challenges', {
+    listingId, claim: 'Lasts a lifetime', details: 'Nothing lasts a lifetime, least of all a desk gadget.'
+  }, auth(skepticKey));
+  assert('One live challenge per customer per product (409)', duplicate.status === 409, `status=${duplicate.status}`);
+
+  const early = await req('POST', `/commerce/challenges/${challengeId}/accept`, {}, auth(skepticKey));
+  const notOwner = await req('POST', `/commerce/challenges/${challengeId}/respond`, {
+    evidence: 'Trust me, I have seen the foundry myself.'
+  }, auth(M().apiKey));
+  assert('Evidence comes first, and only from the store owner', early.status === 400 && notOwner.status === 403,
+    `accept=${early.status}, respond=${notOwner.status}`);
+
+  const before = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+  const responded = await req('POST', `/commerce/challenges/${challengeId}/respond`, {
+    evidence: 'Each weight is lathe-turned from C360 brass bar and hand-polished; mill certificate in the photos.'
+  }, auth(merchantKey));
+  assert('Merchant answers with evidence', responded.status === 200 &&
+    responded.data?.challenge?.status === 'RESPONDED', `status=${responded.status}`);
+  const hijack = await req('POST', `/commerce/challenges/${challengeId}/accept`, {}, auth(otherKey));
+  assert('Only the challenger can settle (403)', hijack.status === 403, `status=${hijack.status}`);
+
+  const refuted = await req('POST', `/commerce/challenges/${challengeId}/accept`, {
+    note: 'Fair enough, the certificate checks out.'
+  }, auth(skepticKey));
+  const after = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+  assert('Accepted evidence refutes the challenge and lifts claim accuracy', refuted.status === 200 &&
+    refuted.data?.challenge?.status === 'REFUTED' && refuted.data?.trustEvent?.reason === 'CLAIM_CHALLENGE_REFUTED' &&
+    after?.claim_accuracy_score > before?.claim_accuracy_score,
+    `status=${refuted.status}, before=${before?.claim_accuracy_score}, after=${after?.claim_accuracy_score}`);
+
+  const second = await req('POST', '/commerce/challenges', {
+    listingId, claim: 'Lasts a lifetime', details: 'Nothing lasts a lifetime, least of all a desk gadget.'
+  }, auth(skepticKey));
+  const secondId = second.data?.challenge?.id;
+  const stillThere = await req('POST', `/commerce/challenges/${secondId}/concede`, {
+    description: 'A hand-finished brass weight that keeps cables put. Lasts a lifetime.'
+  }, auth(merchantKey));
+  assert('Concession must remove the claim from the copy (400)', stillThere.status === 400, `status=${stillThere.status}`);
+  const conceded = await req('POST', `/commerce/challenges/${secondId}/concede`, {
+    description: 'A hand-finished brass weight that keeps charging cables from sliding off the desk. Backed by a 5-year warranty.',
+    note: 'Swapped the lifetime line for our actual warranty'
+  }, auth(merchantKey));
+  assert('Conceding corrects the copy and upholds the challenge', conceded.status === 200 &&
+    conceded.data?.challenge?.status === 'UPHELD' && conceded.data?.challenge?.conceded === true &&
+    conceded.data?.trustEvent?.delta_claim_accuracy < 0 && !conceded.data?.product?.description?.includes('lifetime'),
+    `status=${conceded.status}`);
+  const recentEvents = (await req('GET', `/commerce/trust/store/${storeId}/events?limit=2`)).data?.data || [];
+  assert('A concession is scored once, by the upheld challenge', recentEvents[0]?.reason === 'CLAIM_CHALLENGE_UPHELD' &&
+    recentEvents[1]?.reason !== 'PRODUCT_COPY_UPDATED', `reasons=${recentEvents.map(e => e.reason).join(',')}`);
+
+  const trustPage = await req('GET', `/commerce/trust/store/${storeId}`);
+  const listed = await req('GET', `/commerce/challenges/store/${storeId}?status=UPHELD`);
+  assert('Trust page shows challenge outcomes', trustPage.data?.trust?.claimChallenges?.refuted >= 1 &&
+    trustPage.data?.trust?.claimChallenges?.upheld >= 1 &&
+    (listed.data?.data || []).some(c => c.id === secondId), `summary=${JSON.stringify(trustPage.data?.trust?.claimChallenges)}`);
+
+  const third = await req('POST', '/commerce/challenges', {
+    listingId, claim: 'sliding off the desk', details: 'My cables still slide with a weight this small, I bet.'
+  }, auth(otherKey));
+  const ruled = await req('POST', `/operator/challenges/${third.data?.challenge?.id}/rule`, {
+    outcome: 'UPHELD', note: 'No evidence offered'
+  }, opAuth());
+  const withdrawn = await req('POST', `/commerce/challenges/${third.data?.challenge?.id}/withdraw`, {}, auth(otherKey));
+  assert('Operator can rule on a live challenge; resolved ones are final', ruled.status === 200 &&
+    ruled.data?.trustEvent?.delta_claim_accuracy === -6 && withdrawn.status === 400,
+    `rule=${ruled.status}, withdraw=${withdrawn.status}`);
+}
+
+async function group33_reviewReplies() {
+  group('Group 33: Merchant Review Replies');
+
+  const merchantKey = M().apiKey; // deskcraft
+  const storeId = M().storeId;
+  const buyerKey = SEED.customers[10].apiKey; // ramen_budget_ryan
+
+  const product = await req('POST', '/commerce/products', {
+    storeId,
+    title: `Felt Pen Tray ${Date.now().toString(36)}`,
+    description: 'A wool felt tray that keeps pens, clips and a phone from rattling around the desk.',
+    category: 'desk-setup'
+  }, auth(merchantKey));
+  const listing = await req('POST', '/commerce/listings', {
+    storeId, productId: product.data?.product?.id, priceCents: 1500, inventoryOnHand: 3
+  }, auth(merchantKey));
+  const listingId = listing.data?.listing?.id;
+  await req('POST', `/commerce/listings/${listingId}/questions`, {
+    content: 'Is the felt thick enough that a phone does not slide around?'
+  }, auth(buyerKey));
+  const order = (await req('POST', '/commerce/orders/direct', { listingId }, auth(buyerKey))).data?.order;
+  if (order?.status !== 'DELIVERED') {
+    assert('Set up a delivered order to review', false, `status=${order?.status}`);
+    return;
+  }
+  const review = await req('POST', '/commerce/reviews', {
+    orderId: order.id, rating: 2, body: 'The felt pilled within a week and the corners curl up.'
+  }, auth(buyerKey));
+  const reviewId = review.data?.review?.id;
+
+  const notOwner = await req('POST', `/commerce/reviews/${reviewId}/reply`, {
+    body: 'Sorry to hear that, we would love to make it right for you.'
+  }, auth(M2().apiKey));
+  const tooShort = await req('POST', `/commerce/reviews/${reviewId}/reply`, { body: 'Sorry!' }, auth(merchantKey));
+  assert('Only the store owner can reply, with a real reply', notOwner.status === 403 && tooShort.status === 400,
+    `owner=${notOwner.status}, short=${tooShort.status}`);
+
+  const before = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+  const reply = await req('POST', `/commerce/reviews/${reviewId}/reply`, {
+    body: 'Thanks for flagging this. That batch had thin felt, so a thicker replacement is on its way to you.'
+  }, auth(merchantKey));
+  const after = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+  assert('Prompt reply earns full support-responsiveness credit', reply.status === 201 &&
+    reply.data?.trustEvent?.reason === 'MERCHANT_REPLIED_IN_THREAD' &&
+    reply.data?.trustEvent?.delta_support_responsiveness === 3 && reply.data?.comment?.depth === 1 &&
+    after?.support_responsiveness_score > before?.support_responsiveness_score,
+    `status=${reply.status}, delta=${reply.data?.trustEvent?.delta_support_responsiveness}`);
+
+  const again = await req('POST', `/commerce/reviews/${reviewId}/reply`, {
+    body: 'Following up once more in case you missed the first reply.'
+  }, auth(merchantKey));
+  assert('One reply per review (409)', again.status === 409, `status=${again.status}`);
+
+  const reviews = await req('GET', `/commerce/reviews/listing/${listingId}`);
+  const shown = (reviews.data?.data || []).find(r => r.id === reviewId);
+  assert('Reply renders alongside the review', shown?.merchant_reply?.body?.startsWith('Thanks for flagging') &&
+    shown?.merchant_reply?.storeName, `reply=${JSON.stringify(shown?.merchant_reply)}`);
+}
+
+async function group34_reviewHelpfulness() {
+  group('Group 34: Review Helpfulness & Reviewer Credibility');
+
+  const merchantKey = M().apiKey; // deskcraft
+  const storeId = M().storeId;
+  const veraKey = SEED.customers[11].apiKey; // vintage_vera
+  const toddKey = SEED.customers[12].apiKey; // techbro_todd
+  const emmaKey = SEED.customers[13].apiKey; // eco_emma
+
+  const product = await req('POST', '/commerce/products', {
+    storeId,
+    title: `Cork Desk Mat ${Date.now().toString(36)}`,
+    description: 'A natural cork mat with a stitched edge that stays flat under a keyboard and mouse.',
+    category: 'desk-setup'
+  }, auth(merchantKey));
+  const listing = await req('POST', '/commerce/listings', {
+    storeId, productId: product.data?.product?.id, priceCents: 2200, inventoryOnHand: 5
+  }, auth(merchantKey));
+  const listingId = listing.data?.listing?.id;
+
+  const reviewIds = {};
+  for (const [key, rating, body] of [
+    [toddKey, 4, 'Cork is about 3mm, the edge stitching is tight, and it has not curled after two weeks of daily use.'],
+    [veraKey, 5, 'Lovely.']
+  ]) {
+    await req('POST', `/commerce/listings/${listingId}/questions`, {
+      content: 'How thick is the cork, and does the stitched edge fray?'
+    }, auth(key));
+    const order = (await req('POST', '/commerce/orders/direct', { listingId }, auth(key))).data?.order;
+    if (order?.status !== 'DELIVERED') {
+      assert('Set up delivered orders to review', false, `status=${order?.status}`);
+      return;
+    }
+    const review = await req('POST', '/commerce/reviews', { orderId: order.id, rating, body }, auth(key));
+    reviewIds[key] = review.data?.review?.id;
+    if (key === toddKey) {
+      const { trustEvent, credibility } = review.data || {};
+      const expected = 0.5 * 5 * (0.5 + credibility?.score);
+      assert('Review trust delta is weighted by reviewer credibility',
+        trustEvent?.meta?.credibility === credibility?.score &&
+        Math.abs(trustEvent?.delta_overall - expected) < 0.01,
+        `credibility=${credibility?.score}, delta=${trustEvent?.delta_overall}, expected=${expected}`);
+    }
+  }
+  const toddReview = reviewIds[toddKey];
+  const veraReview = reviewIds[veraKey];
+
+  const own = await req('POST', `/commerce/reviews/${toddReview}/helpful`, null, auth(toddKey));
+  const owner = await req('POST', `/commerce/reviews/${toddReview}/helpful`, null, auth(merchantKey));
+  assert('Reviewers and the reviewed store cannot vote', own.status === 400 && owner.status === 400,
+    `own=${own.status}, owner=${owner.status}`);
+
+  const toddId = (await req('GET', `/commerce/reviews/listing/${listingId}`)).data?.data
+    ?.find(r => r.id === toddReview)?.author_customer_id;
+  const credBefore = (await req('GET', `/commerce/reviews/reviewer/${toddId}`)).data?.credibility;
+  const karmaOf = async () => (await req('GET', `/agents/profile?name=${SEED.customers[12].name}`, null, auth(emmaKey))).data?.agent?.karma;
+  const karmaBefore = await karmaOf();
+
+  await req('POST', `/commerce/reviews/${toddReview}/helpful`, null, auth(emmaKey));
+  const toggled = await req('POST', `/commerce/reviews/${toddReview}/helpful`, null, auth(emmaKey));
+  await req('POST', `/commerce/reviews/${toddReview}/helpful`, null, auth(emmaKey));
+  await req('POST', `/commerce/reviews/${veraReview}/unhelpful`, null, auth(emmaKey));
+  await req('POST', `/commerce/reviews/${toddReview}/helpful`, null, auth(veraKey));
+  assert('Voting the same way twice removes the vote', toggled.data?.action === 'removed',
+    `action=${toggled.data?.action}`);
+
+  const newest = await req('GET', `/commerce/reviews/listing/${listingId}`);
+  const sorted = await req('GET', `/commerce/reviews/listing/${listingId}?sort=helpful`);
+  const [first, second] = sorted.data?.data || [];
+  assert('sort=helpful ranks the helpful review first', newest.data?.data?.[0]?.id === veraReview &&
+    first?.id === toddReview && first?.helpful_count === 2 &&
+    second?.id === veraReview && second?.unhelpful_count === 1 && typeof first?.author_credibility === 'number',
+    `first=${first?.id === toddReview}, counts=${first?.helpful_count}/${second?.unhelpful_count}`);
+
+  const credAfter = (await req('GET', `/commerce/reviews/reviewer/${toddId}`)).data?.credibility;
+  assert('Helpful votes raise reviewer credibility', credAfter?.helpfulVotes >= 2 &&
+    credAfter?.score > credBefore?.score, `before=${credBefore?.score}, after=${credAfter?.score}`);
+  const karmaAfter = await karmaOf();
+  assert('Review votes leave the reviewer\'s karma alone', typeof karmaBefore === 'number' && karmaAfter === karmaBefore,
+    `before=${karmaBefore}, after=${karmaAfter}`);
+
+  const badSort = await req('GET', `/commerce/reviews/listing/${listingId}?sort=loudest`);
+  const notCustomer = await req('GET', `/commerce/reviews/reviewer/${M().storeId}`);
+  assert('Bad sort is 400; unknown reviewer is 404', badSort.status === 400 && notCustomer.status === 404,
+    `sort=${badSort.status}, reviewer=${notCustomer.status}`);
+}
+
+async function group35_ratingAggregates() {
+  group('Group 35: Rating Aggregates');
+
+  const merchantKey = M().apiKey; // deskcraft
+  const storeId = M().storeId;
+  const buyers = [10, 11, 12, 13].map(i => SEED.customers[i].apiKey);
+
+  const storeBefore = (await req('GET', `/commerce/stores/${storeId}`)).data?.store?.rating;
+
+  const makeListing = async (title) => {
+    const product = await req('POST', '/commerce/products', {
+      storeId, title: `${title} ${Date.now().toString(36)}`,
+      description: 'Solid walnut with a hand-rubbed oil finish, sized for a standard desk.',
+      category: 'desk-setup'
+    }, auth(merchantKey));
+    const listing = await req('POST', '/commerce/listings', {
+      storeId, productId: product.data?.product?.id, priceCents: 1800, inventoryOnHand: 5
+    }, auth(merchantKey));
+    return listing.data?.listing?.id;
+  };
+  const buyAndReview = async (listingId, key, rating) => {
+    await req('POST', `/commerce/listings/${listingId}/questions`, {
+      content: 'What finish is on the walnut, and does it need re-oiling?'
+    }, auth(key));
+    const order = (await req('POST', '/commerce/orders/direct', { listingId }, auth(key))).data?.order;
+    if (order?.status !== 'DELIVERED') return null;
+    return req('POST', '/commerce/reviews', {
+      orderId: order.id, rating, body: `Rated ${rating} after a week on my desk.`
+    }, auth(key));
+  };
+
+  const loved = await makeListing('Walnut Monitor Riser');
+  const panned = await makeListing('Walnut Pen Cup');
+  const empty = await req('GET', `/commerce/listings/${loved}`);
+  assert('Unreviewed listing has an empty rating summary', empty.data?.listing?.rating?.count === 0 &&
+    empty.data?.listing?.rating?.mean === null && empty.data?.listing?.rating?.histogram?.['5'] === 0,
+    `rating=${JSON.stringify(empty.data?.listing?.rating)}`);
+
+  const reviews = [
+    await buyAndReview(loved, buyers[0], 5),
+    await buyAndReview(loved, buyers[1], 5),
+    await buyAndReview(loved, buyers[2], 4),
+    await buyAndReview(panned, buyers[3], 1),
+    await buyAndReview(panned, buyers[0], 2)
+  ];
+  if (reviews.some(r => r?.status !== 201)) {
+    assert('Set up reviewed orders', false, `statuses=${reviews.map(r => r?.status)}`);
+    return;
+  }
+
+  const detail = (await req('GET', `/commerce/listings/${loved}`)).data?.listing;
+  const rating = detail?.rating;
+  assert('Listing detail carries count, mean and histogram', rating?.count === 3 && rating?.mean === 4.67 &&
+    rating?.histogram?.['5'] === 2 && rating?.histogram?.['4'] === 1 && detail?.product_rating?.count === 3,
+    `rating=${JSON.stringify(rating)}`);
+  assert('Bayesian score is pulled toward the marketplace mean', rating?.bayesian < rating?.mean &&
+    rating?.bayesian > 3, `bayesian=${rating?.bayesian}, mean=${rating?.mean}`);
+
+  const storeAfter = (await req('GET', `/commerce/stores/${storeId}`)).data?.store?.rating;
+  const board = await req('GET', '/commerce/leaderboard?limit=50');
+  const entry = (board.data?.data || []).find(e => e.store_id === storeId);
+  assert('Store detail and leaderboard include the store rating',
+    storeAfter?.count === (storeBefore?.count || 0) + 5 && storeAfter?.histogram?.['1'] === (storeBefore?.histogram?.['1'] || 0) + 1 &&
+    entry?.rating?.count === storeAfter?.count,
+    `before=${storeBefore?.count}, after=${storeAfter?.count}, board=${entry?.rating?.count}`);
+
+  const byRating = await req('GET', `/commerce/listings?storeId=${storeId}&sort=rating&limit=1000`);
+  const ids = (byRating.data?.data || []).map(l => l.id);
+  const listed = (byRating.data?.data || []).find(l => l.id === panned);
+  assert('Listings sort by rating', ids.indexOf(loved) !== -1 && ids.indexOf(loved) < ids.indexOf(panned) &&
+    listed?.rating?.count === 2, `loved=${ids.indexOf(loved)}, panned=${ids.indexOf(panned)}`);
+
+  const search = await req('GET', `/commerce/search?storeId=${storeId}&sort=rating&limit=100`);
+  const badSort = await req('GET', '/commerce/listings?sort=stars');
+  const searchIds = (search.data?.results || []).map(l => l.id);
+  assert('Search sorts by rating; unknown listing sort is 400', search.status === 200 &&
+    searchIds.indexOf(loved) < searchIds.indexOf(panned) && badSort.status === 400,
+    `search=${search.status}, sort=${badSort.status}`);
+}
+
+async function group36_reviewEdits() {
+  group('Group 36: Review Edits & History');
+
+  const merchantKey = M().apiKey; // deskcraft
+  const storeId = M().storeId;
+  const buyerKey = SEED.customers[13].apiKey; // eco_emma
+
+  const product = await req('POST', '/commerce/products', {
+    storeId,
+    title: `Bamboo Cable Tray ${Date.now().toString(36)}`,
+    description: 'An under-desk bamboo tray that keeps power bricks and cables off the floor.',
+    category: 'desk-setup'
+  }, auth(merchantKey));
+  const listing = await req('POST', '/commerce/listings', {
+    storeId, productId: product.data?.product?.id, priceCents: 2600, inventoryOnHand: 3
+  }, auth(merchantKey));
+  const listingId = listing.data?.listing?.id;
+  await req('POST', `/commerce/listings/${listingId}/questions`, {
+    content: 'Does the tray come with screws for a hardwood desk?'
+  }, auth(buyerKey));
+  const order = (await req('POST', '/commerce/orders/direct', { listingId }, auth(buyerKey))).data?.order;
+  if (order?.status !== 'DELIVERED') {
+    assert('Set up a delivered order to review', false, `status=${order?.status}`);
+    return;
+  }
+  const posted = await req('POST', '/commerce/reviews', {
+    orderId: order.id, rating: 5, body: 'Mounted in five minutes and swallowed every cable.'
+  }, auth(buyerKey));
+  const reviewId = posted.data?.review?.id;
+  const commentId = posted.data?.comment?.id;
+
+  const notMine = await req('PATCH', `/commerce/reviews/${reviewId}`, { rating: 1 }, auth(SEED.customers[10].apiKey));
+  const badRating = await req('PATCH', `/commerce/reviews/${reviewId}`, { rating: 9 }, auth(buyerKey));
+  const noChange = await req('PATCH', `/commerce/reviews/${reviewId}`, { rating: 5 }, auth(buyerKey));
+  assert('Only the author can edit, with a real change', notMine.status === 403 && badRating.status === 400 &&
+    noChange.status === 400, `notMine=${notMine.status}, bad=${badRating.status}, same=${noChange.status}`);
+
+  const edited = await req('PATCH', `/commerce/reviews/${reviewId}`, {
+    rating: 2, body: 'Update: the bamboo split at a screw hole after two weeks.'
+  }, auth(buyerKey));
+  const original = posted.data?.trustEvent;
+  const compensating = edited.data?.trustEvent;
+  assert('Rating change posts a compensating REVIEW_EDITED trust event', edited.status === 200 &&
+    edited.data?.review?.revision === 2 && edited.data?.review?.edited === true &&
+    compensating?.reason === 'REVIEW_EDITED' &&
+    Math.abs(compensating?.delta_overall + 1.5 * original?.delta_overall) < 0.01,
+    `status=${edited.status}, original=${original?.delta_overall}, compensating=${compensating?.delta_overall}`);
+
+  const shown = (await req('GET', `/commerce/reviews/listing/${listingId}`)).data?.data?.[0];
+  const rating = (await req('GET', `/commerce/listings/${listingId}`)).data?.listing?.rating;
+  assert('Review is marked edited and the aggregates follow the new rating', shown?.edited === true &&
+    shown?.rating === 2 && shown?.history_url?.endsWith(`/reviews/${reviewId}/history`) &&
+    rating?.count === 1 && rating?.mean === 2 && rating?.histogram?.['5'] === 0,
+    `edited=${shown?.edited}, rating=${JSON.stringify(rating)}`);
+
+  const history = await req('GET', shown?.history_url?.replace('/api/v1', '') || `/commerce/reviews/${reviewId}/history`);
+  const revisions = history.data?.revisions || [];
+  assert('History keeps every revision', revisions.length === 2 && revisions[0].rating === 5 &&
+    revisions[1].rating === 2 && revisions[1].trust_event_id === compensating?.id,
+    `revisions=${revisions.map(r => r.rating)}`);
+
+  const racing = await Promise.all([4, 1].map(value =>
+    req('PATCH', `/commerce/reviews/${reviewId}`, { rating: value }, auth(buyerKey))));
+  const final = (await req('GET', `/commerce/reviews/listing/${listingId}`)).data?.data?.[0]?.rating;
+  const net = [original, compensating, ...racing.map(r => r.data?.trustEvent)]
+    .reduce((sum, event) => sum + (event?.delta_overall || 0), 0);
+  assert('Concurrent edits compensate against each other', racing.every(r => r.status === 200) &&
+    Math.abs(net - original?.delta_overall * (final - 3) / 2) < 0.01,
+    `statuses=${racing.map(r => r.status)}, final=${final}, net=${net}`);
+
+  const comment = await req('GET', `/comments/${commentId}`, null, auth(buyerKey));
+  const deleted = await req('DELETE', `/comments/${commentId}`, null, auth(buyerKey));
+  assert('Review comment is rewritten in place and cannot be deleted on its own',
+    comment.data?.comment?.content?.includes('bamboo split') && deleted.status === 400,
+    `content=${comment.data?.comment?.content?.slice(0, 40)}, delete=${deleted.status}`);
+}
+
+async function group37_trustRecompute() {
+  group('Group 37: Trust Recompute');
+
+  const storeId = M().storeId;
+  const profile = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+
+  const one = await req('POST', '/operator/trust/recompute', { storeId, dryRun: true }, opAuth());
+  const store = one.data?.store;
+  assert('Dry run replays the event log to the stored profile', one.status === 200 && store?.events > 0 &&
+    store?.drift === false && store?.repaired === false &&
+    Math.abs(store?.dimensions?.overall_score?.replayed - profile?.overall_score) < 1e-6,
+    `status=${one.status}, events=${store?.events}, drift=${store?.drift}`);
+
+  const all = await req('POST', '/operator/trust/recompute', { dryRun: true }, opAuth());
+  assert('All stores match their event logs', all.status === 200 && all.data?.checked >= SEED.merchants.length &&
+    all.data?.drifted === 0 && all.data?.repaired === 0,
+    `checked=${all.data?.checked}, drifted=${JSON.stringify((all.data?.stores || []).filter(s => s.drift).map(s => s.storeName))}`);
+
+  const repair = await req('POST', '/operator/trust/recompute', { storeId }, opAuth());
+  const after = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+  assert('Recompute without drift leaves the profile untouched', repair.status === 200 &&
+    repair.data?.store?.repaired === false && after?.overall_score === profile?.overall_score,
+    `repaired=${repair.data?.store?.repaired}, before=${profile?.overall_score}, after=${after?.overall_score}`);
+
+  const drifted = profile?.overall_score > 50 ? profile.overall_score - 10 : profile?.overall_score + 10;
+  await req('POST', '/operator/test-inject', { action: 'set_trust_score', storeId, value: drifted }, opAuth());
+  const found = await req('POST', '/operator/trust/recompute', { storeId, dryRun: true }, opAuth());
+  const fixed = await req('POST', '/operator/trust/recompute', { storeId }, opAuth());
+  const restored = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+  const replayed = fixed.data?.store?.dimensions?.overall_score?.replayed;
+  assert('Drift is reported by a dry run, then repaired from the event log', found.data?.store?.drift === true &&
+    found.data?.store?.repaired === false && fixed.data?.store?.repaired === true &&
+    Math.abs(restored?.overall_score - replayed) < 1e-6 && Math.abs(restored?.overall_score - profile?.overall_score) < 1e-6,
+    `drift=${found.data?.store?.drift}, repaired=${fixed.data?.store?.repaired}, stored=${restored?.overall_score}, replayed=${replayed}`);
+
+  const missing = await req('POST', '/operator/trust/recompute', { storeId: '00000000-0000-0000-0000-000000000000' }, opAuth());
+  const badFlag = await req('POST', '/operator/trust/recompute', { dryRun: 'yes' }, opAuth());
+  const noAuth = await req('POST', '/operator/trust/recompute', { dryRun: true });
+  assert('Unknown store 404, bad dryRun 400, operator only', missing.status === 404 && badFlag.status === 400 &&
+    noAuth.status === 401, `missing=${missing.status}, flag=${badFlag.status}, auth=${noAuth.status}`);
+}
+
+async function group38_trustDecay() {
+  group('Group 38: Trust Decay');
+
+  const storeId = M().storeId;
+  const before = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+
+  const bad = await req('POST', '/operator/trust/decay', { hours: -5 }, opAuth());
+  assert('Decay rejects a non-positive hours override', bad.status === 400, `status=${bad.status}`);
+
+  const sweep = await req('POST', '/operator/trust/decay', { hours: 24 * 30 }, opAuth());
+  const event = (sweep.data?.events || []).find(e => e.store_id === storeId);
+  if (sweep.data?.enabled === false) {
+    skip('Trust decay', 'disabled (TRUST_DECAY_HALF_LIFE_DAYS=0)');
+    return;
+  }
+  const factor = event?.meta?.factor;
+  const after = (await req('GET', `/commerce/trust/store/${storeId}`)).data?.trust;
+  const expected = 50 + (before?.overall_score - 50) * factor;
+  assert('Decay pulls scores toward the 50 baseline', sweep.status === 200 && factor > 0 && factor < 1 &&
+    Math.abs(after?.overall_score - expected) < 0.01 &&
+    Math.abs(after?.overall_score - 50) < Math.abs(before?.overall_score - 50),
+    `before=${before?.overall_score}, after=${after?.overall_score}, factor=${factor}`);
+
+  const history = await req('GET', `/commerce/trust/store/${storeId}/events?limit=5`);
+  const latest = (history.data?.data || [])[0];
+  assert('Decay step is recorded as a TRUST_DECAY event', latest?.reason === 'TRUST_DECAY' &&
+    latest?.meta?.elapsedHours === 720 && latest?.meta?.simulated === true,
+    `reason=${latest?.reason}, meta=${JSON.stringify(latest?.meta)}`);
+
+  const feed = await req('GET', `/commerce/activity?storeId=${storeId}&type=TRUST_UPDATED&limit=1`, null, auth(C().apiKey));
+  assert('Decay stays out of the activity feed', feed.status === 200 &&
+    (feed.data?.data || []).every(a => a.trust_event_id !== latest?.id),
+    `status=${feed.status}`);
+
+  const verify = await req('POST', '/operator/trust/recompute', { dryRun: true }, opAuth());
+  assert('Decayed profiles still replay from their event log', verify.data?.drifted === 0,
+    `drifted=${verify.data?.drifted}`);
+}
+
 // ─── Main ────────────────────────────────────────────────
 
 async function main() {
@@ -967,6 +2706,31 @@ async function main() {
   await group11_roleEnforcement();
   await group12_imageGen();
   await group13_threadStatus();
+  await group14_counterOffers();
+  await group15_offerExpiry();
+  await group16_offerCancel();
+  await group17_promotionCheckout();
+  await group18_fulfillment();
+  await group19_returns();
+  await group20_cart();
+  await group21_idempotency();
+  await group22_reservations();
+  await group23_inventoryLedger();
+  await group24_variants();
+  await group25_productCopy();
+  await group26_lifecycle();
+  await group27_categories();
+  await group28_search();
+  await group29_lookingForMatches();
+  await group30_pitches();
+  await group31_lookingForLifecycle();
+  await group32_claimChallenges();
+  await group33_reviewReplies();
+  await group34_reviewHelpfulness();
+  await group35_ratingAggregates();
+  await group36_reviewEdits();
+  await group37_trustRecompute();
+  await group38_trustDecay();
 
   // Summary
   console.log('\n' + '='.repeat(55));
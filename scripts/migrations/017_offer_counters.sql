@@ -0,0 +1,57 @@
+-- 017: Multi-round counter-offer negotiation
+-- Each counter is a linked round on the parent offer. Terms stay private
+-- (buyer + store owner only), same as offers.
+
+CREATE TABLE offer_counters (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  offer_id UUID NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+  parent_counter_id UUID REFERENCES offer_counters(id),
+  round INT NOT NULL CHECK (round > 0),
+
+  proposed_by_agent_id UUID NOT NULL REFERENCES agents(id),
+  proposer_role TEXT NOT NULL CHECK (proposer_role IN ('MERCHANT', 'BUYER')),
+
+  price_cents INT NOT NULL CHECK (price_cents >= 0),
+  message TEXT,
+
+  status TEXT NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'ACCEPTED', 'REJECTED', 'SUPERSEDED')),
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  responded_at TIMESTAMP WITH TIME ZONE,
+
+  UNIQUE (offer_id, round)
+);
+
+CREATE INDEX idx_offer_counters_offer ON offer_counters(offer_id, round DESC);
+
+-- At most one open round per offer
+CREATE UNIQUE INDEX idx_offer_counters_one_pending
+  ON offer_counters(offer_id)
+  WHERE status = 'PENDING';
+
+-- Price both sides settled on (original proposal or latest accepted counter)
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS agreed_price_cents INT
+  CHECK (agreed_price_cents IS NULL OR agreed_price_cents >= 0);
+
+-- New activity type (existence only, never terms)
+ALTER TABLE activity_events DROP CONSTRAINT IF EXISTS activity_events_type_check;
+ALTER TABLE activity_events ADD CONSTRAINT activity_events_type_check
+  CHECK (type IN (
+    'STORE_CREATED',
+    'LISTING_DROPPED',
+    'THREAD_CREATED',
+    'MESSAGE_POSTED',
+    'OFFER_MADE',
+    'OFFER_ACCEPTED',
+    'OFFER_REJECTED',
+    'OFFER_COUNTERED',
+    'OFFER_REFERENCE_POSTED',
+    'ORDER_PLACED',
+    'ORDER_DELIVERED',
+    'REVIEW_POSTED',
+    'STORE_UPDATE_POSTED',
+    'TRUST_UPDATED',
+    'PRODUCT_IMAGE_GENERATED',
+    'RUNTIME_ACTION_ATTEMPTED'
+  ));
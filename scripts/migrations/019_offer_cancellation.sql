@@ -0,0 +1,32 @@
+-- 019: Buyer-initiated offer cancellation
+-- Buyers can withdraw PROPOSED or unpurchased ACCEPTED offers.
+
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+-- Open counter rounds die with their offer
+ALTER TABLE offer_counters DROP CONSTRAINT IF EXISTS offer_counters_status_check;
+ALTER TABLE offer_counters ADD CONSTRAINT offer_counters_status_check
+  CHECK (status IN ('PENDING', 'ACCEPTED', 'REJECTED', 'SUPERSEDED', 'EXPIRED', 'CANCELLED'));
+
+ALTER TABLE activity_events DROP CONSTRAINT IF EXISTS activity_events_type_check;
+ALTER TABLE activity_events ADD CONSTRAINT activity_events_type_check
+  CHECK (type IN (
+    'STORE_CREATED',
+    'LISTING_DROPPED',
+    'THREAD_CREATED',
+    'MESSAGE_POSTED',
+    'OFFER_MADE',
+    'OFFER_ACCEPTED',
+    'OFFER_REJECTED',
+    'OFFER_COUNTERED',
+    'OFFER_EXPIRED',
+    'OFFER_CANCELLED',
+    'OFFER_REFERENCE_POSTED',
+    'ORDER_PLACED',
+    'ORDER_DELIVERED',
+    'REVIEW_POSTED',
+    'STORE_UPDATE_POSTED',
+    'TRUST_UPDATED',
+    'PRODUCT_IMAGE_GENERATED',
+    'RUNTIME_ACTION_ATTEMPTED'
+  ));
@@ -0,0 +1,10 @@
+-- 020: Promotion pricing at checkout
+-- Orders record which promotion set their price; promotions record when they ended.
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promotion_id UUID REFERENCES promotions(id);
+
+CREATE INDEX IF NOT EXISTS idx_orders_promotion
+  ON orders(promotion_id)
+  WHERE promotion_id IS NOT NULL;
+
+ALTER TABLE promotions ADD COLUMN IF NOT EXISTS ended_at TIMESTAMPTZ;
@@ -0,0 +1,44 @@
+-- 021: Order fulfillment lifecycle
+-- PLACED → PACKED → SHIPPED → DELIVERED, driven by the merchant when the
+-- store uses simulated shipping. INSTANT stores keep delivering on purchase.
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS fulfillment_mode TEXT NOT NULL DEFAULT 'INSTANT'
+  CHECK (fulfillment_mode IN ('INSTANT', 'SIMULATED'));
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('PLACED', 'PACKED', 'SHIPPED', 'DELIVERED', 'REFUNDED'));
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS packed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS carrier TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_number TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_orders_in_fulfillment
+  ON orders(store_id, placed_at)
+  WHERE status IN ('PLACED', 'PACKED', 'SHIPPED');
+
+ALTER TABLE activity_events DROP CONSTRAINT IF EXISTS activity_events_type_check;
+ALTER TABLE activity_events ADD CONSTRAINT activity_events_type_check
+  CHECK (type IN (
+    'STORE_CREATED',
+    'LISTING_DROPPED',
+    'THREAD_CREATED',
+    'MESSAGE_POSTED',
+    'OFFER_MADE',
+    'OFFER_ACCEPTED',
+    'OFFER_REJECTED',
+    'OFFER_COUNTERED',
+    'OFFER_EXPIRED',
+    'OFFER_CANCELLED',
+    'OFFER_REFERENCE_POSTED',
+    'ORDER_PLACED',
+    'ORDER_PACKED',
+    'ORDER_SHIPPED',
+    'ORDER_DELIVERED',
+    'REVIEW_POSTED',
+    'STORE_UPDATE_POSTED',
+    'TRUST_UPDATED',
+    'PRODUCT_IMAGE_GENERATED',
+    'RUNTIME_ACTION_ATTEMPTED'
+  ));
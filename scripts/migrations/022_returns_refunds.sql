@@ -0,0 +1,84 @@
+-- 022: Returns and refunds
+-- Customers request a return on a delivered order within the store's return
+-- window; the merchant approves (restock + refund) or denies.
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS return_window_days INT NOT NULL DEFAULT 14
+  CHECK (return_window_days >= 0);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE return_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES agents(id),
+
+  reason TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'REQUESTED'
+    CHECK (status IN ('REQUESTED', 'APPROVED', 'DENIED')),
+  merchant_note TEXT,
+
+  -- Policy as stated when the customer asked
+  return_policy_text TEXT NOT NULL DEFAULT '',
+  return_window_days INT NOT NULL,
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  decided_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_return_requests_store ON return_requests(store_id, status, created_at DESC);
+CREATE INDEX idx_return_requests_customer ON return_requests(customer_id, created_at DESC);
+
+CREATE TABLE refunds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL UNIQUE REFERENCES orders(id),
+  return_request_id UUID REFERENCES return_requests(id),
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES agents(id),
+
+  amount_cents INT NOT NULL CHECK (amount_cents >= 0),
+  currency TEXT NOT NULL DEFAULT 'USD',
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE trust_events DROP CONSTRAINT IF EXISTS trust_events_reason_check;
+ALTER TABLE trust_events ADD CONSTRAINT trust_events_reason_check
+  CHECK (reason IN (
+    'REVIEW_POSTED',
+    'MERCHANT_REPLIED_IN_THREAD',
+    'POLICY_UPDATED',
+    'PRICE_UPDATED',
+    'PRODUCT_COPY_UPDATED',
+    'OFFER_HONORED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED'
+  ));
+
+ALTER TABLE activity_events DROP CONSTRAINT IF EXISTS activity_events_type_check;
+ALTER TABLE activity_events ADD CONSTRAINT activity_events_type_check
+  CHECK (type IN (
+    'STORE_CREATED',
+    'LISTING_DROPPED',
+    'THREAD_CREATED',
+    'MESSAGE_POSTED',
+    'OFFER_MADE',
+    'OFFER_ACCEPTED',
+    'OFFER_REJECTED',
+    'OFFER_COUNTERED',
+    'OFFER_EXPIRED',
+    'OFFER_CANCELLED',
+    'OFFER_REFERENCE_POSTED',
+    'ORDER_PLACED',
+    'ORDER_PACKED',
+    'ORDER_SHIPPED',
+    'ORDER_DELIVERED',
+    'RETURN_REQUESTED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED',
+    'REVIEW_POSTED',
+    'STORE_UPDATE_POSTED',
+    'TRUST_UPDATED',
+    'PRODUCT_IMAGE_GENERATED',
+    'RUNTIME_ACTION_ATTEMPTED'
+  ));
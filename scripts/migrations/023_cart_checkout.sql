@@ -0,0 +1,39 @@
+-- 023: Shopping cart and multi-listing checkout
+-- A persistent cart per customer; checkout creates one order per store.
+-- order_items holds every line of an order; orders.listing_id stays the
+-- order's lead line (reviews, threads and returns key off it).
+
+CREATE TABLE cart_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  customer_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  quantity INT NOT NULL CHECK (quantity > 0),
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  UNIQUE (customer_id, listing_id)
+);
+
+CREATE INDEX idx_cart_items_customer ON cart_items(customer_id, created_at);
+
+CREATE TABLE order_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  listing_id UUID NOT NULL REFERENCES listings(id),
+
+  quantity INT NOT NULL CHECK (quantity > 0),
+  unit_price_cents INT NOT NULL CHECK (unit_price_cents >= 0),
+  total_price_cents INT NOT NULL CHECK (total_price_cents >= 0),
+  promotion_id UUID REFERENCES promotions(id),
+
+  UNIQUE (order_id, listing_id)
+);
+
+CREATE INDEX idx_order_items_listing ON order_items(listing_id);
+
+-- Existing single-listing orders become one-line orders
+INSERT INTO order_items (order_id, listing_id, quantity, unit_price_cents, total_price_cents, promotion_id)
+SELECT id, listing_id, quantity, unit_price_cents, total_price_cents, promotion_id
+FROM orders
+ON CONFLICT (order_id, listing_id) DO NOTHING;
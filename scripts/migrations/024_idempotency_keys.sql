@@ -0,0 +1,21 @@
+-- 024: Idempotency keys for mutating commerce requests
+-- The first response per (agent, key) is stored and replayed for retries.
+-- request_hash guards against reusing a key for a different request.
+
+CREATE TABLE idempotency_keys (
+  agent_id UUID NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+  key TEXT NOT NULL CHECK (length(key) BETWEEN 1 AND 255),
+  request_hash TEXT NOT NULL,
+
+  status TEXT NOT NULL DEFAULT 'IN_PROGRESS'
+    CHECK (status IN ('IN_PROGRESS', 'COMPLETED')),
+  response_status INT,
+  response_body TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+  PRIMARY KEY (agent_id, key)
+);
+
+CREATE INDEX idx_idempotency_keys_expiry ON idempotency_keys(expires_at);
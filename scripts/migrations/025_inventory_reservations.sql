@@ -0,0 +1,25 @@
+-- 025: Inventory reservations for accepted offers
+-- Accepting an offer holds its quantity until the buyer purchases, cancels,
+-- or the offer expires. Available-to-sell = inventory_on_hand - live holds.
+
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS quantity INT NOT NULL DEFAULT 1
+  CHECK (quantity > 0);
+
+CREATE TABLE inventory_reservations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+  offer_id UUID NOT NULL UNIQUE REFERENCES offers(id) ON DELETE CASCADE,
+  customer_id UUID NOT NULL REFERENCES agents(id),
+  quantity INT NOT NULL CHECK (quantity > 0),
+
+  status TEXT NOT NULL DEFAULT 'ACTIVE'
+    CHECK (status IN ('ACTIVE', 'CONSUMED', 'CANCELLED', 'EXPIRED')),
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  released_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_inventory_reservations_live
+  ON inventory_reservations(listing_id)
+  WHERE status = 'ACTIVE';
@@ -0,0 +1,31 @@
+-- 026: Inventory movements ledger
+-- Append-only history of every stock change. on_hand_delta is the change to
+-- inventory_on_hand; reserved_delta the change to held stock (reservations).
+-- Rows are only ever inserted.
+
+CREATE TABLE inventory_movements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  listing_id UUID NOT NULL REFERENCES listings(id) ON DELETE CASCADE,
+
+  type TEXT NOT NULL
+    CHECK (type IN ('SALE', 'RESTOCK', 'ADJUSTMENT', 'RETURN', 'RESERVATION')),
+  on_hand_delta INT NOT NULL DEFAULT 0,
+  reserved_delta INT NOT NULL DEFAULT 0,
+  on_hand_after INT NOT NULL,
+
+  actor_agent_id UUID REFERENCES agents(id),
+  order_id UUID REFERENCES orders(id),
+  offer_id UUID REFERENCES offers(id),
+  return_request_id UUID REFERENCES return_requests(id),
+  note TEXT,
+
+  -- clock_timestamp keeps movements within one transaction in order
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX idx_inventory_movements_listing ON inventory_movements(listing_id, created_at DESC);
+
+-- Opening balance for existing listings, so the ledger sums to on-hand
+INSERT INTO inventory_movements (listing_id, type, on_hand_delta, on_hand_after, note, created_at)
+SELECT id, 'ADJUSTMENT', inventory_on_hand, inventory_on_hand, 'Opening balance', NOW()
+FROM listings;
@@ -0,0 +1,59 @@
+-- 027: Product options and variants
+-- A product can come in variants (e.g. Size: Large, Color: Walnut), each with
+-- its own SKU, optional price override and inventory. Options are the
+-- selectable dimensions, derived from the variants' option values.
+-- A listing of a product with variants sells any of them (buyer picks a
+-- variantId) unless it is pinned to one via listings.variant_id.
+
+CREATE TABLE product_options (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  values TEXT[] NOT NULL CHECK (cardinality(values) > 0),
+  position INT NOT NULL DEFAULT 0,
+
+  UNIQUE (product_id, name)
+);
+
+CREATE TABLE product_variants (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku TEXT NOT NULL,
+  option_values JSONB NOT NULL DEFAULT '{}',
+
+  -- NULL = sell at the listing price
+  price_cents INT CHECK (price_cents IS NULL OR price_cents >= 0),
+  inventory_on_hand INT NOT NULL DEFAULT 0 CHECK (inventory_on_hand >= 0),
+  position INT NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  UNIQUE (product_id, sku),
+  UNIQUE (product_id, option_values)
+);
+
+CREATE INDEX idx_product_variants_product ON product_variants(product_id, position);
+
+-- Which variant was listed, offered, bought, held, moved or reviewed
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE offers ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE inventory_reservations ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS variant_id UUID REFERENCES product_variants(id);
+
+CREATE INDEX idx_inventory_reservations_variant
+  ON inventory_reservations(variant_id)
+  WHERE status = 'ACTIVE' AND variant_id IS NOT NULL;
+
+-- Cart and order lines are per (listing, variant); NULL variant = no variants
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_customer_id_listing_id_key;
+CREATE UNIQUE INDEX idx_cart_items_line
+  ON cart_items(customer_id, listing_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS order_items_order_id_listing_id_key;
+CREATE UNIQUE INDEX idx_order_items_line
+  ON order_items(order_id, listing_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid));
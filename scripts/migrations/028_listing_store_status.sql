@@ -0,0 +1,39 @@
+-- 028: Listing and store lifecycle
+-- Listings can be retired for good (RETIRED is terminal); stores already
+-- support PAUSED/CLOSED. Status changes are recorded in the activity feed.
+
+ALTER TABLE listings DROP CONSTRAINT IF EXISTS listings_status_check;
+ALTER TABLE listings ADD CONSTRAINT listings_status_check
+  CHECK (status IN ('ACTIVE', 'PAUSED', 'SOLD_OUT', 'RETIRED'));
+
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE activity_events DROP CONSTRAINT IF EXISTS activity_events_type_check;
+ALTER TABLE activity_events ADD CONSTRAINT activity_events_type_check
+  CHECK (type IN (
+    'STORE_CREATED',
+    'STORE_STATUS_CHANGED',
+    'LISTING_DROPPED',
+    'LISTING_STATUS_CHANGED',
+    'THREAD_CREATED',
+    'MESSAGE_POSTED',
+    'OFFER_MADE',
+    'OFFER_ACCEPTED',
+    'OFFER_REJECTED',
+    'OFFER_COUNTERED',
+    'OFFER_EXPIRED',
+    'OFFER_CANCELLED',
+    'OFFER_REFERENCE_POSTED',
+    'ORDER_PLACED',
+    'ORDER_PACKED',
+    'ORDER_SHIPPED',
+    'ORDER_DELIVERED',
+    'RETURN_REQUESTED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED',
+    'REVIEW_POSTED',
+    'STORE_UPDATE_POSTED',
+    'TRUST_UPDATED',
+    'PRODUCT_IMAGE_GENERATED',
+    'RUNTIME_ACTION_ATTEMPTED'
+  ));
@@ -0,0 +1,50 @@
+-- 029: Product categories and tags
+-- A fixed category tree (parent_id, two levels today) plus free-form,
+-- lowercase tags on products. Filtering by a category includes its
+-- subcategories.
+
+CREATE TABLE categories (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  parent_id UUID REFERENCES categories(id),
+  position INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_categories_parent ON categories(parent_id, position);
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES categories(id);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX idx_products_category ON products(category_id);
+CREATE INDEX idx_products_tags ON products USING GIN (tags);
+
+INSERT INTO categories (slug, name, position) VALUES
+  ('desk-setup', 'Desk Setup', 0),
+  ('cable-management', 'Cable Management', 1),
+  ('tech-accessories', 'Tech Accessories', 2),
+  ('office-supplies', 'Office Supplies', 3),
+  ('home-living', 'Home & Living', 4),
+  ('apparel', 'Apparel', 5),
+  ('other', 'Other', 6);
+
+INSERT INTO categories (slug, name, parent_id, position)
+SELECT child.slug, child.name, parent.id, child.position
+FROM (VALUES
+  ('desk-organizers', 'Desk Organizers', 'desk-setup', 0),
+  ('desk-mats', 'Desk Mats', 'desk-setup', 1),
+  ('monitor-stands', 'Monitor Stands & Risers', 'desk-setup', 2),
+  ('desk-lighting', 'Desk Lighting', 'desk-setup', 3),
+  ('cables-chargers', 'Cables & Chargers', 'cable-management', 0),
+  ('cable-organizers', 'Cable Organizers', 'cable-management', 1),
+  ('keyboards-mice', 'Keyboards & Mice', 'tech-accessories', 0),
+  ('audio', 'Audio', 'tech-accessories', 1),
+  ('phone-tablet', 'Phone & Tablet', 'tech-accessories', 2),
+  ('stationery', 'Stationery', 'office-supplies', 0),
+  ('notebooks-planners', 'Notebooks & Planners', 'office-supplies', 1),
+  ('decor', 'Decor', 'home-living', 0),
+  ('plants-planters', 'Plants & Planters', 'home-living', 1),
+  ('kitchen', 'Kitchen & Drinkware', 'home-living', 2)
+) AS child(slug, name, parent_slug, position)
+JOIN categories parent ON parent.slug = child.parent_slug;
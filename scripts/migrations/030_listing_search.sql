@@ -0,0 +1,79 @@
+-- 030: Full-text listing search
+-- listings.search_document is a weighted tsvector over the product title and
+-- tags (A), store and category names (B) and the product description (C).
+-- Triggers keep it current when any of those sources change, so searches
+-- only ever read the GIN index.
+
+ALTER TABLE listings ADD COLUMN IF NOT EXISTS search_document tsvector;
+
+CREATE OR REPLACE FUNCTION listing_search_document(p_product_id UUID, p_store_id UUID)
+RETURNS tsvector AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(p.title, '')), 'A') ||
+    setweight(to_tsvector('english', array_to_string(p.tags, ' ')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(s.name, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(c.name, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(p.description, '')), 'C')
+  FROM products p
+  JOIN stores s ON s.id = p_store_id
+  LEFT JOIN categories c ON c.id = p.category_id
+  WHERE p.id = p_product_id
+$$ LANGUAGE sql STABLE;
+
+-- New listings, and listings moved to another product/store
+CREATE OR REPLACE FUNCTION listings_search_document_trigger() RETURNS trigger AS $$
+BEGIN
+  NEW.search_document := listing_search_document(NEW.product_id, NEW.store_id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_listings_search_document
+  BEFORE INSERT OR UPDATE OF product_id, store_id ON listings
+  FOR EACH ROW EXECUTE FUNCTION listings_search_document_trigger();
+
+-- Product copy, tags or category edits
+CREATE OR REPLACE FUNCTION products_search_document_trigger() RETURNS trigger AS $$
+BEGIN
+  UPDATE listings SET search_document = listing_search_document(product_id, store_id)
+  WHERE product_id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_products_search_document
+  AFTER UPDATE OF title, description, tags, category_id ON products
+  FOR EACH ROW EXECUTE FUNCTION products_search_document_trigger();
+
+-- Store renames
+CREATE OR REPLACE FUNCTION stores_search_document_trigger() RETURNS trigger AS $$
+BEGIN
+  UPDATE listings SET search_document = listing_search_document(product_id, store_id)
+  WHERE store_id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_stores_search_document
+  AFTER UPDATE OF name ON stores
+  FOR EACH ROW EXECUTE FUNCTION stores_search_document_trigger();
+
+-- Category renames
+CREATE OR REPLACE FUNCTION categories_search_document_trigger() RETURNS trigger AS $$
+BEGIN
+  UPDATE listings l SET search_document = listing_search_document(l.product_id, l.store_id)
+  FROM products p
+  WHERE l.product_id = p.id AND p.category_id = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_categories_search_document
+  AFTER UPDATE OF name ON categories
+  FOR EACH ROW EXECUTE FUNCTION categories_search_document_trigger();
+
+UPDATE listings SET search_document = listing_search_document(product_id, store_id);
+
+CREATE INDEX idx_listings_search_document ON listings USING GIN (search_document);
+CREATE INDEX idx_listings_active_price ON listings(price_cents) WHERE status = 'ACTIVE';
+CREATE INDEX idx_listings_active_created ON listings(created_at DESC) WHERE status = 'ACTIVE';
@@ -0,0 +1,31 @@
+-- 031: Merchant pitches on looking-for threads
+-- A merchant answers a shopper's LOOKING_FOR thread with one of their own
+-- listings, a message and an optional special price. One pitch per store
+-- per thread. The message is posted publicly as a comment; the price is
+-- only shown to the shopper. Accepting a pitch opens an offer at that price.
+
+CREATE TABLE looking_for_pitches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  thread_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  store_id UUID NOT NULL REFERENCES stores(id),
+  listing_id UUID NOT NULL REFERENCES listings(id),
+  variant_id UUID REFERENCES product_variants(id),
+  merchant_id UUID NOT NULL REFERENCES agents(id),
+  comment_id UUID REFERENCES comments(id) ON DELETE SET NULL,
+  message TEXT NOT NULL,
+
+  -- NULL = the listing's own price
+  pitch_price_cents INT CHECK (pitch_price_cents IS NULL OR pitch_price_cents > 0),
+
+  status TEXT NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'ACCEPTED')),
+  offer_id UUID REFERENCES offers(id),
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  accepted_at TIMESTAMP WITH TIME ZONE,
+
+  UNIQUE (thread_id, store_id)
+);
+
+CREATE INDEX idx_looking_for_pitches_thread ON looking_for_pitches(thread_id, created_at);
+CREATE INDEX idx_looking_for_pitches_merchant ON looking_for_pitches(merchant_id, created_at DESC);
@@ -0,0 +1,75 @@
+-- 032: Looking-for thread lifecycle
+-- LOOKING_FOR threads close when their deadline passes, when the author
+-- links the order that fulfilled the request, or when the author withdraws
+-- it. Closed threads are archived after a while. The deadline constraint is
+-- copied out of posts.content into deadline_at so the sweep can index it.
+
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS close_reason TEXT
+  CHECK (close_reason IS NULL OR close_reason IN ('FULFILLED', 'EXPIRED', 'WITHDRAWN'));
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS fulfilled_order_id UUID REFERENCES orders(id);
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS fulfilled_store_id UUID REFERENCES stores(id);
+
+-- Backfill deadlines from existing constraints; unparseable values stay NULL.
+-- A bare date means the end of that day.
+DO $$
+DECLARE
+  r RECORD;
+  raw TEXT;
+BEGIN
+  FOR r IN SELECT id, content FROM posts WHERE thread_type = 'LOOKING_FOR' LOOP
+    BEGIN
+      raw := r.content::jsonb ->> 'deadline';
+      IF raw ~ '^\d{4}-\d{2}-\d{2}$' THEN
+        UPDATE posts SET deadline_at = raw::date + INTERVAL '1 day' - INTERVAL '1 second' WHERE id = r.id;
+      ELSIF raw IS NOT NULL THEN
+        UPDATE posts SET deadline_at = raw::timestamptz WHERE id = r.id;
+      END IF;
+    EXCEPTION WHEN others THEN
+      NULL;
+    END;
+  END LOOP;
+END $$;
+
+UPDATE posts SET closed_at = COALESCE(closed_at, NOW())
+WHERE thread_type = 'LOOKING_FOR' AND thread_status <> 'OPEN';
+
+CREATE INDEX idx_posts_looking_for_deadline ON posts(deadline_at)
+  WHERE thread_type = 'LOOKING_FOR' AND thread_status = 'OPEN';
+CREATE INDEX idx_posts_looking_for_closed ON posts(closed_at)
+  WHERE thread_type = 'LOOKING_FOR' AND thread_status = 'CLOSED';
+
+-- LISTING_PROMOTED is emitted by the runtime but was never added to the list
+ALTER TABLE activity_events DROP CONSTRAINT IF EXISTS activity_events_type_check;
+ALTER TABLE activity_events ADD CONSTRAINT activity_events_type_check
+  CHECK (type IN (
+    'STORE_CREATED',
+    'STORE_STATUS_CHANGED',
+    'LISTING_DROPPED',
+    'LISTING_STATUS_CHANGED',
+    'LISTING_PROMOTED',
+    'THREAD_CREATED',
+    'THREAD_CLOSED',
+    'LOOKING_FOR_FULFILLED',
+    'MESSAGE_POSTED',
+    'OFFER_MADE',
+    'OFFER_ACCEPTED',
+    'OFFER_REJECTED',
+    'OFFER_COUNTERED',
+    'OFFER_EXPIRED',
+    'OFFER_CANCELLED',
+    'OFFER_REFERENCE_POSTED',
+    'ORDER_PLACED',
+    'ORDER_PACKED',
+    'ORDER_SHIPPED',
+    'ORDER_DELIVERED',
+    'RETURN_REQUESTED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED',
+    'REVIEW_POSTED',
+    'STORE_UPDATE_POSTED',
+    'TRUST_UPDATED',
+    'PRODUCT_IMAGE_GENERATED',
+    'RUNTIME_ACTION_ATTEMPTED'
+  ));
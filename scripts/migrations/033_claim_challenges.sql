@@ -0,0 +1,92 @@
+-- 033: Claim challenges
+-- A customer challenges a specific claim in a product's copy; the challenge
+-- lives in a CLAIM_CHALLENGE thread. The merchant answers with evidence or
+-- concedes by editing the copy. The outcome moves the store's claim accuracy:
+--   UPHELD    - the claim didn't stand (merchant conceded, or operator ruling)
+--   REFUTED   - the challenger accepted the merchant's evidence, or operator ruling
+--   WITHDRAWN - the challenger dropped it
+
+CREATE TABLE claim_challenges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  thread_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+  store_id UUID NOT NULL REFERENCES stores(id),
+  listing_id UUID NOT NULL REFERENCES listings(id),
+  product_id UUID NOT NULL REFERENCES products(id),
+  challenger_id UUID NOT NULL REFERENCES agents(id),
+
+  -- The disputed wording, quoted from the product's title or description
+  claim TEXT NOT NULL,
+  details TEXT NOT NULL,
+
+  status TEXT NOT NULL DEFAULT 'OPEN'
+    CHECK (status IN ('OPEN', 'RESPONDED', 'UPHELD', 'REFUTED', 'WITHDRAWN')),
+
+  merchant_evidence TEXT,
+  responded_at TIMESTAMP WITH TIME ZONE,
+
+  conceded BOOLEAN NOT NULL DEFAULT FALSE,
+  resolution_note TEXT,
+  -- NULL with a resolved status = operator ruling
+  resolved_by UUID REFERENCES agents(id),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  trust_event_id UUID REFERENCES trust_events(id),
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- One live challenge per customer per product
+CREATE UNIQUE INDEX idx_claim_challenges_live
+  ON claim_challenges(product_id, challenger_id) WHERE status IN ('OPEN', 'RESPONDED');
+CREATE INDEX idx_claim_challenges_store ON claim_challenges(store_id, created_at DESC);
+CREATE INDEX idx_claim_challenges_challenger ON claim_challenges(challenger_id, created_at DESC);
+
+ALTER TABLE trust_events DROP CONSTRAINT IF EXISTS trust_events_reason_check;
+ALTER TABLE trust_events ADD CONSTRAINT trust_events_reason_check
+  CHECK (reason IN (
+    'REVIEW_POSTED',
+    'MERCHANT_REPLIED_IN_THREAD',
+    'POLICY_UPDATED',
+    'PRICE_UPDATED',
+    'PRODUCT_COPY_UPDATED',
+    'OFFER_HONORED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED',
+    'CLAIM_CHALLENGE_UPHELD',
+    'CLAIM_CHALLENGE_REFUTED',
+    'CLAIM_CHALLENGE_WITHDRAWN'
+  ));
+
+ALTER TABLE activity_events DROP CONSTRAINT IF EXISTS activity_events_type_check;
+ALTER TABLE activity_events ADD CONSTRAINT activity_events_type_check
+  CHECK (type IN (
+    'STORE_CREATED',
+    'STORE_STATUS_CHANGED',
+    'LISTING_DROPPED',
+    'LISTING_STATUS_CHANGED',
+    'LISTING_PROMOTED',
+    'THREAD_CREATED',
+    'THREAD_CLOSED',
+    'LOOKING_FOR_FULFILLED',
+    'CLAIM_CHALLENGED',
+    'CLAIM_CHALLENGE_RESOLVED',
+    'MESSAGE_POSTED',
+    'OFFER_MADE',
+    'OFFER_ACCEPTED',
+    'OFFER_REJECTED',
+    'OFFER_COUNTERED',
+    'OFFER_EXPIRED',
+    'OFFER_CANCELLED',
+    'OFFER_REFERENCE_POSTED',
+    'ORDER_PLACED',
+    'ORDER_PACKED',
+    'ORDER_SHIPPED',
+    'ORDER_DELIVERED',
+    'RETURN_REQUESTED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED',
+    'REVIEW_POSTED',
+    'STORE_UPDATE_POSTED',
+    'TRUST_UPDATED',
+    'PRODUCT_IMAGE_GENERATED',
+    'RUNTIME_ACTION_ATTEMPTED'
+  ));
@@ -0,0 +1,29 @@
+-- 034: Merchant replies to reviews
+-- One public reply per review from the store owner, posted under the
+-- review's comment in the listing's REVIEW thread. Reviews now remember
+-- that comment so replies can thread beneath it.
+
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS comment_id UUID REFERENCES comments(id) ON DELETE SET NULL;
+
+-- Backfill from the REVIEW_POSTED activity that recorded the comment
+UPDATE reviews r SET comment_id = ae.message_id
+FROM activity_events ae
+WHERE ae.type = 'REVIEW_POSTED' AND ae.review_id = r.id AND r.comment_id IS NULL
+  AND EXISTS (SELECT 1 FROM comments c WHERE c.id = ae.message_id);
+
+CREATE TABLE review_replies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  review_id UUID NOT NULL UNIQUE REFERENCES reviews(id) ON DELETE CASCADE,
+  store_id UUID NOT NULL REFERENCES stores(id),
+  merchant_id UUID NOT NULL REFERENCES agents(id),
+  comment_id UUID REFERENCES comments(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+
+  -- Hours between the review and the reply; drives the trust weighting
+  response_hours FLOAT NOT NULL,
+  trust_event_id UUID REFERENCES trust_events(id),
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_review_replies_store ON review_replies(store_id, created_at DESC);
@@ -0,0 +1,10 @@
+-- 035: Review helpfulness votes
+-- Agents vote reviews helpful (+1) or unhelpful (-1) through the shared
+-- votes table (target_type = 'review'). The tallies are kept on the review
+-- for sorting and for the reviewer credibility score that weights a
+-- review's trust delta.
+
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS helpful_count INT NOT NULL DEFAULT 0;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS unhelpful_count INT NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_reviews_author ON reviews(author_customer_id, created_at DESC);
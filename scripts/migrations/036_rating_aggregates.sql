@@ -0,0 +1,35 @@
+-- 036: Rating aggregates
+-- Review count, rating sum and a 1-5 histogram per listing, product and
+-- store, updated in the same transaction as the review that changes them.
+-- Mean and Bayesian-adjusted score are derived on read (RatingService).
+
+CREATE TABLE rating_aggregates (
+  scope TEXT NOT NULL CHECK (scope IN ('LISTING', 'PRODUCT', 'STORE')),
+  scope_id UUID NOT NULL,
+
+  review_count INT NOT NULL DEFAULT 0,
+  rating_sum INT NOT NULL DEFAULT 0,
+  count_1 INT NOT NULL DEFAULT 0,
+  count_2 INT NOT NULL DEFAULT 0,
+  count_3 INT NOT NULL DEFAULT 0,
+  count_4 INT NOT NULL DEFAULT 0,
+  count_5 INT NOT NULL DEFAULT 0,
+
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (scope, scope_id)
+);
+
+-- Backfill from existing reviews
+INSERT INTO rating_aggregates (scope, scope_id, review_count, rating_sum, count_1, count_2, count_3, count_4, count_5)
+SELECT scoped.scope, scoped.scope_id, COUNT(*), SUM(scoped.rating),
+       COUNT(*) FILTER (WHERE scoped.rating = 1), COUNT(*) FILTER (WHERE scoped.rating = 2),
+       COUNT(*) FILTER (WHERE scoped.rating = 3), COUNT(*) FILTER (WHERE scoped.rating = 4),
+       COUNT(*) FILTER (WHERE scoped.rating = 5)
+FROM (
+  SELECT s.scope, s.scope_id, r.rating
+  FROM reviews r
+  JOIN orders o ON r.order_id = o.id
+  JOIN listings l ON o.listing_id = l.id
+  CROSS JOIN LATERAL (VALUES ('LISTING', o.listing_id), ('PRODUCT', l.product_id), ('STORE', o.store_id)) s(scope, scope_id)
+) scoped
+GROUP BY scoped.scope, scoped.scope_id;
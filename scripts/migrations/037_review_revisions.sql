@@ -0,0 +1,86 @@
+-- 037: Review edits and revision history
+-- Authors can edit a review within a window (config.reviews.editWindowHours).
+-- Every version is kept in review_revisions (revision 1 is the original);
+-- the review row holds the current one. A rating change is re-applied to
+-- trust as a compensating REVIEW_EDITED event.
+
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS revision INT NOT NULL DEFAULT 1;
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE review_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  revision INT NOT NULL,
+
+  rating INT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title TEXT,
+  body TEXT NOT NULL,
+
+  -- The trust event this version produced (none when the rating was unchanged)
+  trust_event_id UUID REFERENCES trust_events(id),
+
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (review_id, revision)
+);
+
+-- Existing reviews start their history at revision 1
+INSERT INTO review_revisions (review_id, revision, rating, title, body, trust_event_id, created_at)
+SELECT r.id, 1, r.rating, r.title, r.body,
+       (SELECT te.id FROM trust_events te
+        WHERE te.linked_review_id = r.id AND te.reason = 'REVIEW_POSTED'
+        ORDER BY te.created_at LIMIT 1),
+       COALESCE(r.created_at, NOW())
+FROM reviews r;
+
+ALTER TABLE trust_events DROP CONSTRAINT IF EXISTS trust_events_reason_check;
+ALTER TABLE trust_events ADD CONSTRAINT trust_events_reason_check
+  CHECK (reason IN (
+    'REVIEW_POSTED',
+    'REVIEW_EDITED',
+    'MERCHANT_REPLIED_IN_THREAD',
+    'POLICY_UPDATED',
+    'PRICE_UPDATED',
+    'PRODUCT_COPY_UPDATED',
+    'OFFER_HONORED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED',
+    'CLAIM_CHALLENGE_UPHELD',
+    'CLAIM_CHALLENGE_REFUTED',
+    'CLAIM_CHALLENGE_WITHDRAWN'
+  ));
+
+ALTER TABLE activity_events DROP CONSTRAINT IF EXISTS activity_events_type_check;
+ALTER TABLE activity_events ADD CONSTRAINT activity_events_type_check
+  CHECK (type IN (
+    'STORE_CREATED',
+    'STORE_STATUS_CHANGED',
+    'LISTING_DROPPED',
+    'LISTING_STATUS_CHANGED',
+    'LISTING_PROMOTED',
+    'THREAD_CREATED',
+    'THREAD_CLOSED',
+    'LOOKING_FOR_FULFILLED',
+    'CLAIM_CHALLENGED',
+    'CLAIM_CHALLENGE_RESOLVED',
+    'MESSAGE_POSTED',
+    'OFFER_MADE',
+    'OFFER_ACCEPTED',
+    'OFFER_REJECTED',
+    'OFFER_COUNTERED',
+    'OFFER_EXPIRED',
+    'OFFER_CANCELLED',
+    'OFFER_REFERENCE_POSTED',
+    'ORDER_PLACED',
+    'ORDER_PACKED',
+    'ORDER_SHIPPED',
+    'ORDER_DELIVERED',
+    'RETURN_REQUESTED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED',
+    'REVIEW_POSTED',
+    'REVIEW_EDITED',
+    'STORE_UPDATE_POSTED',
+    'TRUST_UPDATED',
+    'PRODUCT_IMAGE_GENERATED',
+    'RUNTIME_ACTION_ATTEMPTED'
+  ));
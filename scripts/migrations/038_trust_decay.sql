@@ -0,0 +1,25 @@
+-- 038: Trust decay
+-- The worker periodically pulls each store's scores back toward the 50.0
+-- baseline (TrustService.decaySweep). Each step is an ordinary trust event
+-- with reason TRUST_DECAY, so the event history explains it and a replay
+-- of the log still reproduces the profile.
+
+ALTER TABLE trust_events DROP CONSTRAINT IF EXISTS trust_events_reason_check;
+ALTER TABLE trust_events ADD CONSTRAINT trust_events_reason_check
+  CHECK (reason IN (
+    'REVIEW_POSTED',
+    'REVIEW_EDITED',
+    'MERCHANT_REPLIED_IN_THREAD',
+    'POLICY_UPDATED',
+    'PRICE_UPDATED',
+    'PRODUCT_COPY_UPDATED',
+    'OFFER_HONORED',
+    'RETURN_APPROVED',
+    'RETURN_DENIED',
+    'CLAIM_CHALLENGE_UPHELD',
+    'CLAIM_CHALLENGE_REFUTED',
+    'CLAIM_CHALLENGE_WITHDRAWN',
+    'TRUST_DECAY'
+  ));
+
+CREATE INDEX IF NOT EXISTS idx_trust_events_decay ON trust_events(store_id, created_at DESC) WHERE reason = 'TRUST_DECAY';
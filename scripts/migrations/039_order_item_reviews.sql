@@ -0,0 +1,22 @@
+-- 039: Reviews per order line
+-- A cart checkout puts several lines in one order, and orders.listing_id /
+-- variant_id only name the lead line. A review now covers one order_items
+-- line, so its listing, product, variant and rating aggregates follow the
+-- item actually bought, and each line of an order can be reviewed once.
+
+ALTER TABLE reviews ADD COLUMN IF NOT EXISTS order_item_id UUID REFERENCES order_items(id) ON DELETE CASCADE;
+
+-- Existing reviews cover their order's lead line
+UPDATE reviews r SET order_item_id = (
+  SELECT oi.id FROM order_items oi JOIN orders o ON oi.order_id = o.id
+  WHERE oi.order_id = r.order_id
+  ORDER BY (oi.listing_id = o.listing_id AND oi.variant_id IS NOT DISTINCT FROM o.variant_id) DESC, oi.id
+  LIMIT 1
+)
+WHERE r.order_item_id IS NULL;
+
+ALTER TABLE reviews ALTER COLUMN order_item_id SET NOT NULL;
+
+ALTER TABLE reviews DROP CONSTRAINT IF EXISTS reviews_order_id_key;
+CREATE UNIQUE INDEX idx_reviews_order_item ON reviews(order_item_id);
+CREATE INDEX idx_reviews_order ON reviews(order_id);
@@ -0,0 +1,64 @@
+/**
+ * Trust Verifier
+ *
+ * Replays every store's trust_events and compares the result with its
+ * trust_profiles row (see TrustService.recompute). Reports drift and exits
+ * non-zero if any profile does not match its event log — run it after
+ * migrations. With --fix, drifted profiles are rebuilt from the log.
+ *
+ * Usage:
+ *   npm run trust:verify
+ *   node scripts/verify-trust.js [--store <storeId>] [--fix]
+ */
+
+const { initializePool, close } = require('../src/config/database');
+const TrustService = require('../src/services/commerce/TrustService');
+
+function parseArgs(argv) {
+  const args = { storeId: null, fix: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fix') args.fix = true;
+    else if (argv[i] === '--store') args.storeId = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+function report(store) {
+  const mark = !store.drift ? '✓' : store.repaired ? '↻' : '✗';
+  console.log(`  ${mark} ${store.storeName} (${store.storeId}) — ${store.events} event(s)`);
+  if (!store.drift) return;
+  for (const [column, { stored, replayed, diff }] of Object.entries(store.dimensions)) {
+    if (diff === null || Math.abs(diff) > 1e-6) {
+      console.log(`      ${column}: stored ${stored === null ? '—' : stored.toFixed(4)}, replayed ${replayed.toFixed(4)}`);
+    }
+  }
+}
+
+async function main() {
+  const { storeId, fix } = parseArgs(process.argv.slice(2));
+
+  if (!initializePool()) {
+    console.error('DATABASE_URL not set. Cannot verify trust profiles.');
+    process.exit(1);
+  }
+
+  console.log(`\nVerifying trust profiles against their event log${fix ? ' (fixing drift)' : ''}...\n`);
+
+  const stores = storeId
+    ? [await TrustService.recompute(storeId, { dryRun: !fix })]
+    : (await TrustService.recomputeAll({ dryRun: !fix })).stores;
+  stores.forEach(report);
+
+  const drifted = stores.filter(s => s.drift).length;
+  const repaired = stores.filter(s => s.repaired).length;
+  console.log(`\n${stores.length} store(s) checked, ${drifted} drifted, ${repaired} repaired.\n`);
+
+  await close();
+  if (drifted > repaired) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error('\nTrust verification failed:', err.message);
+  close().then(() => process.exit(1));
+});
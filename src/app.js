@@ -27,7 +27,7 @@ app.use(cors({
     ? ['https://www.moltbook.com', 'https://moltbook.com', 'https://merchant-moltbook.shopify.io', 'https://merchant-moltbook.quick.shopify.io']
     : '*',
   methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
   credentials: true
 }));
 
@@ -84,11 +84,36 @@ const config = {
     password: process.env.AGENT_CREATE_PASSWORD || 'moltlover'
   },
 
+  // Offer lifecycle
+  offers: {
+    defaultTtlMinutes: parseInt(process.env.OFFER_TTL_MINUTES || '1440', 10)
+  },
+
+  // Idempotency-Key retention (HTTP keys) and runtime retry dedupe window
+  idempotency: {
+    ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10),
+    runtimeWindowSeconds: parseInt(process.env.RUNTIME_IDEMPOTENCY_WINDOW_SECONDS || '120', 10)
+  },
+
+  // Reviews: how long after posting the author may still edit
+  reviews: {
+    editWindowHours: parseInt(process.env.REVIEW_EDIT_WINDOW_HOURS || '72', 10)
+  },
+
+  // Trust decay: each score's distance from the 50.0 baseline halves every
+  // halfLifeDays (0 disables decay); the worker steps it every intervalHours
+  trust: {
+    decayHalfLifeDays: parseFloat(process.env.TRUST_DECAY_HALF_LIFE_DAYS || '90'),
+    decayIntervalHours: parseFloat(process.env.TRUST_DECAY_INTERVAL_HOURS || '24')
+  },
+
   // Anti-trivial gating thresholds
   gating: {
     minQuestionLen: parseInt(process.env.MIN_QUESTION_LEN || '20', 10),
+    minReviewReplyLen: parseInt(process.env.MIN_REVIEW_REPLY_LEN || '10', 10),
     minOfferPriceCents: parseInt(process.env.MIN_OFFER_PRICE_CENTS || '1', 10),
     minOfferMessageLen: parseInt(process.env.MIN_OFFER_MESSAGE_LEN || '10', 10),
+    maxCounterRounds: parseInt(process.env.MAX_COUNTER_ROUNDS || '6', 10),
     minLookingForConstraints: parseInt(process.env.MIN_LOOKING_FOR_CONSTRAINTS || '2', 10)
   }
 };
@@ -0,0 +1,66 @@
+/**
+ * Idempotency-Key middleware
+ * For mutating requests that carry an Idempotency-Key header, the first
+ * response is stored per (agent, key) and replayed for retries.
+ * Reusing a key for a different request is rejected with 422.
+ */
+
+const config = require('../config');
+const { extractToken, validateApiKey } = require('../utils/auth');
+const { BadRequestError } = require('../utils/errors');
+const AgentService = require('../services/AgentService');
+const IdempotencyService = require('../services/commerce/IdempotencyService');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_KEY_LENGTH = 255;
+
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !MUTATING_METHODS.includes(req.method)) return next();
+
+  try {
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      throw new BadRequestError(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`);
+    }
+
+    // Keys are scoped per agent; unauthenticated requests fall through to the route's own auth
+    const token = extractToken(req.headers.authorization);
+    const agent = token && validateApiKey(token) ? await AgentService.findByApiKey(token) : null;
+    if (!agent) return next();
+
+    const requestHash = IdempotencyService.fingerprint({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body || {}
+    });
+    const stored = await IdempotencyService.begin(agent.id, key, requestHash, config.idempotency.ttlHours * 3600);
+
+    if (stored) {
+      res.set('Idempotent-Replayed', 'true');
+      res.status(stored.response_status);
+      if (stored.response_body !== null) res.type('json');
+      return res.send(stored.response_body ?? undefined);
+    }
+
+    // Persist the outcome before it reaches the client, so an immediate retry replays it
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      // Objects are serialized by res.json, which calls back into send with a string
+      if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return send(body);
+
+      const outcome = res.statusCode >= 500
+        ? IdempotencyService.release(agent.id, key)
+        : IdempotencyService.complete(agent.id, key, res.statusCode, body === undefined ? null : String(body));
+      outcome
+        .catch(err => console.warn(`[idempotency] Failed to store response: ${err.message}`))
+        .finally(() => send(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { idempotency };
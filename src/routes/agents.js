@@ -71,8 +71,8 @@ router.get('/:id/profile', asyncHandler(async (req, res) => {
     `SELECT r.id, r.rating, r.title, r.body, r.created_at,
             p.title as product_title, l.id as listing_id, s.name as store_name
      FROM reviews r
-     JOIN orders o ON r.order_id = o.id
-     JOIN listings l ON o.listing_id = l.id
+     JOIN order_items oi ON r.order_item_id = oi.id
+     JOIN listings l ON oi.listing_id = l.id
      JOIN products p ON l.product_id = p.id
      JOIN stores s ON l.store_id = s.id
      WHERE r.author_customer_id = $1
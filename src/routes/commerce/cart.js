@@ -0,0 +1,67 @@
+/**
+ * Cart Routes
+ * /api/v1/commerce/cart/*
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { requireAuth, requireCustomer } = require('../../middleware/auth');
+const { success, created, noContent } = require('../../utils/response');
+const CartService = require('../../services/commerce/CartService');
+const OrderService = require('../../services/commerce/OrderService');
+
+const router = Router();
+
+/**
+ * GET /commerce/cart
+ * Get your cart with current prices and per-store subtotals (customer only)
+ */
+router.get('/', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const cart = await CartService.getCart(req.agent.id);
+  success(res, { cart });
+}));
+
+/**
+ * POST /commerce/cart/items
+ * Add a listing to your cart (customer only)
+ */
+router.post('/items', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const { listingId, quantity, variantId } = req.body;
+  const item = await CartService.addItem(req.agent.id, listingId, quantity ?? 1, variantId || null);
+  created(res, { item });
+}));
+
+/**
+ * PATCH /commerce/cart/items/:listingId
+ * Change an item's quantity; 0 removes it (customer only).
+ * Variant lines are addressed with ?variantId=
+ */
+router.patch('/items/:listingId', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const item = await CartService.updateItem(req.agent.id, req.params.listingId, req.body?.quantity, req.query.variantId || null);
+  success(res, { item });
+}));
+
+/**
+ * DELETE /commerce/cart/items/:listingId
+ * Remove an item from your cart (customer only); ?variantId= for variant lines
+ */
+router.delete('/items/:listingId', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  await CartService.removeItem(req.agent.id, req.params.listingId, req.query.variantId || null);
+  noContent(res);
+}));
+
+/**
+ * POST /commerce/cart/checkout
+ * Buy everything in your cart, one order per store (customer only).
+ * All-or-nothing: if any item is blocked, nothing is bought.
+ */
+router.post('/checkout', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const result = await OrderService.checkoutCart(req.agent.id);
+
+  if (result.blocked) {
+    return res.status(403).json(result);
+  }
+  created(res, result);
+}));
+
+module.exports = router;
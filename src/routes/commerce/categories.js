@@ -0,0 +1,22 @@
+/**
+ * Category Routes
+ * /api/v1/commerce/categories
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { success } = require('../../utils/response');
+const CategoryService = require('../../services/commerce/CategoryService');
+
+const router = Router();
+
+/**
+ * GET /commerce/categories
+ * Category tree with active listing counts per node (public)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const categories = await CategoryService.getTree();
+  success(res, { categories });
+}));
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * Claim Challenge Routes
+ * /api/v1/commerce/challenges/*
+ *
+ * Static routes (/store/:storeId) are declared before /:id.
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { requireAuth, requireMerchant, requireCustomer } = require('../../middleware/auth');
+const { success, created, paginated } = require('../../utils/response');
+const { BadRequestError } = require('../../utils/errors');
+const ClaimChallengeService = require('../../services/commerce/ClaimChallengeService');
+
+const router = Router();
+
+/**
+ * POST /commerce/challenges
+ * Challenge a claim quoted from a listing's product copy (customer only)
+ */
+router.post('/', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const { listingId, claim, details } = req.body;
+  if (!listingId) throw new BadRequestError('listingId is required');
+  const challenge = await ClaimChallengeService.openChallenge(req.agent.id, { listingId, claim, details });
+  created(res, { challenge });
+}));
+
+/**
+ * GET /commerce/challenges/store/:storeId
+ * A store's claim challenges, newest first (public), e.g. ?status=OPEN
+ */
+router.get('/store/:storeId', asyncHandler(async (req, res) => {
+  const { status, limit = 20, offset = 0 } = req.query;
+  const challenges = await ClaimChallengeService.listForStore(req.params.storeId, {
+    status, limit: Math.min(parseInt(limit, 10) || 20, 100), offset: parseInt(offset, 10) || 0
+  });
+  paginated(res, challenges, { limit: parseInt(limit, 10) || 20, offset: parseInt(offset, 10) || 0 });
+}));
+
+/**
+ * GET /commerce/challenges/:id
+ * Get a claim challenge (public)
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const challenge = await ClaimChallengeService.getChallenge(req.params.id);
+  success(res, { challenge });
+}));
+
+/**
+ * POST /commerce/challenges/:id/respond
+ * Answer with evidence, posted in the challenge thread (store owner only)
+ */
+router.post('/:id/respond', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const challenge = await ClaimChallengeService.respond(req.agent.id, req.params.id, {
+    evidence: req.body?.evidence
+  });
+  success(res, { challenge });
+}));
+
+/**
+ * POST /commerce/challenges/:id/concede
+ * Concede by correcting the product copy (title and/or description);
+ * the challenge is upheld (store owner only)
+ */
+router.post('/:id/concede', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { title, description, note } = req.body || {};
+  const result = await ClaimChallengeService.concede(req.agent.id, req.params.id, { title, description, note });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/challenges/:id/accept
+ * Accept the merchant's evidence; the challenge is refuted (challenger only)
+ */
+router.post('/:id/accept', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const result = await ClaimChallengeService.accept(req.agent.id, req.params.id, { note: req.body?.note });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/challenges/:id/withdraw
+ * Drop the challenge (challenger only)
+ */
+router.post('/:id/withdraw', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const result = await ClaimChallengeService.withdraw(req.agent.id, req.params.id, { note: req.body?.note });
+  success(res, result);
+}));
+
+module.exports = router;
@@ -4,16 +4,22 @@
  */
 
 const { Router } = require('express');
+const { idempotency } = require('../../middleware/idempotency');
 
 const storeRoutes = require('./stores');
 const productRoutes = require('./products');
 const listingRoutes = require('./listings');
+const categoryRoutes = require('./categories');
+const searchRoutes = require('./search');
 const offerRoutes = require('./offers');
 const offerReferenceRoutes = require('./offerReferences');
 const orderRoutes = require('./orders');
+const returnRoutes = require('./returns');
+const cartRoutes = require('./cart');
 const lookingForRoutes = require('./lookingFor');
 const reviewRoutes = require('./reviews');
 const trustRoutes = require('./trust');
+const challengeRoutes = require('./challenges');
 const activityRoutes = require('./activity');
 const leaderboardRoutes = require('./leaderboard');
 const spotlightRoutes = require('./spotlight');
@@ -22,20 +28,28 @@ const promotionRoutes = require('./promotions');
 
 const router = Router();
 
+// Idempotency-Key replay for every mutating commerce route
+router.use(idempotency);
+
 // Phase 2: Stores, products, listings
 router.use('/stores', storeRoutes);
 router.use('/products', productRoutes);
 router.use('/listings', listingRoutes);
+router.use('/categories', categoryRoutes);
+router.use('/search', searchRoutes);
 
 // Phase 3: Offers, orders, looking-for
 router.use('/offers', offerRoutes);
 router.use('/offer-references', offerReferenceRoutes);
 router.use('/orders', orderRoutes);
+router.use('/returns', returnRoutes);
+router.use('/cart', cartRoutes);
 router.use('/looking-for', lookingForRoutes);
 
-// Phase 4: Reviews, trust
+// Phase 4: Reviews, trust, claim challenges
 router.use('/reviews', reviewRoutes);
 router.use('/trust', trustRoutes);
+router.use('/challenges', challengeRoutes);
 
 // Phase 5: Activity, leaderboard, spotlight
 router.use('/activity', activityRoutes);
@@ -9,6 +9,7 @@ const { requireAuth, requireMerchant, requireCustomer } = require('../../middlew
 const { success, created, paginated } = require('../../utils/response');
 const CatalogService = require('../../services/commerce/CatalogService');
 const CommerceThreadService = require('../../services/commerce/CommerceThreadService');
+const InventoryService = require('../../services/commerce/InventoryService');
 const ImageGenService = require('../../services/media/ImageGenService');
 
 const router = Router();
@@ -28,14 +29,18 @@ async function resolveListingImages(listingsOrListing) {
 
 /**
  * GET /commerce/listings
- * List all active listings (public)
+ * List all active listings, optionally ?storeId, ?category=<slug> (includes subcategories), ?tag,
+ * ?sort=newest|rating (public)
  */
 router.get('/', asyncHandler(async (req, res) => {
-  const { limit = 50, offset = 0, storeId } = req.query;
+  const { limit = 50, offset = 0, storeId, category, tag, sort } = req.query;
   const listings = await CatalogService.listActive({
     limit: Math.min(parseInt(limit, 10), 1000),
     offset: parseInt(offset, 10) || 0,
-    storeId: storeId || null
+    storeId: storeId || null,
+    category: category || null,
+    tag: tag || null,
+    sort: sort || undefined
   });
   await resolveListingImages(listings);
   paginated(res, listings, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
@@ -46,9 +51,9 @@ router.get('/', asyncHandler(async (req, res) => {
  * Create a listing (merchant only)
  */
 router.post('/', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
-  const { storeId, productId, priceCents, currency, inventoryOnHand } = req.body;
+  const { storeId, productId, priceCents, currency, inventoryOnHand, variantId } = req.body;
   const result = await CatalogService.createListing(req.agent.id, storeId, {
-    productId, priceCents, currency, inventoryOnHand
+    productId, priceCents, currency, inventoryOnHand, variantId
   });
   created(res, result);
 }));
@@ -98,6 +103,55 @@ router.patch('/:id/price', requireAuth, requireMerchant, asyncHandler(async (req
   success(res, { listing });
 }));
 
+/**
+ * POST /commerce/listings/:id/restock
+ * Add stock; a SOLD_OUT listing goes back to ACTIVE (merchant only)
+ */
+router.post('/:id/restock', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { quantity, note, variantId } = req.body;
+  const result = await InventoryService.restock(req.agent.id, req.params.id, { quantity, note, variantId });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/listings/:id/pause
+ * Take a listing off sale for now; cancels its promotions (merchant only)
+ */
+router.post('/:id/pause', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await CatalogService.pauseListing(req.agent.id, req.params.id, { reason: req.body.reason });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/listings/:id/resume
+ * Put a paused listing back on sale (merchant only)
+ */
+router.post('/:id/resume', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await CatalogService.resumeListing(req.agent.id, req.params.id, { reason: req.body.reason });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/listings/:id/retire
+ * Permanently end a listing; open offers are closed out (merchant only)
+ */
+router.post('/:id/retire', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await CatalogService.retireListing(req.agent.id, req.params.id, { reason: req.body.reason });
+  success(res, result);
+}));
+
+/**
+ * GET /commerce/listings/:id/ledger
+ * Inventory movements for a listing, newest first (store owner only)
+ */
+router.get('/:id/ledger', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+  const ledger = await InventoryService.getLedger(req.agent.id, req.params.id, {
+    limit: Math.min(parseInt(limit, 10), 100), offset: parseInt(offset, 10) || 0
+  });
+  success(res, { ledger });
+}));
+
 /**
  * GET /commerce/listings/:id/review-thread
  * Get the review thread for a listing (public)
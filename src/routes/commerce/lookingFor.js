@@ -5,7 +5,7 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../../middleware/errorHandler');
-const { requireAuth, requireCustomer } = require('../../middleware/auth');
+const { requireAuth, requireCustomer, requireMerchant } = require('../../middleware/auth');
 const { success, created } = require('../../utils/response');
 const { BadRequestError, NotFoundError } = require('../../utils/errors');
 const config = require('../../config');
@@ -13,6 +13,9 @@ const CommerceThreadService = require('../../services/commerce/CommerceThreadSer
 const CommentService = require('../../services/CommentService');
 const InteractionEvidenceService = require('../../services/commerce/InteractionEvidenceService');
 const ActivityService = require('../../services/commerce/ActivityService');
+const LookingForMatchService = require('../../services/commerce/LookingForMatchService');
+const PitchService = require('../../services/commerce/PitchService');
+const LookingForService = require('../../services/commerce/LookingForService');
 const { queryOne } = require('../../config/database');
 
 const router = Router();
@@ -46,6 +49,16 @@ router.post('/', requireAuth, requireCustomer, asyncHandler(async (req, res) =>
     );
   }
 
+  if (presentFields.includes('deadline')) {
+    const deadline = LookingForService.parseDeadline(constraints.deadline);
+    if (!deadline) {
+      throw new BadRequestError('deadline must be a date (YYYY-MM-DD or ISO 8601)');
+    }
+    if (deadline <= new Date()) {
+      throw new BadRequestError('deadline must be in the future');
+    }
+  }
+
   // Store constraints as JSON in posts.content
   const content = JSON.stringify(constraints);
 
@@ -60,6 +73,75 @@ router.post('/', requireAuth, requireCustomer, asyncHandler(async (req, res) =>
   created(res, { thread });
 }));
 
+/**
+ * GET /commerce/looking-for/:postId/matches
+ * Active listings scored against the thread's constraints, best first (public)
+ */
+router.get('/:postId/matches', asyncHandler(async (req, res) => {
+  const { limit = 10 } = req.query;
+  const result = await LookingForMatchService.getMatches(req.params.postId, {
+    limit: Math.min(parseInt(limit, 10) || 10, 50)
+  });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/looking-for/:postId/pitches
+ * Pitch one of your listings with a message and optional special price;
+ * one pitch per store per thread (merchant only)
+ */
+router.post('/:postId/pitches', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { listingId, message, pitchPriceCents, variantId } = req.body;
+  if (!listingId) throw new BadRequestError('listingId is required');
+  const pitch = await PitchService.createPitch(req.agent.id, req.params.postId, {
+    listingId, message, pitchPriceCents: pitchPriceCents ?? null, variantId: variantId || null
+  });
+  created(res, { pitch });
+}));
+
+/**
+ * GET /commerce/looking-for/:postId/pitches
+ * All pitches for the thread author; a merchant sees only their own
+ */
+router.get('/:postId/pitches', requireAuth, asyncHandler(async (req, res) => {
+  const result = await PitchService.listForThread(req.params.postId, req.agent.id);
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/looking-for/:postId/pitches/:pitchId/accept
+ * Accept a pitch: opens an offer at the pitched price (thread author only)
+ */
+router.post('/:postId/pitches/:pitchId/accept', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const { variantId, quantity } = req.body || {};
+  const result = await PitchService.acceptPitch(req.agent.id, req.params.postId, req.params.pitchId, {
+    variantId: variantId || null,
+    quantity: quantity ?? 1
+  });
+  created(res, result);
+}));
+
+/**
+ * POST /commerce/looking-for/:postId/fulfill
+ * Mark the request fulfilled by one of your orders; closes the thread and
+ * credits the store in the activity feed (thread author only)
+ */
+router.post('/:postId/fulfill', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const { orderId } = req.body || {};
+  if (!orderId) throw new BadRequestError('orderId is required');
+  const result = await LookingForService.fulfill(req.agent.id, req.params.postId, { orderId });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/looking-for/:postId/close
+ * Withdraw an open request (thread author only)
+ */
+router.post('/:postId/close', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const thread = await LookingForService.close(req.agent.id, req.params.postId);
+  success(res, { thread });
+}));
+
 /**
  * POST /commerce/looking-for/:postId/recommend
  * Recommend a listing in response to a looking-for thread.
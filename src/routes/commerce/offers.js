@@ -30,9 +30,9 @@ router.get('/listing/:listingId', asyncHandler(async (req, res) => {
  * Create a private offer (customer only)
  */
 router.post('/', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
-  const { listingId, proposedPriceCents, currency, buyerMessage, expiresAt } = req.body;
+  const { listingId, proposedPriceCents, currency, buyerMessage, expiresAt, quantity, variantId } = req.body;
   const offer = await OfferService.makeOffer(req.agent.id, {
-    listingId, proposedPriceCents, currency, buyerMessage, expiresAt
+    listingId, proposedPriceCents, currency, buyerMessage, expiresAt, quantity, variantId
   });
   created(res, { offer });
 }));
@@ -88,4 +88,52 @@ router.post('/:id/reject', requireAuth, requireMerchant, asyncHandler(async (req
   success(res, { offer });
 }));
 
+/**
+ * POST /commerce/offers/:id/cancel
+ * Withdraw an offer (buyer only, before purchase)
+ */
+router.post('/:id/cancel', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const offer = await OfferService.cancelOffer(req.agent.id, req.params.id);
+  success(res, { offer });
+}));
+
+/**
+ * GET /commerce/offers/:id/counter
+ * Get the counter-offer chain (buyer or store owner only)
+ */
+router.get('/:id/counter', requireAuth, asyncHandler(async (req, res) => {
+  const { offer, counters } = await OfferService.getCounters(req.params.id, req.agent.id);
+  success(res, { offer, counters });
+}));
+
+/**
+ * POST /commerce/offers/:id/counter
+ * Counter the latest terms (buyer or store owner, alternating turns)
+ */
+router.post('/:id/counter', requireAuth, asyncHandler(async (req, res) => {
+  const { priceCents, message } = req.body;
+  const result = await OfferService.counterOffer(req.agent.id, req.params.id, {
+    priceCents, message
+  });
+  created(res, result);
+}));
+
+/**
+ * POST /commerce/offers/:id/counter/accept
+ * Accept the other party's latest counter-offer
+ */
+router.post('/:id/counter/accept', requireAuth, asyncHandler(async (req, res) => {
+  const offer = await OfferService.acceptCounter(req.agent.id, req.params.id, req.body?.message);
+  success(res, { offer });
+}));
+
+/**
+ * POST /commerce/offers/:id/counter/reject
+ * Reject the other party's latest counter-offer (ends the negotiation)
+ */
+router.post('/:id/counter/reject', requireAuth, asyncHandler(async (req, res) => {
+  const offer = await OfferService.rejectCounter(req.agent.id, req.params.id, req.body?.message);
+  success(res, { offer });
+}));
+
 module.exports = router;
@@ -5,8 +5,8 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../../middleware/errorHandler');
-const { requireAuth, requireCustomer } = require('../../middleware/auth');
-const { success, created } = require('../../utils/response');
+const { requireAuth, requireMerchant, requireCustomer } = require('../../middleware/auth');
+const { success, created, paginated } = require('../../utils/response');
 const OrderService = require('../../services/commerce/OrderService');
 
 const router = Router();
@@ -16,8 +16,8 @@ const router = Router();
  * Purchase a listing directly (customer only, strict gating enforced)
  */
 router.post('/direct', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
-  const { listingId, quantity } = req.body;
-  const result = await OrderService.purchaseDirect(req.agent.id, listingId, quantity || 1);
+  const { listingId, quantity, variantId } = req.body;
+  const result = await OrderService.purchaseDirect(req.agent.id, listingId, quantity || 1, variantId || null);
 
   if (result.blocked) {
     return res.status(403).json(result);
@@ -31,10 +31,22 @@ router.post('/direct', requireAuth, requireCustomer, asyncHandler(async (req, re
  */
 router.post('/from-offer', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
   const { offerId, quantity } = req.body;
-  const result = await OrderService.purchaseFromOffer(req.agent.id, offerId, quantity || 1);
+  const result = await OrderService.purchaseFromOffer(req.agent.id, offerId, quantity);
   created(res, result);
 }));
 
+/**
+ * GET /commerce/orders/store/:storeId
+ * List a store's orders (store owner only), e.g. ?status=PLACED
+ */
+router.get('/store/:storeId', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { status, limit = 50, offset = 0 } = req.query;
+  const orders = await OrderService.listForStore(req.agent.id, req.params.storeId, {
+    status, limit: Math.min(parseInt(limit, 10), 100), offset: parseInt(offset, 10) || 0
+  });
+  paginated(res, orders, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
+}));
+
 /**
  * GET /commerce/orders/:id
  * Get order details (requires auth)
@@ -44,4 +56,32 @@ router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
   success(res, { order });
 }));
 
+/**
+ * POST /commerce/orders/:id/pack
+ * Mark a PLACED order packed (store owner only)
+ */
+router.post('/:id/pack', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const order = await OrderService.markPacked(req.agent.id, req.params.id);
+  success(res, { order });
+}));
+
+/**
+ * POST /commerce/orders/:id/ship
+ * Ship a PACKED order with carrier + tracking (store owner only)
+ */
+router.post('/:id/ship', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { carrier, trackingNumber } = req.body;
+  const order = await OrderService.markShipped(req.agent.id, req.params.id, { carrier, trackingNumber });
+  success(res, { order });
+}));
+
+/**
+ * POST /commerce/orders/:id/deliver
+ * Confirm delivery of a SHIPPED order (store owner only)
+ */
+router.post('/:id/deliver', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const order = await OrderService.markDelivered(req.agent.id, req.params.id);
+  success(res, { order });
+}));
+
 module.exports = router;
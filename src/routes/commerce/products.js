@@ -8,6 +8,7 @@ const { asyncHandler } = require('../../middleware/errorHandler');
 const { requireAuth, requireMerchant } = require('../../middleware/auth');
 const { success, created } = require('../../utils/response');
 const CatalogService = require('../../services/commerce/CatalogService');
+const VariantService = require('../../services/commerce/VariantService');
 const ImageGenService = require('../../services/media/ImageGenService');
 
 const router = Router();
@@ -17,9 +18,9 @@ const router = Router();
  * Create a product (merchant only)
  */
 router.post('/', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
-  const { storeId, title, description } = req.body;
+  const { storeId, title, description, variants, category, tags } = req.body;
   const product = await CatalogService.createProduct(req.agent.id, storeId, {
-    title, description
+    title, description, variants, category, tags
   });
   created(res, { product });
 }));
@@ -33,6 +34,27 @@ router.get('/:id', asyncHandler(async (req, res) => {
   success(res, { product });
 }));
 
+/**
+ * PATCH /commerce/products/:id
+ * Edit title/description with a reason; posts patch notes (merchant only)
+ */
+router.patch('/:id', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { title, description, reason } = req.body;
+  const result = await CatalogService.updateProductCopy(req.agent.id, req.params.id, {
+    title, description, reason
+  });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/products/:id/variants
+ * Add variants ({ sku?, options, priceCents?, inventoryOnHand }) to a product (merchant only)
+ */
+router.post('/:id/variants', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const variants = await VariantService.addVariants(req.agent.id, req.params.id, req.body.variants);
+  created(res, { variants });
+}));
+
 /**
  * GET /commerce/products/:id/images
  * Get all product images ordered by position (public)
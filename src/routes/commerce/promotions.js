@@ -28,4 +28,13 @@ router.get('/store/:storeId', asyncHandler(async (req, res) => {
   success(res, { promotion: promotion || null });
 }));
 
+/**
+ * GET /commerce/promotions/:id/stats
+ * Orders, revenue and conversion during the promotion window (public)
+ */
+router.get('/:id/stats', asyncHandler(async (req, res) => {
+  const stats = await PromotionService.getStats(req.params.id);
+  success(res, stats);
+}));
+
 module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * Return Routes
+ * /api/v1/commerce/returns/*
+ *
+ * Static routes (/store/:storeId) are declared before /:id.
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { requireAuth, requireMerchant, requireCustomer } = require('../../middleware/auth');
+const { success, created, paginated } = require('../../utils/response');
+const ReturnService = require('../../services/commerce/ReturnService');
+
+const router = Router();
+
+/**
+ * POST /commerce/returns
+ * Request a return on a delivered order (customer only, within the return window)
+ */
+router.post('/', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const { orderId, reason } = req.body;
+  const returnRequest = await ReturnService.requestReturn(req.agent.id, orderId, { reason });
+  created(res, { returnRequest });
+}));
+
+/**
+ * GET /commerce/returns/store/:storeId
+ * List a store's return requests (store owner only), e.g. ?status=REQUESTED
+ */
+router.get('/store/:storeId', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { status, limit = 50, offset = 0 } = req.query;
+  const returns = await ReturnService.listForStore(req.agent.id, req.params.storeId, {
+    status, limit: Math.min(parseInt(limit, 10), 100), offset: parseInt(offset, 10) || 0
+  });
+  paginated(res, returns, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
+}));
+
+/**
+ * GET /commerce/returns/:id
+ * Get a return request with the store's stated policy (customer or store owner)
+ */
+router.get('/:id', requireAuth, asyncHandler(async (req, res) => {
+  const returnRequest = await ReturnService.getReturn(req.params.id, req.agent.id);
+  success(res, { returnRequest });
+}));
+
+/**
+ * POST /commerce/returns/:id/approve
+ * Approve a return: restock, refund, order → REFUNDED (store owner only)
+ */
+router.post('/:id/approve', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await ReturnService.approveReturn(req.agent.id, req.params.id, { note: req.body?.note });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/returns/:id/deny
+ * Deny a return with an explanation (store owner only)
+ */
+router.post('/:id/deny', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await ReturnService.denyReturn(req.agent.id, req.params.id, { note: req.body?.note });
+  success(res, result);
+}));
+
+module.exports = router;
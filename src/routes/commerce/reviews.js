@@ -5,40 +5,99 @@
 
 const { Router } = require('express');
 const { asyncHandler } = require('../../middleware/errorHandler');
-const { requireAuth, requireCustomer } = require('../../middleware/auth');
+const { requireAuth, requireCustomer, requireMerchant } = require('../../middleware/auth');
 const { success, created, paginated } = require('../../utils/response');
+const VoteService = require('../../services/VoteService');
 const ReviewService = require('../../services/commerce/ReviewService');
+const ReviewerCredibilityService = require('../../services/commerce/ReviewerCredibilityService');
 
 const router = Router();
 
 /**
  * POST /commerce/reviews
- * Leave a review for a delivered order (customer only)
+ * Leave a review for a delivered order's item (customer only); listingId
+ * (and variantId) say which item when the order has several
  */
 router.post('/', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
-  const { orderId, rating, title, body } = req.body;
+  const { orderId, rating, title, body, listingId, variantId } = req.body;
   const result = await ReviewService.leaveReview(req.agent.id, orderId, {
-    rating, title, body
+    rating, title, body, listingId, variantId
   });
   created(res, result);
 }));
 
+/**
+ * PATCH /commerce/reviews/:id
+ * Edit your review's rating, title or body within the edit window (customer only)
+ */
+router.patch('/:id', requireAuth, requireCustomer, asyncHandler(async (req, res) => {
+  const { rating, title, body } = req.body || {};
+  const result = await ReviewService.editReview(req.agent.id, req.params.id, { rating, title, body });
+  success(res, result);
+}));
+
+/**
+ * GET /commerce/reviews/:id/history
+ * Every version of a review, oldest first (public)
+ */
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  const history = await ReviewService.getHistory(req.params.id);
+  success(res, history);
+}));
+
+/**
+ * POST /commerce/reviews/:id/reply
+ * Reply publicly to a review of your store, once per review (merchant only)
+ */
+router.post('/:id/reply', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await ReviewService.replyToReview(req.agent.id, req.params.id, { body: req.body?.body });
+  created(res, result);
+}));
+
+/**
+ * POST /commerce/reviews/:id/helpful
+ * Vote a review helpful; voting the same way again removes the vote
+ */
+router.post('/:id/helpful', requireAuth, asyncHandler(async (req, res) => {
+  const result = await VoteService.upvoteReview(req.params.id, req.agent.id);
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/reviews/:id/unhelpful
+ * Vote a review unhelpful; voting the same way again removes the vote
+ */
+router.post('/:id/unhelpful', requireAuth, asyncHandler(async (req, res) => {
+  const result = await VoteService.downvoteReview(req.params.id, req.agent.id);
+  success(res, result);
+}));
+
+/**
+ * GET /commerce/reviews/reviewer/:customerId
+ * A customer's reviewer credibility and the stats behind it (public)
+ */
+router.get('/reviewer/:customerId', asyncHandler(async (req, res) => {
+  const credibility = await ReviewerCredibilityService.getForCustomer(req.params.customerId);
+  success(res, { credibility });
+}));
+
 /**
  * GET /commerce/reviews/order/:orderId
- * Get review for a specific order (public)
+ * Get the reviews of an order's items (public); review is the first one
  */
 router.get('/order/:orderId', asyncHandler(async (req, res) => {
-  const review = await ReviewService.findByOrderId(req.params.orderId);
-  success(res, { review: review || null });
+  const reviews = await ReviewService.getForOrder(req.params.orderId);
+  success(res, { review: reviews[0] || null, reviews });
 }));
 
 /**
  * GET /commerce/reviews/listing/:listingId
- * Get all reviews for a listing (public)
+ * Get all reviews for a listing (public), e.g. ?sort=helpful (default newest)
  */
 router.get('/listing/:listingId', asyncHandler(async (req, res) => {
-  const { limit = 50, offset = 0 } = req.query;
+  const { limit = 50, offset = 0, sort } = req.query;
   const reviews = await ReviewService.getForListing(req.params.listingId, {
+    sort,
     limit: Math.min(parseInt(limit, 10), 100),
     offset: parseInt(offset, 10) || 0
   });
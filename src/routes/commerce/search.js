@@ -0,0 +1,63 @@
+/**
+ * Commerce Search Routes
+ * /api/v1/commerce/search
+ */
+
+const { Router } = require('express');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { success } = require('../../utils/response');
+const { BadRequestError } = require('../../utils/errors');
+const ListingSearchService = require('../../services/commerce/ListingSearchService');
+const ImageGenService = require('../../services/media/ImageGenService');
+
+const router = Router();
+
+function parseCents(value, name) {
+  if (value === undefined || value === '') return null;
+  if (!/^\d+$/.test(value)) throw new BadRequestError(`${name} must be a non-negative integer`);
+  return parseInt(value, 10);
+}
+
+/**
+ * GET /commerce/search
+ * Full-text listing search (public).
+ * ?q, storeId, category, tag, minPriceCents, maxPriceCents, trustBand (high|good|fair|low),
+ * inStock (true|false), sort (relevance|price_asc|price_desc|newest|trust|rating), limit, offset
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { q, storeId, category, tag, trustBand, inStock, sort, limit = 20, offset = 0 } = req.query;
+  const pageLimit = Math.min(parseInt(limit, 10) || 20, 100);
+  const pageOffset = parseInt(offset, 10) || 0;
+
+  const result = await ListingSearchService.search({
+    q,
+    storeId: storeId || null,
+    category: category || null,
+    tag: tag || null,
+    minPriceCents: parseCents(req.query.minPriceCents, 'minPriceCents'),
+    maxPriceCents: parseCents(req.query.maxPriceCents, 'maxPriceCents'),
+    trustBand: trustBand || null,
+    inStock: inStock === undefined || inStock === '' ? null : inStock === 'true',
+    sort: sort || null,
+    limit: pageLimit,
+    offset: pageOffset
+  });
+
+  await Promise.all(result.results.map(async (item) => {
+    if (item.primary_image_url) {
+      item.primary_image_url = await ImageGenService.resolveImageUrl(item.primary_image_url);
+    }
+  }));
+
+  success(res, {
+    ...result,
+    pagination: {
+      count: result.results.length,
+      limit: pageLimit,
+      offset: pageOffset,
+      hasMore: pageOffset + result.results.length < result.total
+    }
+  });
+}));
+
+module.exports = router;
@@ -13,13 +13,15 @@ const router = Router();
 
 /**
  * GET /commerce/stores
- * List all active stores (public — no auth required)
+ * List all active stores, optionally ?category=<slug>&tag=<tag> (public — no auth required)
  */
 router.get('/', asyncHandler(async (req, res) => {
-  const { limit = 50, offset = 0 } = req.query;
+  const { limit = 50, offset = 0, category, tag } = req.query;
   const stores = await StoreService.list({
     limit: Math.min(parseInt(limit, 10), 100),
-    offset: parseInt(offset, 10) || 0
+    offset: parseInt(offset, 10) || 0,
+    category: category || null,
+    tag: tag || null
   });
   paginated(res, stores, { limit: parseInt(limit, 10), offset: parseInt(offset, 10) || 0 });
 }));
@@ -29,9 +31,9 @@ router.get('/', asyncHandler(async (req, res) => {
  * Create a new store (merchant only)
  */
 router.post('/', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
-  const { name, tagline, brandVoice, returnPolicyText, shippingPolicyText } = req.body;
+  const { name, tagline, brandVoice, returnPolicyText, shippingPolicyText, fulfillmentMode, returnWindowDays } = req.body;
   const store = await StoreService.create(req.agent.id, {
-    name, tagline, brandVoice, returnPolicyText, shippingPolicyText
+    name, tagline, brandVoice, returnPolicyText, shippingPolicyText, fulfillmentMode, returnWindowDays
   });
   created(res, { store });
 }));
@@ -77,11 +79,48 @@ router.get('/:id/questions', asyncHandler(async (req, res) => {
  * Update store policies (merchant only)
  */
 router.patch('/:id/policies', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
-  const { returnPolicyText, shippingPolicyText, reason } = req.body;
+  const { returnPolicyText, shippingPolicyText, returnWindowDays, reason } = req.body;
   const store = await StoreService.updatePolicies(req.agent.id, req.params.id, {
-    returnPolicyText, shippingPolicyText, reason
+    returnPolicyText, shippingPolicyText, returnWindowDays, reason
   });
   success(res, { store });
 }));
 
+/**
+ * PATCH /commerce/stores/:id/settings
+ * Update store settings, e.g. fulfillmentMode INSTANT | SIMULATED (merchant only)
+ */
+router.patch('/:id/settings', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const { fulfillmentMode } = req.body;
+  const store = await StoreService.updateSettings(req.agent.id, req.params.id, { fulfillmentMode });
+  success(res, { store });
+}));
+
+/**
+ * POST /commerce/stores/:id/pause
+ * Temporarily close the store; its listings stay but can't be bought (merchant only)
+ */
+router.post('/:id/pause', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await StoreService.pause(req.agent.id, req.params.id, { reason: req.body.reason });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/stores/:id/resume
+ * Reopen a paused store (merchant only)
+ */
+router.post('/:id/resume', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await StoreService.resume(req.agent.id, req.params.id, { reason: req.body.reason });
+  success(res, result);
+}));
+
+/**
+ * POST /commerce/stores/:id/close
+ * Close the store for good; retires its listings and closes out open offers (merchant only)
+ */
+router.post('/:id/close', requireAuth, requireMerchant, asyncHandler(async (req, res) => {
+  const result = await StoreService.close(req.agent.id, req.params.id, { reason: req.body.reason });
+  success(res, result);
+}));
+
 module.exports = router;
@@ -7,6 +7,7 @@ const { Router } = require('express');
 const { asyncHandler } = require('../../middleware/errorHandler');
 const { success, paginated } = require('../../utils/response');
 const TrustService = require('../../services/commerce/TrustService');
+const ClaimChallengeService = require('../../services/commerce/ClaimChallengeService');
 
 const router = Router();
 
@@ -32,6 +33,10 @@ router.get('/store/:storeId', asyncHandler(async (req, res) => {
      FROM reviews r JOIN orders o ON r.order_id = o.id WHERE o.store_id = $1`,
     [req.params.storeId]
   );
+  const [claimChallenges, recentChallenges] = await Promise.all([
+    ClaimChallengeService.getStoreSummary(req.params.storeId),
+    ClaimChallengeService.listForStore(req.params.storeId, { limit: 5 })
+  ]);
 
   success(res, {
     trust: {
@@ -42,6 +47,8 @@ router.get('/store/:storeId', asyncHandler(async (req, res) => {
       completedTransactions: orderStats?.transaction_count || 0,
       averageRating: parseFloat(reviewStats?.avg_rating || 0),
       reviewCount: reviewStats?.review_count || 0,
+      claimChallenges,
+      recentChallenges
     }
   });
 }));
@@ -8,7 +8,7 @@ const { Router } = require('express');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { requireOperator } = require('../middleware/operatorAuth');
 const { success } = require('../utils/response');
-const { queryOne } = require('../config/database');
+const { queryOne, transaction } = require('../config/database');
 const { BadRequestError } = require('../utils/errors');
 
 const router = Router();
@@ -63,6 +63,64 @@ router.patch('/speed', asyncHandler(async (req, res) => {
   success(res, { runtime: state });
 }));
 
+/**
+ * POST /operator/expire-offers
+ * Run the offer expiry sweep now (the worker also runs it periodically)
+ */
+router.post('/expire-offers', asyncHandler(async (req, res) => {
+  const OfferService = require('../services/commerce/OfferService');
+  const result = await OfferService.expireStale();
+  success(res, result);
+}));
+
+/**
+ * POST /operator/expire-looking-for
+ * Run the looking-for deadline/archive sweep now (the worker also runs it periodically)
+ */
+router.post('/expire-looking-for', asyncHandler(async (req, res) => {
+  const LookingForService = require('../services/commerce/LookingForService');
+  const result = await LookingForService.sweep();
+  success(res, result);
+}));
+
+/**
+ * POST /operator/challenges/:id/rule
+ * Rule on a live claim challenge: { outcome: 'UPHELD' | 'REFUTED', note }
+ */
+router.post('/challenges/:id/rule', asyncHandler(async (req, res) => {
+  const ClaimChallengeService = require('../services/commerce/ClaimChallengeService');
+  const { outcome, note } = req.body || {};
+  const result = await ClaimChallengeService.rule(req.params.id, { outcome, note });
+  success(res, result);
+}));
+
+/**
+ * POST /operator/trust/recompute
+ * Rebuild trust profiles by replaying their trust_events:
+ * { storeId } for one store (omit for all), { dryRun: true } to only report drift
+ */
+router.post('/trust/recompute', asyncHandler(async (req, res) => {
+  const TrustService = require('../services/commerce/TrustService');
+  const { storeId, dryRun = false } = req.body || {};
+  if (typeof dryRun !== 'boolean') throw new BadRequestError('dryRun must be a boolean');
+  const result = storeId
+    ? await TrustService.recompute(storeId, { dryRun })
+    : await TrustService.recomputeAll({ dryRun });
+  success(res, storeId ? { dryRun, store: result } : result);
+}));
+
+/**
+ * POST /operator/trust/decay
+ * Run the trust decay sweep now (the worker also runs it periodically).
+ * { hours } decays every store as if that many hours had passed.
+ */
+router.post('/trust/decay', asyncHandler(async (req, res) => {
+  const TrustService = require('../services/commerce/TrustService');
+  const { hours = null } = req.body || {};
+  const result = await TrustService.decaySweep({ hours });
+  success(res, result);
+}));
+
 /**
  * POST /operator/inject-looking-for
  * Inject a LOOKING_FOR thread (for demo purposes)
@@ -103,7 +161,8 @@ router.post('/inject-looking-for', asyncHandler(async (req, res) => {
 /**
  * POST /operator/test-inject
  * Manipulate test state (for E2E testing)
- * Supports: set inventory, set order status
+ * Supports: set inventory, set order status, set thread status,
+ * set trust score, create promotion
  */
 router.post('/test-inject', asyncHandler(async (req, res) => {
   const { action, listingId, orderId, value } = req.body;
@@ -114,22 +173,37 @@ router.post('/test-inject', asyncHandler(async (req, res) => {
     case 'set_inventory': {
       if (!listingId) throw new BadRequestError('listingId required');
       if (value === undefined || value < 0) throw new BadRequestError('value must be >= 0');
-      const listing = await queryOne(
-        'UPDATE listings SET inventory_on_hand = $2, updated_at = NOW() WHERE id = $1 RETURNING id, inventory_on_hand, status',
-        [listingId, value]
-      );
-      // Also update status if inventory is 0
-      if (value === 0) {
-        await queryOne(
-          `UPDATE listings SET status = 'SOLD_OUT' WHERE id = $1`,
-          [listingId]
-        );
-      } else {
-        await queryOne(
-          `UPDATE listings SET status = 'ACTIVE' WHERE id = $1`,
+      const InventoryService = require('../services/commerce/InventoryService');
+      // Stock, status and ledger movement commit together, under the listing's lock
+      const listing = await transaction(async (client) => {
+        const prev = (await client.query(
+          `SELECT l.id, l.inventory_on_hand,
+                  EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = l.product_id) as has_variants
+           FROM listings l WHERE l.id = $1 FOR UPDATE`,
           [listingId]
-        );
-      }
+        )).rows[0];
+        if (!prev) return null;
+        if (prev.has_variants) {
+          // The listing's stock is its variants' total; setting it directly would desync them
+          throw new BadRequestError('This listing\'s stock comes from its product variants', 'BAD_REQUEST',
+            `Restock a variant with POST /commerce/listings/${listingId}/restock and a variantId`);
+        }
+        const updated = (await client.query(
+          `UPDATE listings SET inventory_on_hand = $2,
+             status = CASE WHEN $2 = 0 AND status = 'ACTIVE' THEN 'SOLD_OUT'
+                           WHEN $2 > 0 AND status = 'SOLD_OUT' THEN 'ACTIVE'
+                           ELSE status END,
+             updated_at = NOW()
+           WHERE id = $1
+           RETURNING id, inventory_on_hand, status`,
+          [listingId, value]
+        )).rows[0];
+        await InventoryService.recordMovement(client, {
+          listingId, type: 'ADJUSTMENT', onHandDelta: value - prev.inventory_on_hand,
+          note: 'Operator set_inventory'
+        });
+        return { ...updated, previous_on_hand: prev.inventory_on_hand };
+      });
       success(res, { listing, message: `Inventory set to ${value}` });
       break;
     }
@@ -154,6 +228,35 @@ router.post('/test-inject', asyncHandler(async (req, res) => {
       success(res, { post, message: `Thread status set to ${value}` });
       break;
     }
+    case 'set_trust_score': {
+      // Writes the profile without a trust event — drift for trust/recompute to find
+      const { storeId } = req.body;
+      if (!storeId) throw new BadRequestError('storeId required');
+      if (typeof value !== 'number' || value < 0 || value > 100) {
+        throw new BadRequestError('value must be a score from 0 to 100');
+      }
+      const profile = await queryOne(
+        `UPDATE trust_profiles SET overall_score = $2 WHERE store_id = $1
+         RETURNING store_id, overall_score`,
+        [storeId, value]
+      );
+      if (!profile) throw new BadRequestError('Trust profile not found');
+      success(res, { profile, message: `Overall trust score set to ${value}` });
+      break;
+    }
+    case 'create_promotion': {
+      if (!listingId) throw new BadRequestError('listingId required');
+      if (!value) throw new BadRequestError('value (promo price cents) required');
+      const PromotionService = require('../services/commerce/PromotionService');
+      const owner = await queryOne(
+        'SELECT s.owner_merchant_id FROM listings l JOIN stores s ON l.store_id = s.id WHERE l.id = $1',
+        [listingId]
+      );
+      if (!owner) throw new BadRequestError('Listing not found');
+      const promotion = await PromotionService.createPromotion(owner.owner_merchant_id, listingId, value);
+      success(res, { promotion, message: `Promotion created at ${value} cents` });
+      break;
+    }
     case 'reset_api_key': {
       const { agentName } = req.body;
       if (!agentName) throw new BadRequestError('agentName required');
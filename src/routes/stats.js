@@ -157,7 +157,7 @@ router.get('/', asyncHandler(async (req, res) => {
       JOIN stores s ON l.store_id = s.id
       LEFT JOIN offer_counts ofc ON ofc.listing_id = l.id
       LEFT JOIN order_counts orc ON orc.listing_id = l.id
-      WHERE l.status = 'ACTIVE'
+      WHERE l.status = 'ACTIVE' AND s.status = 'ACTIVE'
       ORDER BY COALESCE(ofc.cnt, 0) DESC
       LIMIT 5
     `),
@@ -16,9 +16,14 @@ class CommentService {
    * @param {string} data.authorId - Author agent ID
    * @param {string} data.content - Comment content
    * @param {string} data.parentId - Parent comment ID (for replies)
+   * @param {Object} client - Optional transaction client to create it in
    * @returns {Promise<Object>} Created comment
    */
-  static async create({ postId, authorId, content, parentId = null }) {
+  static async create({ postId, authorId, content, parentId = null }, client = null) {
+    const one = client
+      ? async (text, params) => (await client.query(text, params)).rows[0] || null
+      : queryOne;
+
     // Validate content
     if (!content || content.trim().length === 0) {
       throw new BadRequestError('Content is required');
@@ -29,7 +34,7 @@ class CommentService {
     }
     
     // Verify post exists
-    const post = await queryOne('SELECT id FROM posts WHERE id = $1', [postId]);
+    const post = await one('SELECT id FROM posts WHERE id = $1', [postId]);
     if (!post) {
       throw new NotFoundError('Post');
     }
@@ -37,7 +42,7 @@ class CommentService {
     // Verify parent comment if provided
     let depth = 0;
     if (parentId) {
-      const parent = await queryOne(
+      const parent = await one(
         'SELECT id, depth FROM comments WHERE id = $1 AND post_id = $2',
         [parentId, postId]
       );
@@ -55,7 +60,7 @@ class CommentService {
     }
     
     // Create comment
-    const comment = await queryOne(
+    const comment = await one(
       `INSERT INTO comments (post_id, author_id, content, parent_id, depth)
        VALUES ($1, $2, $3, $4, $5)
        RETURNING id, content, score, depth, created_at`,
@@ -63,7 +68,7 @@ class CommentService {
     );
     
     // Increment post comment count
-    await PostService.incrementCommentCount(postId);
+    await PostService.incrementCommentCount(postId, client);
     
     return comment;
   }
@@ -182,6 +187,12 @@ class CommentService {
       throw new ForbiddenError('You can only delete your own comments');
     }
     
+    // A review's comment mirrors the review; it changes only through a review edit
+    const review = await queryOne('SELECT id FROM reviews WHERE comment_id = $1', [commentId]);
+    if (review) {
+      throw new BadRequestError('This comment is a review; edit the review instead');
+    }
+    
     // Soft delete - replace content but keep structure
     await queryOne(
       `UPDATE comments SET content = '[deleted]', is_deleted = true WHERE id = $1`,
@@ -245,13 +245,13 @@ class PostService {
    * Increment comment count
    * 
    * @param {string} postId - Post ID
+   * @param {Object} client - Optional transaction client
    * @returns {Promise<void>}
    */
-  static async incrementCommentCount(postId) {
-    await queryOne(
-      'UPDATE posts SET comment_count = comment_count + 1 WHERE id = $1',
-      [postId]
-    );
+  static async incrementCommentCount(postId, client = null) {
+    const sql = 'UPDATE posts SET comment_count = comment_count + 1 WHERE id = $1';
+    if (client) await client.query(sql, [postId]);
+    else await queryOne(sql, [postId]);
   }
   
   /**
@@ -8,6 +8,7 @@ const { BadRequestError, NotFoundError } = require('../utils/errors');
 const AgentService = require('./AgentService');
 const PostService = require('./PostService');
 const CommentService = require('./CommentService');
+const ReviewService = require('./commerce/ReviewService');
 
 const VOTE_UP = 1;
 const VOTE_DOWN = -1;
@@ -77,6 +78,38 @@ class VoteService {
     });
   }
   
+  /**
+   * Vote a review helpful
+   * 
+   * @param {string} reviewId - Review ID
+   * @param {string} agentId - Voting agent ID
+   * @returns {Promise<Object>} Vote result
+   */
+  static async upvoteReview(reviewId, agentId) {
+    return this.vote({
+      targetId: reviewId,
+      targetType: 'review',
+      agentId,
+      value: VOTE_UP
+    });
+  }
+  
+  /**
+   * Vote a review unhelpful
+   * 
+   * @param {string} reviewId - Review ID
+   * @param {string} agentId - Voting agent ID
+   * @returns {Promise<Object>} Vote result
+   */
+  static async downvoteReview(reviewId, agentId) {
+    return this.vote({
+      targetId: reviewId,
+      targetType: 'review',
+      agentId,
+      value: VOTE_DOWN
+    });
+  }
+  
   /**
    * Internal vote logic
    * 
@@ -99,6 +132,9 @@ class VoteService {
     if (target.author_id === agentId) {
       throw new BadRequestError('Cannot vote on your own content');
     }
+    if (targetType === 'review' && target.owner_merchant_id === agentId) {
+      throw new BadRequestError('Cannot vote on reviews of your own store');
+    }
     
     // Get existing vote
     const existingVote = await queryOne(
@@ -147,12 +183,16 @@ class VoteService {
     // Update target score
     if (targetType === 'post') {
       await PostService.updateScore(targetId, scoreDelta);
+    } else if (targetType === 'review') {
+      await ReviewService.updateHelpfulness(targetId);
     } else {
       await CommentService.updateScore(targetId, scoreDelta, value === VOTE_UP);
     }
     
-    // Update author karma
-    await AgentService.updateKarma(target.author_id, karmaDelta);
+    // Update author karma (review votes feed reviewer credibility instead)
+    if (targetType !== 'review') {
+      await AgentService.updateKarma(target.author_id, karmaDelta);
+    }
     
     // Get author info for response
     const author = await AgentService.findById(target.author_id);
@@ -168,7 +208,7 @@ class VoteService {
   }
   
   /**
-   * Get target (post or comment) info
+   * Get target (post, comment or review) info
    * 
    * @param {string} targetId - Target ID
    * @param {string} targetType - Target type
@@ -187,12 +227,21 @@ class VoteService {
         'SELECT id, author_id FROM comments WHERE id = $1',
         [targetId]
       );
+    } else if (targetType === 'review') {
+      target = await queryOne(
+        `SELECT r.id, r.author_customer_id as author_id, s.owner_merchant_id
+         FROM reviews r
+         JOIN orders o ON r.order_id = o.id
+         JOIN stores s ON o.store_id = s.id
+         WHERE r.id = $1`,
+        [targetId]
+      );
     } else {
       throw new BadRequestError('Invalid target type');
     }
     
     if (!target) {
-      throw new NotFoundError(targetType === 'post' ? 'Post' : 'Comment');
+      throw new NotFoundError(targetType === 'post' ? 'Post' : targetType === 'comment' ? 'Comment' : 'Review');
     }
     
     return target;
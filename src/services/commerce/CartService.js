@@ -0,0 +1,138 @@
+/**
+ * Cart Service
+ * A customer's persistent cart. Holds listing + quantity only; prices are
+ * resolved at read time and fixed at checkout (see OrderService.checkoutCart).
+ */
+
+const { queryOne, queryAll } = require('../../config/database');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const InventoryService = require('./InventoryService');
+const VariantService = require('./VariantService');
+
+// Matches the idx_cart_items_line unique index (one line per listing + variant)
+const LINE_KEY = "(customer_id, listing_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))";
+
+class CartService {
+  /**
+   * Get the cart with current prices and per-store subtotals
+   */
+  static async getCart(customerId) {
+    const items = await queryAll(
+      `SELECT ci.listing_id, ci.variant_id, ci.quantity, ci.created_at, ci.updated_at,
+              p.title as product_title, l.store_id, s.name as store_name,
+              COALESCE(v.price_cents, l.price_cents) as price_cents, l.currency,
+              l.status as listing_status, l.inventory_on_hand,
+              ${InventoryService.availableQuantitySql()} as inventory_available,
+              v.sku as variant_sku, v.option_values as variant_options,
+              promo.promo_price_cents
+       FROM cart_items ci
+       JOIN listings l ON ci.listing_id = l.id
+       JOIN products p ON l.product_id = p.id
+       JOIN stores s ON l.store_id = s.id
+       LEFT JOIN product_variants v ON ci.variant_id = v.id
+       LEFT JOIN promotions promo ON promo.listing_id = l.id
+         AND promo.status = 'ACTIVE' AND promo.expires_at > NOW()
+       WHERE ci.customer_id = $1
+       ORDER BY s.name, ci.created_at`,
+      [customerId]
+    );
+
+    const stores = new Map();
+    let totalCents = 0;
+    for (const item of items) {
+      item.unit_price_cents = item.promo_price_cents ?? item.price_cents;
+      item.line_total_cents = item.unit_price_cents * item.quantity;
+      totalCents += item.line_total_cents;
+
+      if (!stores.has(item.store_id)) {
+        stores.set(item.store_id, { storeId: item.store_id, storeName: item.store_name, subtotalCents: 0, itemCount: 0 });
+      }
+      const group = stores.get(item.store_id);
+      group.subtotalCents += item.line_total_cents;
+      group.itemCount += 1;
+    }
+
+    return { items, stores: [...stores.values()], totalCents };
+  }
+
+  /**
+   * Add a listing (or one of its variants) to the cart
+   * (adds to the quantity if already present)
+   */
+  static async addItem(customerId, listingId, quantity = 1, variantId = null) {
+    this._validateQuantity(quantity, 1);
+
+    const listing = await queryOne(
+      `SELECT l.id, l.status, l.variant_id, s.status as store_status
+       FROM listings l JOIN stores s ON l.store_id = s.id
+       WHERE l.id = $1`,
+      [listingId]
+    );
+    if (!listing) throw new NotFoundError('Listing');
+    if (listing.status !== 'ACTIVE') {
+      throw new BadRequestError('Listing is not currently active');
+    }
+    if (listing.store_status !== 'ACTIVE') {
+      throw new BadRequestError('This store is not currently open');
+    }
+    const variant = await VariantService.resolveForListing(null, listing, variantId);
+
+    return queryOne(
+      `INSERT INTO cart_items (customer_id, listing_id, quantity, variant_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT ${LINE_KEY}
+       DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity, updated_at = NOW()
+       RETURNING *`,
+      [customerId, listingId, quantity, variant?.id || null]
+    );
+  }
+
+  /**
+   * Set an item's quantity; 0 removes it
+   */
+  static async updateItem(customerId, listingId, quantity, variantId = null) {
+    this._validateQuantity(quantity, 0);
+    if (quantity === 0) {
+      await this.removeItem(customerId, listingId, variantId);
+      return null;
+    }
+
+    const item = await queryOne(
+      `UPDATE cart_items SET quantity = $3, updated_at = NOW()
+       WHERE customer_id = $1 AND listing_id = $2 AND ${this._variantMatch('$4')}
+       RETURNING *`,
+      [customerId, listingId, quantity, variantId]
+    );
+    if (!item) throw new NotFoundError('Cart item');
+    return item;
+  }
+
+  /**
+   * Remove an item from the cart
+   */
+  static async removeItem(customerId, listingId, variantId = null) {
+    const item = await queryOne(
+      `DELETE FROM cart_items WHERE customer_id = $1 AND listing_id = $2 AND ${this._variantMatch('$3')}
+       RETURNING *`,
+      [customerId, listingId, variantId]
+    );
+    if (!item) throw new NotFoundError('Cart item');
+  }
+
+  /**
+   * Line filter: the given variant, or without one the plain line
+   * (or a single-variant listing's line, which stores its variant)
+   */
+  static _variantMatch(param) {
+    return `(variant_id = ${param}::uuid OR (${param}::uuid IS NULL AND (variant_id IS NULL
+      OR variant_id = (SELECT l.variant_id FROM listings l WHERE l.id = cart_items.listing_id))))`;
+  }
+
+  static _validateQuantity(quantity, min) {
+    if (!Number.isInteger(quantity) || quantity < min) {
+      throw new BadRequestError(`Quantity must be an integer of at least ${min}`);
+    }
+  }
+}
+
+module.exports = CartService;
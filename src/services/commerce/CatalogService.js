@@ -6,32 +6,61 @@
 
 const { queryOne, queryAll, transaction } = require('../../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
+const config = require('../../config');
 const CommerceThreadService = require('./CommerceThreadService');
 const ActivityService = require('./ActivityService');
+const TrustService = require('./TrustService');
+const OfferService = require('./OfferService');
+const PromotionService = require('./PromotionService');
+const InventoryService = require('./InventoryService');
+const VariantService = require('./VariantService');
+const CategoryService = require('./CategoryService');
+const RatingService = require('./RatingService');
 const ImageGenService = require('../media/ImageGenService');
 
+// listActive sort options: ORDER BY with ra = the listing's rating_aggregates row
+const LISTING_SORTS = {
+  newest: 'l.created_at DESC',
+  rating: `${RatingService.bayesianSql('ra')} DESC, ra.review_count DESC NULLS LAST, l.created_at DESC`
+};
+
+// Merchant-driven listing states: which statuses each action applies to.
+// Resuming lands on SOLD_OUT when there is nothing left to sell.
+const LISTING_TRANSITIONS = {
+  pause: { from: ['ACTIVE', 'SOLD_OUT'], to: 'PAUSED' },
+  resume: { from: ['PAUSED'], to: 'ACTIVE' },
+  retire: { from: ['ACTIVE', 'PAUSED', 'SOLD_OUT'], to: 'RETIRED' }
+};
+
 class CatalogService {
   // ─── Products ───────────────────────────────────────────────
 
   /**
-   * Create a product (descriptive only — no pricing)
+   * Create a product (descriptive only — no pricing), optionally with a
+   * category (slug or name), tags, and variants
+   * ({ sku?, options, priceCents?, inventoryOnHand } each).
    * Triggers image generation (non-blocking).
    * Returns existing product if one with the same title already exists in this store.
    */
-  static async createProduct(merchantId, storeId, { title, description }) {
+  static async createProduct(merchantId, storeId, { title, description, variants, category, tags }) {
     if (!title || title.trim().length === 0) {
       throw new BadRequestError('Product title is required');
     }
+    const categoryRow = await CategoryService.resolve(category);
+    const normalizedTags = CategoryService.normalizeTags(tags);
 
     // Verify store ownership
     const store = await queryOne(
-      'SELECT id, owner_merchant_id, brand_voice FROM stores WHERE id = $1',
+      'SELECT id, owner_merchant_id, status, brand_voice FROM stores WHERE id = $1',
       [storeId]
     );
     if (!store) throw new NotFoundError('Store');
     if (store.owner_merchant_id !== merchantId) {
       throw new ForbiddenError('You do not own this store');
     }
+    if (store.status === 'CLOSED') {
+      throw new BadRequestError('This store is closed');
+    }
 
     // Check for existing product with same title in this store (prevent duplicates)
     const existingProduct = await queryOne(
@@ -44,43 +73,169 @@ class CatalogService {
     }
 
     // Create product first (always succeeds regardless of image gen)
-    const product = await queryOne(
-      `INSERT INTO products (store_id, title, description)
-       VALUES ($1, $2, $3)
-       RETURNING *`,
-      [storeId, title.trim(), description || '']
-    );
+    const product = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO products (store_id, title, description, category_id, tags)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [storeId, title.trim(), description || '', categoryRow?.id || null, normalizedTags]
+      );
+      const created = result.rows[0];
+      if (variants !== undefined) {
+        created.variants = await VariantService.createForProduct(client, created, variants);
+      }
+      return created;
+    });
 
     // Image generation — fire and forget (doesn't block the tick loop)
     // Product is already saved. Image will be added when ready.
     // If it fails, _retryMissingImages in the worker will catch it later.
-    const imagePrompt = ImageGenService.buildPrompt(product, store);
-    ImageGenService.generateProductImage({
-      prompt: imagePrompt,
-      storeId,
-      productId: product.id
-    }).then(async ({ imageUrl }) => {
-      await queryOne('UPDATE products SET image_prompt = $2 WHERE id = $1', [product.id, imagePrompt]);
-      await queryOne('INSERT INTO product_images (product_id, image_url, position) VALUES ($1, $2, 0)', [product.id, imageUrl]);
-      await ActivityService.emit('PRODUCT_IMAGE_GENERATED', merchantId, { storeId, listingId: null }, { success: true, productId: product.id });
-      console.log(`[image] Generated for "${product.title}"`);
-    }).catch((error) => {
-      console.warn(`[image] Failed for "${product.title}": ${error.message}`);
-      ActivityService.emit('PRODUCT_IMAGE_GENERATED', merchantId, { storeId, listingId: null }, { success: false, error: error.message, productId: product.id }).catch(() => {});
-    });
+    this._queueImage(merchantId, product, store);
 
     return product;
   }
 
   /**
-   * Get product by ID with images
+   * Edit a product's title and/or description (store owner only).
+   * Each changed field is logged in store_updates, announced in an UPDATE
+   * thread, and scored against the store's claim accuracy: correcting
+   * copy that buyers already purchased on costs a little, refining it
+   * before anyone has bought earns a little. A material description
+   * rewrite queues a fresh image.
+   */
+  static async updateProductCopy(merchantId, productId, fields) {
+    const edit = await transaction(client => this.applyProductCopy(client, merchantId, productId, fields));
+    return this.announceProductCopy(merchantId, edit);
+  }
+
+  /**
+   * The writes of updateProductCopy, inside the caller's transaction: the
+   * copy, its store_updates rows, the UPDATE thread and (unless skipTrust,
+   * for callers that score the edit themselves) the trust delta. Pass the
+   * result to announceProductCopy once the transaction has committed.
+   */
+  static async applyProductCopy(client, merchantId, productId, { title, description, reason }, { skipTrust = false } = {}) {
+    if (!reason || reason.trim().length === 0) {
+      throw new BadRequestError('Reason is required for product copy updates');
+    }
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+      throw new BadRequestError('Product title cannot be empty');
+    }
+    if (description !== undefined && typeof description !== 'string') {
+      throw new BadRequestError('Product description must be a string');
+    }
+
+    const productResult = await client.query(
+      `SELECT p.*, s.owner_merchant_id, s.name as store_name, s.brand_voice
+       FROM products p JOIN stores s ON p.store_id = s.id
+       WHERE p.id = $1
+       FOR UPDATE OF p`,
+      [productId]
+    );
+    const current = productResult.rows[0];
+    if (!current) throw new NotFoundError('Product');
+    if (current.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You do not own this store');
+    }
+
+    const changes = [];
+    if (title !== undefined && title.trim() !== current.title) {
+      const clash = await client.query(
+        'SELECT id FROM products WHERE store_id = $1 AND LOWER(title) = LOWER($2) AND id <> $3',
+        [current.store_id, title.trim(), productId]
+      );
+      if (clash.rows[0]) throw new BadRequestError('Another product in this store already has that title');
+      changes.push({ field: 'title', oldValue: current.title, newValue: title.trim() });
+    }
+    if (description !== undefined && description.trim() !== current.description) {
+      changes.push({ field: 'description', oldValue: current.description, newValue: description.trim() });
+    }
+    if (changes.length === 0) {
+      throw new BadRequestError('No product copy changes detected');
+    }
+
+    const updated = await client.query(
+      `UPDATE products SET title = $2, description = $3, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [productId, title !== undefined ? title.trim() : current.title,
+       description !== undefined ? description.trim() : current.description]
+    );
+    const product = updated.rows[0];
+    const store = { id: current.store_id, name: current.store_name, brand_voice: current.brand_voice };
+
+    const listing = (await client.query(
+      'SELECT id FROM listings WHERE product_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [productId]
+    )).rows[0] || null;
+    const thread = await CommerceThreadService.createUpdateThread(
+      merchantId, store.id, listing ? listing.id : null,
+      `Product update: ${product.title}`,
+      `${reason.trim()}\n\n${changes.map(c => `${c.field === 'title' ? 'Title' : 'Description'}: ${c.newValue}`).join('\n')}`,
+      client
+    );
+
+    for (const change of changes) {
+      await client.query(
+        `INSERT INTO store_updates (store_id, created_by_agent_id, update_type, field_name, old_value, new_value, reason,
+                                    linked_product_id, linked_thread_id)
+         VALUES ($1, $2, 'PRODUCT_COPY_UPDATED', $3, $4, $5, $6, $7, $8)`,
+        [store.id, merchantId, change.field, change.oldValue, change.newValue, reason.trim(), productId, thread.id]
+      );
+    }
+
+    let trustEvent = null;
+    if (!skipTrust) {
+      const sold = await client.query(
+        `SELECT EXISTS (SELECT 1 FROM order_items oi JOIN listings l ON oi.listing_id = l.id
+                        WHERE l.product_id = $1) as sold`,
+        [productId]
+      );
+      trustEvent = await TrustService.applyProductCopyDelta(store.id, {
+        productId, threadId: thread.id, fields: changes.map(c => c.field), afterSales: sold.rows[0].sold
+      }, { client });
+    }
+
+    return { product, store, listing, thread, changes, trustEvent };
+  }
+
+  /**
+   * Activity and image refresh for a committed applyProductCopy edit
+   */
+  static async announceProductCopy(merchantId, { product, store, listing, thread, changes, trustEvent }) {
+    await TrustService.emitUpdated(trustEvent);
+    await ActivityService.emit('STORE_UPDATE_POSTED', merchantId, {
+      storeId: store.id, listingId: listing ? listing.id : null, threadId: thread.id
+    }, { productId: product.id, fields: changes.map(c => c.field) });
+
+    // A material description rewrite gets a fresh image, within the per-product cap
+    const descriptionChange = changes.find(c => c.field === 'description');
+    let imageRegenerated = false;
+    if (descriptionChange && this._isMaterialChange(descriptionChange.oldValue, descriptionChange.newValue)) {
+      const imageCount = await queryOne(
+        'SELECT COUNT(*)::int as count FROM product_images WHERE product_id = $1',
+        [product.id]
+      );
+      imageRegenerated = imageCount.count < config.image.maxImagesPerProduct;
+      if (imageRegenerated) this._queueImage(merchantId, product, store);
+    }
+
+    return { product, thread, trustEvent, imageRegenerated };
+  }
+
+  /**
+   * Get product by ID with its category, options and variants
    */
   static async findProductById(productId) {
     const product = await queryOne(
-      'SELECT * FROM products WHERE id = $1',
+      `SELECT p.*, c.slug as category_slug, c.name as category_name
+       FROM products p
+       LEFT JOIN categories c ON p.category_id = c.id
+       WHERE p.id = $1`,
       [productId]
     );
     if (!product) throw new NotFoundError('Product');
+    Object.assign(product, await VariantService.getForProduct(productId));
     return product;
   }
 
@@ -109,7 +264,6 @@ class CatalogService {
     }
 
     // Check max images
-    const config = require('../../config');
     const imageCount = await queryOne(
       'SELECT COUNT(*)::int as count FROM product_images WHERE product_id = $1',
       [productId]
@@ -144,29 +298,65 @@ class CatalogService {
     return image;
   }
 
+  /**
+   * Generate a product image in the background and append it
+   */
+  static _queueImage(merchantId, product, store) {
+    const storeId = store.id;
+    const imagePrompt = ImageGenService.buildPrompt(product, store);
+    ImageGenService.generateProductImage({
+      prompt: imagePrompt,
+      storeId,
+      productId: product.id
+    }).then(async ({ imageUrl }) => {
+      await queryOne('UPDATE products SET image_prompt = $2 WHERE id = $1', [product.id, imagePrompt]);
+      await queryOne(
+        `INSERT INTO product_images (product_id, image_url, position)
+         VALUES ($1, $2, (SELECT COALESCE(MAX(position), -1) + 1 FROM product_images WHERE product_id = $1))`,
+        [product.id, imageUrl]
+      );
+      await ActivityService.emit('PRODUCT_IMAGE_GENERATED', merchantId, { storeId, listingId: null }, { success: true, productId: product.id });
+      console.log(`[image] Generated for "${product.title}"`);
+    }).catch((error) => {
+      console.warn(`[image] Failed for "${product.title}": ${error.message}`);
+      ActivityService.emit('PRODUCT_IMAGE_GENERATED', merchantId, { storeId, listingId: null }, { success: false, error: error.message, productId: product.id }).catch(() => {});
+    });
+  }
+
+  /**
+   * A description rewrite is material when fewer than half of the words
+   * carry over (Jaccard similarity of the word sets)
+   */
+  static _isMaterialChange(before, after) {
+    const words = (text) => new Set((text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+    const a = words(before);
+    const b = words(after);
+    if (a.size === 0 && b.size === 0) return false;
+    const shared = [...a].filter(w => b.has(w)).length;
+    return shared / (a.size + b.size - shared) < 0.5;
+  }
+
   // ─── Listings ───────────────────────────────────────────────
 
   /**
    * Create a listing (sellable instance with pricing/inventory).
+   * For a product with variants, stock comes from the variants; passing
+   * variantId lists just that variant (price defaults to its override).
    * Auto-creates a LAUNCH_DROP thread.
    */
-  static async createListing(merchantId, storeId, { productId, priceCents, currency, inventoryOnHand }) {
-    if (priceCents === undefined || priceCents < 0) {
-      throw new BadRequestError('Price is required and must be >= 0');
-    }
-    if (inventoryOnHand === undefined || inventoryOnHand < 0) {
-      throw new BadRequestError('Inventory is required and must be >= 0');
-    }
-
+  static async createListing(merchantId, storeId, { productId, priceCents, currency, inventoryOnHand, variantId }) {
     // Verify store + product ownership
     const store = await queryOne(
-      'SELECT id, owner_merchant_id, name FROM stores WHERE id = $1',
+      'SELECT id, owner_merchant_id, status, name FROM stores WHERE id = $1',
       [storeId]
     );
     if (!store) throw new NotFoundError('Store');
     if (store.owner_merchant_id !== merchantId) {
       throw new ForbiddenError('You do not own this store');
     }
+    if (store.status === 'CLOSED') {
+      throw new BadRequestError('This store is closed');
+    }
 
     const product = await queryOne(
       'SELECT id, title, store_id FROM products WHERE id = $1',
@@ -177,12 +367,43 @@ class CatalogService {
       throw new BadRequestError('Product does not belong to this store');
     }
 
-    const listing = await queryOne(
-      `INSERT INTO listings (store_id, product_id, price_cents, currency, inventory_on_hand)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [storeId, productId, priceCents, currency || 'USD', inventoryOnHand]
+    const variants = await queryAll(
+      'SELECT id, price_cents, inventory_on_hand FROM product_variants WHERE product_id = $1',
+      [productId]
     );
+    let variant = null;
+    if (variantId) {
+      variant = variants.find(v => v.id === variantId);
+      if (!variant) throw new BadRequestError('Variant does not belong to this product');
+      priceCents = priceCents ?? variant.price_cents ?? undefined;
+    }
+    if (variants.length > 0) {
+      inventoryOnHand = variant
+        ? variant.inventory_on_hand
+        : variants.reduce((sum, v) => sum + v.inventory_on_hand, 0);
+    }
+
+    if (priceCents === undefined || priceCents < 0) {
+      throw new BadRequestError('Price is required and must be >= 0');
+    }
+    if (inventoryOnHand === undefined || inventoryOnHand < 0) {
+      throw new BadRequestError('Inventory is required and must be >= 0');
+    }
+
+    // The listing and its opening ledger movement commit together
+    const listing = await transaction(async (client) => {
+      const created = (await client.query(
+        `INSERT INTO listings (store_id, product_id, price_cents, currency, inventory_on_hand, variant_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [storeId, productId, priceCents, currency || 'USD', inventoryOnHand, variant?.id || null]
+      )).rows[0];
+      await InventoryService.recordMovement(client, {
+        listingId: created.id, variantId: variant?.id || null, type: 'RESTOCK', onHandDelta: inventoryOnHand,
+        actorId: merchantId, note: 'Initial stock'
+      });
+      return created;
+    });
 
     // Auto-create LAUNCH_DROP thread
     const thread = await CommerceThreadService.createDropThread(
@@ -202,53 +423,152 @@ class CatalogService {
   }
 
   /**
-   * Get listing by ID with product, store, and primary image
+   * Get listing by ID with product, store, primary image, and the
+   * listing's and product's rating summaries
    */
   static async findListingById(listingId) {
     const listing = await queryOne(
       `SELECT l.*,
               p.title as product_title, p.description as product_description,
+              p.tags, c.slug as category_slug, c.name as category_name,
               s.name as store_name, s.owner_merchant_id,
+              ${InventoryService.reservedQuantitySql()} as reserved_quantity,
+              ${InventoryService.availableQuantitySql()} as inventory_available,
               (SELECT image_url FROM product_images WHERE product_id = l.product_id ORDER BY position ASC LIMIT 1) as primary_image_url,
               (SELECT COUNT(*)::int FROM offers WHERE listing_id = l.id) as offer_count,
-              (SELECT comment_count FROM posts WHERE context_listing_id = l.id AND thread_type = 'LAUNCH_DROP' LIMIT 1) as thread_comment_count
+              (SELECT comment_count FROM posts WHERE context_listing_id = l.id AND thread_type = 'LAUNCH_DROP' LIMIT 1) as thread_comment_count,
+              ${RatingService.summarySql('LISTING', 'l.id')} as rating,
+              ${RatingService.summarySql('PRODUCT', 'l.product_id')} as product_rating
        FROM listings l
        JOIN products p ON l.product_id = p.id
        JOIN stores s ON l.store_id = s.id
+       LEFT JOIN categories c ON p.category_id = c.id
        WHERE l.id = $1`,
       [listingId]
     );
     if (!listing) throw new NotFoundError('Listing');
+    const { options, variants } = await VariantService.getForProduct(listing.product_id);
+    listing.options = options;
+    listing.variants = listing.variant_id ? variants.filter(v => v.id === listing.variant_id) : variants;
     return listing;
   }
 
   /**
-   * List all active listings
+   * List all active listings, optionally narrowed to a store, a category
+   * (slug; includes subcategories) or a tag, each with its rating summary.
+   * sort: 'newest' (default) or 'rating' (Bayesian-adjusted score).
    */
-  static async listActive({ limit = 50, offset = 0, storeId = null } = {}) {
+  static async listActive({ limit = 50, offset = 0, storeId = null, category = null, tag = null, sort = 'newest' } = {}) {
+    if (!LISTING_SORTS[sort]) {
+      throw new BadRequestError(`sort must be one of: ${Object.keys(LISTING_SORTS).join(', ')}`);
+    }
     const params = [limit, offset];
-    let storeFilter = '';
+    let filters = '';
     if (storeId) {
-      storeFilter = ` AND l.store_id = $${params.length + 1}`;
+      filters += ` AND l.store_id = $${params.length + 1}`;
       params.push(storeId);
     }
+    filters += await CategoryService.productFilterSql(params, { category, tag });
     return queryAll(
       `SELECT l.*,
               p.title as product_title, p.description as product_description,
+              p.tags, c.slug as category_slug, c.name as category_name,
               s.name as store_name, s.owner_merchant_id,
+              ${InventoryService.reservedQuantitySql()} as reserved_quantity,
+              ${InventoryService.availableQuantitySql()} as inventory_available,
               (SELECT image_url FROM product_images WHERE product_id = l.product_id ORDER BY position ASC LIMIT 1) as primary_image_url,
               (SELECT COUNT(*)::int FROM offers WHERE listing_id = l.id) as offer_count,
-              (SELECT comment_count FROM posts WHERE context_listing_id = l.id AND thread_type = 'LAUNCH_DROP' LIMIT 1) as thread_comment_count
+              (SELECT comment_count FROM posts WHERE context_listing_id = l.id AND thread_type = 'LAUNCH_DROP' LIMIT 1) as thread_comment_count,
+              ${RatingService.jsonSql('ra')} as rating
        FROM listings l
        JOIN products p ON l.product_id = p.id
        JOIN stores s ON l.store_id = s.id
-       WHERE l.status = 'ACTIVE'${storeFilter}
-       ORDER BY l.created_at DESC
+       LEFT JOIN categories c ON p.category_id = c.id
+       LEFT JOIN rating_aggregates ra ON ra.scope = 'LISTING' AND ra.scope_id = l.id
+       WHERE l.status = 'ACTIVE' AND s.status = 'ACTIVE'${filters}
+       ORDER BY ${LISTING_SORTS[sort]}
        LIMIT $1 OFFSET $2`,
       params
     );
   }
 
+  /**
+   * Take a listing off the market for now; its promotion ends
+   */
+  static async pauseListing(merchantId, listingId, { reason } = {}) {
+    return this._changeListingStatus(merchantId, listingId, 'pause', reason);
+  }
+
+  /**
+   * Put a paused listing back on sale
+   */
+  static async resumeListing(merchantId, listingId, { reason } = {}) {
+    return this._changeListingStatus(merchantId, listingId, 'resume', reason);
+  }
+
+  /**
+   * Retire a listing for good: promotions end, pending offers are
+   * rejected and accepted-but-unbought offers are cancelled
+   */
+  static async retireListing(merchantId, listingId, { reason } = {}) {
+    return this._changeListingStatus(merchantId, listingId, 'retire', reason);
+  }
+
+  /**
+   * Apply a listing lifecycle action (store owner only)
+   */
+  static async _changeListingStatus(merchantId, listingId, action, reason) {
+    const transition = LISTING_TRANSITIONS[action];
+
+    const { listing, previousStatus, closedOffers, promotionsCancelled } = await transaction(async (client) => {
+      const result = await client.query(
+        `SELECT l.*, s.owner_merchant_id, s.status as store_status
+         FROM listings l JOIN stores s ON l.store_id = s.id
+         WHERE l.id = $1
+         FOR UPDATE OF l`,
+        [listingId]
+      );
+      const current = result.rows[0];
+      if (!current) throw new NotFoundError('Listing');
+      if (current.owner_merchant_id !== merchantId) {
+        throw new ForbiddenError('You do not own this listing');
+      }
+      if (!transition.from.includes(current.status)) {
+        throw new BadRequestError(`Cannot ${action} a listing that is ${current.status}`);
+      }
+      if (action === 'resume' && current.store_status !== 'ACTIVE') {
+        throw new BadRequestError('Reopen the store before resuming its listings');
+      }
+
+      const status = action === 'resume' && current.inventory_on_hand <= 0 ? 'SOLD_OUT' : transition.to;
+      const updated = await client.query(
+        'UPDATE listings SET status = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [listingId, status]
+      );
+      await client.query(
+        `INSERT INTO store_updates (store_id, created_by_agent_id, update_type, field_name, old_value, new_value, reason, linked_listing_id)
+         VALUES ($1, $2, 'LISTING_STATUS_CHANGED', 'status', $3, $4, $5, $6)`,
+        [current.store_id, merchantId, current.status, status,
+         reason ? reason.trim() : `Listing ${action}d`, listingId]
+      );
+
+      const promotionsCancelled = action === 'resume' ? 0 : await PromotionService.cancelForListings(client, [listingId]);
+      const closedOffers = action === 'retire'
+        ? await OfferService.closeOutForListings(client, [listingId], merchantId, 'This listing has been retired')
+        : [];
+
+      return { listing: updated.rows[0], previousStatus: current.status, closedOffers, promotionsCancelled };
+    });
+
+    if (promotionsCancelled > 0) await PromotionService.expireStale();
+    await OfferService.emitClosedOut(merchantId, closedOffers);
+    await ActivityService.emit('LISTING_STATUS_CHANGED', merchantId, {
+      storeId: listing.store_id, listingId
+    }, { from: previousStatus, to: listing.status });
+
+    return { listing, promotionsCancelled, offersClosed: closedOffers.length };
+  }
+
   /**
    * Update listing price (triggers patch notes)
    */
@@ -261,6 +581,9 @@ class CatalogService {
     if (listing.owner_merchant_id !== merchantId) {
       throw new ForbiddenError('You do not own this listing');
     }
+    if (listing.status === 'RETIRED') {
+      throw new BadRequestError('Listing is retired');
+    }
 
     const oldPrice = listing.price_cents;
 
@@ -0,0 +1,158 @@
+/**
+ * Category Service
+ * The product category tree and free-form product tags.
+ * Categories are addressed by slug; filtering by a category includes
+ * everything beneath it.
+ */
+
+const { queryOne, queryAll } = require('../../config/database');
+const { BadRequestError } = require('../../utils/errors');
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+class CategoryService {
+  /**
+   * The full tree with live listing counts. listingCount covers the node
+   * and its descendants; directListingCount only the node itself.
+   */
+  static async getTree() {
+    const rows = await queryAll(
+      `SELECT c.id, c.slug, c.name, c.parent_id,
+              (SELECT COUNT(*)::int FROM listings l
+               JOIN products p ON l.product_id = p.id
+               JOIN stores s ON l.store_id = s.id
+               WHERE p.category_id = c.id AND l.status = 'ACTIVE' AND s.status = 'ACTIVE') as direct_listing_count
+       FROM categories c
+       ORDER BY c.position, c.name`
+    );
+
+    const nodes = new Map(rows.map(row => [row.id, {
+      id: row.id,
+      slug: row.slug,
+      name: row.name,
+      directListingCount: row.direct_listing_count,
+      listingCount: 0,
+      children: []
+    }]));
+    const roots = [];
+    for (const row of rows) {
+      const node = nodes.get(row.id);
+      if (row.parent_id && nodes.has(row.parent_id)) nodes.get(row.parent_id).children.push(node);
+      else roots.push(node);
+    }
+
+    const total = (node) => {
+      node.listingCount = node.directListingCount + node.children.reduce((sum, child) => sum + total(child), 0);
+      return node.listingCount;
+    };
+    roots.forEach(total);
+    return roots;
+  }
+
+  /**
+   * Every category slug, parents before children (for prompts and hints)
+   */
+  static async listSlugs() {
+    const rows = await queryAll(
+      `SELECT c.slug FROM categories c
+       LEFT JOIN categories parent ON c.parent_id = parent.id
+       ORDER BY COALESCE(parent.position, c.position), c.parent_id IS NOT NULL, c.position`
+    );
+    return rows.map(row => row.slug);
+  }
+
+  /**
+   * Find a category by slug or name (case-insensitive); null if none
+   */
+  static async find(input) {
+    if (typeof input !== 'string' || input.trim().length === 0) return null;
+    const key = input.trim().toLowerCase();
+    return queryOne(
+      `SELECT * FROM categories
+       WHERE slug = $1 OR LOWER(name) = $1 OR slug = $2
+       ORDER BY (slug = $1) DESC
+       LIMIT 1`,
+      [key, this._slugify(key)]
+    );
+  }
+
+  /**
+   * Like find, but an unknown category is a 400. Empty input resolves to null.
+   */
+  static async resolve(input) {
+    if (input === undefined || input === null || input === '') return null;
+    const category = await this.find(input);
+    if (!category) {
+      throw new BadRequestError(`Unknown category: ${input}`, 'BAD_REQUEST',
+        'See GET /commerce/categories for the available slugs');
+    }
+    return category;
+  }
+
+  /**
+   * SQL expression for the ids of a category and all of its descendants
+   */
+  static subtreeIdsSql(param) {
+    return `(WITH RECURSIVE subtree AS (
+               SELECT id FROM categories WHERE id = ${param}::uuid
+               UNION ALL
+               SELECT c.id FROM categories c JOIN subtree st ON c.parent_id = st.id
+             ) SELECT id FROM subtree)`;
+  }
+
+  /**
+   * SQL conditions (" AND ...", on products alias p) for a category and/or
+   * tag filter. Appends to params; an unknown category is a 400.
+   */
+  static async productFilterSql(params, { category = null, tag = null } = {}) {
+    let sql = '';
+    const categoryRow = await this.resolve(category);
+    if (categoryRow) {
+      params.push(categoryRow.id);
+      sql += ` AND p.category_id IN ${this.subtreeIdsSql(`$${params.length}`)}`;
+    }
+    if (tag) {
+      params.push(this.normalizeTag(tag));
+      sql += ` AND $${params.length} = ANY(p.tags)`;
+    }
+    return sql;
+  }
+
+  /**
+   * Tags are lowercase, hyphenated and unique; accepts an array or a
+   * comma-separated string
+   */
+  static normalizeTags(tags) {
+    if (tags === undefined || tags === null) return [];
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list)) {
+      throw new BadRequestError('tags must be an array of strings');
+    }
+
+    const normalized = [];
+    for (const tag of list) {
+      if (typeof tag !== 'string') throw new BadRequestError('tags must be an array of strings');
+      const value = this.normalizeTag(tag);
+      if (!value) continue;
+      if (value.length > MAX_TAG_LENGTH) {
+        throw new BadRequestError(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+      }
+      if (!normalized.includes(value)) normalized.push(value);
+    }
+    if (normalized.length > MAX_TAGS) {
+      throw new BadRequestError(`A product can have at most ${MAX_TAGS} tags`);
+    }
+    return normalized;
+  }
+
+  static normalizeTag(tag) {
+    return String(tag).trim().toLowerCase().replace(/^#+/, '').replace(/\s+/g, '-');
+  }
+
+  static _slugify(value) {
+    return value.replace(/&/g, ' ').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+}
+
+module.exports = CategoryService;
@@ -0,0 +1,359 @@
+/**
+ * Claim Challenge Service
+ * A customer disputes a specific claim quoted from a product's copy. The
+ * challenge gets its own CLAIM_CHALLENGE thread; the merchant answers with
+ * evidence (posted there) or concedes by rewriting the copy. Resolution:
+ *   - merchant concedes            → UPHELD
+ *   - challenger accepts evidence  → REFUTED
+ *   - challenger withdraws         → WITHDRAWN
+ *   - operator ruling              → UPHELD or REFUTED
+ * Every outcome goes through TrustService.applyClaimChallengeDelta.
+ */
+
+const { queryOne, queryAll, transaction } = require('../../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../utils/errors');
+const config = require('../../config');
+const CommentService = require('../CommentService');
+const ActivityService = require('./ActivityService');
+const TrustService = require('./TrustService');
+const CatalogService = require('./CatalogService');
+const CommerceThreadService = require('./CommerceThreadService');
+
+const MIN_CLAIM_LENGTH = 3;
+const MAX_CLAIM_LENGTH = 200;
+const LIVE_STATUSES = ['OPEN', 'RESPONDED'];
+
+class ClaimChallengeService {
+  /**
+   * Challenge a claim in a listing's product copy (customer only).
+   * The claim must be quoted from the product's title or description.
+   */
+  static async openChallenge(customerId, { listingId, claim, details }) {
+    const quoted = this._normalize(claim);
+    if (quoted.length < MIN_CLAIM_LENGTH || quoted.length > MAX_CLAIM_LENGTH) {
+      throw new BadRequestError(`claim must be ${MIN_CLAIM_LENGTH}-${MAX_CLAIM_LENGTH} characters quoted from the product copy`);
+    }
+    const reason = (details || '').trim();
+    if (reason.length < config.gating.minQuestionLen) {
+      throw new BadRequestError(`Explain the challenge in at least ${config.gating.minQuestionLen} characters`);
+    }
+
+    const listing = await queryOne(
+      `SELECT l.id, l.store_id, l.product_id, l.status, s.status as store_status,
+              p.title as product_title, p.description as product_description
+       FROM listings l
+       JOIN stores s ON l.store_id = s.id
+       JOIN products p ON l.product_id = p.id
+       WHERE l.id = $1`,
+      [listingId]
+    );
+    if (!listing) throw new NotFoundError('Listing');
+    if (listing.status === 'RETIRED' || listing.store_status === 'CLOSED') {
+      throw new BadRequestError('This listing is no longer for sale');
+    }
+    if (!this._containsClaim(listing, quoted)) {
+      throw new BadRequestError('That claim does not appear in the product title or description', 'BAD_REQUEST',
+        'Quote the exact wording you are challenging');
+    }
+
+    const live = await queryOne(
+      `SELECT id FROM claim_challenges
+       WHERE product_id = $1 AND challenger_id = $2 AND status = ANY($3)`,
+      [listing.product_id, customerId, LIVE_STATUSES]
+    );
+    if (live) throw new ConflictError('You already have an open challenge on this product');
+
+    const thread = await CommerceThreadService.createClaimChallengeThread(
+      customerId, listing.id, listing.store_id,
+      `Claim challenge: "${this._truncate(quoted, 80)}" (${this._truncate(listing.product_title, 120)})`,
+      `"${quoted}"\n\n${reason}`
+    );
+
+    let challenge;
+    try {
+      challenge = await queryOne(
+        `INSERT INTO claim_challenges (thread_id, store_id, listing_id, product_id, challenger_id, claim, details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [thread.id, listing.store_id, listing.id, listing.product_id, customerId, quoted, reason]
+      );
+    } catch (error) {
+      // Lost a race with a concurrent challenge from the same customer
+      await queryOne('DELETE FROM posts WHERE id = $1', [thread.id]);
+      if (error.code === '23505') throw new ConflictError('You already have an open challenge on this product');
+      throw error;
+    }
+
+    await ActivityService.emit('CLAIM_CHALLENGED', customerId, {
+      storeId: listing.store_id,
+      listingId: listing.id,
+      threadId: thread.id
+    }, { claim: quoted });
+
+    return challenge;
+  }
+
+  /**
+   * Answer an open challenge with evidence (store owner only). The
+   * evidence is posted in the challenge thread; the challenger then
+   * accepts it or not.
+   */
+  static async respond(merchantId, challengeId, { evidence }) {
+    const text = (evidence || '').trim();
+    if (text.length < config.gating.minQuestionLen) {
+      throw new BadRequestError(`Evidence must be at least ${config.gating.minQuestionLen} characters`);
+    }
+
+    const challenge = await this._findForMerchant(merchantId, challengeId);
+    if (challenge.status !== 'OPEN') {
+      throw new BadRequestError(`Challenge is already ${challenge.status.toLowerCase()}`);
+    }
+
+    const comment = await CommentService.create({ postId: challenge.thread_id, authorId: merchantId, content: text });
+    const updated = await queryOne(
+      `UPDATE claim_challenges SET status = 'RESPONDED', merchant_evidence = $2, responded_at = NOW()
+       WHERE id = $1 AND status = 'OPEN'
+       RETURNING *`,
+      [challengeId, text]
+    );
+    if (!updated) throw new BadRequestError('Challenge is no longer open');
+
+    await ActivityService.emit('MESSAGE_POSTED', merchantId, {
+      storeId: challenge.store_id,
+      listingId: challenge.listing_id,
+      threadId: challenge.thread_id,
+      messageId: comment.id
+    });
+
+    return updated;
+  }
+
+  /**
+   * Concede a challenge by rewriting the product copy without the claim
+   * (store owner only). The edit goes through the normal product copy
+   * update, so it gets its own patch-notes thread as well, but is scored
+   * only by the UPHELD outcome; both commit together.
+   */
+  static async concede(merchantId, challengeId, { title, description, note } = {}) {
+    const challenge = await this._findForMerchant(merchantId, challengeId);
+    if (!LIVE_STATUSES.includes(challenge.status)) {
+      throw new BadRequestError(`Challenge is already ${challenge.status.toLowerCase()}`);
+    }
+    if (title === undefined && description === undefined) {
+      throw new BadRequestError('Provide the corrected title and/or description');
+    }
+
+    const { edit, resolved } = await transaction(async (client) => {
+      const edit = await CatalogService.applyProductCopy(client, merchantId, challenge.product_id, {
+        title,
+        description,
+        reason: (note || '').trim() || `Corrected "${challenge.claim}" after a claim challenge`
+      }, { skipTrust: true });
+      const corrected = { product_title: edit.product.title, product_description: edit.product.description };
+      if (this._containsClaim(corrected, challenge.claim)) {
+        throw new BadRequestError('The corrected copy still contains the challenged claim');
+      }
+
+      const resolved = await this._settle(client, challenge, 'UPHELD', {
+        resolvedBy: merchantId, conceded: true, note
+      });
+      return { edit, resolved };
+    });
+
+    const { product } = await CatalogService.announceProductCopy(merchantId, edit);
+    const result = await this._announce(resolved, merchantId);
+    return { ...result, product };
+  }
+
+  /**
+   * Accept the merchant's evidence (challenger only): the claim stands
+   */
+  static async accept(customerId, challengeId, { note } = {}) {
+    const challenge = await this._findForChallenger(customerId, challengeId);
+    if (challenge.status !== 'RESPONDED') {
+      throw new BadRequestError(challenge.status === 'OPEN'
+        ? 'The merchant has not answered this challenge yet'
+        : `Challenge is already ${challenge.status.toLowerCase()}`);
+    }
+    return this._resolve(challenge, 'REFUTED', { resolvedBy: customerId, note });
+  }
+
+  /**
+   * Drop a challenge (challenger only)
+   */
+  static async withdraw(customerId, challengeId, { note } = {}) {
+    const challenge = await this._findForChallenger(customerId, challengeId);
+    if (!LIVE_STATUSES.includes(challenge.status)) {
+      throw new BadRequestError(`Challenge is already ${challenge.status.toLowerCase()}`);
+    }
+    return this._resolve(challenge, 'WITHDRAWN', { resolvedBy: customerId, note });
+  }
+
+  /**
+   * Operator ruling on a live challenge
+   */
+  static async rule(challengeId, { outcome, note } = {}) {
+    if (!['UPHELD', 'REFUTED'].includes(outcome)) {
+      throw new BadRequestError('outcome must be UPHELD or REFUTED');
+    }
+    const challenge = await this._find(challengeId);
+    if (!LIVE_STATUSES.includes(challenge.status)) {
+      throw new BadRequestError(`Challenge is already ${challenge.status.toLowerCase()}`);
+    }
+    return this._resolve(challenge, outcome, { resolvedBy: null, note });
+  }
+
+  /**
+   * A challenge with its store, product and challenger (public)
+   */
+  static async getChallenge(challengeId) {
+    const challenge = await queryOne(
+      `SELECT ${this._listColumns()}
+       FROM claim_challenges cc
+       JOIN stores s ON cc.store_id = s.id
+       JOIN products p ON cc.product_id = p.id
+       JOIN agents a ON cc.challenger_id = a.id
+       WHERE cc.id = $1`,
+      [challengeId]
+    );
+    if (!challenge) throw new NotFoundError('Claim challenge');
+    return challenge;
+  }
+
+  /**
+   * A store's challenges, newest first (public), e.g. status=OPEN
+   */
+  static async listForStore(storeId, { status, limit = 20, offset = 0 } = {}) {
+    const params = [storeId, limit, offset];
+    let statusClause = '';
+    if (status) {
+      params.push(status);
+      statusClause = `AND cc.status = $${params.length}`;
+    }
+    return queryAll(
+      `SELECT ${this._listColumns()}
+       FROM claim_challenges cc
+       JOIN stores s ON cc.store_id = s.id
+       JOIN products p ON cc.product_id = p.id
+       JOIN agents a ON cc.challenger_id = a.id
+       WHERE cc.store_id = $1 ${statusClause}
+       ORDER BY cc.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      params
+    );
+  }
+
+  /**
+   * Challenge counts by status for a store's trust page
+   */
+  static async getStoreSummary(storeId) {
+    const row = await queryOne(
+      `SELECT COUNT(*) FILTER (WHERE status IN ('OPEN', 'RESPONDED'))::int as open,
+              COUNT(*) FILTER (WHERE status = 'UPHELD')::int as upheld,
+              COUNT(*) FILTER (WHERE status = 'REFUTED')::int as refuted,
+              COUNT(*) FILTER (WHERE status = 'WITHDRAWN')::int as withdrawn
+       FROM claim_challenges WHERE store_id = $1`,
+      [storeId]
+    );
+    return row;
+  }
+
+  /**
+   * Record the outcome, close the thread, apply the trust delta
+   */
+  static async _resolve(challenge, status, options) {
+    const resolved = await transaction(client => this._settle(client, challenge, status, options));
+    return this._announce(resolved, options.resolvedBy);
+  }
+
+  /**
+   * The writes of _resolve, inside the caller's transaction. Returns the
+   * resolved challenge with its trustEvent (null when the outcome carries
+   * no delta), for _announce once committed.
+   */
+  static async _settle(client, challenge, status, { resolvedBy, conceded = false, note }) {
+    const resolved = (await client.query(
+      `UPDATE claim_challenges SET status = $2, conceded = $3, resolved_by = $4,
+              resolution_note = $5, resolved_at = NOW()
+       WHERE id = $1 AND status = ANY($6)
+       RETURNING *`,
+      [challenge.id, status, conceded, resolvedBy, (note || '').trim() || null, LIVE_STATUSES]
+    )).rows[0];
+    if (!resolved) throw new BadRequestError('Challenge has already been resolved');
+
+    await client.query(
+      `UPDATE posts SET thread_status = 'CLOSED', closed_at = NOW() WHERE id = $1`,
+      [resolved.thread_id]
+    );
+
+    const trustEvent = await TrustService.applyClaimChallengeDelta(resolved.store_id, resolved, { client });
+    if (!trustEvent) return { challenge: resolved, trustEvent };
+
+    const linked = await client.query(
+      'UPDATE claim_challenges SET trust_event_id = $2 WHERE id = $1 RETURNING *',
+      [resolved.id, trustEvent.id]
+    );
+    return { challenge: linked.rows[0], trustEvent };
+  }
+
+  static async _announce({ challenge, trustEvent }, resolvedBy) {
+    await TrustService.emitUpdated(trustEvent);
+    await ActivityService.emit('CLAIM_CHALLENGE_RESOLVED', resolvedBy, {
+      storeId: challenge.store_id,
+      listingId: challenge.listing_id,
+      threadId: challenge.thread_id,
+      trustEventId: trustEvent?.id
+    }, { claim: challenge.claim, outcome: challenge.status, conceded: challenge.conceded });
+
+    return { challenge, trustEvent };
+  }
+
+  static async _find(challengeId) {
+    const challenge = await queryOne(
+      `SELECT cc.*, s.owner_merchant_id
+       FROM claim_challenges cc JOIN stores s ON cc.store_id = s.id
+       WHERE cc.id = $1`,
+      [challengeId]
+    );
+    if (!challenge) throw new NotFoundError('Claim challenge');
+    return challenge;
+  }
+
+  static async _findForMerchant(merchantId, challengeId) {
+    const challenge = await this._find(challengeId);
+    if (challenge.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You do not own this store');
+    }
+    return challenge;
+  }
+
+  static async _findForChallenger(customerId, challengeId) {
+    const challenge = await this._find(challengeId);
+    if (challenge.challenger_id !== customerId) {
+      throw new ForbiddenError('Only the challenger can do that');
+    }
+    return challenge;
+  }
+
+  static _listColumns() {
+    return `cc.id, cc.thread_id, cc.store_id, cc.listing_id, cc.product_id, cc.claim, cc.details,
+            cc.status, cc.merchant_evidence, cc.responded_at, cc.conceded, cc.resolution_note,
+            cc.resolved_at, cc.trust_event_id, cc.created_at,
+            s.name as store_name, p.title as product_title, a.name as challenger_name`;
+  }
+
+  static _containsClaim({ product_title: title, product_description: description }, claim) {
+    const needle = this._normalize(claim).toLowerCase();
+    return [title, description].some(text => this._normalize(text).toLowerCase().includes(needle));
+  }
+
+  static _normalize(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().replace(/^["'“”]+|["'“”]+$/g, '').trim();
+  }
+
+  static _truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+  }
+}
+
+module.exports = ClaimChallengeService;
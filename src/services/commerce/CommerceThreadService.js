@@ -5,6 +5,7 @@
  */
 
 const { queryOne, queryAll } = require('../../config/database');
+const LookingForService = require('./LookingForService');
 
 class CommerceThreadService {
   /**
@@ -53,10 +54,11 @@ class CommerceThreadService {
   }
 
   /**
-   * Create an UPDATE post for patch notes
+   * Create an UPDATE post for patch notes. Pass a transaction client to
+   * create it as part of the caller's transaction.
    */
-  static async createUpdateThread(agentId, storeId, listingId, title, updateSummary) {
-    return queryOne(
+  static async createUpdateThread(agentId, storeId, listingId, title, updateSummary, client = null) {
+    const sql =
       `INSERT INTO posts (
         author_id, submolt_id, submolt, title, thread_type,
         context_store_id, context_listing_id, post_type, content
@@ -65,26 +67,35 @@ class CommerceThreadService {
         (SELECT id FROM submolts WHERE name = 'market'),
         'market',
         $2, 'UPDATE', $3, $4, 'text', $5
-      ) RETURNING *`,
-      [agentId, title || 'Store update', storeId, listingId, updateSummary]
-    );
+      ) RETURNING *`;
+    const params = [agentId, title || 'Store update', storeId, listingId, updateSummary];
+    if (client) return (await client.query(sql, params)).rows[0];
+    return queryOne(sql, params);
   }
 
   /**
-   * Create a LOOKING_FOR thread
+   * Create a LOOKING_FOR thread. content is the constraints JSON; its
+   * deadline (if parseable) becomes deadline_at.
    */
   static async createLookingForThread(agentId, title, content, contextListingId, contextStoreId) {
+    let deadline = null;
+    try {
+      deadline = LookingForService.parseDeadline(JSON.parse(content)?.deadline);
+    } catch {
+      deadline = null;
+    }
+
     return queryOne(
       `INSERT INTO posts (
         author_id, submolt_id, submolt, title, thread_type,
-        context_listing_id, context_store_id, post_type, content
+        context_listing_id, context_store_id, post_type, content, deadline_at
       ) VALUES (
         $1,
         (SELECT id FROM submolts WHERE name = 'market'),
         'market',
-        $2, 'LOOKING_FOR', $3, $4, 'text', $5
+        $2, 'LOOKING_FOR', $3, $4, 'text', $5, $6
       ) RETURNING *`,
-      [agentId, title, contextListingId || null, contextStoreId || null, content]
+      [agentId, title, contextListingId || null, contextStoreId || null, content, deadline]
     );
   }
 
@@ -106,6 +117,24 @@ class CommerceThreadService {
     );
   }
 
+  /**
+   * Create a CLAIM_CHALLENGE thread about a listing's product copy
+   */
+  static async createClaimChallengeThread(agentId, listingId, storeId, title, content) {
+    return queryOne(
+      `INSERT INTO posts (
+        author_id, submolt_id, submolt, title, thread_type,
+        context_listing_id, context_store_id, post_type, content
+      ) VALUES (
+        $1,
+        (SELECT id FROM submolts WHERE name = 'market'),
+        'market',
+        $2, 'CLAIM_CHALLENGE', $3, $4, 'text', $5
+      ) RETURNING *`,
+      [agentId, title, listingId, storeId, content]
+    );
+  }
+
   /**
    * Find the drop thread for a listing
    */
@@ -0,0 +1,104 @@
+/**
+ * Idempotency Service
+ * Stores the first outcome per (agent, key) so retried requests replay it
+ * instead of running twice. Used by the Idempotency-Key middleware and by
+ * RuntimeActions, which derives keys from the action itself.
+ */
+
+const crypto = require('crypto');
+const { queryOne } = require('../../config/database');
+const { ConflictError, UnprocessableEntityError } = require('../../utils/errors');
+
+/**
+ * JSON.stringify with sorted object keys, so equal payloads hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+class IdempotencyService {
+  /**
+   * Hash a request description (method, path, body, ...)
+   */
+  static fingerprint(request) {
+    return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+  }
+
+  /**
+   * Claim a key. Returns null if the caller should proceed, or the stored
+   * record to replay. Throws 422 if the key was used for a different
+   * request, 409 if the original is still running.
+   */
+  static async begin(agentId, key, requestHash, ttlSeconds) {
+    await queryOne(
+      'DELETE FROM idempotency_keys WHERE agent_id = $1 AND key = $2 AND expires_at <= NOW()',
+      [agentId, key]
+    );
+
+    const claimed = await queryOne(
+      `INSERT INTO idempotency_keys (agent_id, key, request_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(secs => $4))
+       ON CONFLICT (agent_id, key) DO NOTHING
+       RETURNING key`,
+      [agentId, key, requestHash, ttlSeconds]
+    );
+    if (claimed) return null;
+
+    const existing = await queryOne(
+      'SELECT * FROM idempotency_keys WHERE agent_id = $1 AND key = $2',
+      [agentId, key]
+    );
+    if (!existing) {
+      // Released between our insert and read — the retry can go ahead next time
+      throw new ConflictError('Idempotency key is being reset; retry the request');
+    }
+    if (existing.request_hash !== requestHash) {
+      throw new UnprocessableEntityError(
+        'Idempotency-Key was already used with a different request',
+        'Use a new key for each distinct request'
+      );
+    }
+    if (existing.status !== 'COMPLETED') {
+      throw new ConflictError('A request with this Idempotency-Key is still in progress', 'Retry shortly');
+    }
+    return existing;
+  }
+
+  /**
+   * Store the outcome for replay
+   */
+  static async complete(agentId, key, responseStatus, responseBody) {
+    await queryOne(
+      `UPDATE idempotency_keys
+       SET status = 'COMPLETED', response_status = $3, response_body = $4
+       WHERE agent_id = $1 AND key = $2`,
+      [agentId, key, responseStatus, responseBody ?? null]
+    );
+  }
+
+  /**
+   * Drop a claim without an outcome (e.g. server error) so a retry runs again
+   */
+  static async release(agentId, key) {
+    await queryOne('DELETE FROM idempotency_keys WHERE agent_id = $1 AND key = $2', [agentId, key]);
+  }
+
+  /**
+   * Remove expired keys
+   */
+  static async purgeExpired() {
+    const result = await queryOne(
+      `WITH purged AS (DELETE FROM idempotency_keys WHERE expires_at <= NOW() RETURNING 1)
+       SELECT COUNT(*)::int as count FROM purged`
+    );
+    return result.count;
+  }
+}
+
+module.exports = IdempotencyService;
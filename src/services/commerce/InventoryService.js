@@ -0,0 +1,260 @@
+/**
+ * Inventory Service
+ * Stock held for accepted offers, restocks, and the movements ledger.
+ * Available-to-sell is inventory_on_hand minus live reservations;
+ * reservations are taken and checked under the listing's row lock so they
+ * can't oversell. Every stock change is appended to inventory_movements.
+ */
+
+const { queryOne, queryAll, transaction } = require('../../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
+const VariantService = require('./VariantService');
+
+// A reservation counts until it is consumed, released, or its offer lapses
+const LIVE_RESERVATION = `r.status = 'ACTIVE' AND (r.expires_at IS NULL OR r.expires_at > NOW())`;
+
+class InventoryService {
+  /**
+   * SQL expression for a listing's live reserved quantity (for SELECT lists)
+   */
+  static reservedQuantitySql(listingAlias = 'l') {
+    return `(SELECT COALESCE(SUM(r.quantity), 0)::int FROM inventory_reservations r
+             WHERE r.listing_id = ${listingAlias}.id AND ${LIVE_RESERVATION})`;
+  }
+
+  /**
+   * SQL expression for a listing's available-to-sell quantity
+   */
+  static availableQuantitySql(listingAlias = 'l') {
+    return `GREATEST(${listingAlias}.inventory_on_hand - ${this.reservedQuantitySql(listingAlias)}, 0)`;
+  }
+
+  /**
+   * Live reserved quantity per listing, optionally ignoring one offer's hold
+   * (the buyer redeeming it). Call with the listing rows already locked.
+   */
+  static async reservedQuantities(client, listingIds, { excludeOfferId = null } = {}) {
+    const result = await client.query(
+      `SELECT r.listing_id, SUM(r.quantity)::int as reserved
+       FROM inventory_reservations r
+       WHERE r.listing_id = ANY($1::uuid[]) AND ${LIVE_RESERVATION}
+         AND ($2::uuid IS NULL OR r.offer_id <> $2::uuid)
+       GROUP BY r.listing_id`,
+      [listingIds, excludeOfferId]
+    );
+    const reserved = new Map(listingIds.map(id => [id, 0]));
+    for (const row of result.rows) reserved.set(row.listing_id, row.reserved);
+    return reserved;
+  }
+
+  /**
+   * Live reserved quantity per variant, optionally ignoring one offer's hold
+   */
+  static async variantReservedQuantities(client, variantIds, { excludeOfferId = null } = {}) {
+    const result = await client.query(
+      `SELECT r.variant_id, SUM(r.quantity)::int as reserved
+       FROM inventory_reservations r
+       WHERE r.variant_id = ANY($1::uuid[]) AND ${LIVE_RESERVATION}
+         AND ($2::uuid IS NULL OR r.offer_id <> $2::uuid)
+       GROUP BY r.variant_id`,
+      [variantIds, excludeOfferId]
+    );
+    const reserved = new Map(variantIds.map(id => [id, 0]));
+    for (const row of result.rows) reserved.set(row.variant_id, row.reserved);
+    return reserved;
+  }
+
+  /**
+   * Available-to-sell for a variant (call with the variant row locked)
+   */
+  static async variantAvailable(client, variant, { excludeOfferId = null } = {}) {
+    const reserved = (await this.variantReservedQuantities(client, [variant.id], { excludeOfferId })).get(variant.id);
+    return variant.inventory_on_hand - reserved;
+  }
+
+  /**
+   * Hold stock for an accepted offer. Locks the product (if it has
+   * variants), then the listing; fails if the available quantity can't
+   * cover the offer.
+   */
+  static async reserveForOffer(client, offer) {
+    await VariantService.lockProducts(client, [offer.listing_id]);
+    const listingResult = await client.query(
+      `SELECT l.id, l.inventory_on_hand, l.status, s.status as store_status
+       FROM listings l JOIN stores s ON l.store_id = s.id
+       WHERE l.id = $1 FOR UPDATE OF l`,
+      [offer.listing_id]
+    );
+    const listing = listingResult.rows[0];
+    if (!listing || listing.status !== 'ACTIVE') {
+      throw new BadRequestError('Listing is not currently active');
+    }
+    if (listing.store_status !== 'ACTIVE') {
+      throw new BadRequestError('This store is not currently open');
+    }
+
+    const reserved = (await this.reservedQuantities(client, [listing.id])).get(listing.id);
+    let available = listing.inventory_on_hand - reserved;
+    if (offer.variant_id) {
+      const variantResult = await client.query(
+        'SELECT id, inventory_on_hand FROM product_variants WHERE id = $1 FOR UPDATE',
+        [offer.variant_id]
+      );
+      available = Math.min(available, await this.variantAvailable(client, variantResult.rows[0]));
+    }
+    if (available < offer.quantity) {
+      throw new BadRequestError(`Not enough stock to reserve (available: ${Math.max(available, 0)})`);
+    }
+
+    const result = await client.query(
+      `INSERT INTO inventory_reservations (listing_id, offer_id, customer_id, quantity, expires_at, variant_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [listing.id, offer.id, offer.buyer_customer_id, offer.quantity, offer.expires_at, offer.variant_id || null]
+    );
+    await this.recordMovement(client, {
+      listingId: listing.id,
+      variantId: offer.variant_id || null,
+      type: 'RESERVATION',
+      reservedDelta: offer.quantity,
+      offerId: offer.id,
+      note: 'Held for accepted offer'
+    });
+    return result.rows[0];
+  }
+
+  /**
+   * Close an offer's active reservation: CONSUMED on purchase,
+   * CANCELLED or EXPIRED when the deal falls through
+   */
+  static async releaseForOffers(client, offerIds, status, actorId = null) {
+    await client.query(
+      `WITH released AS (
+         UPDATE inventory_reservations SET status = $2, released_at = NOW()
+         WHERE offer_id = ANY($1::uuid[]) AND status = 'ACTIVE'
+         RETURNING listing_id, variant_id, offer_id, quantity
+       )
+       INSERT INTO inventory_movements (listing_id, variant_id, type, reserved_delta, on_hand_after, actor_agent_id, offer_id, note)
+       SELECT r.listing_id, r.variant_id, 'RESERVATION', -r.quantity, l.inventory_on_hand, $3, r.offer_id,
+              'Hold released: ' || lower($2)
+       FROM released r
+       JOIN listings l ON l.id = r.listing_id`,
+      [offerIds, status, actorId]
+    );
+  }
+
+  // ─── Ledger ─────────────────────────────────────────────────
+
+  /**
+   * Append a movement. Call after inventory_on_hand has been updated so
+   * on_hand_after reflects the change. Pass a transaction client, or null
+   * outside a transaction.
+   */
+  static async recordMovement(client, {
+    listingId, variantId = null, type, onHandDelta = 0, reservedDelta = 0,
+    actorId = null, orderId = null, offerId = null, returnRequestId = null, note = null
+  }) {
+    const sql = `INSERT INTO inventory_movements (listing_id, type, on_hand_delta, reserved_delta, on_hand_after,
+                   actor_agent_id, order_id, offer_id, return_request_id, note, variant_id)
+                 SELECT $1, $2, $3, $4, inventory_on_hand, $5, $6, $7, $8, $9, $10
+                 FROM listings WHERE id = $1
+                 RETURNING *`;
+    const params = [listingId, type, onHandDelta, reservedDelta, actorId, orderId, offerId, returnRequestId, note, variantId];
+    return client ? (await client.query(sql, params)).rows[0] : queryOne(sql, params);
+  }
+
+  /**
+   * Add stock to a listing (store owner only). A SOLD_OUT listing
+   * becomes ACTIVE again; a PAUSED one stays paused. Products with
+   * variants are restocked one variant at a time.
+   */
+  static async restock(merchantId, listingId, { quantity, note, variantId } = {}) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new BadRequestError('Restock quantity must be a positive integer');
+    }
+
+    return transaction(async (client) => {
+      const productIds = await VariantService.lockProducts(client, [listingId]);
+      const listingResult = await client.query(
+        `SELECT l.id, l.status, l.variant_id, s.owner_merchant_id
+         FROM listings l JOIN stores s ON l.store_id = s.id
+         WHERE l.id = $1
+         FOR UPDATE OF l`,
+        [listingId]
+      );
+      const listing = listingResult.rows[0];
+      if (!listing) throw new NotFoundError('Listing');
+      if (listing.owner_merchant_id !== merchantId) {
+        throw new ForbiddenError('You do not own this store');
+      }
+      if (listing.status === 'RETIRED') {
+        throw new BadRequestError('Listing is retired');
+      }
+
+      const variant = await VariantService.resolveForListing(client, listing, variantId, { lock: true });
+      if (variant) {
+        await client.query(
+          'UPDATE product_variants SET inventory_on_hand = inventory_on_hand + $2, updated_at = NOW() WHERE id = $1',
+          [variant.id, quantity]
+        );
+      }
+
+      const updated = await client.query(
+        `UPDATE listings SET
+          inventory_on_hand = inventory_on_hand + $2,
+          status = CASE WHEN status = 'SOLD_OUT' THEN 'ACTIVE' ELSE status END,
+          updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [listingId, quantity]
+      );
+      const movement = await this.recordMovement(client, {
+        listingId,
+        variantId: variant?.id || null,
+        type: 'RESTOCK',
+        onHandDelta: quantity,
+        actorId: merchantId,
+        note: note ? note.trim() : null
+      });
+      await VariantService.syncListingStock(client, productIds, { actorId: merchantId });
+
+      return { listing: updated.rows[0], movement };
+    });
+  }
+
+  /**
+   * A listing's stock history, newest first (store owner only)
+   */
+  static async getLedger(merchantId, listingId, { limit = 50, offset = 0 } = {}) {
+    const listing = await queryOne(
+      `SELECT l.id, l.inventory_on_hand, s.owner_merchant_id,
+              ${this.reservedQuantitySql()} as reserved_quantity
+       FROM listings l JOIN stores s ON l.store_id = s.id
+       WHERE l.id = $1`,
+      [listingId]
+    );
+    if (!listing) throw new NotFoundError('Listing');
+    if (listing.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You do not own this store');
+    }
+
+    const movements = await queryAll(
+      `SELECT m.*, a.name as actor_name
+       FROM inventory_movements m
+       LEFT JOIN agents a ON m.actor_agent_id = a.id
+       WHERE m.listing_id = $1
+       ORDER BY m.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [listingId, limit, offset]
+    );
+
+    return {
+      listingId,
+      inventoryOnHand: listing.inventory_on_hand,
+      reservedQuantity: listing.reserved_quantity,
+      movements
+    };
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,239 @@
+/**
+ * Listing Search Service
+ * Full-text search over active listings (listings.search_document, kept
+ * current by triggers — see migration 030) with filters, facets, sort
+ * options and highlighted snippets.
+ *
+ * Facets are disjunctive: each one is counted with every filter applied
+ * except its own, so a client can show the alternatives to a selection.
+ */
+
+const { queryAll } = require('../../config/database');
+const { BadRequestError } = require('../../utils/errors');
+const InventoryService = require('./InventoryService');
+const CategoryService = require('./CategoryService');
+const RatingService = require('./RatingService');
+
+const MAX_QUERY_LENGTH = 200;
+
+const PRICE_BUCKETS = [
+  { key: 'under-10', minCents: 0, maxCents: 999 },
+  { key: '10-25', minCents: 1000, maxCents: 2499 },
+  { key: '25-50', minCents: 2500, maxCents: 4999 },
+  { key: '50-100', minCents: 5000, maxCents: 9999 },
+  { key: '100-plus', minCents: 10000, maxCents: null }
+];
+
+// Trust score (0-100) bands, highest first
+const TRUST_BANDS = [
+  { key: 'high', min: 75, max: null },
+  { key: 'good', min: 60, max: 75 },
+  { key: 'fair', min: 40, max: 60 },
+  { key: 'low', min: null, max: 40 }
+];
+
+// ORDER BY over the matched set's columns; {m} is the table prefix
+const SORTS = {
+  relevance: '{m}rank DESC, {m}created_at DESC',
+  price_asc: '{m}price_cents ASC, {m}created_at DESC',
+  price_desc: '{m}price_cents DESC, {m}created_at DESC',
+  newest: '{m}created_at DESC',
+  trust: '{m}trust_score DESC NULLS LAST, {m}rank DESC, {m}created_at DESC',
+  rating: '{m}rating_score DESC, {m}review_count DESC, {m}created_at DESC'
+};
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=10, MaxFragments=2';
+
+class ListingSearchService {
+  /**
+   * Search active listings.
+   * Filters: storeId, category (slug, includes subcategories), tag,
+   * minPriceCents/maxPriceCents, trustBand, inStock.
+   * Sort: relevance (default with q, else newest), price_asc, price_desc, newest, trust,
+   * rating (Bayesian-adjusted).
+   */
+  static async search({
+    q = null, storeId = null, category = null, tag = null,
+    minPriceCents = null, maxPriceCents = null, trustBand = null, inStock = null,
+    sort = null, limit = 20, offset = 0
+  } = {}) {
+    const text = typeof q === 'string' ? q.trim() : '';
+    if (text.length > MAX_QUERY_LENGTH) {
+      throw new BadRequestError(`Search query can be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    const sortKey = sort || (text ? 'relevance' : 'newest');
+    if (!SORTS[sortKey]) {
+      throw new BadRequestError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+    for (const [name, value] of [['minPriceCents', minPriceCents], ['maxPriceCents', maxPriceCents]]) {
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new BadRequestError(`${name} must be a non-negative integer`);
+      }
+    }
+    const band = trustBand ? TRUST_BANDS.find(b => b.key === trustBand) : null;
+    if (trustBand && !band) {
+      throw new BadRequestError(`trustBand must be one of: ${TRUST_BANDS.map(b => b.key).join(', ')}`);
+    }
+
+    // $1 is the text query ('' = match everything)
+    const params = [text];
+    const base = [`l.status = 'ACTIVE'`, `s.status = 'ACTIVE'`, `($1 = '' OR l.search_document @@ websearch_to_tsquery('english', $1))`];
+    if (tag) {
+      params.push(CategoryService.normalizeTag(tag));
+      base.push(`$${params.length} = ANY(p.tags)`);
+    }
+
+    // Facetable filters, kept apart so each facet can drop its own
+    const filters = { price: 'TRUE', store: 'TRUE', category: 'TRUE', trust: 'TRUE', stock: 'TRUE' };
+    if (minPriceCents !== null || maxPriceCents !== null) {
+      params.push(minPriceCents, maxPriceCents);
+      filters.price = `price_cents BETWEEN COALESCE($${params.length - 1}::int, 0) AND COALESCE($${params.length}::int, 2147483647)`;
+    }
+    if (storeId) {
+      params.push(storeId);
+      filters.store = `store_id = $${params.length}::uuid`;
+    }
+    const categoryRow = await CategoryService.resolve(category);
+    if (categoryRow) {
+      params.push(categoryRow.id);
+      filters.category = `category_id IN ${CategoryService.subtreeIdsSql(`$${params.length}`)}`;
+    }
+    if (band) filters.trust = this._bandSql(band);
+    if (inStock !== null) filters.stock = inStock ? 'available > 0' : 'available = 0';
+
+    // One statement: the matched set is built once and shared by the page,
+    // the total and the facets
+    const where = (...skip) => Object.entries(filters)
+      .filter(([name]) => !skip.includes(name))
+      .map(([, sql]) => `(${sql})`)
+      .join(' AND ');
+    params.push(limit, offset);
+
+    const rows = await queryAll(
+      `WITH matched AS MATERIALIZED (
+         SELECT l.id, l.store_id, l.price_cents, l.created_at, p.category_id,
+                tp.overall_score as trust_score,
+                ${RatingService.bayesianSql('ra')} as rating_score, COALESCE(ra.review_count, 0) as review_count,
+                ${InventoryService.availableQuantitySql()} as available,
+                CASE WHEN $1 = '' THEN 0
+                     ELSE ts_rank_cd(l.search_document, websearch_to_tsquery('english', $1)) END as rank
+         FROM listings l
+         JOIN products p ON l.product_id = p.id
+         JOIN stores s ON l.store_id = s.id
+         LEFT JOIN trust_profiles tp ON tp.store_id = s.id
+         LEFT JOIN rating_aggregates ra ON ra.scope = 'LISTING' AND ra.scope_id = l.id
+         WHERE ${base.join(' AND ')}
+       ),
+       facets AS (
+         SELECT 'price' as facet, ${this._bucketSql()} as key, NULL as label, COUNT(*)::int as count
+         FROM matched WHERE ${where('price')} GROUP BY 2
+         UNION ALL
+         SELECT * FROM (
+           SELECT 'store', m.store_id::text, s.name, COUNT(*)::int
+           FROM matched m JOIN stores s ON s.id = m.store_id
+           WHERE ${where('store')} GROUP BY m.store_id, s.name
+           ORDER BY 4 DESC, 3 LIMIT 20
+         ) stores
+         UNION ALL
+         SELECT 'category', c.slug, c.name, COUNT(*)::int
+         FROM matched m JOIN categories c ON c.id = m.category_id
+         WHERE ${where('category')} GROUP BY c.slug, c.name
+         UNION ALL
+         SELECT 'trust', ${this._trustBandCaseSql()}, NULL, COUNT(*)::int
+         FROM matched WHERE ${where('trust')} GROUP BY 2
+         UNION ALL
+         SELECT 'inStock', (available > 0)::text, NULL, COUNT(*)::int
+         FROM matched WHERE ${where('stock')} GROUP BY 2
+       )
+       SELECT summary.total, summary.facets, r.*
+       FROM (
+         SELECT (SELECT COUNT(*)::int FROM matched WHERE ${where()}) as total,
+                (SELECT COALESCE(json_agg(f), '[]') FROM facets f) as facets
+       ) summary
+       LEFT JOIN LATERAL (
+         SELECT l.id, l.product_id, l.store_id, l.price_cents, l.currency, l.status, l.inventory_on_hand,
+                l.created_at, m.available as inventory_available, m.trust_score, m.rank,
+                m.rating_score, m.review_count,
+                p.title as product_title, p.tags, c.slug as category_slug, c.name as category_name,
+                s.name as store_name,
+                CASE WHEN $1 = '' THEN p.title
+                     ELSE ts_headline('english', p.title, websearch_to_tsquery('english', $1), 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') END as title_highlight,
+                CASE WHEN $1 = '' THEN LEFT(p.description, 200)
+                     ELSE ts_headline('english', p.description, websearch_to_tsquery('english', $1), '${HEADLINE_OPTIONS}') END as snippet,
+                (SELECT image_url FROM product_images WHERE product_id = l.product_id ORDER BY position ASC LIMIT 1) as primary_image_url
+         FROM (
+           SELECT * FROM matched
+           WHERE ${where()}
+           ORDER BY ${SORTS[sortKey].replace(/\{m\}/g, '')}
+           LIMIT $${params.length - 1} OFFSET $${params.length}
+         ) m
+         JOIN listings l ON l.id = m.id
+         JOIN products p ON l.product_id = p.id
+         JOIN stores s ON l.store_id = s.id
+         LEFT JOIN categories c ON p.category_id = c.id
+       ) r ON TRUE
+       ORDER BY ${SORTS[sortKey].replace(/\{m\}/g, 'r.')}`,
+      params
+    );
+
+    // An empty page still yields the summary row, with no listing columns
+    const summary = rows[0];
+    return {
+      query: text,
+      sort: sortKey,
+      total: summary.total,
+      results: rows.filter(row => row.id !== null).map(({ total, facets, ...row }) => row),
+      facets: this._shapeFacets(summary.facets)
+    };
+  }
+
+  /**
+   * Band condition on the matched set; stores without a trust profile
+   * count at the default score of 50
+   */
+  static _bandSql(band) {
+    const parts = [];
+    if (band.min !== null) parts.push(`COALESCE(trust_score, 50) >= ${band.min}`);
+    if (band.max !== null) parts.push(`COALESCE(trust_score, 50) < ${band.max}`);
+    return parts.join(' AND ');
+  }
+
+  static _trustBandCaseSql() {
+    const whens = TRUST_BANDS.map(band =>
+      `WHEN ${this._bandSql(band)} THEN '${band.key}'`
+    ).join(' ');
+    return `CASE ${whens} END`;
+  }
+
+  static _bucketSql() {
+    const whens = PRICE_BUCKETS
+      .filter(b => b.maxCents !== null)
+      .map(b => `WHEN price_cents <= ${b.maxCents} THEN '${b.key}'`)
+      .join(' ');
+    return `CASE ${whens} ELSE '${PRICE_BUCKETS[PRICE_BUCKETS.length - 1].key}' END`;
+  }
+
+  /**
+   * Facet rows → { price: [...buckets], store: [...], category: [...], trust: [...], inStock: {...} }
+   * Price buckets and trust bands are always listed (count 0 when empty)
+   */
+  static _shapeFacets(rows) {
+    const of = (facet) => rows.filter(r => r.facet === facet);
+    const counts = (facet) => new Map(of(facet).map(r => [r.key, r.count]));
+
+    const price = counts('price');
+    const trust = counts('trust');
+    const stock = counts('inStock');
+    return {
+      price: PRICE_BUCKETS.map(b => ({ ...b, count: price.get(b.key) || 0 })),
+      store: of('store').map(r => ({ storeId: r.key, name: r.label, count: r.count })),
+      category: of('category')
+        .map(r => ({ slug: r.key, name: r.label, count: r.count }))
+        .sort((a, b) => b.count - a.count),
+      trust: TRUST_BANDS.map(b => ({ ...b, count: trust.get(b.key) || 0 })),
+      inStock: { true: stock.get('true') || 0, false: stock.get('false') || 0 }
+    };
+  }
+}
+
+module.exports = ListingSearchService;
@@ -0,0 +1,237 @@
+/**
+ * Looking-For Match Service
+ * Scores active listings against a LOOKING_FOR thread's constraints
+ * (stored as JSON in posts.content):
+ *   - budgetCents: full marks within budget, tapering to zero at 25% over
+ *   - category: a category slug/name matches that subtree; anything else
+ *     is treated as a keyword against the listing's search document
+ *   - mustHaves: share of must-haves found in the listing's search document
+ *   - title: the thread title's words found in the search document, full
+ *     marks at TITLE_SATURATION words (always scored, so a thread without
+ *     scorable constraints still matches on what it asks for)
+ * Missing constraints drop out and the remaining weights are rescaled.
+ * deadline isn't scored — listings carry no delivery estimate.
+ *
+ * Candidates are narrowed in SQL first: a listing must hit the category or
+ * a word of the title/must-haves/category keyword, and sit within the
+ * budget band; the best CANDIDATE_LIMIT of those are scored.
+ */
+
+const { queryOne, queryAll } = require('../../config/database');
+const { NotFoundError } = require('../../utils/errors');
+const CategoryService = require('./CategoryService');
+
+const WEIGHTS = { budget: 0.35, category: 0.25, mustHaves: 0.4, title: 0.15 };
+const BUDGET_TOLERANCE = 0.25;
+const TITLE_SATURATION = 3;
+const MIN_SCORE = 0.4;
+const CANDIDATE_LIMIT = 200;
+
+class LookingForMatchService {
+  /**
+   * Best-matching active listings for a looking-for thread.
+   * Pass storeIds to only consider those stores' listings.
+   */
+  static async getMatches(postId, { limit = 10, storeIds = null } = {}) {
+    const post = await queryOne(
+      `SELECT p.id, p.title, p.content, p.thread_status, p.author_id, p.created_at, a.name as author_name
+       FROM posts p JOIN agents a ON p.author_id = a.id
+       WHERE p.id = $1 AND p.thread_type = 'LOOKING_FOR'`,
+      [postId]
+    );
+    if (!post) throw new NotFoundError('Looking-for thread');
+
+    const constraints = this.parseConstraints(post.content);
+    const matches = await this.scoreListings(post.title, constraints, { limit, storeIds });
+    return {
+      thread: {
+        id: post.id,
+        title: post.title,
+        status: post.thread_status,
+        authorName: post.author_name,
+        constraints
+      },
+      matches
+    };
+  }
+
+  /**
+   * Open looking-for threads this merchant's listings match and the
+   * merchant hasn't answered yet, newest first
+   */
+  static async getDemandForMerchant(merchantId, { threads = 5, matchesPerThread = 2 } = {}) {
+    const stores = await queryAll(
+      `SELECT id FROM stores WHERE owner_merchant_id = $1 AND status = 'ACTIVE'`,
+      [merchantId]
+    );
+    if (stores.length === 0) return [];
+    const storeIds = stores.map(s => s.id);
+
+    const open = await queryAll(
+      `SELECT p.id FROM posts p
+       WHERE p.thread_type = 'LOOKING_FOR' AND p.thread_status = 'OPEN'
+         AND (p.deadline_at IS NULL OR p.deadline_at > NOW())
+         AND p.author_id <> $1
+         AND NOT EXISTS (SELECT 1 FROM comments c WHERE c.post_id = p.id AND c.author_id = $1)
+       ORDER BY p.created_at DESC
+       LIMIT $2`,
+      [merchantId, threads * 2]
+    );
+
+    const demand = [];
+    for (const { id } of open) {
+      const { thread, matches } = await this.getMatches(id, { limit: matchesPerThread, storeIds });
+      if (matches.length > 0) demand.push({ ...thread, matches });
+      if (demand.length >= threads) break;
+    }
+    return demand;
+  }
+
+  /**
+   * Score listings against a title + constraints, best first.
+   * Pass listingIds to score just those listings, whatever their status
+   * (e.g. one that sold out to the order answering the thread).
+   */
+  static async scoreListings(title, constraints, { limit = 10, storeIds = null, listingIds = null } = {}) {
+    const { budgetCents, category, mustHaves } = constraints;
+    const categoryRow = category ? await CategoryService.find(category) : null;
+    const titleWords = this._words(title);
+
+    const anyWord = this._anyWordQuery([title, ...mustHaves, categoryRow ? '' : category || ''].join(' '));
+    const params = [anyWord, mustHaves, titleWords];
+    let categorySql = 'FALSE';
+    if (categoryRow) {
+      params.push(categoryRow.id);
+      categorySql = `p.category_id IN ${CategoryService.subtreeIdsSql(`$${params.length}`)}`;
+    } else if (category) {
+      params.push(category);
+      categorySql = `l.search_document @@ plainto_tsquery('english', $${params.length})`;
+    }
+    let filters = '';
+    if (listingIds) {
+      params.push(listingIds);
+      filters += ` AND l.id = ANY($${params.length}::uuid[])`;
+    } else {
+      filters += ` AND l.status = 'ACTIVE' AND s.status = 'ACTIVE'`;
+    }
+    if (storeIds) {
+      params.push(storeIds);
+      filters += ` AND l.store_id = ANY($${params.length}::uuid[])`;
+    }
+    if (budgetCents) {
+      // Past the tolerance the budget scores zero; those listings aren't candidates
+      params.push(Math.floor(budgetCents * (1 + BUDGET_TOLERANCE)));
+      filters += ` AND COALESCE(promo.promo_price_cents, l.price_cents) <= $${params.length}`;
+    }
+    params.push(CANDIDATE_LIMIT);
+
+    const candidates = await queryAll(
+      `SELECT c.*,
+              ARRAY(SELECT m FROM unnest($2::text[]) m
+                    WHERE c.search_document @@ plainto_tsquery('english', m)) as must_have_hits,
+              ARRAY(SELECT w FROM unnest($3::text[]) w
+                    WHERE c.search_document @@ plainto_tsquery('english', w)) as title_hits
+       FROM (
+         SELECT l.id, l.store_id, l.price_cents, l.search_document, s.name as store_name,
+                p.title as product_title, c.slug as category_slug, promo.promo_price_cents,
+                (${categorySql}) as category_match,
+                CASE WHEN $1 = '' THEN 0
+                     ELSE ts_rank_cd(l.search_document, to_tsquery('english', $1)) END as text_rank
+         FROM listings l
+         JOIN products p ON l.product_id = p.id
+         JOIN stores s ON l.store_id = s.id
+         LEFT JOIN categories c ON p.category_id = c.id
+         LEFT JOIN promotions promo ON promo.listing_id = l.id
+           AND promo.status = 'ACTIVE' AND promo.expires_at > NOW()
+         WHERE ((${categorySql}) OR ($1 <> '' AND l.search_document @@ to_tsquery('english', $1)))${filters}
+         ORDER BY category_match DESC, text_rank DESC
+         LIMIT $${params.length}
+       ) c`,
+      params
+    );
+
+    return candidates
+      .map(listing => this._score(listing, { budgetCents, category, mustHaves, titleWords }))
+      .filter(match => match.score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score || b.textRank - a.textRank)
+      .slice(0, limit)
+      .map(({ textRank, ...match }) => match);
+  }
+
+  /**
+   * Constraints JSON from posts.content, normalized; unparseable content
+   * means no constraints
+   */
+  static parseConstraints(content) {
+    let raw;
+    try {
+      raw = JSON.parse(content);
+    } catch {
+      raw = {};
+    }
+    if (!raw || typeof raw !== 'object') raw = {};
+
+    const budget = parseInt(raw.budgetCents, 10);
+    return {
+      budgetCents: Number.isInteger(budget) && budget > 0 ? budget : null,
+      deadline: raw.deadline || null,
+      category: typeof raw.category === 'string' && raw.category.trim() ? raw.category.trim() : null,
+      mustHaves: Array.isArray(raw.mustHaves)
+        ? raw.mustHaves.filter(m => typeof m === 'string' && m.trim()).map(m => m.trim()).slice(0, 10)
+        : []
+    };
+  }
+
+  static _score(listing, { budgetCents, category, mustHaves, titleWords }) {
+    const priceCents = listing.promo_price_cents ?? listing.price_cents;
+    const parts = {};
+    if (budgetCents) {
+      const over = (priceCents - budgetCents) / budgetCents;
+      parts.budget = over <= 0 ? 1 : Math.max(0, 1 - over / BUDGET_TOLERANCE);
+    }
+    if (category) parts.category = listing.category_match ? 1 : 0;
+    if (mustHaves.length > 0) parts.mustHaves = listing.must_have_hits.length / mustHaves.length;
+    if (titleWords.length > 0) {
+      parts.title = Math.min(1, listing.title_hits.length / Math.min(TITLE_SATURATION, titleWords.length));
+    }
+
+    const weight = Object.keys(parts).reduce((sum, key) => sum + WEIGHTS[key], 0);
+    const score = weight === 0 ? 0
+      : Object.entries(parts).reduce((sum, [key, value]) => sum + WEIGHTS[key] * value, 0) / weight;
+
+    return {
+      listingId: listing.id,
+      storeId: listing.store_id,
+      storeName: listing.store_name,
+      productTitle: listing.product_title,
+      categorySlug: listing.category_slug,
+      priceCents,
+      score: Math.round(score * 100) / 100,
+      reasons: {
+        withinBudget: budgetCents ? priceCents <= budgetCents : null,
+        categoryMatch: category ? listing.category_match : null,
+        mustHaveHits: listing.must_have_hits,
+        mustHaveMisses: mustHaves.filter(m => !listing.must_have_hits.includes(m)),
+        titleWordHits: listing.title_hits
+      },
+      textRank: listing.text_rank
+    };
+  }
+
+  /**
+   * Distinct words (3+ letters/digits) of a text, at most 20
+   */
+  static _words(text) {
+    const words = (text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+    return [...new Set(words)].slice(0, 20);
+  }
+
+  /**
+   * OR of a text's words as a to_tsquery string ('' if none)
+   */
+  static _anyWordQuery(text) {
+    return this._words(text).join(' | ');
+  }
+}
+
+module.exports = LookingForMatchService;
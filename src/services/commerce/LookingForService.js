@@ -0,0 +1,222 @@
+/**
+ * Looking-For Service
+ * Lifecycle of LOOKING_FOR threads: OPEN until the author links the order
+ * that fulfilled the request, withdraws it, or its deadline passes; then
+ * CLOSED (close_reason FULFILLED / WITHDRAWN / EXPIRED), and ARCHIVED once
+ * it has been closed for ARCHIVE_AFTER_DAYS.
+ */
+
+const { queryOne, queryAll } = require('../../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../utils/errors');
+const ActivityService = require('./ActivityService');
+const LookingForMatchService = require('./LookingForMatchService');
+
+const ARCHIVE_AFTER_DAYS = 7;
+const ORDERS_PER_THREAD = 10;
+
+class LookingForService {
+  /**
+   * Deadline constraint → Date, or null if missing or unparseable.
+   * A bare YYYY-MM-DD means the end of that day (UTC).
+   */
+  static parseDeadline(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const text = String(value).trim();
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59Z` : text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Mark a thread fulfilled by one of the author's orders (author only).
+   * Works on an open thread or one that expired before the author got
+   * round to it; the order must have been placed after the thread.
+   */
+  static async fulfill(customerId, threadId, { orderId }) {
+    const thread = await this._findOwnThread(customerId, threadId);
+    if (thread.close_reason === 'FULFILLED') {
+      throw new ConflictError('This request has already been marked fulfilled');
+    }
+    if (thread.thread_status === 'ARCHIVED' || (thread.thread_status === 'CLOSED' && thread.close_reason !== 'EXPIRED')) {
+      throw new BadRequestError('This request is closed');
+    }
+
+    const order = await queryOne(
+      `SELECT o.id, o.buyer_customer_id, o.store_id, o.listing_id, o.status, o.placed_at,
+              s.name as store_name
+       FROM orders o JOIN stores s ON o.store_id = s.id
+       WHERE o.id = $1`,
+      [orderId]
+    );
+    if (!order) throw new NotFoundError('Order');
+    if (order.buyer_customer_id !== customerId) {
+      throw new ForbiddenError('You can only link your own orders');
+    }
+    if (order.status === 'REFUNDED') {
+      throw new BadRequestError('A refunded order cannot fulfill a request');
+    }
+    if (new Date(order.placed_at) < new Date(thread.created_at)) {
+      throw new BadRequestError('That order was placed before this request was posted');
+    }
+
+    const updated = await queryOne(
+      `UPDATE posts SET thread_status = 'CLOSED', close_reason = 'FULFILLED',
+              closed_at = NOW(), fulfilled_order_id = $2, fulfilled_store_id = $3
+       WHERE id = $1 AND close_reason IS DISTINCT FROM 'FULFILLED' AND thread_status <> 'ARCHIVED'
+       RETURNING ${this._columns()}`,
+      [threadId, order.id, order.store_id]
+    );
+    if (!updated) throw new ConflictError('This request has already been marked fulfilled');
+
+    const pitch = await queryOne(
+      'SELECT id FROM looking_for_pitches WHERE thread_id = $1 AND store_id = $2',
+      [threadId, order.store_id]
+    );
+
+    await ActivityService.emit('LOOKING_FOR_FULFILLED', customerId, {
+      storeId: order.store_id,
+      listingId: order.listing_id,
+      threadId,
+      orderId: order.id
+    }, { storeName: order.store_name, threadTitle: thread.title, viaPitch: !!pitch });
+
+    return { thread: updated, store: { id: order.store_id, name: order.store_name } };
+  }
+
+  /**
+   * Withdraw an open request (author only)
+   */
+  static async close(customerId, threadId) {
+    const thread = await this._findOwnThread(customerId, threadId);
+    if (thread.thread_status !== 'OPEN') {
+      throw new BadRequestError('This request is already closed');
+    }
+
+    const updated = await queryOne(
+      `UPDATE posts SET thread_status = 'CLOSED', close_reason = 'WITHDRAWN', closed_at = NOW()
+       WHERE id = $1 AND thread_status = 'OPEN'
+       RETURNING ${this._columns()}`,
+      [threadId]
+    );
+    if (!updated) throw new BadRequestError('This request is already closed');
+
+    await ActivityService.emit('THREAD_CLOSED', customerId, { threadId }, { reason: 'WITHDRAWN' });
+    return updated;
+  }
+
+  /**
+   * Close open threads past their deadline and archive threads that have
+   * been closed for ARCHIVE_AFTER_DAYS
+   */
+  static async sweep() {
+    const expired = await queryAll(
+      `UPDATE posts SET thread_status = 'CLOSED', close_reason = 'EXPIRED', closed_at = NOW()
+       WHERE thread_type = 'LOOKING_FOR' AND thread_status = 'OPEN' AND deadline_at <= NOW()
+       RETURNING id, author_id`
+    );
+    for (const thread of expired) {
+      await ActivityService.emit('THREAD_CLOSED', thread.author_id, { threadId: thread.id }, { reason: 'EXPIRED' });
+    }
+
+    const archived = await queryAll(
+      `UPDATE posts SET thread_status = 'ARCHIVED'
+       WHERE thread_type = 'LOOKING_FOR' AND thread_status = 'CLOSED'
+         AND closed_at < NOW() - $1 * INTERVAL '1 day'
+       RETURNING id`,
+      [ARCHIVE_AFTER_DAYS]
+    );
+
+    if (expired.length > 0 || archived.length > 0) {
+      console.log(`[looking-for] Expired ${expired.length}, archived ${archived.length} thread(s)`);
+    }
+    return { expired: expired.length, archived: archived.length };
+  }
+
+  /**
+   * The customer's open requests with an order placed since they were
+   * posted that answers them — candidates for fulfill. An order answers a
+   * request if its store pitched on the thread or its listing matches the
+   * request (LookingForMatchService); pitched stores come first.
+   */
+  static async getFulfillable(customerId, limit = 3) {
+    const candidates = await queryAll(
+      `SELECT t.id as thread_id, t.title as thread_title, t.content as thread_content,
+              o.id as order_id, o.store_id, o.listing_ids, o.pitched,
+              s.name as store_name, pr.title as product_title
+       FROM (
+         SELECT id, title, content, author_id, created_at FROM posts
+         WHERE author_id = $1 AND thread_type = 'LOOKING_FOR' AND thread_status = 'OPEN'
+         ORDER BY created_at DESC
+         LIMIT $2
+       ) t
+       JOIN LATERAL (
+         SELECT ord.*, EXISTS (SELECT 1 FROM looking_for_pitches lp
+                               WHERE lp.thread_id = t.id AND lp.store_id = ord.store_id) as pitched,
+                ARRAY(SELECT oi.listing_id FROM order_items oi WHERE oi.order_id = ord.id) as listing_ids
+         FROM orders ord
+         WHERE ord.buyer_customer_id = t.author_id AND ord.placed_at >= t.created_at
+           AND ord.status <> 'REFUNDED'
+         ORDER BY pitched DESC, ord.placed_at DESC
+         LIMIT $3
+       ) o ON TRUE
+       JOIN stores s ON o.store_id = s.id
+       JOIN listings l ON o.listing_id = l.id
+       JOIN products pr ON l.product_id = pr.id
+       ORDER BY t.created_at DESC, o.pitched DESC, o.placed_at DESC`,
+      [customerId, limit * 2, ORDERS_PER_THREAD]
+    );
+
+    const byThread = new Map();
+    for (const row of candidates) {
+      if (!byThread.has(row.thread_id)) byThread.set(row.thread_id, []);
+      byThread.get(row.thread_id).push(row);
+    }
+
+    const fulfillable = [];
+    for (const orders of byThread.values()) {
+      const answer = orders.find(o => o.pitched) || await this._matchingOrder(orders);
+      if (answer) {
+        const { thread_content, listing_ids, pitched, ...row } = answer;
+        fulfillable.push(row);
+      }
+      if (fulfillable.length >= limit) break;
+    }
+    return fulfillable;
+  }
+
+  /**
+   * The newest of a thread's candidate orders with a line whose listing matches it
+   */
+  static async _matchingOrder(orders) {
+    const { thread_title, thread_content } = orders[0];
+    const listingIds = [...new Set(orders.flatMap(o => o.listing_ids))];
+    const matches = await LookingForMatchService.scoreListings(
+      thread_title, LookingForMatchService.parseConstraints(thread_content),
+      { listingIds, limit: listingIds.length }
+    );
+    const matched = new Set(matches.map(m => m.listingId));
+    return orders.find(o => o.listing_ids.some(id => matched.has(id))) || null;
+  }
+
+  static async _findOwnThread(customerId, threadId) {
+    const thread = await queryOne(
+      `SELECT id, title, author_id, thread_type, thread_status, close_reason, created_at
+       FROM posts WHERE id = $1`,
+      [threadId]
+    );
+    if (!thread) throw new NotFoundError('Looking-for thread');
+    if (thread.thread_type !== 'LOOKING_FOR') {
+      throw new BadRequestError('This is not a looking-for thread');
+    }
+    if (thread.author_id !== customerId) {
+      throw new ForbiddenError('Only the thread author can do that');
+    }
+    return thread;
+  }
+
+  static _columns() {
+    return `id, title, thread_type, thread_status, deadline_at, closed_at, close_reason,
+            fulfilled_order_id, fulfilled_store_id`;
+  }
+}
+
+module.exports = LookingForService;
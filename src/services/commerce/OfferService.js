@@ -8,37 +8,59 @@ const { queryOne, queryAll, transaction } = require('../../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
 const config = require('../../config');
 const InteractionEvidenceService = require('./InteractionEvidenceService');
+const InventoryService = require('./InventoryService');
 const ActivityService = require('./ActivityService');
+const VariantService = require('./VariantService');
 
 class OfferService {
   /**
-   * Create a private offer (customer only)
+   * Create a private offer (customer only). Products with variants need a variantId.
    */
-  static async makeOffer(customerId, { listingId, proposedPriceCents, currency, buyerMessage, expiresAt }) {
+  static async makeOffer(customerId, { listingId, proposedPriceCents, currency, buyerMessage, expiresAt, quantity = 1, variantId }) {
     // Anti-trivial validation
     if (!proposedPriceCents || proposedPriceCents < config.gating.minOfferPriceCents) {
       throw new BadRequestError(`Offer price must be at least ${config.gating.minOfferPriceCents} cents`);
     }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new BadRequestError('Quantity must be a positive integer');
+    }
     if (buyerMessage && buyerMessage.trim().length > 0 && buyerMessage.trim().length < config.gating.minOfferMessageLen) {
       throw new BadRequestError(`Offer message must be at least ${config.gating.minOfferMessageLen} characters`);
     }
 
+    // Every offer expires; fall back to the configured TTL
+    let expiry;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new BadRequestError('expiresAt must be a future timestamp');
+      }
+    } else {
+      expiry = new Date(Date.now() + config.offers.defaultTtlMinutes * 60 * 1000);
+    }
+
     // Verify listing exists and is active
     const listing = await queryOne(
-      `SELECT l.id, l.store_id, l.status FROM listings l WHERE l.id = $1`,
+      `SELECT l.id, l.store_id, l.status, l.variant_id, s.status as store_status
+       FROM listings l JOIN stores s ON l.store_id = s.id
+       WHERE l.id = $1`,
       [listingId]
     );
     if (!listing) throw new NotFoundError('Listing');
     if (listing.status !== 'ACTIVE') {
       throw new BadRequestError('Listing is not currently active');
     }
+    if (listing.store_status !== 'ACTIVE') {
+      throw new BadRequestError('This store is not currently open');
+    }
+    const variant = await VariantService.resolveForListing(null, listing, variantId);
 
     const offer = await queryOne(
-      `INSERT INTO offers (listing_id, buyer_customer_id, seller_store_id, proposed_price_cents, currency, buyer_message, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO offers (listing_id, buyer_customer_id, seller_store_id, proposed_price_cents, currency, buyer_message, expires_at, quantity, variant_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING *`,
       [listingId, customerId, listing.store_id, proposedPriceCents,
-       currency || 'USD', buyerMessage || null, expiresAt || null]
+       currency || 'USD', buyerMessage || null, expiry, quantity, variant?.id || null]
     );
 
     // Record interaction evidence
@@ -162,33 +184,25 @@ class OfferService {
 
   /**
    * Accept an offer (merchant only, transactional with row lock)
+   * If the buyer has countered, the merchant accepts the buyer's latest terms.
    */
   static async acceptOffer(merchantId, offerId, merchantResponse) {
     return transaction(async (client) => {
-      // Lock offer row
-      const offer = await client.query(
-        `SELECT o.*, s.owner_merchant_id
-         FROM offers o
-         JOIN stores s ON o.seller_store_id = s.id
-         WHERE o.id = $1
-         FOR UPDATE`,
-        [offerId]
-      );
-      const row = offer.rows[0];
-      if (!row) throw new NotFoundError('Offer');
+      const row = await this._lockOffer(client, offerId);
       if (row.owner_merchant_id !== merchantId) {
         throw new ForbiddenError('You do not own this store');
       }
       if (row.status !== 'PROPOSED') {
         throw new BadRequestError(`Cannot accept offer with status: ${row.status}`);
       }
+      this._assertNotExpired(row);
 
-      const result = await client.query(
-        `UPDATE offers SET status = 'ACCEPTED', accepted_at = NOW(), merchant_response = $2 WHERE id = $1 RETURNING *`,
-        [offerId, merchantResponse || null]
-      );
+      const pending = await this._pendingCounter(client, offerId);
+      if (pending && pending.proposer_role === 'MERCHANT') {
+        throw new BadRequestError('Waiting for the buyer to respond to your counter-offer');
+      }
 
-      return result.rows[0];
+      return this._settle(client, row, pending, 'ACCEPTED', merchantResponse);
     }).then(async (accepted) => {
       await ActivityService.emit('OFFER_ACCEPTED', merchantId, {
         storeId: accepted.seller_store_id,
@@ -200,19 +214,11 @@ class OfferService {
 
   /**
    * Reject an offer (merchant only)
+   * Ends the negotiation, including any open counter round.
    */
   static async rejectOffer(merchantId, offerId, merchantResponse) {
     return transaction(async (client) => {
-      const offer = await client.query(
-        `SELECT o.*, s.owner_merchant_id
-         FROM offers o
-         JOIN stores s ON o.seller_store_id = s.id
-         WHERE o.id = $1
-         FOR UPDATE`,
-        [offerId]
-      );
-      const row = offer.rows[0];
-      if (!row) throw new NotFoundError('Offer');
+      const row = await this._lockOffer(client, offerId);
       if (row.owner_merchant_id !== merchantId) {
         throw new ForbiddenError('You do not own this store');
       }
@@ -220,11 +226,8 @@ class OfferService {
         throw new BadRequestError(`Cannot reject offer with status: ${row.status}`);
       }
 
-      const result = await client.query(
-        `UPDATE offers SET status = 'REJECTED', rejected_at = NOW(), merchant_response = $2 WHERE id = $1 RETURNING *`,
-        [offerId, merchantResponse || null]
-      );
-      return result.rows[0];
+      const pending = await this._pendingCounter(client, offerId);
+      return this._settle(client, row, pending, 'REJECTED', merchantResponse);
     }).then(async (rejected) => {
       await ActivityService.emit('OFFER_REJECTED', merchantId, {
         storeId: rejected.seller_store_id,
@@ -234,6 +237,50 @@ class OfferService {
     });
   }
 
+  /**
+   * Withdraw an offer (buyer only)
+   * Allowed while PROPOSED, or ACCEPTED but not yet purchased.
+   */
+  static async cancelOffer(customerId, offerId) {
+    return transaction(async (client) => {
+      const row = await this._lockOffer(client, offerId);
+      if (row.buyer_customer_id !== customerId) {
+        throw new ForbiddenError('This offer does not belong to you');
+      }
+      if (row.status !== 'PROPOSED' && row.status !== 'ACCEPTED') {
+        throw new BadRequestError(`Cannot cancel offer with status: ${row.status}`);
+      }
+      if (row.status === 'ACCEPTED') {
+        const purchased = await client.query(
+          'SELECT id FROM orders WHERE source_offer_id = $1 LIMIT 1',
+          [offerId]
+        );
+        if (purchased.rows.length > 0) {
+          throw new BadRequestError('This offer has already been purchased');
+        }
+      }
+
+      await client.query(
+        `UPDATE offer_counters SET status = 'CANCELLED', responded_at = NOW()
+         WHERE offer_id = $1 AND status = 'PENDING'`,
+        [offerId]
+      );
+      await InventoryService.releaseForOffers(client, [offerId], 'CANCELLED', customerId);
+      const result = await client.query(
+        `UPDATE offers SET status = 'CANCELLED', cancelled_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [offerId]
+      );
+      return result.rows[0];
+    }).then(async (cancelled) => {
+      await ActivityService.emit('OFFER_CANCELLED', customerId, {
+        storeId: cancelled.seller_store_id,
+        listingId: cancelled.listing_id
+      });
+      return cancelled;
+    });
+  }
+
   /**
    * Create a public offer reference (either party)
    */
@@ -257,6 +304,308 @@ class OfferService {
 
     return ref;
   }
+
+  // ─── Counter-offers ────────────────────────────────────────
+
+  /**
+   * Counter the latest terms on an offer (buyer or store owner).
+   * Turns alternate: the original offer is the buyer's move, so the merchant
+   * counters first, then the buyer, and so on.
+   */
+  static async counterOffer(agentId, offerId, { priceCents, message }) {
+    if (!priceCents || priceCents < config.gating.minOfferPriceCents) {
+      throw new BadRequestError(`Counter price must be at least ${config.gating.minOfferPriceCents} cents`);
+    }
+    if (message && message.trim().length > 0 && message.trim().length < config.gating.minOfferMessageLen) {
+      throw new BadRequestError(`Counter message must be at least ${config.gating.minOfferMessageLen} characters`);
+    }
+
+    return transaction(async (client) => {
+      const row = await this._lockOffer(client, offerId);
+      const role = this._partyRole(row, agentId);
+      if (row.status !== 'PROPOSED') {
+        throw new BadRequestError(`Cannot counter offer with status: ${row.status}`);
+      }
+      this._assertNotExpired(row);
+
+      const latestResult = await client.query(
+        'SELECT * FROM offer_counters WHERE offer_id = $1 ORDER BY round DESC LIMIT 1',
+        [offerId]
+      );
+      const latest = latestResult.rows[0] || null;
+
+      const lastMover = latest ? latest.proposer_role : 'BUYER';
+      if (lastMover === role) {
+        throw new BadRequestError('Waiting for the other party to respond to the latest terms');
+      }
+      if (latest && latest.round >= config.gating.maxCounterRounds) {
+        throw new BadRequestError(
+          `Negotiation limit reached (${config.gating.maxCounterRounds} rounds)`,
+          'BAD_REQUEST',
+          'Accept or reject the latest terms instead'
+        );
+      }
+
+      if (latest && latest.status === 'PENDING') {
+        await client.query(
+          `UPDATE offer_counters SET status = 'SUPERSEDED', responded_at = NOW() WHERE id = $1`,
+          [latest.id]
+        );
+      }
+
+      const counterResult = await client.query(
+        `INSERT INTO offer_counters (offer_id, parent_counter_id, round, proposed_by_agent_id, proposer_role, price_cents, message)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [offerId, latest ? latest.id : null, latest ? latest.round + 1 : 1,
+         agentId, role, priceCents, message ? message.trim() : null]
+      );
+
+      return { offer: row, counter: counterResult.rows[0] };
+    }).then(async ({ offer, counter }) => {
+      // Offer-safe: round number only, never the countered price
+      await ActivityService.emit('OFFER_COUNTERED', agentId, {
+        storeId: offer.seller_store_id,
+        listingId: offer.listing_id
+      }, { round: counter.round });
+      return { offer, counter };
+    });
+  }
+
+  /**
+   * Accept the other party's latest counter (buyer or store owner)
+   */
+  static async acceptCounter(agentId, offerId, message) {
+    return transaction(async (client) => {
+      const row = await this._lockOffer(client, offerId);
+      const role = this._partyRole(row, agentId);
+      const pending = await this._requireCounterFromOtherParty(client, row, role);
+      return this._settle(client, row, pending, 'ACCEPTED', role === 'MERCHANT' ? message : null);
+    }).then(async (accepted) => {
+      await ActivityService.emit('OFFER_ACCEPTED', agentId, {
+        storeId: accepted.seller_store_id,
+        listingId: accepted.listing_id
+      });
+      return accepted;
+    });
+  }
+
+  /**
+   * Reject the other party's latest counter, ending the negotiation
+   */
+  static async rejectCounter(agentId, offerId, message) {
+    return transaction(async (client) => {
+      const row = await this._lockOffer(client, offerId);
+      const role = this._partyRole(row, agentId);
+      const pending = await this._requireCounterFromOtherParty(client, row, role);
+      return this._settle(client, row, pending, 'REJECTED', role === 'MERCHANT' ? message : null);
+    }).then(async (rejected) => {
+      await ActivityService.emit('OFFER_REJECTED', agentId, {
+        storeId: rejected.seller_store_id,
+        listingId: rejected.listing_id
+      });
+      return rejected;
+    });
+  }
+
+  /**
+   * Get the negotiation chain for an offer (privacy enforced via getOffer)
+   */
+  static async getCounters(offerId, viewerAgentId) {
+    const offer = await this.getOffer(offerId, viewerAgentId);
+    const counters = await queryAll(
+      `SELECT oc.*, a.name as proposed_by_name
+       FROM offer_counters oc
+       JOIN agents a ON oc.proposed_by_agent_id = a.id
+       WHERE oc.offer_id = $1
+       ORDER BY oc.round ASC`,
+      [offerId]
+    );
+    return { offer, counters };
+  }
+
+  // ─── Expiry ────────────────────────────────────────────────
+
+  /**
+   * Expire past-due offers: PROPOSED ones, and ACCEPTED ones the buyer
+   * never purchased. Any open counter round expires with its offer.
+   */
+  static async expireStale() {
+    const expired = await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE offers o SET status = 'EXPIRED'
+         WHERE o.expires_at < NOW()
+           AND (o.status = 'PROPOSED'
+                OR (o.status = 'ACCEPTED'
+                    AND NOT EXISTS (SELECT 1 FROM orders ord WHERE ord.source_offer_id = o.id)))
+         RETURNING o.id, o.listing_id, o.seller_store_id, o.buyer_customer_id`
+      );
+      if (result.rows.length === 0) return [];
+
+      const offerIds = result.rows.map(o => o.id);
+      await client.query(
+        `UPDATE offer_counters SET status = 'EXPIRED', responded_at = NOW()
+         WHERE status = 'PENDING' AND offer_id = ANY($1::uuid[])`,
+        [offerIds]
+      );
+      await InventoryService.releaseForOffers(client, offerIds, 'EXPIRED');
+      return result.rows;
+    });
+
+    if (expired.length === 0) return { expired: 0 };
+
+    // Offer-safe: existence only, never terms
+    for (const offer of expired) {
+      await ActivityService.emit('OFFER_EXPIRED', offer.buyer_customer_id, {
+        storeId: offer.seller_store_id,
+        listingId: offer.listing_id
+      });
+    }
+
+    console.log(`[offers] Expired ${expired.length} offer(s)`);
+    return { expired: expired.length };
+  }
+
+  /**
+   * Close out open offers on listings that are going away (inside a
+   * transaction): pending offers are rejected with the given note, and
+   * accepted-but-unbought offers are cancelled with their holds released.
+   * Returns the affected offers for activity emission.
+   */
+  static async closeOutForListings(client, listingIds, actorId, note) {
+    const rejected = await client.query(
+      `UPDATE offers SET status = 'REJECTED', rejected_at = NOW(),
+              merchant_response = COALESCE(merchant_response, $2)
+       WHERE listing_id = ANY($1::uuid[]) AND status = 'PROPOSED'
+       RETURNING id, listing_id, seller_store_id, buyer_customer_id, status`,
+      [listingIds, note]
+    );
+    const cancelled = await client.query(
+      `UPDATE offers o SET status = 'CANCELLED', cancelled_at = NOW()
+       WHERE o.listing_id = ANY($1::uuid[]) AND o.status = 'ACCEPTED'
+         AND NOT EXISTS (SELECT 1 FROM orders ord WHERE ord.source_offer_id = o.id)
+       RETURNING o.id, o.listing_id, o.seller_store_id, o.buyer_customer_id, o.status`,
+      [listingIds]
+    );
+
+    const offers = [...rejected.rows, ...cancelled.rows];
+    if (offers.length === 0) return [];
+
+    await client.query(
+      `UPDATE offer_counters SET status = 'REJECTED', responded_at = NOW()
+       WHERE status = 'PENDING' AND offer_id = ANY($1::uuid[])`,
+      [offers.map(o => o.id)]
+    );
+    await InventoryService.releaseForOffers(client, cancelled.rows.map(o => o.id), 'CANCELLED', actorId);
+    return offers;
+  }
+
+  /**
+   * Activity for offers closed out by closeOutForListings (offer-safe: no terms)
+   */
+  static async emitClosedOut(actorId, offers) {
+    for (const offer of offers) {
+      await ActivityService.emit(offer.status === 'REJECTED' ? 'OFFER_REJECTED' : 'OFFER_CANCELLED', actorId, {
+        storeId: offer.seller_store_id,
+        listingId: offer.listing_id
+      });
+    }
+  }
+
+  /**
+   * Past-due offers are dead even before the sweeper gets to them
+   */
+  static _assertNotExpired(row) {
+    if (row.status === 'EXPIRED' || (row.expires_at && new Date(row.expires_at) <= new Date())) {
+      throw new BadRequestError('This offer has expired');
+    }
+  }
+
+  /**
+   * Lock an offer row (with store owner) inside a transaction
+   */
+  static async _lockOffer(client, offerId) {
+    const result = await client.query(
+      `SELECT o.*, s.owner_merchant_id
+       FROM offers o
+       JOIN stores s ON o.seller_store_id = s.id
+       WHERE o.id = $1
+       FOR UPDATE`,
+      [offerId]
+    );
+    const row = result.rows[0];
+    if (!row) throw new NotFoundError('Offer');
+    return row;
+  }
+
+  /**
+   * Resolve which side of the negotiation an agent is on
+   */
+  static _partyRole(row, agentId) {
+    if (agentId === row.buyer_customer_id) return 'BUYER';
+    if (agentId === row.owner_merchant_id) return 'MERCHANT';
+    throw new ForbiddenError('You do not have access to this offer');
+  }
+
+  /**
+   * Get the open counter round for an offer, if any
+   */
+  static async _pendingCounter(client, offerId) {
+    const result = await client.query(
+      `SELECT * FROM offer_counters WHERE offer_id = $1 AND status = 'PENDING'`,
+      [offerId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async _requireCounterFromOtherParty(client, row, role) {
+    if (row.status !== 'PROPOSED') {
+      throw new BadRequestError(`Cannot respond to offer with status: ${row.status}`);
+    }
+    this._assertNotExpired(row);
+    const pending = await this._pendingCounter(client, row.id);
+    if (!pending) {
+      throw new BadRequestError('There is no open counter-offer to respond to');
+    }
+    if (pending.proposer_role === role) {
+      throw new BadRequestError('You cannot respond to your own counter-offer');
+    }
+    return pending;
+  }
+
+  /**
+   * Close out an offer (and its open counter round) as ACCEPTED or REJECTED.
+   * Accepted offers lock in the latest terms as agreed_price_cents and
+   * reserve the offered quantity.
+   */
+  static async _settle(client, row, pendingCounter, status, merchantResponse) {
+    if (pendingCounter) {
+      await client.query(
+        'UPDATE offer_counters SET status = $2, responded_at = NOW() WHERE id = $1',
+        [pendingCounter.id, status]
+      );
+    }
+
+    if (status === 'ACCEPTED') {
+      await InventoryService.reserveForOffer(client, row);
+      const agreedPrice = pendingCounter ? pendingCounter.price_cents : row.proposed_price_cents;
+      const result = await client.query(
+        `UPDATE offers SET status = 'ACCEPTED', accepted_at = NOW(), agreed_price_cents = $2,
+                merchant_response = COALESCE($3, merchant_response)
+         WHERE id = $1 RETURNING *`,
+        [row.id, agreedPrice, merchantResponse || null]
+      );
+      return result.rows[0];
+    }
+
+    const result = await client.query(
+      `UPDATE offers SET status = 'REJECTED', rejected_at = NOW(),
+              merchant_response = COALESCE($2, merchant_response)
+       WHERE id = $1 RETURNING *`,
+      [row.id, merchantResponse || null]
+    );
+    return result.rows[0];
+  }
 }
 
 module.exports = OfferService;
@@ -4,16 +4,25 @@
  * All inventory mutations use SELECT ... FOR UPDATE inside a transaction.
  */
 
-const { queryOne, transaction } = require('../../config/database');
+const { queryOne, queryAll, transaction } = require('../../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
 const InteractionEvidenceService = require('./InteractionEvidenceService');
+const InventoryService = require('./InventoryService');
+const VariantService = require('./VariantService');
 const ActivityService = require('./ActivityService');
 
+// Simulated shipping: each status may only advance to the next
+const FULFILLMENT_NEXT = {
+  PLACED: 'PACKED',
+  PACKED: 'SHIPPED',
+  SHIPPED: 'DELIVERED'
+};
+
 class OrderService {
   /**
-   * Purchase a listing directly (at listing price)
+   * Purchase a listing directly (at listing price, or the variant's override)
    */
-  static async purchaseDirect(customerId, listingId, quantity = 1) {
+  static async purchaseDirect(customerId, listingId, quantity = 1, variantId = null) {
     // Check strict gating
     const hasEvidence = await InteractionEvidenceService.hasEvidence(customerId, listingId);
     if (!hasEvidence) {
@@ -26,10 +35,13 @@ class OrderService {
     }
 
     return transaction(async (client) => {
-      // Lock listing row
+      // Lock the product (if it has variants), then the listing row
+      const productIds = await VariantService.lockProducts(client, [listingId]);
       const listingResult = await client.query(
-        `SELECT id, store_id, price_cents, currency, inventory_on_hand, status
-         FROM listings WHERE id = $1 FOR UPDATE`,
+        `SELECT l.id, l.store_id, l.price_cents, l.currency, l.inventory_on_hand, l.status, l.variant_id,
+                s.status as store_status
+         FROM listings l JOIN stores s ON l.store_id = s.id
+         WHERE l.id = $1 FOR UPDATE OF l`,
         [listingId]
       );
       const listing = listingResult.rows[0];
@@ -37,15 +49,35 @@ class OrderService {
       if (listing.status !== 'ACTIVE') {
         throw new BadRequestError('Listing is not currently active');
       }
-      if (listing.inventory_on_hand < quantity) {
-        throw new BadRequestError(`Insufficient inventory (available: ${listing.inventory_on_hand})`);
+      if (listing.store_status !== 'ACTIVE') {
+        throw new BadRequestError('This store is not currently open');
+      }
+
+      // Stock held for accepted offers isn't for sale
+      const variant = await VariantService.resolveForListing(client, listing, variantId, { lock: true });
+      const reserved = (await InventoryService.reservedQuantities(client, [listingId])).get(listingId);
+      let available = listing.inventory_on_hand - reserved;
+      if (variant) available = Math.min(available, await InventoryService.variantAvailable(client, variant));
+      if (available < quantity) {
+        throw new BadRequestError(`Insufficient inventory (available: ${Math.max(available, 0)})`);
       }
 
+      // Active promotion sets the price (share lock so it can't end mid-checkout)
+      const promoResult = await client.query(
+        `SELECT id, promo_price_cents FROM promotions
+         WHERE listing_id = $1 AND status = 'ACTIVE' AND expires_at > NOW()
+         LIMIT 1 FOR SHARE`,
+        [listingId]
+      );
+      const promo = promoResult.rows[0] || null;
+      const unitPrice = promo ? promo.promo_price_cents : (variant?.price_cents ?? listing.price_cents);
+
       // Decrement inventory
       await client.query(
         'UPDATE listings SET inventory_on_hand = inventory_on_hand - $2, updated_at = NOW() WHERE id = $1',
         [listingId, quantity]
       );
+      await this._decrementVariant(client, variant, quantity);
 
       // Auto-mark SOLD_OUT if depleted
       if (listing.inventory_on_hand - quantity <= 0) {
@@ -55,24 +87,38 @@ class OrderService {
         );
       }
 
-      // Create order (instant delivery)
+      // Create order (delivered now unless the store simulates shipping)
+      const initialStatus = await this._initialStatus(client, listing.store_id);
       const orderResult = await client.query(
         `INSERT INTO orders (buyer_customer_id, store_id, listing_id, quantity,
-          unit_price_cents, total_price_cents, currency, status, delivered_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, 'DELIVERED', NOW())
+          unit_price_cents, total_price_cents, currency, status, delivered_at, promotion_id, variant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::text,
+                 CASE WHEN $8::text = 'DELIVERED' THEN NOW() END, $9, $10)
          RETURNING *`,
         [customerId, listing.store_id, listingId, quantity,
-         listing.price_cents, listing.price_cents * quantity, listing.currency]
+         unitPrice, unitPrice * quantity, listing.currency, initialStatus, promo ? promo.id : null,
+         variant?.id || null]
       );
+      const order = orderResult.rows[0];
+      await this._insertItems(client, order.id, [
+        { listingId, variantId: variant?.id, quantity, unitPrice, promotionId: promo ? promo.id : null }
+      ]);
+      await InventoryService.recordMovement(client, {
+        listingId, variantId: variant?.id || null, type: 'SALE', onHandDelta: -quantity,
+        actorId: customerId, orderId: order.id
+      });
+      await VariantService.syncListingStock(client, productIds, { actorId: customerId, orderId: order.id });
 
-      return orderResult.rows[0];
+      return order;
     }).then(async (order) => {
       await ActivityService.emit('ORDER_PLACED', customerId, {
         storeId: order.store_id, listingId, orderId: order.id
       });
-      await ActivityService.emit('ORDER_DELIVERED', customerId, {
-        storeId: order.store_id, listingId, orderId: order.id
-      });
+      if (order.status === 'DELIVERED') {
+        await ActivityService.emit('ORDER_DELIVERED', customerId, {
+          storeId: order.store_id, listingId, orderId: order.id
+        });
+      }
       return { success: true, order };
     });
   }
@@ -80,7 +126,7 @@ class OrderService {
   /**
    * Purchase via an accepted offer
    */
-  static async purchaseFromOffer(customerId, offerId, quantity = 1) {
+  static async purchaseFromOffer(customerId, offerId, quantity = null) {
     return transaction(async (client) => {
       // Lock offer and verify
       const offerResult = await client.query(
@@ -98,6 +144,16 @@ class OrderService {
       if (offer.status !== 'ACCEPTED') {
         throw new BadRequestError(`Cannot purchase from offer with status: ${offer.status}`);
       }
+      if (offer.expires_at && new Date(offer.expires_at) <= new Date()) {
+        throw new BadRequestError('This offer has expired');
+      }
+      quantity = quantity ?? offer.quantity;
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new BadRequestError('Quantity must be a positive integer');
+      }
+      if (quantity > offer.quantity) {
+        throw new BadRequestError(`This offer covers at most ${offer.quantity} unit(s)`);
+      }
 
       // Check gating
       const evidence = await client.query(
@@ -108,10 +164,13 @@ class OrderService {
         throw new BadRequestError('Purchase gating not satisfied for this listing');
       }
 
-      // Lock listing
+      // Lock the product (if it has variants), then the listing
+      const productIds = await VariantService.lockProducts(client, [offer.listing_id]);
       const listingResult = await client.query(
-        `SELECT id, store_id, price_cents, currency, inventory_on_hand, status
-         FROM listings WHERE id = $1 FOR UPDATE`,
+        `SELECT l.id, l.store_id, l.price_cents, l.currency, l.inventory_on_hand, l.status, l.variant_id,
+                s.status as store_status
+         FROM listings l JOIN stores s ON l.store_id = s.id
+         WHERE l.id = $1 FOR UPDATE OF l`,
         [offer.listing_id]
       );
       const listing = listingResult.rows[0];
@@ -119,15 +178,30 @@ class OrderService {
       if (listing.status !== 'ACTIVE') {
         throw new BadRequestError('Listing is not currently active');
       }
-      if (listing.inventory_on_hand < quantity) {
-        throw new BadRequestError(`Insufficient inventory (available: ${listing.inventory_on_hand})`);
+      if (listing.store_status !== 'ACTIVE') {
+        throw new BadRequestError('This store is not currently open');
       }
 
-      // Decrement inventory
+      // This offer's own reservation covers it; other buyers' holds don't
+      const variant = await VariantService.resolveForListing(client, listing, offer.variant_id, { lock: true });
+      const reserved = (await InventoryService.reservedQuantities(client, [offer.listing_id], {
+        excludeOfferId: offerId
+      })).get(offer.listing_id);
+      let available = listing.inventory_on_hand - reserved;
+      if (variant) {
+        available = Math.min(available, await InventoryService.variantAvailable(client, variant, { excludeOfferId: offerId }));
+      }
+      if (available < quantity) {
+        throw new BadRequestError(`Insufficient inventory (available: ${Math.max(available, 0)})`);
+      }
+
+      // Decrement inventory and consume the hold
       await client.query(
         'UPDATE listings SET inventory_on_hand = inventory_on_hand - $2, updated_at = NOW() WHERE id = $1',
         [offer.listing_id, quantity]
       );
+      await this._decrementVariant(client, variant, quantity);
+      await InventoryService.releaseForOffers(client, [offerId], 'CONSUMED', customerId);
 
       if (listing.inventory_on_hand - quantity <= 0) {
         await client.query(
@@ -136,29 +210,273 @@ class OrderService {
         );
       }
 
-      // Create order at offer price
+      // Create order at the negotiated price (latest accepted terms)
+      const unitPrice = offer.agreed_price_cents ?? offer.proposed_price_cents;
+      const initialStatus = await this._initialStatus(client, listing.store_id);
       const orderResult = await client.query(
         `INSERT INTO orders (buyer_customer_id, store_id, listing_id, quantity,
-          unit_price_cents, total_price_cents, currency, status, delivered_at, source_offer_id)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, 'DELIVERED', NOW(), $8)
+          unit_price_cents, total_price_cents, currency, status, delivered_at, source_offer_id, variant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8::text,
+                 CASE WHEN $8::text = 'DELIVERED' THEN NOW() END, $9, $10)
          RETURNING *`,
         [customerId, listing.store_id, offer.listing_id, quantity,
-         offer.proposed_price_cents, offer.proposed_price_cents * quantity,
-         offer.currency, offerId]
+         unitPrice, unitPrice * quantity,
+         offer.currency, initialStatus, offerId, variant?.id || null]
       );
+      const order = orderResult.rows[0];
+      await this._insertItems(client, order.id, [
+        { listingId: offer.listing_id, variantId: variant?.id, quantity, unitPrice }
+      ]);
+      await InventoryService.recordMovement(client, {
+        listingId: offer.listing_id, variantId: variant?.id || null, type: 'SALE', onHandDelta: -quantity,
+        actorId: customerId, orderId: order.id, offerId
+      });
+      await VariantService.syncListingStock(client, productIds, { actorId: customerId, orderId: order.id });
 
-      return orderResult.rows[0];
+      return order;
     }).then(async (order) => {
       await ActivityService.emit('ORDER_PLACED', customerId, {
         storeId: order.store_id, listingId: order.listing_id, orderId: order.id
       });
-      await ActivityService.emit('ORDER_DELIVERED', customerId, {
-        storeId: order.store_id, listingId: order.listing_id, orderId: order.id
-      });
+      if (order.status === 'DELIVERED') {
+        await ActivityService.emit('ORDER_DELIVERED', customerId, {
+          storeId: order.store_id, listingId: order.listing_id, orderId: order.id
+        });
+      }
       return { success: true, order };
     });
   }
 
+  /**
+   * Check out the customer's cart: one order per store, all-or-nothing.
+   * Listings (then variants) are locked in id order so concurrent checkouts
+   * can't deadlock.
+   * If any item fails gating, is inactive or lacks stock, nothing is bought
+   * and every blocking item is reported.
+   * The order row only names its lead line; reviews, ratings and returns
+   * work from the order_items lines.
+   */
+  static async checkoutCart(customerId) {
+    const outcome = await transaction(async (client) => {
+      const cartResult = await client.query(
+        `SELECT ci.listing_id, ci.variant_id, ci.quantity, p.title as product_title
+         FROM cart_items ci
+         JOIN listings l ON ci.listing_id = l.id
+         JOIN products p ON l.product_id = p.id
+         WHERE ci.customer_id = $1
+         ORDER BY ci.listing_id, ci.variant_id
+         FOR UPDATE OF ci`,
+        [customerId]
+      );
+      const cart = cartResult.rows;
+      if (cart.length === 0) throw new BadRequestError('Your cart is empty');
+
+      const blockedItems = [];
+      const block = (item, reason, message) => blockedItems.push({
+        listingId: item.listing_id, variantId: item.variant_id, productTitle: item.product_title,
+        quantity: item.quantity, reason, message
+      });
+
+      // Strict gating, per listing
+      for (const item of cart) {
+        if (!(await InteractionEvidenceService.hasEvidence(customerId, item.listing_id))) {
+          block(item, 'GATING', 'Ask a question, make an offer, or participate in a looking-for thread first');
+        }
+      }
+
+      // Lock products with variants, then every listing, in a consistent (id) order
+      const productIds = await VariantService.lockProducts(client, cart.map(i => i.listing_id));
+      const listingResult = await client.query(
+        `SELECT l.id, l.store_id, l.price_cents, l.currency, l.inventory_on_hand, l.status,
+                s.status as store_status
+         FROM listings l JOIN stores s ON l.store_id = s.id
+         WHERE l.id = ANY($1::uuid[])
+         ORDER BY l.id
+         FOR UPDATE OF l`,
+        [cart.map(i => i.listing_id)]
+      );
+      const listings = new Map(listingResult.rows.map(l => [l.id, l]));
+      const reserved = await InventoryService.reservedQuantities(client, cart.map(i => i.listing_id));
+
+      const variantIds = cart.map(i => i.variant_id).filter(Boolean);
+      const variantResult = await client.query(
+        'SELECT id, price_cents, inventory_on_hand FROM product_variants WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+        [variantIds]
+      );
+      const variants = new Map(variantResult.rows.map(v => [v.id, v]));
+      const variantReserved = await InventoryService.variantReservedQuantities(client, variantIds);
+
+      // Several variant lines can draw on the same listing
+      const listingDemand = new Map();
+      for (const item of cart) {
+        listingDemand.set(item.listing_id, (listingDemand.get(item.listing_id) || 0) + item.quantity);
+      }
+
+      for (const item of cart) {
+        const listing = listings.get(item.listing_id);
+        let available = listing.inventory_on_hand - reserved.get(item.listing_id);
+        let demand = listingDemand.get(item.listing_id);
+        if (item.variant_id) {
+          const variant = variants.get(item.variant_id);
+          available = variant.inventory_on_hand - variantReserved.get(item.variant_id);
+          demand = item.quantity;
+        }
+        if (listing.status !== 'ACTIVE') {
+          block(item, 'NOT_ACTIVE', 'Listing is not currently active');
+        } else if (listing.store_status !== 'ACTIVE') {
+          block(item, 'NOT_ACTIVE', 'This store is not currently open');
+        } else if (available < demand) {
+          block(item, 'INSUFFICIENT_INVENTORY', `Insufficient inventory (available: ${Math.max(available, 0)})`);
+        }
+      }
+
+      if (blockedItems.length > 0) return { blockedItems };
+
+      const promoResult = await client.query(
+        `SELECT id, listing_id, promo_price_cents FROM promotions
+         WHERE listing_id = ANY($1::uuid[]) AND status = 'ACTIVE' AND expires_at > NOW()
+         FOR SHARE`,
+        [cart.map(i => i.listing_id)]
+      );
+      const promos = new Map(promoResult.rows.map(p => [p.listing_id, p]));
+
+      // Split into one order per store
+      const byStore = new Map();
+      for (const item of cart) {
+        const listing = listings.get(item.listing_id);
+        const variant = variants.get(item.variant_id) || null;
+        const promo = promos.get(item.listing_id) || null;
+        if (!byStore.has(listing.store_id)) byStore.set(listing.store_id, []);
+        byStore.get(listing.store_id).push({
+          listingId: item.listing_id,
+          variant,
+          variantId: item.variant_id,
+          quantity: item.quantity,
+          unitPrice: promo ? promo.promo_price_cents : (variant?.price_cents ?? listing.price_cents),
+          promotionId: promo ? promo.id : null,
+          currency: listing.currency
+        });
+      }
+
+      const orders = [];
+      for (const [storeId, lines] of byStore) {
+        const lead = lines[0];
+        const total = lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0);
+        const initialStatus = await this._initialStatus(client, storeId);
+
+        const orderResult = await client.query(
+          `INSERT INTO orders (buyer_customer_id, store_id, listing_id, quantity,
+            unit_price_cents, total_price_cents, currency, status, delivered_at, promotion_id, variant_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8::text,
+                   CASE WHEN $8::text = 'DELIVERED' THEN NOW() END, $9, $10)
+           RETURNING *`,
+          [customerId, storeId, lead.listingId, lead.quantity,
+           lead.unitPrice, total, lead.currency, initialStatus, lead.promotionId, lead.variantId]
+        );
+        const order = orderResult.rows[0];
+        order.items = await this._insertItems(client, order.id, lines);
+
+        for (const line of lines) {
+          await client.query(
+            `UPDATE listings SET inventory_on_hand = inventory_on_hand - $2,
+                    status = CASE WHEN inventory_on_hand - $2 <= 0 THEN 'SOLD_OUT' ELSE status END,
+                    updated_at = NOW()
+             WHERE id = $1`,
+            [line.listingId, line.quantity]
+          );
+          await this._decrementVariant(client, line.variant, line.quantity);
+          await InventoryService.recordMovement(client, {
+            listingId: line.listingId, variantId: line.variantId, type: 'SALE', onHandDelta: -line.quantity,
+            actorId: customerId, orderId: order.id
+          });
+        }
+        // Earlier orders are already synced, so only this order's lines move stock here
+        await VariantService.syncListingStock(client, productIds, { actorId: customerId, orderId: order.id });
+        orders.push(order);
+      }
+
+      await client.query('DELETE FROM cart_items WHERE customer_id = $1', [customerId]);
+      return { orders };
+    });
+
+    if (outcome.blockedItems) {
+      return {
+        success: false,
+        blocked: true,
+        error: 'Some items in your cart cannot be purchased; nothing was ordered',
+        blockedItems: outcome.blockedItems
+      };
+    }
+
+    for (const order of outcome.orders) {
+      const refs = { storeId: order.store_id, listingId: order.listing_id, orderId: order.id };
+      await ActivityService.emit('ORDER_PLACED', customerId, refs, { itemCount: order.items.length });
+      if (order.status === 'DELIVERED') {
+        await ActivityService.emit('ORDER_DELIVERED', customerId, refs);
+      }
+    }
+    return { success: true, orders: outcome.orders };
+  }
+
+  // ─── Fulfillment ───────────────────────────────────────────
+
+  /**
+   * Mark an order packed (store owner only)
+   */
+  static async markPacked(merchantId, orderId) {
+    return this._advance(merchantId, orderId, 'PACKED');
+  }
+
+  /**
+   * Hand an order to a carrier (store owner only)
+   */
+  static async markShipped(merchantId, orderId, { carrier, trackingNumber } = {}) {
+    if (!carrier || carrier.trim().length === 0) {
+      throw new BadRequestError('carrier is required to ship an order');
+    }
+    return this._advance(merchantId, orderId, 'SHIPPED', {
+      carrier: carrier.trim(),
+      trackingNumber: trackingNumber ? String(trackingNumber).trim() : null
+    });
+  }
+
+  /**
+   * Confirm delivery (store owner only) — unlocks reviews
+   */
+  static async markDelivered(merchantId, orderId) {
+    return this._advance(merchantId, orderId, 'DELIVERED');
+  }
+
+  /**
+   * List a store's orders, optionally by status (store owner only)
+   */
+  static async listForStore(merchantId, storeId, { status, limit = 50, offset = 0 } = {}) {
+    const store = await queryOne('SELECT owner_merchant_id FROM stores WHERE id = $1', [storeId]);
+    if (!store) throw new NotFoundError('Store');
+    if (store.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You do not own this store');
+    }
+
+    const params = [storeId, limit, offset];
+    let statusClause = '';
+    if (status) {
+      params.push(status);
+      statusClause = `AND o.status = $${params.length}`;
+    }
+
+    return queryAll(
+      `SELECT o.*, a.name as buyer_name, p.title as product_title
+       FROM orders o
+       JOIN agents a ON o.buyer_customer_id = a.id
+       JOIN listings l ON o.listing_id = l.id
+       JOIN products p ON l.product_id = p.id
+       WHERE o.store_id = $1 ${statusClause}
+       ORDER BY o.placed_at DESC
+       LIMIT $2 OFFSET $3`,
+      params
+    );
+  }
+
   /**
    * Get order by ID
    */
@@ -177,8 +495,105 @@ class OrderService {
       [orderId]
     );
     if (!order) throw new NotFoundError('Order');
+
+    order.items = await queryAll(
+      `SELECT oi.*, p.title as product_title, v.sku as variant_sku, v.option_values as variant_options
+       FROM order_items oi
+       JOIN listings l ON oi.listing_id = l.id
+       JOIN products p ON l.product_id = p.id
+       LEFT JOIN product_variants v ON oi.variant_id = v.id
+       WHERE oi.order_id = $1`,
+      [orderId]
+    );
     return order;
   }
+
+  /**
+   * Record an order's lines
+   */
+  static async _insertItems(client, orderId, lines) {
+    const items = [];
+    for (const line of lines) {
+      const result = await client.query(
+        `INSERT INTO order_items (order_id, listing_id, quantity, unit_price_cents, total_price_cents, promotion_id, variant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [orderId, line.listingId, line.quantity, line.unitPrice,
+         line.unitPrice * line.quantity, line.promotionId || null, line.variantId || null]
+      );
+      items.push(result.rows[0]);
+    }
+    return items;
+  }
+
+  /**
+   * Take sold units off a variant (no-op for products without variants)
+   */
+  static async _decrementVariant(client, variant, quantity) {
+    if (!variant) return;
+    await client.query(
+      'UPDATE product_variants SET inventory_on_hand = inventory_on_hand - $2, updated_at = NOW() WHERE id = $1',
+      [variant.id, quantity]
+    );
+  }
+
+  /**
+   * Starting status for a new order, per the store's fulfillment mode
+   */
+  static async _initialStatus(client, storeId) {
+    const result = await client.query(
+      'SELECT fulfillment_mode FROM stores WHERE id = $1',
+      [storeId]
+    );
+    return result.rows[0]?.fulfillment_mode === 'SIMULATED' ? 'PLACED' : 'DELIVERED';
+  }
+
+  /**
+   * Move an order one step along the fulfillment chain, stamping the
+   * transition time (row-locked so concurrent steps can't skip a state)
+   */
+  static async _advance(merchantId, orderId, toStatus, { carrier, trackingNumber } = {}) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `SELECT o.*, s.owner_merchant_id
+         FROM orders o
+         JOIN stores s ON o.store_id = s.id
+         WHERE o.id = $1
+         FOR UPDATE OF o`,
+        [orderId]
+      );
+      const order = result.rows[0];
+      if (!order) throw new NotFoundError('Order');
+      if (order.owner_merchant_id !== merchantId) {
+        throw new ForbiddenError('You do not own this store');
+      }
+      if (FULFILLMENT_NEXT[order.status] !== toStatus) {
+        throw new BadRequestError(
+          `Cannot move order from ${order.status} to ${toStatus}`,
+          'BAD_REQUEST',
+          FULFILLMENT_NEXT[order.status] ? `Next step is ${FULFILLMENT_NEXT[order.status]}` : undefined
+        );
+      }
+
+      const updated = await client.query(
+        `UPDATE orders SET status = $2::text,
+                packed_at = CASE WHEN $2::text = 'PACKED' THEN NOW() ELSE packed_at END,
+                shipped_at = CASE WHEN $2::text = 'SHIPPED' THEN NOW() ELSE shipped_at END,
+                delivered_at = CASE WHEN $2::text = 'DELIVERED' THEN NOW() ELSE delivered_at END,
+                carrier = COALESCE($3, carrier),
+                tracking_number = COALESCE($4, tracking_number)
+         WHERE id = $1
+         RETURNING *`,
+        [orderId, toStatus, carrier || null, trackingNumber || null]
+      );
+      return updated.rows[0];
+    }).then(async (order) => {
+      await ActivityService.emit(`ORDER_${toStatus}`, merchantId, {
+        storeId: order.store_id, listingId: order.listing_id, orderId: order.id
+      });
+      return order;
+    });
+  }
 }
 
 module.exports = OrderService;
@@ -0,0 +1,203 @@
+/**
+ * Pitch Service
+ * Merchants answer looking-for threads with one of their own listings.
+ * One pitch per store per thread; the message goes up as a public comment,
+ * the special price is only shown to the shopper. The shopper accepts a
+ * pitch by opening an offer at the pitched price.
+ */
+
+const { queryOne, queryAll } = require('../../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../utils/errors');
+const config = require('../../config');
+const CommentService = require('../CommentService');
+const ActivityService = require('./ActivityService');
+const OfferService = require('./OfferService');
+const VariantService = require('./VariantService');
+
+class PitchService {
+  /**
+   * Pitch a listing on a looking-for thread (merchant only)
+   */
+  static async createPitch(merchantId, threadId, { listingId, message, pitchPriceCents = null, variantId = null }) {
+    const content = (message || '').trim();
+    if (content.length < config.gating.minQuestionLen) {
+      throw new BadRequestError(`Pitch message must be at least ${config.gating.minQuestionLen} characters`);
+    }
+
+    const thread = await this._findThread(threadId);
+    if (thread.thread_status !== 'OPEN') {
+      throw new BadRequestError('This thread is closed for new comments');
+    }
+
+    const listing = await queryOne(
+      `SELECT l.id, l.store_id, l.status, l.price_cents, l.variant_id,
+              s.owner_merchant_id, s.status as store_status
+       FROM listings l JOIN stores s ON l.store_id = s.id
+       WHERE l.id = $1`,
+      [listingId]
+    );
+    if (!listing) throw new NotFoundError('Listing');
+    if (listing.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You can only pitch your own listings');
+    }
+    if (listing.status !== 'ACTIVE' || listing.store_status !== 'ACTIVE') {
+      throw new BadRequestError('Listing is not currently active');
+    }
+    // A single-variant listing always pitches its variant
+    const variant = variantId || listing.variant_id
+      ? await VariantService.resolveForListing(null, listing, variantId)
+      : null;
+    if (pitchPriceCents !== null) {
+      const minPrice = config.gating.minOfferPriceCents;
+      if (!Number.isInteger(pitchPriceCents) || pitchPriceCents < minPrice) {
+        throw new BadRequestError(`pitchPriceCents must be an integer of at least ${minPrice}`);
+      }
+      // Checked against what the pitched variant actually sells for
+      if (pitchPriceCents > (variant?.price_cents ?? listing.price_cents)) {
+        throw new BadRequestError('A special price cannot be above the listing price');
+      }
+    }
+
+    const existing = await queryOne(
+      'SELECT id FROM looking_for_pitches WHERE thread_id = $1 AND store_id = $2',
+      [threadId, listing.store_id]
+    );
+    if (existing) throw new ConflictError('Your store has already pitched on this thread');
+
+    const comment = await CommentService.create({ postId: threadId, authorId: merchantId, content });
+    const pitch = await queryOne(
+      `INSERT INTO looking_for_pitches
+         (thread_id, store_id, listing_id, variant_id, merchant_id, comment_id, message, pitch_price_cents)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (thread_id, store_id) DO NOTHING
+       RETURNING *`,
+      [threadId, listing.store_id, listing.id, variant?.id || null,
+       merchantId, comment.id, content, pitchPriceCents]
+    );
+    if (!pitch) {
+      // Lost a race with a concurrent pitch from the same store
+      await CommentService.delete(comment.id, merchantId).catch(() => {});
+      throw new ConflictError('Your store has already pitched on this thread');
+    }
+
+    await ActivityService.emit('MESSAGE_POSTED', merchantId, {
+      storeId: listing.store_id,
+      listingId: listing.id,
+      threadId,
+      messageId: comment.id
+    });
+
+    return pitch;
+  }
+
+  /**
+   * Pitches on a thread. The thread author sees all of them; a merchant
+   * sees only their own.
+   */
+  static async listForThread(threadId, viewerId) {
+    const thread = await this._findThread(threadId);
+    const isAuthor = thread.author_id === viewerId;
+
+    const pitches = await queryAll(
+      `SELECT lp.id, lp.thread_id, lp.store_id, lp.listing_id, lp.variant_id, lp.message,
+              lp.pitch_price_cents, lp.status, lp.offer_id, lp.created_at, lp.accepted_at,
+              s.name as store_name, a.name as merchant_name, tp.overall_score as trust_score,
+              p.title as product_title, l.price_cents as listing_price_cents, l.status as listing_status,
+              COALESCE(lp.pitch_price_cents, v.price_cents, l.price_cents) as effective_price_cents,
+              (SELECT image_url FROM product_images WHERE product_id = l.product_id ORDER BY position ASC LIMIT 1) as primary_image_url
+       FROM looking_for_pitches lp
+       JOIN stores s ON lp.store_id = s.id
+       JOIN agents a ON lp.merchant_id = a.id
+       JOIN listings l ON lp.listing_id = l.id
+       JOIN products p ON l.product_id = p.id
+       LEFT JOIN product_variants v ON v.id = lp.variant_id
+       LEFT JOIN trust_profiles tp ON tp.store_id = s.id
+       WHERE lp.thread_id = $1 AND ($2 OR lp.merchant_id = $3)
+       ORDER BY effective_price_cents ASC, lp.created_at ASC`,
+      [threadId, isAuthor, viewerId]
+    );
+    if (!isAuthor && pitches.length === 0) {
+      throw new ForbiddenError('Only the thread author can view its pitches');
+    }
+
+    return {
+      thread: { id: thread.id, title: thread.title, status: thread.thread_status },
+      pitches
+    };
+  }
+
+  /**
+   * Accept a pitch (thread author only): opens an offer on the pitched
+   * listing at the pitched price. variantId defaults to the pitched
+   * variant; it is only needed when the pitch is for a whole product.
+   */
+  static async acceptPitch(customerId, threadId, pitchId, { variantId = null, quantity = 1 } = {}) {
+    const thread = await this._findThread(threadId);
+    if (thread.author_id !== customerId) {
+      throw new ForbiddenError('Only the thread author can accept a pitch');
+    }
+    if (thread.thread_status !== 'OPEN') {
+      throw new BadRequestError('This request is closed');
+    }
+
+    const pitch = await queryOne(
+      `SELECT lp.*, l.price_cents as listing_price_cents, l.variant_id as listing_variant_id
+       FROM looking_for_pitches lp JOIN listings l ON lp.listing_id = l.id
+       WHERE lp.id = $1 AND lp.thread_id = $2`,
+      [pitchId, threadId]
+    );
+    if (!pitch) throw new NotFoundError('Pitch');
+    if (pitch.variant_id && variantId && variantId !== pitch.variant_id) {
+      throw new BadRequestError('This pitch is for a specific variant; omit variantId or use the pitched one');
+    }
+    const variant = await VariantService.resolveForListing(null, {
+      id: pitch.listing_id, variant_id: pitch.listing_variant_id
+    }, variantId || pitch.variant_id);
+
+    // Claim the pitch first so a double submit can't open two offers
+    const claimed = await queryOne(
+      `UPDATE looking_for_pitches SET status = 'ACCEPTED', accepted_at = NOW()
+       WHERE id = $1 AND status = 'PENDING'
+       RETURNING id`,
+      [pitchId]
+    );
+    if (!claimed) throw new BadRequestError('This pitch has already been accepted');
+
+    let offer;
+    try {
+      offer = await OfferService.makeOffer(customerId, {
+        listingId: pitch.listing_id,
+        proposedPriceCents: pitch.pitch_price_cents ?? variant?.price_cents ?? pitch.listing_price_cents,
+        buyerMessage: `Taking you up on your pitch for "${thread.title}"`,
+        quantity,
+        variantId: variant?.id || null
+      });
+    } catch (error) {
+      await queryOne(
+        `UPDATE looking_for_pitches SET status = 'PENDING', accepted_at = NULL WHERE id = $1`,
+        [pitchId]
+      );
+      throw error;
+    }
+
+    const updated = await queryOne(
+      'UPDATE looking_for_pitches SET offer_id = $2 WHERE id = $1 RETURNING *',
+      [pitchId, offer.id]
+    );
+    return { pitch: updated, offer };
+  }
+
+  static async _findThread(threadId) {
+    const thread = await queryOne(
+      `SELECT id, title, author_id, thread_type, thread_status FROM posts WHERE id = $1`,
+      [threadId]
+    );
+    if (!thread) throw new NotFoundError('Looking-for thread');
+    if (thread.thread_type !== 'LOOKING_FOR') {
+      throw new BadRequestError('This is not a looking-for thread');
+    }
+    return thread;
+  }
+}
+
+module.exports = PitchService;
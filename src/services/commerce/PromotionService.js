@@ -6,6 +6,7 @@
 
 const { queryOne, queryAll } = require('../../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
+const InventoryService = require('./InventoryService');
 
 const MAX_ACTIVE = 5;
 const MAX_TOTAL = 10;
@@ -18,7 +19,7 @@ class PromotionService {
   static async createPromotion(merchantId, listingId, promoPriceCents) {
     // Validate listing exists and merchant owns it
     const listing = await queryOne(
-      `SELECT l.id, l.price_cents, l.store_id, l.status, s.owner_merchant_id
+      `SELECT l.id, l.price_cents, l.store_id, l.status, s.owner_merchant_id, s.status as store_status
        FROM listings l JOIN stores s ON l.store_id = s.id
        WHERE l.id = $1`,
       [listingId]
@@ -26,6 +27,7 @@ class PromotionService {
     if (!listing) throw new NotFoundError('Listing');
     if (listing.owner_merchant_id !== merchantId) throw new ForbiddenError('You do not own this listing');
     if (listing.status !== 'ACTIVE') throw new BadRequestError('Listing must be active to promote');
+    if (listing.store_status !== 'ACTIVE') throw new BadRequestError('Store must be open to promote');
 
     // Validate promo price
     if (!promoPriceCents || promoPriceCents <= 0) throw new BadRequestError('Promo price must be > 0');
@@ -72,13 +74,15 @@ class PromotionService {
               l.id, l.store_id, l.product_id, l.price_cents, l.currency, l.inventory_on_hand, l.status, l.created_at, l.updated_at,
               pr.title as product_title, pr.description as product_description,
               s.name as store_name, s.owner_merchant_id,
+              ${InventoryService.reservedQuantitySql()} as reserved_quantity,
+              ${InventoryService.availableQuantitySql()} as inventory_available,
               (SELECT image_url FROM product_images WHERE product_id = l.product_id ORDER BY position ASC LIMIT 1) as primary_image_url,
               (SELECT COUNT(*)::int FROM offers WHERE listing_id = l.id) as offer_count
        FROM promotions p
        JOIN listings l ON p.listing_id = l.id
        JOIN products pr ON l.product_id = pr.id
        JOIN stores s ON l.store_id = s.id
-       WHERE p.status = 'ACTIVE'
+       WHERE p.status = 'ACTIVE' AND s.status = 'ACTIVE'
        ORDER BY p.activated_at ASC
        LIMIT $1`,
       [MAX_ACTIVE]
@@ -94,18 +98,83 @@ class PromotionService {
               l.id, l.store_id, l.product_id, l.price_cents, l.currency, l.inventory_on_hand, l.status, l.created_at, l.updated_at,
               pr.title as product_title, pr.description as product_description,
               s.name as store_name, s.owner_merchant_id,
+              ${InventoryService.reservedQuantitySql()} as reserved_quantity,
+              ${InventoryService.availableQuantitySql()} as inventory_available,
               (SELECT image_url FROM product_images WHERE product_id = l.product_id ORDER BY position ASC LIMIT 1) as primary_image_url
        FROM promotions p
        JOIN listings l ON p.listing_id = l.id
        JOIN products pr ON l.product_id = pr.id
        JOIN stores s ON l.store_id = s.id
-       WHERE p.store_id = $1 AND p.status = 'ACTIVE'
+       WHERE p.store_id = $1 AND p.status = 'ACTIVE' AND s.status = 'ACTIVE'
        ORDER BY p.activated_at DESC
        LIMIT 1`,
       [storeId]
     );
   }
 
+  /**
+   * Performance of a promotion over its active window (public).
+   * Conversion = promo buyers / customers engaged with the listing during the
+   * window (new interaction evidence or a promo purchase).
+   */
+  static async getStats(promoId) {
+    const promo = await queryOne(
+      `SELECT id, listing_id, store_id, original_price_cents, promo_price_cents, status,
+              created_at, activated_at, expires_at, ended_at,
+              COALESCE(ended_at, LEAST(expires_at, NOW())) as window_end
+       FROM promotions WHERE id = $1`,
+      [promoId]
+    );
+    if (!promo) throw new NotFoundError('Promotion');
+
+    const { window_end: windowEnd, ...promotion } = promo;
+
+    // Never went live — nothing to measure
+    if (!promo.activated_at) {
+      return {
+        promotion,
+        window: null,
+        orders: 0, units: 0, revenueCents: 0, discountCents: 0,
+        buyers: 0, engagedCustomers: 0, conversionRate: null
+      };
+    }
+
+    const stats = await queryOne(
+      `WITH promo_orders AS (
+         SELECT o.id, o.buyer_customer_id, oi.quantity, oi.total_price_cents
+         FROM order_items oi JOIN orders o ON oi.order_id = o.id
+         WHERE oi.promotion_id = $1
+       ),
+       engaged AS (
+         SELECT customer_id FROM interaction_evidence
+         WHERE listing_id = $2 AND created_at >= $3 AND created_at <= $4
+         UNION
+         SELECT buyer_customer_id FROM promo_orders
+       )
+       SELECT (SELECT COUNT(DISTINCT id)::int FROM promo_orders) as orders,
+              (SELECT COALESCE(SUM(quantity), 0)::int FROM promo_orders) as units,
+              (SELECT COALESCE(SUM(total_price_cents), 0)::bigint FROM promo_orders) as revenue_cents,
+              (SELECT COUNT(DISTINCT buyer_customer_id)::int FROM promo_orders) as buyers,
+              (SELECT COUNT(*)::int FROM engaged) as engaged_customers`,
+      [promoId, promo.listing_id, promo.activated_at, windowEnd]
+    );
+
+    const revenueCents = Number(stats.revenue_cents);
+    return {
+      promotion,
+      window: { startedAt: promo.activated_at, endedAt: windowEnd },
+      orders: stats.orders,
+      units: stats.units,
+      revenueCents,
+      discountCents: stats.units * promo.original_price_cents - revenueCents,
+      buyers: stats.buyers,
+      engagedCustomers: stats.engaged_customers,
+      conversionRate: stats.engaged_customers > 0
+        ? Number((stats.buyers / stats.engaged_customers).toFixed(4))
+        : null
+    };
+  }
+
   /**
    * Expire stale promotions and promote next queued ones.
    * Called periodically from the worker.
@@ -113,7 +182,7 @@ class PromotionService {
   static async expireStale() {
     // Expire past-due promotions
     const expired = await queryAll(
-      `UPDATE promotions SET status = 'EXPIRED'
+      `UPDATE promotions SET status = 'EXPIRED', ended_at = NOW()
        WHERE status = 'ACTIVE' AND expires_at < NOW()
        RETURNING id, listing_id`
     );
@@ -147,6 +216,20 @@ class PromotionService {
     return { expired: expired.length, promoted: slotsAvailable > 0 ? slotsAvailable : 0 };
   }
 
+  /**
+   * Cancel live and queued promotions for listings that left the market
+   * (pass a transaction client). Call expireStale afterwards to refill slots.
+   */
+  static async cancelForListings(client, listingIds) {
+    const result = await client.query(
+      `UPDATE promotions SET status = 'CANCELLED', ended_at = NOW()
+       WHERE listing_id = ANY($1::uuid[]) AND status IN ('ACTIVE', 'QUEUED')
+       RETURNING id`,
+      [listingIds]
+    );
+    return result.rows.length;
+  }
+
   /**
    * Cancel a promotion (merchant only).
    */
@@ -162,7 +245,7 @@ class PromotionService {
     }
 
     await queryOne(
-      `UPDATE promotions SET status = 'CANCELLED' WHERE id = $1`,
+      `UPDATE promotions SET status = 'CANCELLED', ended_at = NOW() WHERE id = $1`,
       [promoId]
     );
 
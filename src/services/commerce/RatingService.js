@@ -0,0 +1,96 @@
+/**
+ * Rating Service
+ * Star-rating aggregates per listing, product and store (rating_aggregates,
+ * migration 036): review count, 1-5 histogram, mean and a Bayesian-adjusted
+ * score. Writers update the aggregates inside the review's transaction.
+ *
+ * The Bayesian score pulls small samples toward the platform-wide mean as
+ * if every subject started with PRIOR_WEIGHT reviews at that mean, so a
+ * single 5-star review doesn't outrank forty 4.8s.
+ */
+
+const SCOPES = ['LISTING', 'PRODUCT', 'STORE'];
+const PRIOR_WEIGHT = 5;
+const NEUTRAL_MEAN = 3;
+
+// Mean over every review on the platform (each review counts once per scope)
+const PRIOR_MEAN_SQL = `(SELECT COALESCE(SUM(rating_sum)::float / NULLIF(SUM(review_count), 0), ${NEUTRAL_MEAN})
+  FROM rating_aggregates WHERE scope = 'STORE')`;
+
+class RatingService {
+  /**
+   * Count a new review's rating toward its listing, product and store
+   *
+   * @param {Object} client - Transaction client
+   * @param {Object} subject - { listingId, productId, storeId }
+   * @param {number} rating - 1-5
+   */
+  static async addRating(client, subject, rating) {
+    return this._adjust(client, subject, rating, 1);
+  }
+
+  /**
+   * Move an edited review's rating from oldRating to newRating
+   *
+   * @param {Object} client - Transaction client
+   * @param {Object} subject - { listingId, productId, storeId }
+   */
+  static async replaceRating(client, subject, oldRating, newRating) {
+    if (oldRating === newRating) return;
+    await this._adjust(client, subject, oldRating, -1);
+    await this._adjust(client, subject, newRating, 1);
+  }
+
+  /**
+   * SQL expression for the rating summary of a scope row, as JSON
+   * ({ count, mean, bayesian, histogram }); zeros when there are no reviews
+   */
+  static summarySql(scope, idExpr) {
+    if (!SCOPES.includes(scope)) throw new Error(`Unknown rating scope: ${scope}`);
+    return `(SELECT ${this.jsonSql('ra')}
+             FROM (SELECT 1) one
+             LEFT JOIN rating_aggregates ra ON ra.scope = '${scope}' AND ra.scope_id = ${idExpr})`;
+  }
+
+  /**
+   * Rating summary JSON over a (possibly LEFT JOINed, so null) rating_aggregates alias
+   */
+  static jsonSql(alias) {
+    return `json_build_object(
+              'count', COALESCE(${alias}.review_count, 0),
+              'mean', ROUND(${alias}.rating_sum::numeric / NULLIF(${alias}.review_count, 0), 2)::float,
+              'bayesian', ${this.bayesianSql(alias)},
+              'histogram', json_build_object(
+                '1', COALESCE(${alias}.count_1, 0), '2', COALESCE(${alias}.count_2, 0),
+                '3', COALESCE(${alias}.count_3, 0), '4', COALESCE(${alias}.count_4, 0),
+                '5', COALESCE(${alias}.count_5, 0)))`;
+  }
+
+  /**
+   * Bayesian-adjusted score over a rating_aggregates alias (sortable)
+   */
+  static bayesianSql(alias) {
+    return `ROUND(((${PRIOR_WEIGHT} * ${PRIOR_MEAN_SQL} + COALESCE(${alias}.rating_sum, 0))
+              / (${PRIOR_WEIGHT} + COALESCE(${alias}.review_count, 0)))::numeric, 2)::float`;
+  }
+
+  static async _adjust(client, { listingId, productId, storeId }, rating, sign) {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new Error(`Invalid rating for aggregates: ${rating}`);
+    }
+    const column = `count_${rating}`;
+    await client.query(
+      `INSERT INTO rating_aggregates (scope, scope_id, review_count, rating_sum, ${column})
+       SELECT scope, scope_id, $4::int, $5::int, $4::int
+       FROM (VALUES ('LISTING', $1::uuid), ('PRODUCT', $2::uuid), ('STORE', $3::uuid)) s(scope, scope_id)
+       ON CONFLICT (scope, scope_id) DO UPDATE SET
+         review_count = rating_aggregates.review_count + EXCLUDED.review_count,
+         rating_sum = rating_aggregates.rating_sum + EXCLUDED.rating_sum,
+         ${column} = rating_aggregates.${column} + EXCLUDED.${column},
+         updated_at = NOW()`,
+      [listingId, productId, storeId, sign, sign * rating]
+    );
+  }
+}
+
+module.exports = RatingService;
@@ -0,0 +1,275 @@
+/**
+ * Return Service
+ * Customer return requests on delivered orders, bounded by the store's
+ * return window. Approval restocks inventory and records a refund;
+ * either decision moves the store's trust profile.
+ */
+
+const { queryOne, queryAll, transaction } = require('../../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
+const TrustService = require('./TrustService');
+const InventoryService = require('./InventoryService');
+const VariantService = require('./VariantService');
+const ActivityService = require('./ActivityService');
+
+class ReturnService {
+  /**
+   * Request a return for a delivered order (customer only)
+   */
+  static async requestReturn(customerId, orderId, { reason }) {
+    if (!reason || reason.trim().length === 0) {
+      throw new BadRequestError('A reason is required to request a return');
+    }
+
+    const order = await queryOne(
+      `SELECT o.*, s.return_policy_text, s.return_window_days
+       FROM orders o
+       JOIN stores s ON o.store_id = s.id
+       WHERE o.id = $1`,
+      [orderId]
+    );
+    if (!order) throw new NotFoundError('Order');
+    if (order.buyer_customer_id !== customerId) {
+      throw new ForbiddenError('This order does not belong to you');
+    }
+    if (order.status !== 'DELIVERED') {
+      throw new BadRequestError('Can only return delivered orders');
+    }
+
+    const deadline = this._deadline(order.delivered_at, order.return_window_days);
+    if (deadline <= new Date()) {
+      throw new BadRequestError(
+        order.return_window_days === 0
+          ? 'This store does not accept returns'
+          : `Return window closed (${order.return_window_days} days from delivery)`,
+        'BAD_REQUEST',
+        order.return_policy_text || undefined
+      );
+    }
+
+    // One request per order (UNIQUE order_id); a concurrent duplicate gets the same 400
+    const returnRequest = await queryOne(
+      `INSERT INTO return_requests (order_id, store_id, customer_id, reason, return_policy_text, return_window_days)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (order_id) DO NOTHING
+       RETURNING *`,
+      [orderId, order.store_id, customerId, reason.trim(),
+       order.return_policy_text, order.return_window_days]
+    );
+    if (!returnRequest) {
+      throw new BadRequestError('A return has already been requested for this order');
+    }
+
+    await ActivityService.emit('RETURN_REQUESTED', customerId, {
+      storeId: order.store_id,
+      listingId: order.listing_id,
+      orderId
+    });
+
+    return { ...returnRequest, return_deadline: deadline };
+  }
+
+  /**
+   * Approve a return (store owner only): restock, refund, mark order REFUNDED
+   */
+  static async approveReturn(merchantId, returnId, { note } = {}) {
+    return transaction(async (client) => {
+      const request = await this._lockRequest(client, merchantId, returnId);
+
+      const orderResult = await client.query(
+        'SELECT * FROM orders WHERE id = $1 FOR UPDATE',
+        [request.order_id]
+      );
+      const order = orderResult.rows[0];
+
+      // Restock every line (and its variant); a sold-out listing comes back once it has stock again
+      const items = await client.query(
+        'SELECT listing_id, variant_id, quantity FROM order_items WHERE order_id = $1 ORDER BY listing_id',
+        [order.id]
+      );
+      const productIds = await VariantService.lockProducts(client, items.rows.map(i => i.listing_id));
+      for (const item of items.rows) {
+        await client.query(
+          `UPDATE listings SET
+            inventory_on_hand = inventory_on_hand + $2,
+            status = CASE WHEN status = 'SOLD_OUT' THEN 'ACTIVE' ELSE status END,
+            updated_at = NOW()
+           WHERE id = $1`,
+          [item.listing_id, item.quantity]
+        );
+        if (item.variant_id) {
+          await client.query(
+            'UPDATE product_variants SET inventory_on_hand = inventory_on_hand + $2, updated_at = NOW() WHERE id = $1',
+            [item.variant_id, item.quantity]
+          );
+        }
+        await InventoryService.recordMovement(client, {
+          listingId: item.listing_id, variantId: item.variant_id, type: 'RETURN', onHandDelta: item.quantity,
+          actorId: merchantId, orderId: order.id, returnRequestId: request.id
+        });
+      }
+      await VariantService.syncListingStock(client, productIds, {
+        actorId: merchantId, orderId: order.id, returnRequestId: request.id
+      });
+
+      await client.query(
+        `UPDATE orders SET status = 'REFUNDED', refunded_at = NOW() WHERE id = $1`,
+        [order.id]
+      );
+
+      const refundResult = await client.query(
+        `INSERT INTO refunds (order_id, return_request_id, store_id, customer_id, amount_cents, currency)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [order.id, request.id, order.store_id, order.buyer_customer_id,
+         order.total_price_cents, order.currency]
+      );
+
+      const updated = await client.query(
+        `UPDATE return_requests SET status = 'APPROVED', merchant_note = $2, decided_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [request.id, note ? note.trim() : null]
+      );
+      const returnRequest = updated.rows[0];
+      const trustEvent = await TrustService.applyReturnDelta(order.store_id, returnRequest, { client });
+
+      return { returnRequest, refund: refundResult.rows[0], order, trustEvent };
+    }).then(async ({ returnRequest, refund, order, trustEvent }) => {
+      await TrustService.emitUpdated(trustEvent);
+      await ActivityService.emit('RETURN_APPROVED', merchantId, {
+        storeId: order.store_id,
+        listingId: order.listing_id,
+        orderId: order.id
+      });
+      return { returnRequest, refund };
+    });
+  }
+
+  /**
+   * Deny a return (store owner only). Must explain why.
+   */
+  static async denyReturn(merchantId, returnId, { note } = {}) {
+    if (!note || note.trim().length === 0) {
+      throw new BadRequestError('A note explaining the denial is required');
+    }
+
+    return transaction(async (client) => {
+      const request = await this._lockRequest(client, merchantId, returnId);
+      const updated = await client.query(
+        `UPDATE return_requests SET status = 'DENIED', merchant_note = $2, decided_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [request.id, note.trim()]
+      );
+      const returnRequest = updated.rows[0];
+      const trustEvent = await TrustService.applyReturnDelta(returnRequest.store_id, returnRequest, { client });
+      return { returnRequest, listingId: request.listing_id, trustEvent };
+    }).then(async ({ returnRequest, listingId, trustEvent }) => {
+      await TrustService.emitUpdated(trustEvent);
+      await ActivityService.emit('RETURN_DENIED', merchantId, {
+        storeId: returnRequest.store_id,
+        listingId,
+        orderId: returnRequest.order_id
+      });
+      return { returnRequest };
+    });
+  }
+
+  /**
+   * Get a return request with the policy it was made under (customer or store owner)
+   */
+  static async getReturn(returnId, viewerAgentId) {
+    const request = await queryOne(
+      `SELECT rr.*, s.owner_merchant_id, s.name as store_name,
+              o.delivered_at, o.total_price_cents, o.currency, ${this._itemsSql()} as items,
+              rf.id as refund_id, rf.amount_cents as refund_amount_cents
+       FROM return_requests rr
+       JOIN stores s ON rr.store_id = s.id
+       JOIN orders o ON rr.order_id = o.id
+       LEFT JOIN refunds rf ON rf.return_request_id = rr.id
+       WHERE rr.id = $1`,
+      [returnId]
+    );
+    if (!request) throw new NotFoundError('Return request');
+    if (viewerAgentId !== request.customer_id && viewerAgentId !== request.owner_merchant_id) {
+      throw new ForbiddenError('You do not have access to this return request');
+    }
+    return {
+      ...request,
+      return_deadline: this._deadline(request.delivered_at, request.return_window_days)
+    };
+  }
+
+  /**
+   * List return requests for a store (store owner only)
+   */
+  static async listForStore(merchantId, storeId, { status, limit = 50, offset = 0 } = {}) {
+    const store = await queryOne('SELECT owner_merchant_id FROM stores WHERE id = $1', [storeId]);
+    if (!store) throw new NotFoundError('Store');
+    if (store.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You do not own this store');
+    }
+
+    const params = [storeId, limit, offset];
+    let statusClause = '';
+    if (status) {
+      params.push(status);
+      statusClause = `AND rr.status = $${params.length}`;
+    }
+
+    return queryAll(
+      `SELECT rr.*, a.name as customer_name, p.title as product_title, ${this._itemsSql()} as items
+       FROM return_requests rr
+       JOIN agents a ON rr.customer_id = a.id
+       JOIN orders o ON rr.order_id = o.id
+       JOIN listings l ON o.listing_id = l.id
+       JOIN products p ON l.product_id = p.id
+       WHERE rr.store_id = $1 ${statusClause}
+       ORDER BY rr.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      params
+    );
+  }
+
+  /**
+   * The returned order's lines as JSON, for return request rr
+   */
+  static _itemsSql() {
+    return `(SELECT json_agg(json_build_object(
+               'listingId', oi.listing_id, 'variantId', oi.variant_id,
+               'productTitle', ip.title, 'quantity', oi.quantity) ORDER BY oi.id)
+             FROM order_items oi
+             JOIN listings il ON oi.listing_id = il.id
+             JOIN products ip ON il.product_id = ip.id
+             WHERE oi.order_id = rr.order_id)`;
+  }
+
+  /**
+   * Lock an open return request and verify store ownership
+   */
+  static async _lockRequest(client, merchantId, returnId) {
+    const result = await client.query(
+      `SELECT rr.*, s.owner_merchant_id, o.listing_id
+       FROM return_requests rr
+       JOIN stores s ON rr.store_id = s.id
+       JOIN orders o ON rr.order_id = o.id
+       WHERE rr.id = $1
+       FOR UPDATE OF rr`,
+      [returnId]
+    );
+    const request = result.rows[0];
+    if (!request) throw new NotFoundError('Return request');
+    if (request.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You do not own this store');
+    }
+    if (request.status !== 'REQUESTED') {
+      throw new BadRequestError(`Return request already ${request.status.toLowerCase()}`);
+    }
+    return request;
+  }
+
+  static _deadline(deliveredAt, windowDays) {
+    return new Date(new Date(deliveredAt).getTime() + windowDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = ReturnService;
@@ -1,20 +1,31 @@
 /**
  * Review Service
- * Enforces: delivered-only, one review per order, posts into listing review thread.
+ * Enforces: delivered-only, one review per order line, posts into listing review thread.
+ * The store owner gets one public reply per review, threaded under it.
+ * Agents vote reviews helpful or unhelpful; the reviewer's credibility
+ * weights the review's trust delta. Authors may edit within
+ * config.reviews.editWindowHours; every version is kept as a revision.
  */
 
-const { queryOne, transaction } = require('../../config/database');
-const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
+const { queryOne, queryAll, transaction } = require('../../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError, ConflictError } = require('../../utils/errors');
+const config = require('../../config');
 const CommerceThreadService = require('./CommerceThreadService');
 const CommentService = require('../CommentService');
 const TrustService = require('./TrustService');
 const ActivityService = require('./ActivityService');
+const ReviewerCredibilityService = require('./ReviewerCredibilityService');
+const RatingService = require('./RatingService');
+
+const SORTS = ['newest', 'helpful'];
 
 class ReviewService {
   /**
-   * Leave a review for a delivered order
+   * Leave a review for a line of a delivered order. The review is tied to
+   * the listing and variant that line bought; on an order with several
+   * lines, listingId (and variantId) pick the line.
    */
-  static async leaveReview(customerId, orderId, { rating, title, body }) {
+  static async leaveReview(customerId, orderId, { rating, title, body, listingId, variantId }) {
     // Validate input
     if (!rating || rating < 1 || rating > 5) {
       throw new BadRequestError('Rating must be between 1 and 5');
@@ -25,9 +36,8 @@ class ReviewService {
 
     // Get order and verify
     const order = await queryOne(
-      `SELECT o.*, l.product_id, s.owner_merchant_id
+      `SELECT o.*, s.owner_merchant_id
        FROM orders o
-       JOIN listings l ON o.listing_id = l.id
        JOIN stores s ON o.store_id = s.id
        WHERE o.id = $1`,
       [orderId]
@@ -39,43 +49,64 @@ class ReviewService {
     if (order.status !== 'DELIVERED') {
       throw new BadRequestError('Can only review delivered orders');
     }
+    const item = await this._orderLine(orderId, { listingId, variantId });
 
-    // Check one review per order (UNIQUE constraint as DB backup)
+    // Check one review per order line (UNIQUE index as DB backup)
     const existing = await queryOne(
-      'SELECT id FROM reviews WHERE order_id = $1',
-      [orderId]
+      'SELECT id FROM reviews WHERE order_item_id = $1',
+      [item.id]
     );
     if (existing) {
-      throw new BadRequestError('You have already reviewed this order');
+      throw new BadRequestError(
+        item.line_count > 1 ? 'You have already reviewed this item' : 'You have already reviewed this order'
+      );
     }
 
-    // Create review
-    const review = await queryOne(
-      `INSERT INTO reviews (order_id, author_customer_id, rating, title, body)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING *`,
-      [orderId, customerId, rating, title || null, body.trim()]
-    );
+    // Credibility is taken before this review counts toward the history
+    const credibility = await ReviewerCredibilityService.getScore(customerId);
+
+    // Create review, count it toward the rating aggregates and apply its
+    // trust delta atomically (an edit compensates against that delta)
+    const { review, trustEvent } = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO reviews (order_id, order_item_id, author_customer_id, rating, title, body, variant_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [orderId, item.id, customerId, rating, title || null, body.trim(), item.variant_id]
+      );
+      const created = result.rows[0];
+      const trustEvent = await TrustService.applyReviewDelta(order.store_id, created, order, credibility.score, { client });
+      await client.query(
+        `INSERT INTO review_revisions (review_id, revision, rating, title, body, trust_event_id, created_at)
+         VALUES ($1, 1, $2, $3, $4, $5, $6)`,
+        [created.id, created.rating, created.title, created.body, trustEvent.id, created.created_at]
+      );
+      await RatingService.addRating(client, {
+        listingId: item.listing_id, productId: item.product_id, storeId: order.store_id
+      }, created.rating);
+      return { review: created, trustEvent };
+    });
+    await TrustService.emitUpdated(trustEvent);
 
     // Ensure review thread exists for the listing (lazy create)
     const reviewThread = await CommerceThreadService.ensureReviewThread(
-      order.listing_id, order.store_id, customerId
+      item.listing_id, order.store_id, customerId
     );
 
     // Post review as a comment in the review thread
     const comment = await CommentService.create({
       postId: reviewThread.id,
       authorId: customerId,
-      content: `${'★'.repeat(rating)}${'☆'.repeat(5 - rating)} (${rating}/5)\n${title ? `**${title}**\n` : ''}${body.trim()}`
+      content: this._commentContent(review)
     });
 
-    // Update trust
-    const trustEvent = await TrustService.applyReviewDelta(order.store_id, review, order);
+    await queryOne('UPDATE reviews SET comment_id = $2 WHERE id = $1', [review.id, comment.id]);
+    review.comment_id = comment.id;
 
     // Emit activity events
     await ActivityService.emit('REVIEW_POSTED', customerId, {
       storeId: order.store_id,
-      listingId: order.listing_id,
+      listingId: item.listing_id,
       threadId: reviewThread.id,
       messageId: comment.id,
       orderId,
@@ -83,39 +114,323 @@ class ReviewService {
       trustEventId: trustEvent ? trustEvent.id : null
     });
 
-    return { review, comment, trustEvent };
+    return { review, comment, trustEvent, credibility };
+  }
+
+  /**
+   * Edit your review within the edit window. The previous version stays in
+   * the history, the review-thread comment is rewritten in place, and a
+   * rating change is re-applied to trust as a compensating event.
+   */
+  static async editReview(customerId, reviewId, { rating, title, body }) {
+    if (rating === undefined && title === undefined && body === undefined) {
+      throw new BadRequestError('Provide a new rating, title or body');
+    }
+    if (rating !== undefined && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+      throw new BadRequestError('Rating must be between 1 and 5');
+    }
+    if (body !== undefined && (typeof body !== 'string' || body.trim().length === 0)) {
+      throw new BadRequestError('Review body is required');
+    }
+
+    const windowHours = config.reviews.editWindowHours;
+    const { review, previous, trustEvent } = await transaction(async (client) => {
+      const result = await client.query(
+        `SELECT r.*, oi.listing_id, o.store_id, l.product_id,
+                r.created_at + $2 * INTERVAL '1 hour' > NOW() as editable
+         FROM reviews r
+         JOIN orders o ON r.order_id = o.id
+         JOIN order_items oi ON r.order_item_id = oi.id
+         JOIN listings l ON oi.listing_id = l.id
+         WHERE r.id = $1 FOR UPDATE OF r`,
+        [reviewId, windowHours]
+      );
+      const current = result.rows[0];
+      if (!current) throw new NotFoundError('Review');
+      if (current.author_customer_id !== customerId) {
+        throw new ForbiddenError('You can only edit your own reviews');
+      }
+      if (!current.editable) {
+        throw new BadRequestError(`Reviews can only be edited within ${windowHours} hours of posting`);
+      }
+
+      const next = {
+        rating: rating !== undefined ? rating : current.rating,
+        title: title !== undefined ? ((title || '').trim() || null) : current.title,
+        body: body !== undefined ? body.trim() : current.body
+      };
+      if (next.rating === current.rating && next.title === current.title && next.body === current.body) {
+        throw new BadRequestError('Nothing to change');
+      }
+
+      const updated = (await client.query(
+        `UPDATE reviews SET rating = $2, title = $3, body = $4,
+                revision = revision + 1, edited_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [reviewId, next.rating, next.title, next.body]
+      )).rows[0];
+
+      // Compensate trust under the review's row lock, so concurrent edits see each other's events
+      const trustEvent = updated.rating === current.rating ? null
+        : await TrustService.applyReviewEditDelta(current.store_id, updated, {
+          previousRating: current.rating, client
+        });
+      await client.query(
+        `INSERT INTO review_revisions (review_id, revision, rating, title, body, trust_event_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [reviewId, updated.revision, updated.rating, updated.title, updated.body,
+         trustEvent ? trustEvent.id : null, updated.edited_at]
+      );
+      await RatingService.replaceRating(client, {
+        listingId: current.listing_id, productId: current.product_id, storeId: current.store_id
+      }, current.rating, updated.rating);
+      if (updated.comment_id) {
+        await client.query(
+          `UPDATE comments SET content = $2, is_deleted = false, updated_at = NOW() WHERE id = $1`,
+          [updated.comment_id, this._commentContent(updated)]
+        );
+      }
+      return { review: updated, previous: current, trustEvent };
+    });
+
+    await TrustService.emitUpdated(trustEvent);
+
+    await ActivityService.emit('REVIEW_EDITED', customerId, {
+      storeId: previous.store_id,
+      listingId: previous.listing_id,
+      messageId: review.comment_id,
+      orderId: review.order_id,
+      reviewId,
+      trustEventId: trustEvent ? trustEvent.id : null
+    }, { revision: review.revision, rating: review.rating, previousRating: previous.rating });
+
+    return { review: { ...review, edited: true, history_url: this._historyUrl(reviewId) }, trustEvent };
+  }
+
+  /**
+   * Every version of a review, oldest first (revision 1 is the original)
+   */
+  static async getHistory(reviewId) {
+    const review = await queryOne(
+      'SELECT id, revision, edited_at, created_at FROM reviews WHERE id = $1',
+      [reviewId]
+    );
+    if (!review) throw new NotFoundError('Review');
+    const revisions = await queryAll(
+      `SELECT revision, rating, title, body, trust_event_id, created_at
+       FROM review_revisions WHERE review_id = $1
+       ORDER BY revision ASC`,
+      [reviewId]
+    );
+    return { review, revisions };
+  }
+
+  /**
+   * Reply to a review of one of your orders (store owner only, once per
+   * review). Credited to support responsiveness, weighted by how quickly
+   * the reply came.
+   */
+  static async replyToReview(merchantId, reviewId, { body }) {
+    const text = (body || '').trim();
+    const minLength = config.gating.minReviewReplyLen;
+    if (text.length < minLength) {
+      throw new BadRequestError(`Reply must be at least ${minLength} characters`);
+    }
+
+    const review = await queryOne(
+      `SELECT r.id, o.store_id, oi.listing_id, s.owner_merchant_id
+       FROM reviews r
+       JOIN orders o ON r.order_id = o.id
+       JOIN order_items oi ON r.order_item_id = oi.id
+       JOIN stores s ON o.store_id = s.id
+       WHERE r.id = $1`,
+      [reviewId]
+    );
+    if (!review) throw new NotFoundError('Review');
+    if (review.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You do not own this store');
+    }
+
+    const reviewThread = await CommerceThreadService.ensureReviewThread(
+      review.listing_id, review.store_id, merchantId
+    );
+
+    // Comment, reply and trust commit together; the review's row lock
+    // serializes concurrent replies
+    const { reply, comment, trustEvent } = await transaction(async (client) => {
+      const locked = (await client.query(
+        `SELECT r.comment_id, r.created_at,
+                EXISTS (SELECT 1 FROM review_replies rr WHERE rr.review_id = r.id) as replied
+         FROM reviews r WHERE r.id = $1 FOR UPDATE`,
+        [reviewId]
+      )).rows[0];
+      if (locked.replied) throw new ConflictError('You have already replied to this review');
+
+      const comment = await CommentService.create({
+        postId: reviewThread.id,
+        authorId: merchantId,
+        content: text,
+        parentId: locked.comment_id || null
+      }, client);
+
+      const responseHours = (Date.now() - new Date(locked.created_at).getTime()) / 3600000;
+      const trustEvent = await TrustService.applyMerchantReplyDelta(review.store_id, reviewThread.id, {
+        responseHours, reviewId, client
+      });
+      const reply = (await client.query(
+        `INSERT INTO review_replies (review_id, store_id, merchant_id, comment_id, body, response_hours, trust_event_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [reviewId, review.store_id, merchantId, comment.id, text, responseHours, trustEvent.id]
+      )).rows[0];
+      return { reply, comment, trustEvent };
+    });
+
+    await TrustService.emitUpdated(trustEvent);
+    await ActivityService.emit('MESSAGE_POSTED', merchantId, {
+      storeId: review.store_id,
+      listingId: review.listing_id,
+      threadId: reviewThread.id,
+      messageId: comment.id,
+      reviewId,
+      trustEventId: trustEvent.id
+    });
+
+    return { reply, comment, trustEvent };
   }
 
   /**
-   * Get review by order ID
+   * Recount a review's helpful/unhelpful tallies from its votes
    */
-  static async findByOrderId(orderId) {
+  static async updateHelpfulness(reviewId) {
     return queryOne(
-      `SELECT r.*, a.name as author_name, a.display_name as author_display_name
+      `UPDATE reviews SET
+         helpful_count = (SELECT COUNT(*) FROM votes WHERE target_type = 'review' AND target_id = $1 AND value = 1),
+         unhelpful_count = (SELECT COUNT(*) FROM votes WHERE target_type = 'review' AND target_id = $1 AND value = -1)
+       WHERE id = $1
+       RETURNING id, helpful_count, unhelpful_count`,
+      [reviewId]
+    );
+  }
+
+  /**
+   * Reviews of an order's lines, oldest first
+   */
+  static async getForOrder(orderId) {
+    return queryAll(
+      `SELECT r.*, a.name as author_name, a.display_name as author_display_name,
+              oi.listing_id,
+              ${ReviewerCredibilityService.scoreSql('r.author_customer_id')} as author_credibility,
+              ${this._editedSql()},
+              ${this._merchantReplySql()} as merchant_reply
        FROM reviews r
        JOIN agents a ON r.author_customer_id = a.id
-       WHERE r.order_id = $1`,
+       JOIN order_items oi ON r.order_item_id = oi.id
+       WHERE r.order_id = $1
+       ORDER BY r.created_at ASC`,
       [orderId]
     );
   }
 
   /**
-   * Get all reviews for a listing's orders
+   * Get all reviews for a listing's orders, each with the merchant's reply (or null).
+   * sort: 'newest' (default) or 'helpful' — ranked by the lower bound of
+   * the helpful share of votes, so a few votes don't outrank many.
    */
-  static async getForListing(listingId, { limit = 50, offset = 0 } = {}) {
-    const { queryAll } = require('../../config/database');
+  static async getForListing(listingId, { limit = 50, offset = 0, sort = 'newest' } = {}) {
+    if (!SORTS.includes(sort)) {
+      throw new BadRequestError(`sort must be one of: ${SORTS.join(', ')}`);
+    }
+    const orderBy = sort === 'helpful'
+      ? `${this._helpfulnessSql()} DESC, r.created_at DESC`
+      : 'r.created_at DESC';
+
     return queryAll(
       `SELECT r.*, a.name as author_name, a.display_name as author_display_name,
-              o.listing_id
+              oi.listing_id, v.option_values as variant_options,
+              ${ReviewerCredibilityService.scoreSql('r.author_customer_id')} as author_credibility,
+              ${this._editedSql()},
+              ${this._merchantReplySql()} as merchant_reply
        FROM reviews r
        JOIN agents a ON r.author_customer_id = a.id
-       JOIN orders o ON r.order_id = o.id
-       WHERE o.listing_id = $1
-       ORDER BY r.created_at DESC
+       JOIN order_items oi ON r.order_item_id = oi.id
+       LEFT JOIN product_variants v ON r.variant_id = v.id
+       WHERE oi.listing_id = $1
+       ORDER BY ${orderBy}
        LIMIT $2 OFFSET $3`,
       [listingId, limit, offset]
     );
   }
+
+  /**
+   * Wilson score lower bound (95%) of review r's helpful share; 0 when unvoted
+   */
+  static _helpfulnessSql() {
+    return `(CASE WHEN r.helpful_count + r.unhelpful_count = 0 THEN 0 ELSE
+              ((r.helpful_count + 1.9208) / (r.helpful_count + r.unhelpful_count)
+                - 1.96 * SQRT((r.helpful_count * r.unhelpful_count) / (r.helpful_count + r.unhelpful_count)::float + 0.9604)
+                  / (r.helpful_count + r.unhelpful_count))
+              / (1 + 3.8416 / (r.helpful_count + r.unhelpful_count)) END)`;
+  }
+
+  /**
+   * edited flag and history link columns for review r
+   */
+  static _editedSql() {
+    return `r.edited_at IS NOT NULL as edited,
+            CASE WHEN r.edited_at IS NOT NULL
+                 THEN '/api/v1/commerce/reviews/' || r.id || '/history' END as history_url`;
+  }
+
+  /**
+   * The order line being reviewed. listingId / variantId pick it out and
+   * must match; an order with several lines needs them to tell which.
+   */
+  static async _orderLine(orderId, { listingId, variantId }) {
+    const lines = await queryAll(
+      `SELECT oi.id, oi.listing_id, oi.variant_id, l.product_id
+       FROM order_items oi JOIN listings l ON oi.listing_id = l.id
+       WHERE oi.order_id = $1
+       ORDER BY oi.id`,
+      [orderId]
+    );
+    const forListing = lines.filter(line => !listingId || line.listing_id === listingId);
+    if (forListing.length === 0) {
+      throw new BadRequestError('listingId is not an item on this order');
+    }
+    const matching = forListing.filter(line => !variantId || line.variant_id === variantId);
+    if (matching.length === 0) {
+      throw new BadRequestError('variantId does not match the variant on this order');
+    }
+    if (matching.length > 1) {
+      throw new BadRequestError('This order has several items; pass listingId (and variantId) to pick the one you are reviewing');
+    }
+    return { ...matching[0], line_count: lines.length };
+  }
+
+  static _historyUrl(reviewId) {
+    return `/api/v1/commerce/reviews/${reviewId}/history`;
+  }
+
+  /**
+   * The review as it reads in the listing's REVIEW thread
+   */
+  static _commentContent({ rating, title, body, edited_at: editedAt }) {
+    return `${'★'.repeat(rating)}${'☆'.repeat(5 - rating)} (${rating}/5)\n${title ? `**${title}**\n` : ''}${body}` +
+      (editedAt ? '\n_(edited)_' : '');
+  }
+
+  /**
+   * The reply to review r as a JSON object, or NULL
+   */
+  static _merchantReplySql() {
+    return `(SELECT json_build_object(
+               'id', rr.id, 'body', rr.body, 'storeName', s.name,
+               'responseHours', rr.response_hours, 'createdAt', rr.created_at)
+             FROM review_replies rr JOIN stores s ON rr.store_id = s.id
+             WHERE rr.review_id = r.id)`;
+  }
 }
 
 module.exports = ReviewService;
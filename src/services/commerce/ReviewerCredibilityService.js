@@ -0,0 +1,77 @@
+/**
+ * Reviewer Credibility Service
+ * A customer's credibility (0-1) as a reviewer, from:
+ *   - verified purchases: delivered orders, full marks at 5      (40%)
+ *   - review history: reviews written, full marks at 5           (20%)
+ *   - helpfulness: helpful share of votes on their reviews,
+ *     smoothed so an unvoted reviewer sits at 0.5                 (40%)
+ * A review's trust delta is scaled by weight() = 0.5 + credibility,
+ * so a first-time reviewer counts for roughly half a veteran.
+ */
+
+const { queryOne } = require('../../config/database');
+const { NotFoundError } = require('../../utils/errors');
+
+const SATURATION = 5;
+
+// Over a stats row (purchases, reviews, helpful, unhelpful) aliased "stats"
+const SCORE_SQL = `ROUND((
+    0.4 * LEAST(1, stats.purchases / ${SATURATION}.0) +
+    0.2 * LEAST(1, stats.reviews / ${SATURATION}.0) +
+    0.4 * (stats.helpful + 1.0) / (stats.helpful + stats.unhelpful + 2)
+  )::numeric, 2)::float`;
+
+class ReviewerCredibilityService {
+  /**
+   * Credibility and the stats behind it for one customer
+   */
+  static async getScore(customerId) {
+    const row = await queryOne(
+      `SELECT stats.*, ${SCORE_SQL} as score FROM (${this._statsSql('$1::uuid')}) stats`,
+      [customerId]
+    );
+    return {
+      score: row.score,
+      verifiedPurchases: row.purchases,
+      reviewsWritten: row.reviews,
+      helpfulVotes: row.helpful,
+      unhelpfulVotes: row.unhelpful
+    };
+  }
+
+  /**
+   * Credibility for a customer looked up by id, 404 for anyone else
+   */
+  static async getForCustomer(customerId) {
+    const customer = await queryOne(
+      `SELECT id, name FROM agents WHERE id = $1 AND agent_type = 'CUSTOMER'`,
+      [customerId]
+    );
+    if (!customer) throw new NotFoundError('Customer');
+    return { customer, ...(await this.getScore(customerId)) };
+  }
+
+  /**
+   * SQL expression for the credibility of the customer id in idExpr
+   */
+  static scoreSql(idExpr) {
+    return `(SELECT ${SCORE_SQL} FROM (${this._statsSql(idExpr)}) stats)`;
+  }
+
+  /**
+   * Trust-delta multiplier for a credibility score
+   */
+  static weight(score) {
+    return 0.5 + score;
+  }
+
+  static _statsSql(idExpr) {
+    return `SELECT
+        (SELECT COUNT(*)::int FROM orders WHERE buyer_customer_id = ${idExpr} AND status = 'DELIVERED') as purchases,
+        (SELECT COUNT(*)::int FROM reviews WHERE author_customer_id = ${idExpr}) as reviews,
+        (SELECT COALESCE(SUM(helpful_count), 0)::int FROM reviews WHERE author_customer_id = ${idExpr}) as helpful,
+        (SELECT COALESCE(SUM(unhelpful_count), 0)::int FROM reviews WHERE author_customer_id = ${idExpr}) as unhelpful`;
+  }
+}
+
+module.exports = ReviewerCredibilityService;
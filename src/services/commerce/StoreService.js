@@ -8,22 +8,41 @@ const { queryOne, queryAll, transaction } = require('../../config/database');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
 const CommerceThreadService = require('./CommerceThreadService');
 const ActivityService = require('./ActivityService');
+const OfferService = require('./OfferService');
+const PromotionService = require('./PromotionService');
+const CategoryService = require('./CategoryService');
+const RatingService = require('./RatingService');
+
+const FULFILLMENT_MODES = ['INSTANT', 'SIMULATED'];
+
+// Store states a merchant can move between; CLOSED is final
+const STORE_TRANSITIONS = {
+  pause: { from: ['ACTIVE'], to: 'PAUSED' },
+  resume: { from: ['PAUSED'], to: 'ACTIVE' },
+  close: { from: ['ACTIVE', 'PAUSED'], to: 'CLOSED' }
+};
 
 class StoreService {
   /**
    * Create a new store
    */
-  static async create(merchantId, { name, tagline, brandVoice, returnPolicyText, shippingPolicyText }) {
+  static async create(merchantId, { name, tagline, brandVoice, returnPolicyText, shippingPolicyText, fulfillmentMode, returnWindowDays }) {
     if (!name || name.trim().length === 0) {
       throw new BadRequestError('Store name is required');
     }
+    if (returnWindowDays !== undefined) this._validateReturnWindow(returnWindowDays);
+    if (fulfillmentMode !== undefined && !FULFILLMENT_MODES.includes(fulfillmentMode)) {
+      throw new BadRequestError(`fulfillmentMode must be one of: ${FULFILLMENT_MODES.join(', ')}`);
+    }
 
     const store = await queryOne(
-      `INSERT INTO stores (owner_merchant_id, name, tagline, brand_voice, return_policy_text, shipping_policy_text)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO stores (owner_merchant_id, name, tagline, brand_voice, return_policy_text, shipping_policy_text,
+                           fulfillment_mode, return_window_days)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 14))
        RETURNING *`,
       [merchantId, name.trim(), tagline || null, brandVoice || null,
-       returnPolicyText || '', shippingPolicyText || '']
+       returnPolicyText || '', shippingPolicyText || '', fulfillmentMode || 'INSTANT',
+       returnWindowDays ?? null]
     );
 
     // Create trust profile for the store
@@ -54,9 +73,16 @@ class StoreService {
   }
 
   /**
-   * List all stores
+   * List open stores; with a category or tag, only stores with an active
+   * listing that matches
    */
-  static async list({ limit = 50, offset = 0 } = {}) {
+  static async list({ limit = 50, offset = 0, category = null, tag = null } = {}) {
+    const params = [limit, offset];
+    const productFilter = await CategoryService.productFilterSql(params, { category, tag });
+    const matchFilter = productFilter
+      ? ` AND EXISTS (SELECT 1 FROM listings l JOIN products p ON l.product_id = p.id
+                      WHERE l.store_id = s.id AND l.status = 'ACTIVE'${productFilter})`
+      : '';
     return queryAll(
       `SELECT s.*, a.name as owner_name, a.display_name as owner_display_name,
               tp.overall_score as trust_score,
@@ -64,17 +90,17 @@ class StoreService {
        FROM stores s
        JOIN agents a ON s.owner_merchant_id = a.id
        LEFT JOIN trust_profiles tp ON tp.store_id = s.id
-       WHERE s.status = 'ACTIVE'
+       WHERE s.status = 'ACTIVE'${matchFilter}
        ORDER BY tp.overall_score DESC NULLS LAST, s.created_at DESC
        LIMIT $1 OFFSET $2`,
-      [limit, offset]
+      params
     );
   }
 
   /**
    * Update store policies (triggers patch notes + trust)
    */
-  static async updatePolicies(merchantId, storeId, { returnPolicyText, shippingPolicyText, reason }) {
+  static async updatePolicies(merchantId, storeId, { returnPolicyText, shippingPolicyText, returnWindowDays, reason }) {
     const store = await this.findById(storeId);
     if (store.owner_merchant_id !== merchantId) {
       throw new ForbiddenError('You do not own this store');
@@ -82,6 +108,7 @@ class StoreService {
     if (!reason || reason.trim().length === 0) {
       throw new BadRequestError('Reason is required for policy updates');
     }
+    if (returnWindowDays !== undefined) this._validateReturnWindow(returnWindowDays);
 
     return transaction(async (client) => {
       const updates = [];
@@ -105,6 +132,15 @@ class StoreService {
         updates.push(`Shipping policy: ${shippingPolicyText}`);
       }
 
+      if (returnWindowDays !== undefined && returnWindowDays !== store.return_window_days) {
+        await client.query(
+          `INSERT INTO store_updates (store_id, created_by_agent_id, update_type, field_name, old_value, new_value, reason)
+           VALUES ($1, $2, 'POLICY_UPDATED', 'return_window_days', $3, $4, $5)`,
+          [storeId, merchantId, String(store.return_window_days), String(returnWindowDays), reason]
+        );
+        updates.push(`Return window: ${returnWindowDays} day(s)`);
+      }
+
       if (updates.length === 0) {
         throw new BadRequestError('No policy changes detected');
       }
@@ -114,10 +150,11 @@ class StoreService {
         `UPDATE stores SET
           return_policy_text = COALESCE($2, return_policy_text),
           shipping_policy_text = COALESCE($3, shipping_policy_text),
+          return_window_days = COALESCE($4, return_window_days),
           updated_at = NOW()
          WHERE id = $1
          RETURNING *`,
-        [storeId, returnPolicyText, shippingPolicyText]
+        [storeId, returnPolicyText, shippingPolicyText, returnWindowDays ?? null]
       );
 
       return updated.rows[0];
@@ -135,6 +172,124 @@ class StoreService {
     });
   }
 
+  /**
+   * Pause a store: it drops out of public listings and its promotions end.
+   * Listings keep their own status and come back on resume.
+   */
+  static async pause(merchantId, storeId, { reason } = {}) {
+    return this._changeStatus(merchantId, storeId, 'pause', reason);
+  }
+
+  /**
+   * Reopen a paused store
+   */
+  static async resume(merchantId, storeId, { reason } = {}) {
+    return this._changeStatus(merchantId, storeId, 'resume', reason);
+  }
+
+  /**
+   * Close a store for good: every listing is retired, promotions are
+   * cancelled, pending offers rejected and unbought accepted offers cancelled
+   */
+  static async close(merchantId, storeId, { reason } = {}) {
+    return this._changeStatus(merchantId, storeId, 'close', reason);
+  }
+
+  static async _changeStatus(merchantId, storeId, action, reason) {
+    const transition = STORE_TRANSITIONS[action];
+    if (!reason || reason.trim().length === 0) {
+      throw new BadRequestError(`Reason is required to ${action} a store`);
+    }
+
+    const outcome = await transaction(async (client) => {
+      const result = await client.query('SELECT * FROM stores WHERE id = $1 FOR UPDATE', [storeId]);
+      const store = result.rows[0];
+      if (!store) throw new NotFoundError('Store');
+      if (store.owner_merchant_id !== merchantId) {
+        throw new ForbiddenError('You do not own this store');
+      }
+      if (!transition.from.includes(store.status)) {
+        throw new BadRequestError(`Cannot ${action} a store that is ${store.status}`);
+      }
+
+      const updated = await client.query(
+        `UPDATE stores SET status = $2,
+                closed_at = CASE WHEN $2 = 'CLOSED' THEN NOW() ELSE closed_at END,
+                updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [storeId, transition.to]
+      );
+      await client.query(
+        `INSERT INTO store_updates (store_id, created_by_agent_id, update_type, field_name, old_value, new_value, reason)
+         VALUES ($1, $2, 'STORE_STATUS_CHANGED', 'status', $3, $4, $5)`,
+        [storeId, merchantId, store.status, transition.to, reason.trim()]
+      );
+
+      let promotionsCancelled = 0;
+      let retiredListings = 0;
+      let closedOffers = [];
+      if (action !== 'resume') {
+        const listingResult = await client.query(
+          `SELECT id FROM listings WHERE store_id = $1 AND status <> 'RETIRED' ORDER BY id FOR UPDATE`,
+          [storeId]
+        );
+        const listingIds = listingResult.rows.map(l => l.id);
+        promotionsCancelled = await PromotionService.cancelForListings(client, listingIds);
+
+        if (action === 'close') {
+          await client.query(
+            `UPDATE listings SET status = 'RETIRED', updated_at = NOW() WHERE id = ANY($1::uuid[])`,
+            [listingIds]
+          );
+          retiredListings = listingIds.length;
+          closedOffers = await OfferService.closeOutForListings(client, listingIds, merchantId, 'This store has closed');
+        }
+      }
+
+      return { store: updated.rows[0], previousStatus: store.status, promotionsCancelled, retiredListings, closedOffers };
+    });
+
+    const { store, previousStatus, promotionsCancelled, retiredListings, closedOffers } = outcome;
+    if (promotionsCancelled > 0) await PromotionService.expireStale();
+    await OfferService.emitClosedOut(merchantId, closedOffers);
+
+    const headline = { pause: 'Temporarily closed', resume: 'Back open', close: 'Closing for good' }[action];
+    const thread = await CommerceThreadService.createUpdateThread(
+      merchantId, storeId, null,
+      `${headline}: ${store.name}`,
+      reason.trim()
+    );
+    await ActivityService.emit('STORE_STATUS_CHANGED', merchantId, {
+      storeId, threadId: thread.id
+    }, { from: previousStatus, to: store.status });
+
+    return { store, promotionsCancelled, retiredListings, offersClosed: closedOffers.length };
+  }
+
+  /**
+   * Update store settings (owner only)
+   * fulfillmentMode: INSTANT delivers on purchase; SIMULATED runs
+   * PLACED → PACKED → SHIPPED → DELIVERED driven by the merchant.
+   * Only affects orders placed after the change.
+   */
+  static async updateSettings(merchantId, storeId, { fulfillmentMode }) {
+    const store = await this.findById(storeId);
+    if (store.owner_merchant_id !== merchantId) {
+      throw new ForbiddenError('You do not own this store');
+    }
+    if (!FULFILLMENT_MODES.includes(fulfillmentMode)) {
+      throw new BadRequestError(`fulfillmentMode must be one of: ${FULFILLMENT_MODES.join(', ')}`);
+    }
+
+    return queryOne(
+      `UPDATE stores SET fulfillment_mode = $2, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [storeId, fulfillmentMode]
+    );
+  }
+
   /**
    * Get store with trust profile
    */
@@ -154,8 +309,18 @@ class StoreService {
        ORDER BY created_at DESC LIMIT 10`,
       [storeId]
     );
+    const { rating } = await queryOne(
+      `SELECT ${RatingService.summarySql('STORE', '$1::uuid')} as rating`,
+      [storeId]
+    );
 
-    return { ...store, trust, recentTrustEvents, recentUpdates };
+    return { ...store, trust, rating, recentTrustEvents, recentUpdates };
+  }
+
+  static _validateReturnWindow(days) {
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      throw new BadRequestError('returnWindowDays must be an integer between 0 and 365');
+    }
   }
 }
 
@@ -1,17 +1,71 @@
 /**
  * Trust Service
  * Maintains trust_profiles and creates trust_events with reason codes.
- * Incremental delta-based updates — no full recomputation.
+ * Incremental delta-based updates; recompute() rebuilds a profile by
+ * replaying its event log, to verify or repair it.
+ *
+ * Scores decay toward the baseline over time (decaySweep), so an event's
+ * contribution fades with age: after one half-life it counts half as much
+ * as a fresh one. Decay steps are trust events too (TRUST_DECAY).
  */
 
-const { queryOne, queryAll } = require('../../config/database');
+const { queryOne, queryAll, transaction } = require('../../config/database');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const config = require('../../config');
 const ActivityService = require('./ActivityService');
+const ReviewerCredibilityService = require('./ReviewerCredibilityService');
+const RatingService = require('./RatingService');
+
+// Every dimension starts here (trust_profiles column default)
+const BASELINE_SCORE = 50;
+
+// Profile column ← event delta column (and applyDelta key), per dimension
+const DIMENSIONS = [
+  ['overall_score', 'delta_overall', 'deltaOverall'],
+  ['product_satisfaction_score', 'delta_product_satisfaction', 'deltaProductSatisfaction'],
+  ['claim_accuracy_score', 'delta_claim_accuracy', 'deltaClaimAccuracy'],
+  ['support_responsiveness_score', 'delta_support_responsiveness', 'deltaSupportResponsiveness'],
+  ['policy_clarity_score', 'delta_policy_clarity', 'deltaPolicyClarity']
+];
+
+// Decay steps smaller than this on every dimension aren't recorded
+const MIN_DECAY_STEP = 0.01;
+
+// Scores closer than this to their replayed value count as matching
+const DRIFT_TOLERANCE = 1e-6;
 
 class TrustService {
   /**
-   * Apply a trust delta with reason code and linked entities
+   * Apply a trust delta with reason code and linked entities.
+   * The event and the profile update commit together, under the profile's
+   * row lock, so the event log replays to exactly the stored profile.
+   *
+   * Pass a transaction client to apply it as part of the caller's
+   * transaction instead; the caller then emits TRUST_UPDATED (emitUpdated)
+   * once that transaction has committed.
    */
-  static async applyDelta(storeId, reason, deltas = {}, linkedIds = {}, meta = {}) {
+  static async applyDelta(storeId, reason, deltas = {}, linkedIds = {}, meta = {}, { client = null } = {}) {
+    if (client) return this._record(client, storeId, reason, deltas, linkedIds, meta);
+
+    const trustEvent = await transaction(
+      (txClient) => this._record(txClient, storeId, reason, deltas, linkedIds, meta)
+    );
+    await this.emitUpdated(trustEvent);
+    return trustEvent;
+  }
+
+  /**
+   * Emit TRUST_UPDATED for a committed trust event (no-op for null)
+   */
+  static async emitUpdated(trustEvent) {
+    if (!trustEvent) return null;
+    return ActivityService.emit('TRUST_UPDATED', null, {
+      storeId: trustEvent.store_id,
+      trustEventId: trustEvent.id
+    }, { reason: trustEvent.reason, deltaOverall: trustEvent.delta_overall });
+  }
+
+  static async _record(client, storeId, reason, deltas, linkedIds, meta) {
     const {
       deltaOverall = 0,
       deltaProductSatisfaction = 0,
@@ -20,15 +74,17 @@ class TrustService {
       deltaPolicyClarity = 0
     } = deltas;
 
-    // Create trust event
-    const trustEvent = await queryOne(
+    await client.query('SELECT id FROM trust_profiles WHERE store_id = $1 FOR UPDATE', [storeId]);
+
+    // Create trust event (stamped after the lock, so created_at follows application order)
+    const result = await client.query(
       `INSERT INTO trust_events (
         store_id, reason,
         delta_overall, delta_product_satisfaction, delta_claim_accuracy,
         delta_support_responsiveness, delta_policy_clarity,
         linked_thread_id, linked_order_id, linked_review_id,
-        meta
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        meta, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, clock_timestamp())
       RETURNING *`,
       [
         storeId, reason,
@@ -42,7 +98,7 @@ class TrustService {
     );
 
     // Update trust profile (clamp scores between 0 and 100)
-    await queryOne(
+    await client.query(
       `UPDATE trust_profiles SET
         overall_score = GREATEST(0, LEAST(100, overall_score + $2)),
         product_satisfaction_score = GREATEST(0, LEAST(100, product_satisfaction_score + $3)),
@@ -55,43 +111,74 @@ class TrustService {
        deltaSupportResponsiveness, deltaPolicyClarity]
     );
 
-    // Emit trust updated activity
-    await ActivityService.emit('TRUST_UPDATED', null, {
-      storeId,
-      trustEventId: trustEvent.id
-    }, { reason, deltaOverall });
+    return result.rows[0];
+  }
 
-    return trustEvent;
+  /**
+   * Apply trust delta from a review. Pass the reviewer's credibility (0-1)
+   * to scale it by ReviewerCredibilityService.weight (0.5x to 1.5x).
+   */
+  static async applyReviewDelta(storeId, review, order, credibility = null, options = {}) {
+    const weight = credibility === null ? 1 : ReviewerCredibilityService.weight(credibility);
+
+    return this.applyDelta(storeId, 'REVIEW_POSTED', this._reviewDeltas(review.rating, weight), {
+      orderId: order.id,
+      reviewId: review.id
+    }, credibility === null ? { rating: review.rating } : {
+      rating: review.rating,
+      credibility,
+      weight: Math.round(weight * 100) / 100
+    }, options);
   }
 
   /**
-   * Apply trust delta from a review
+   * Re-apply a review's trust after its rating was edited, as a
+   * compensating event: the difference between what the new rating is
+   * worth (at the credibility weight it was posted with) and what the
+   * review's earlier events already applied. Pass the transaction client
+   * holding the review's row lock, so concurrent edits can't both
+   * compensate against the same earlier events.
    */
-  static async applyReviewDelta(storeId, review, order) {
-    // Calculate delta based on rating (1-5 → -10 to +10 for overall, -5 to +5 for product satisfaction)
-    const ratingNormalized = (review.rating - 3) / 2; // -1 to +1
-    const deltaOverall = ratingNormalized * 5;
-    const deltaProductSatisfaction = ratingNormalized * 8;
+  static async applyReviewEditDelta(storeId, review, { previousRating, client = null }) {
+    const sql =
+      `SELECT COALESCE(SUM(delta_overall), 0)::float as overall,
+              COALESCE(SUM(delta_product_satisfaction), 0)::float as product_satisfaction,
+              (SELECT (meta->>'credibility')::float FROM trust_events
+               WHERE linked_review_id = $1 AND reason = 'REVIEW_POSTED'
+               ORDER BY created_at LIMIT 1) as credibility
+       FROM trust_events
+       WHERE linked_review_id = $1 AND reason IN ('REVIEW_POSTED', 'REVIEW_EDITED')`;
+    const applied = client ? (await client.query(sql, [review.id])).rows[0] : await queryOne(sql, [review.id]);
+    const weight = applied.credibility === null ? 1 : ReviewerCredibilityService.weight(applied.credibility);
+    const target = this._reviewDeltas(review.rating, weight);
 
-    return this.applyDelta(storeId, 'REVIEW_POSTED', {
-      deltaOverall,
-      deltaProductSatisfaction
+    return this.applyDelta(storeId, 'REVIEW_EDITED', {
+      deltaOverall: target.deltaOverall - applied.overall,
+      deltaProductSatisfaction: target.deltaProductSatisfaction - applied.product_satisfaction
     }, {
-      orderId: order.id,
+      orderId: review.order_id,
       reviewId: review.id
     }, {
-      rating: review.rating
-    });
+      rating: review.rating,
+      previousRating,
+      revision: review.revision
+    }, { client });
   }
 
   /**
-   * Apply trust delta from a merchant reply
+   * Apply trust delta from a merchant reply. Pass responseHours to weight
+   * it by speed: full credit within a day, tapering to a quarter at a week.
    */
-  static async applyMerchantReplyDelta(storeId, threadId) {
+  static async applyMerchantReplyDelta(storeId, threadId, { responseHours = null, reviewId = null, client = null } = {}) {
+    const weight = responseHours === null || responseHours <= 24 ? 1
+      : Math.max(0.25, 1 - 0.75 * (responseHours - 24) / 144);
     return this.applyDelta(storeId, 'MERCHANT_REPLIED_IN_THREAD', {
-      deltaOverall: 1,
-      deltaSupportResponsiveness: 3
-    }, { threadId });
+      deltaOverall: 1 * weight,
+      deltaSupportResponsiveness: 3 * weight
+    }, { threadId, reviewId }, responseHours === null ? {} : {
+      responseHours: Math.round(responseHours * 10) / 10,
+      weight: Math.round(weight * 100) / 100
+    }, { client });
   }
 
   /**
@@ -104,6 +191,228 @@ class TrustService {
     });
   }
 
+  /**
+   * Apply trust delta from a product copy edit. Rewriting claims that
+   * buyers already purchased on counts against claim accuracy; refining
+   * copy before the first sale counts for it.
+   */
+  static async applyProductCopyDelta(storeId, { productId, threadId, fields, afterSales }, options = {}) {
+    return this.applyDelta(storeId, 'PRODUCT_COPY_UPDATED', afterSales
+      ? { deltaOverall: -0.5, deltaClaimAccuracy: -2 }
+      : { deltaOverall: 0.5, deltaClaimAccuracy: 1 }, {
+      threadId
+    }, {
+      productId, fields, afterSales
+    }, options);
+  }
+
+  /**
+   * Apply trust delta from a merchant's return decision.
+   * Requests only exist inside the stated return window, so a denial
+   * counts against the store's policy clarity as well as its support.
+   */
+  static async applyReturnDelta(storeId, returnRequest, options = {}) {
+    const approved = returnRequest.status === 'APPROVED';
+    return this.applyDelta(storeId, approved ? 'RETURN_APPROVED' : 'RETURN_DENIED', approved
+      ? { deltaOverall: 1, deltaSupportResponsiveness: 3, deltaPolicyClarity: 2 }
+      : { deltaOverall: -2, deltaSupportResponsiveness: -3, deltaPolicyClarity: -3 }, {
+      orderId: returnRequest.order_id
+    }, {
+      returnRequestId: returnRequest.id
+    }, options);
+  }
+
+  /**
+   * Apply trust delta from a resolved claim challenge. A conceded claim
+   * costs less than one the merchant defended and lost; a withdrawal only
+   * counts for the store if it had already answered with evidence.
+   * Returns null when the outcome carries no delta.
+   */
+  static async applyClaimChallengeDelta(storeId, challenge, options = {}) {
+    let deltas;
+    if (challenge.status === 'UPHELD') {
+      deltas = challenge.conceded
+        ? { deltaOverall: -1, deltaClaimAccuracy: -3 }
+        : { deltaOverall: -2, deltaClaimAccuracy: -6 };
+    } else if (challenge.status === 'REFUTED') {
+      deltas = { deltaOverall: 1, deltaClaimAccuracy: 3 };
+    } else if (challenge.status === 'WITHDRAWN' && challenge.responded_at) {
+      deltas = { deltaClaimAccuracy: 1 };
+    } else {
+      return null;
+    }
+
+    return this.applyDelta(storeId, `CLAIM_CHALLENGE_${challenge.status}`, deltas, {
+      threadId: challenge.thread_id
+    }, {
+      claimChallengeId: challenge.id, claim: challenge.claim, conceded: challenge.conceded
+    }, options);
+  }
+
+  static _reviewDeltas(rating, weight) {
+    // Calculate delta based on rating (1-5 → -10 to +10 for overall, -5 to +5 for product satisfaction)
+    const ratingNormalized = (rating - 3) / 2; // -1 to +1
+    return {
+      deltaOverall: ratingNormalized * 5 * weight,
+      deltaProductSatisfaction: ratingNormalized * 8 * weight
+    };
+  }
+
+  /**
+   * Apply one decay step inside the caller's transaction: pull each score
+   * of the (locked) profile toward the baseline as if elapsedHours had
+   * passed, its distance halving every halfLifeDays. Decay is background
+   * drift, so it emits no TRUST_UPDATED activity. Returns null when the
+   * step would be too small to matter.
+   */
+  static async applyDecayDelta(client, profile, { elapsedHours, halfLifeDays, simulated = false }) {
+    const factor = Math.pow(0.5, elapsedHours / (halfLifeDays * 24));
+    const deltas = {};
+    let largest = 0;
+    for (const [column, , key] of DIMENSIONS) {
+      deltas[key] = (profile[column] - BASELINE_SCORE) * (factor - 1);
+      largest = Math.max(largest, Math.abs(deltas[key]));
+    }
+    if (largest < MIN_DECAY_STEP) return null;
+
+    return this.applyDelta(profile.store_id, 'TRUST_DECAY', deltas, {}, {
+      elapsedHours: Math.round(elapsedHours * 100) / 100,
+      halfLifeDays,
+      factor: Math.round(factor * 10000) / 10000,
+      ...(simulated ? { simulated: true } : {})
+    }, { client });
+  }
+
+  /**
+   * Decay every store whose last decay step (or, before the first, its
+   * creation) is at least config.trust.decayIntervalHours old. Pass hours
+   * to decay every store by that much now, regardless of the interval.
+   * Each store is stepped under its profile's row lock, from the scores
+   * and last step it finds there, so overlapping sweeps (worker and
+   * operator) can't step a store twice for the same interval.
+   */
+  static async decaySweep({ hours = null } = {}) {
+    const { decayHalfLifeDays: halfLifeDays, decayIntervalHours: intervalHours } = config.trust;
+    if (hours !== null && !(typeof hours === 'number' && hours > 0)) {
+      throw new BadRequestError('hours must be a positive number');
+    }
+    if (!(halfLifeDays > 0)) return { enabled: false, decayed: 0, events: [] };
+
+    const stores = await queryAll('SELECT store_id FROM trust_profiles ORDER BY store_id');
+
+    const events = [];
+    for (const { store_id: storeId } of stores) {
+      const event = await transaction(async (client) => {
+        // Lock first: the read below then sees any step committed while we waited
+        await client.query('SELECT id FROM trust_profiles WHERE store_id = $1 FOR UPDATE', [storeId]);
+        const profile = (await client.query(
+          `SELECT tp.*,
+                  EXTRACT(EPOCH FROM NOW() - COALESCE(
+                    (SELECT MAX(te.created_at) FROM trust_events te
+                     WHERE te.store_id = tp.store_id AND te.reason = 'TRUST_DECAY'),
+                    s.created_at)) / 3600 as hours_since_decay
+           FROM trust_profiles tp
+           JOIN stores s ON tp.store_id = s.id
+           WHERE tp.store_id = $1`,
+          [storeId]
+        )).rows[0];
+        if (!profile) return null;
+
+        const elapsedHours = hours !== null ? hours : Number(profile.hours_since_decay);
+        if (hours === null && elapsedHours < intervalHours) return null;
+        return this.applyDecayDelta(client, profile, {
+          elapsedHours, halfLifeDays, simulated: hours !== null
+        });
+      });
+      if (event) events.push(event);
+    }
+    return { enabled: true, halfLifeDays, decayed: events.length, events };
+  }
+
+  /**
+   * Rebuild a store's profile by replaying its trust_events in order from
+   * the baseline, clamping to 0-100 after each event exactly as applyDelta
+   * does. Returns the stored and replayed scores per dimension; unless
+   * dryRun, a drifted profile is overwritten with the replayed one.
+   */
+  static async recompute(storeId, { dryRun = false } = {}) {
+    return transaction(async (client) => {
+      const store = (await client.query('SELECT id, name FROM stores WHERE id = $1', [storeId])).rows[0];
+      if (!store) throw new NotFoundError('Store');
+
+      // Hold the profile still while we read the log
+      const stored = (await client.query(
+        'SELECT * FROM trust_profiles WHERE store_id = $1 FOR UPDATE', [storeId]
+      )).rows[0] || null;
+      const events = (await client.query(
+        `SELECT ${DIMENSIONS.map(([, delta]) => delta).join(', ')}
+         FROM trust_events WHERE store_id = $1
+         ORDER BY created_at ASC, id ASC`,
+        [storeId]
+      )).rows;
+
+      const replayed = this.replay(events);
+      const dimensions = {};
+      let drift = !stored;
+      for (const [column] of DIMENSIONS) {
+        const before = stored ? stored[column] : null;
+        const diff = before === null ? null : replayed[column] - before;
+        if (diff !== null && Math.abs(diff) > DRIFT_TOLERANCE) drift = true;
+        dimensions[column] = { stored: before, replayed: replayed[column], diff };
+      }
+
+      const repaired = drift && !dryRun;
+      if (repaired) {
+        const columns = DIMENSIONS.map(([column]) => column);
+        await client.query(
+          `INSERT INTO trust_profiles (store_id, ${columns.join(', ')})
+           VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+           ON CONFLICT (store_id) DO UPDATE SET
+             ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+             last_updated_at = NOW()`,
+          [storeId, ...columns.map(column => replayed[column])]
+        );
+      }
+
+      return {
+        storeId, storeName: store.name, events: events.length,
+        drift, repaired, dimensions
+      };
+    });
+  }
+
+  /**
+   * recompute() for every store. Returns the per-store results plus
+   * how many drifted and how many were repaired.
+   */
+  static async recomputeAll({ dryRun = false } = {}) {
+    const stores = await queryAll('SELECT id FROM stores ORDER BY created_at ASC, id ASC');
+    const results = [];
+    for (const { id } of stores) {
+      results.push(await this.recompute(id, { dryRun }));
+    }
+    return {
+      dryRun,
+      checked: results.length,
+      drifted: results.filter(r => r.drift).length,
+      repaired: results.filter(r => r.repaired).length,
+      stores: results
+    };
+  }
+
+  /**
+   * Fold ordered trust event deltas into profile scores from the baseline
+   */
+  static replay(events) {
+    const scores = Object.fromEntries(DIMENSIONS.map(([column]) => [column, BASELINE_SCORE]));
+    for (const event of events) {
+      for (const [column, delta] of DIMENSIONS) {
+        scores[column] = Math.max(0, Math.min(100, scores[column] + (event[delta] || 0)));
+      }
+    }
+    return scores;
+  }
+
   /**
    * Get trust profile for a store
    */
@@ -127,14 +436,15 @@ class TrustService {
   }
 
   /**
-   * Get leaderboard (all stores ranked by trust)
+   * Get leaderboard (all stores ranked by trust, with their rating summaries)
    */
   static async getLeaderboard({ limit = 20, offset = 0 } = {}) {
     return queryAll(
       `SELECT tp.*,
               s.name as store_name, s.tagline,
               a.name as owner_name,
-              (SELECT COUNT(*)::int FROM orders WHERE store_id = s.id) as total_orders
+              (SELECT COUNT(*)::int FROM orders WHERE store_id = s.id) as total_orders,
+              ${RatingService.summarySql('STORE', 's.id')} as rating
        FROM trust_profiles tp
        JOIN stores s ON tp.store_id = s.id
        JOIN agents a ON s.owner_merchant_id = a.id
@@ -0,0 +1,270 @@
+/**
+ * Variant Service
+ * Product variants (size/color/...) with their own SKU, price override and
+ * inventory. Options are derived from the variants' option values.
+ *
+ * Variant stock is the source of truth for what can be sold; a listing of a
+ * product with variants carries their total in inventory_on_hand, and every
+ * stock change touches both.
+ */
+
+const { queryOne, queryAll, transaction } = require('../../config/database');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../../utils/errors');
+
+const MAX_VARIANTS = 50;
+
+class VariantService {
+  /**
+   * Add variants to a product (store owner only).
+   * Each: { sku?, options: { Size: 'Large' }, priceCents?, inventoryOnHand }
+   */
+  static async addVariants(merchantId, productId, variants) {
+    return transaction(async (client) => {
+      const productResult = await client.query(
+        `SELECT p.id, p.title, s.owner_merchant_id
+         FROM products p JOIN stores s ON p.store_id = s.id
+         WHERE p.id = $1
+         FOR UPDATE OF p`,
+        [productId]
+      );
+      const product = productResult.rows[0];
+      if (!product) throw new NotFoundError('Product');
+      if (product.owner_merchant_id !== merchantId) {
+        throw new ForbiddenError('You do not own this store');
+      }
+      return this.createForProduct(client, product, variants, merchantId);
+    });
+  }
+
+  /**
+   * Insert variants and refresh the product's options (inside a transaction)
+   */
+  static async createForProduct(client, product, variants, actorId = null) {
+    if (!Array.isArray(variants) || variants.length === 0) {
+      throw new BadRequestError('variants must be a non-empty array');
+    }
+
+    const countResult = await client.query(
+      'SELECT COUNT(*)::int as count FROM product_variants WHERE product_id = $1',
+      [product.id]
+    );
+    const existingCount = countResult.rows[0].count;
+    if (existingCount + variants.length > MAX_VARIANTS) {
+      throw new BadRequestError(`A product can have at most ${MAX_VARIANTS} variants`);
+    }
+
+    const created = [];
+    for (const [i, input] of variants.entries()) {
+      const optionValues = this._normalizeOptions(input.options);
+      const priceCents = input.priceCents ?? null;
+      if (priceCents !== null && (!Number.isInteger(priceCents) || priceCents < 0)) {
+        throw new BadRequestError('Variant priceCents must be a non-negative integer');
+      }
+      const inventory = input.inventoryOnHand ?? 0;
+      if (!Number.isInteger(inventory) || inventory < 0) {
+        throw new BadRequestError('Variant inventoryOnHand must be a non-negative integer');
+      }
+      const sku = (input.sku || this._defaultSku(product.title, optionValues)).trim().toUpperCase();
+
+      const result = await client.query(
+        `INSERT INTO product_variants (product_id, sku, option_values, price_cents, inventory_on_hand, position)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [product.id, sku, JSON.stringify(optionValues), priceCents, inventory, existingCount + i]
+      );
+      if (!result.rows[0]) {
+        throw new BadRequestError(`Duplicate variant: SKU ${sku} or options ${JSON.stringify(optionValues)} already exist`);
+      }
+      created.push(result.rows[0]);
+    }
+
+    await this._syncOptions(client, product.id);
+    await this.syncListingStock(client, product.id, { actorId, note: 'Variants added' });
+    return created;
+  }
+
+  /**
+   * SQL expression for a listing's variants as a compact JSON array
+   * (NULL when the product has none)
+   */
+  static listingVariantsSql(listingAlias = 'l') {
+    return `(SELECT jsonb_agg(jsonb_build_object(
+               'id', v.id, 'options', v.option_values, 'priceCents', v.price_cents, 'inventory', v.inventory_on_hand
+             ) ORDER BY v.position)
+             FROM product_variants v
+             WHERE v.product_id = ${listingAlias}.product_id
+               AND (${listingAlias}.variant_id IS NULL OR v.id = ${listingAlias}.variant_id))`;
+  }
+
+  /**
+   * Options and variants for a product, with live availability
+   */
+  static async getForProduct(productId) {
+    const [options, variants] = await Promise.all([
+      queryAll(
+        'SELECT name, values FROM product_options WHERE product_id = $1 ORDER BY position',
+        [productId]
+      ),
+      queryAll(
+        `SELECT v.id, v.sku, v.option_values, v.price_cents, v.inventory_on_hand,
+                GREATEST(v.inventory_on_hand - (
+                  SELECT COALESCE(SUM(r.quantity), 0)::int FROM inventory_reservations r
+                  WHERE r.variant_id = v.id AND r.status = 'ACTIVE'
+                    AND (r.expires_at IS NULL OR r.expires_at > NOW())
+                ), 0) as inventory_available
+         FROM product_variants v
+         WHERE v.product_id = $1
+         ORDER BY v.position`,
+        [productId]
+      )
+    ]);
+    return { options, variants };
+  }
+
+  /**
+   * Work out which variant a purchase/offer/cart line is for, and validate it
+   * against the listing. Returns null for products without variants.
+   * Pass lock = true inside a transaction to lock the variant row.
+   */
+  static async resolveForListing(client, listing, variantId, { lock = false } = {}) {
+    const run = async (sql, params) => (client ? (await client.query(sql, params)).rows : queryAll(sql, params));
+
+    if (listing.variant_id) {
+      if (variantId && variantId !== listing.variant_id) {
+        throw new BadRequestError('This listing is for a single variant; omit variantId or use the listed one');
+      }
+      variantId = listing.variant_id;
+    }
+
+    if (!variantId) {
+      const [any] = await run(
+        `SELECT v.id FROM product_variants v JOIN listings l ON l.product_id = v.product_id
+         WHERE l.id = $1 LIMIT 1`,
+        [listing.id]
+      );
+      if (any) {
+        throw new BadRequestError('This product comes in variants; choose one with variantId',
+          'BAD_REQUEST', `See GET /commerce/listings/${listing.id} for the variants`);
+      }
+      return null;
+    }
+
+    const [variant] = await run(
+      `SELECT v.* FROM product_variants v JOIN listings l ON l.product_id = v.product_id
+       WHERE v.id = $1 AND l.id = $2
+       ${lock ? 'FOR UPDATE OF v' : ''}`,
+      [variantId, listing.id]
+    );
+    if (!variant) throw new BadRequestError('Variant does not belong to this listing');
+    return variant;
+  }
+
+  /**
+   * Options are the union of the variants' option values, in first-seen order
+   */
+  static async _syncOptions(client, productId) {
+    const result = await client.query(
+      'SELECT option_values FROM product_variants WHERE product_id = $1 ORDER BY position',
+      [productId]
+    );
+    const options = new Map();
+    for (const { option_values: values } of result.rows) {
+      for (const [name, value] of Object.entries(values)) {
+        if (!options.has(name)) options.set(name, []);
+        if (!options.get(name).includes(value)) options.get(name).push(value);
+      }
+    }
+
+    await client.query('DELETE FROM product_options WHERE product_id = $1', [productId]);
+    let position = 0;
+    for (const [name, values] of options) {
+      await client.query(
+        'INSERT INTO product_options (product_id, name, values, position) VALUES ($1, $2, $3, $4)',
+        [productId, name, values, position++]
+      );
+    }
+  }
+
+  /**
+   * Lock the products with variants behind these listings, in id order, and
+   * return their ids. Anything that changes variant stock takes this lock
+   * before locking listings: syncListingStock then writes to every listing
+   * of the product, and two sales on sibling listings must not deadlock.
+   */
+  static async lockProducts(client, listingIds) {
+    const result = await client.query(
+      `SELECT p.id FROM products p
+       WHERE p.id IN (SELECT product_id FROM listings WHERE id = ANY($1::uuid[]))
+         AND EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+       ORDER BY p.id
+       FOR UPDATE`,
+      [listingIds]
+    );
+    return result.rows.map(r => r.id);
+  }
+
+  /**
+   * Listings of a product with variants hold the total of their variants'
+   * stock. Call after any variant stock change (and after recording the
+   * caller's own movement), in the same transaction, so sibling listings
+   * (whole product vs single variant) stay in step. Every listing whose
+   * stock moves gets an ADJUSTMENT in the ledger, tied to the order,
+   * return or actor behind the change.
+   */
+  static async syncListingStock(client, productIds, {
+    actorId = null, orderId = null, returnRequestId = null, note = 'Synced with variant stock'
+  } = {}) {
+    const ids = [].concat(productIds);
+    if (ids.length === 0) return;
+    await client.query(
+      `WITH totals AS (
+         SELECT l.id, l.variant_id, l.inventory_on_hand as previous, COALESCE(SUM(v.inventory_on_hand), 0)::int as stock
+         FROM listings l
+         JOIN product_variants v ON v.product_id = l.product_id
+           AND (l.variant_id IS NULL OR v.id = l.variant_id)
+         WHERE l.product_id = ANY($1::uuid[])
+         GROUP BY l.id
+       ),
+       synced AS (
+         UPDATE listings l SET
+           inventory_on_hand = totals.stock,
+           status = CASE
+             WHEN l.status = 'SOLD_OUT' AND totals.stock > 0 THEN 'ACTIVE'
+             WHEN l.status = 'ACTIVE' AND totals.stock <= 0 THEN 'SOLD_OUT'
+             ELSE l.status END,
+           updated_at = NOW()
+         FROM totals
+         WHERE l.id = totals.id
+         RETURNING l.id
+       )
+       INSERT INTO inventory_movements (listing_id, variant_id, type, on_hand_delta, on_hand_after,
+                                        actor_agent_id, order_id, return_request_id, note)
+       SELECT t.id, t.variant_id, 'ADJUSTMENT', t.stock - t.previous, t.stock, $2, $3, $4, $5
+       FROM totals t JOIN synced s ON s.id = t.id
+       WHERE t.stock <> t.previous`,
+      [ids, actorId, orderId, returnRequestId, note]
+    );
+  }
+
+  static _normalizeOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options) || Object.keys(options).length === 0) {
+      throw new BadRequestError('Each variant needs options, e.g. { "Size": "Large" }');
+    }
+    const normalized = {};
+    for (const [name, value] of Object.entries(options)) {
+      const key = String(name).trim();
+      const val = String(value ?? '').trim();
+      if (!key || !val) throw new BadRequestError('Option names and values cannot be empty');
+      normalized[key] = val;
+    }
+    return normalized;
+  }
+
+  static _defaultSku(title, optionValues) {
+    const slug = (s) => s.toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return [slug(title).slice(0, 24), ...Object.values(optionValues).map(slug)].filter(Boolean).join('-');
+  }
+}
+
+module.exports = VariantService;
@@ -57,6 +57,13 @@ class ConflictError extends ApiError {
   }
 }
 
+class UnprocessableEntityError extends ApiError {
+  constructor(message, hint = null) {
+    super(message, 422, 'UNPROCESSABLE_ENTITY', hint);
+    this.name = 'UnprocessableEntityError';
+  }
+}
+
 class RateLimitError extends ApiError {
   constructor(message = 'Rate limit exceeded', retryAfter = 60) {
     super(message, 429, 'RATE_LIMITED', `Try again in ${retryAfter} seconds`);
@@ -102,6 +109,7 @@ module.exports = {
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  UnprocessableEntityError,
   RateLimitError,
   ValidationError,
   InternalError
@@ -14,6 +14,10 @@ const LlmClient = require('./LlmClient');
 const WorldStateService = require('./WorldStateService');
 const RuntimeActions = require('./RuntimeActions');
 const ActivityService = require('../services/commerce/ActivityService');
+const config = require('../config');
+
+// Carriers for simulated shipping (fallback only — the LLM names its own)
+const CARRIERS = ['Moltbook Post', 'ShellEx', 'Tidewater Freight'];
 
 class AgentRuntimeWorker {
   constructor() {
@@ -83,6 +87,47 @@ class AgentRuntimeWorker {
         }
       }
 
+      // Periodically expire past-due offers (~every 10 ticks)
+      if (Math.random() < 0.1) {
+        try {
+          const OfferService = require('../services/commerce/OfferService');
+          await OfferService.expireStale();
+        } catch (err) {
+          console.warn(`[offer-expire] Error: ${err.message}`);
+        }
+      }
+
+      // Periodically close looking-for threads past their deadline (~every 20 ticks)
+      if (Math.random() < 0.05) {
+        try {
+          const LookingForService = require('../services/commerce/LookingForService');
+          await LookingForService.sweep();
+        } catch (err) {
+          console.warn(`[looking-for-expire] Error: ${err.message}`);
+        }
+      }
+
+      // Periodically decay trust toward the baseline (~every 20 ticks; stores
+      // are only stepped once per TRUST_DECAY_INTERVAL_HOURS)
+      if (Math.random() < 0.05) {
+        try {
+          const TrustService = require('../services/commerce/TrustService');
+          await TrustService.decaySweep();
+        } catch (err) {
+          console.warn(`[trust-decay] Error: ${err.message}`);
+        }
+      }
+
+      // Periodically drop expired idempotency keys (~every 50 ticks)
+      if (Math.random() < 0.02) {
+        try {
+          const IdempotencyService = require('../services/commerce/IdempotencyService');
+          await IdempotencyService.purgeExpired();
+        } catch (err) {
+          console.warn(`[idempotency-purge] Error: ${err.message}`);
+        }
+      }
+
       this.timer = setTimeout(() => this.tick(), tickMs);
     } catch (error) {
       console.error('Worker tick error:', error.message);
@@ -99,13 +144,18 @@ class AgentRuntimeWorker {
 
     if (Math.random() < 0.5) {
       const unreviewedBuyers = (worldState.unreviewedOrders || []).map(o => o.buyer_customer_id);
-      const pendingMerchants = [...new Set((worldState.pendingOffers || []).map(o => {
+      const pendingOffers = worldState.pendingOffers || [];
+      const pendingMerchants = [...new Set(pendingOffers.filter(o => o.awaiting !== 'BUYER').map(o => {
         const store = (worldState.activeListings || []).find(l => l.store_id === o.seller_store_id);
         return store?.owner_merchant_id;
       }).filter(Boolean))];
+      const counteredBuyers = pendingOffers.filter(o => o.awaiting === 'BUYER').map(o => o.buyer_customer_id);
+      const fulfillingMerchants = (worldState.ordersInFulfillment || []).map(o => o.owner_merchant_id);
       const eligibleBuyers = (worldState.eligiblePurchasers || []).map(e => e.customer_id);
 
-      const priorityIds = [...new Set([...unreviewedBuyers, ...pendingMerchants, ...eligibleBuyers])];
+      const priorityIds = [...new Set([
+        ...unreviewedBuyers, ...pendingMerchants, ...counteredBuyers, ...fulfillingMerchants, ...eligibleBuyers
+      ])];
       const priorityAgents = agents.filter(a => priorityIds.includes(a.id));
 
       if (priorityAgents.length > 0) {
@@ -190,12 +240,21 @@ class AgentRuntimeWorker {
       };
     }
 
-    // 2. Respond to pending offers (mechanical — accept/reject based on ratio)
+    // 2. Respond to pending offers (mechanical — accept/counter/reject based on ratio)
     if (ctx.myPendingOffers?.length > 0) {
       const offer = ctx.myPendingOffers[0];
-      const listing = ctx.myListings?.find(l => l.id === offer.listing_id);
-      const listingPrice = listing?.price_cents || 5000;
-      const offerRatio = offer.proposed_price_cents / listingPrice;
+      const listingPrice = offer.listing_price_cents || 5000;
+      const offerRatio = offer.latest_price_cents / listingPrice;
+
+      // Middling offers get a counter at the midpoint while rounds remain
+      if (offerRatio >= 0.35 && offerRatio < 0.55 && offer.counter_round < config.gating.maxCounterRounds) {
+        return {
+          actionType: 'counter_offer',
+          args: { offerId: offer.id, priceCents: Math.round((offer.latest_price_cents + listingPrice) / 2) },
+          rationale: `Countering offer at ${Math.round(offerRatio * 100)}% of asking`
+        };
+      }
+
       const accept = offerRatio >= 0.55 || (offerRatio >= 0.35 && Math.random() > 0.5);
       return {
         actionType: accept ? 'accept_offer' : 'reject_offer',
@@ -206,7 +265,42 @@ class AgentRuntimeWorker {
       };
     }
 
-    // 3. Promote underperforming listings (15% chance)
+    // 3. Approve return requests (mechanical — denying needs a written reason)
+    if (ctx.pendingReturns?.length > 0) {
+      const request = ctx.pendingReturns[0];
+      return {
+        actionType: 'approve_return',
+        args: { returnId: request.return_id },
+        rationale: `Approving ${request.customer_name}'s return of ${request.product_title}`
+      };
+    }
+
+    // 4. Advance simulated shipping one step (mechanical)
+    if (ctx.ordersToFulfill?.length > 0) {
+      const order = ctx.ordersToFulfill[0];
+      const args = { orderId: order.id };
+      if (order.next_step === 'ship_order') {
+        args.carrier = CARRIERS[Math.floor(Math.random() * CARRIERS.length)];
+        args.trackingNumber = `MB${Date.now().toString(36).toUpperCase()}`;
+      }
+      return {
+        actionType: order.next_step,
+        args,
+        rationale: `Fulfilling ${order.product_title} for ${order.buyer_name} (${order.status})`
+      };
+    }
+
+    // 5. Restock sold-out listings (mechanical)
+    if (ctx.soldOutListings?.length > 0) {
+      const listing = ctx.soldOutListings[0];
+      return {
+        actionType: 'restock_listing',
+        args: { listingId: listing.id, quantity: 10 + Math.floor(Math.random() * 20) },
+        rationale: `Restocking sold-out "${listing.product_title}"`
+      };
+    }
+
+    // 6. Promote underperforming listings (15% chance)
     if (Math.random() < 0.15 && ctx.myListings?.length > 0) {
       // Find a listing with 0 orders that's been around for a while
       const candidates = (ctx.myListings || []).filter(l => {
@@ -225,7 +319,7 @@ class AgentRuntimeWorker {
       }
     }
 
-    // 4. Update price (mechanical — just math)
+    // 7. Update price (mechanical — just math)
     if (Math.random() < 0.3 && ctx.myListings?.length > 0) {
       const listing = ctx.myListings[Math.floor(Math.random() * ctx.myListings.length)];
       const factor = 0.8 + Math.random() * 0.4; // 0.8x to 1.2x
@@ -260,7 +354,39 @@ class AgentRuntimeWorker {
       };
     }
 
-    // 2. Purchase listing with evidence (mechanical)
+    // 2. Withdraw offers on listings already bought another way (mechanical)
+    if (ctx.staleOffers?.length > 0) {
+      const offer = ctx.staleOffers[0];
+      return {
+        actionType: 'withdraw_offer',
+        args: { offerId: offer.id },
+        rationale: `Withdrawing offer on ${offer.product_title} (already bought)`
+      };
+    }
+
+    // 3. Respond to merchant counter-offers (mechanical — accept or meet in the middle)
+    if (ctx.counteredOffers?.length > 0) {
+      const offer = ctx.counteredOffers[0];
+      const counterRatio = offer.counter_price_cents / (offer.listing_price_cents || offer.counter_price_cents);
+      const lastRound = offer.counter_round + 1 >= config.gating.maxCounterRounds;
+      if (counterRatio <= 0.85 || lastRound) {
+        return {
+          actionType: 'accept_counter',
+          args: { offerId: offer.id },
+          rationale: `Accepting counter-offer on ${offer.product_title}`
+        };
+      }
+      return {
+        actionType: 'counter_offer',
+        args: {
+          offerId: offer.id,
+          priceCents: Math.round((offer.my_last_price_cents + offer.counter_price_cents) / 2)
+        },
+        rationale: `Countering back on ${offer.product_title}`
+      };
+    }
+
+    // 4. Purchase listing with evidence (mechanical)
     if (ctx.canPurchase?.length > 0 && Math.random() < 0.4) {
       const pick = ctx.canPurchase[Math.floor(Math.random() * ctx.canPurchase.length)];
       return {
@@ -270,7 +396,7 @@ class AgentRuntimeWorker {
       };
     }
 
-    // 3. Make offer (semi-mechanical — just needs a price number)
+    // 5. Make offer (semi-mechanical — just needs a price number)
     if (Math.random() < 0.3 && listings.length > 0) {
       const listing = listings[Math.floor(Math.random() * listings.length)];
       const discount = 0.5 + Math.random() * 0.4;
@@ -393,7 +519,9 @@ class AgentRuntimeWorker {
         const result = await RuntimeActions.execute('create_product', {
           storeId: myStoreId,
           title: llmResult.args.title,
-          description: llmResult.args.description || ''
+          description: llmResult.args.description || '',
+          category: llmResult.args.category,
+          tags: llmResult.args.tags
         }, merchant);
 
         if (result.success) {
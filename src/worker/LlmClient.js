@@ -180,17 +180,41 @@ You have COMPLETE CREATIVE FREEDOM. Your personality, brand, and aesthetic shoul
 AVAILABLE ACTIONS (pick ONE):
 
 "create_store" — Create YOUR store. Choose a name, tagline, and brand voice that reflect YOUR unique identity. You MUST do this before you can sell anything.
-  args: { name: "<your store name>", tagline: "<your motto>", brandVoice: "<your style>", returnPolicyText: "<your policy>", shippingPolicyText: "<your policy>" }
+  args: { name: "<your store name>", tagline: "<your motto>", brandVoice: "<your style>", returnPolicyText: "<your policy>", shippingPolicyText: "<your policy>", fulfillmentMode: "INSTANT" or "SIMULATED" (optional — SIMULATED means you pack and ship each order yourself) }
 
 "create_product" — Invent a product that fits YOUR brand. Be wildly creative and DIFFERENT from what's already on the marketplace. NO generic names. NO copying other stores' themes.
-  args: { storeId: "<your store ID>", title: "<unique creative name>", description: "<vivid detailed description>" }
+  args: { storeId: "<your store ID>", title: "<unique creative name>", description: "<vivid detailed description>", category: "<category slug>", tags: ["<short keyword>", ...] }
+  Pick the most specific slug from the marketplace state's categories; tags are up to 10 lowercase keywords buyers might search for (materials, style, use).
+  Optional — if it comes in sizes, colors or other options, add variants (each with its own stock, and a price if it differs):
+    variants: [{ options: { Size: "Large", Color: "Teal" }, priceCents: <integer, optional>, inventoryOnHand: <integer> }]
 
 "create_listing" — List an unlisted product for sale. Set your own price.
-  args: { storeId, productId, priceCents: <integer>, inventoryOnHand: <integer> }
+  args: { storeId, productId, priceCents: <integer>, inventoryOnHand: <integer> } — products with variants take their stock from the variants; add variantId to list just one of them
 
 "accept_offer" / "reject_offer" — Respond to offers with a personal message. A sale at 50-60% of asking is better than no sale — only reject truly insulting lowballs (below 30%). Write a response in your brand voice.
   args: { offerId: "<ID from PENDING OFFERS>", message: "<your response to the buyer>" }
 
+"counter_offer" — Haggle instead of a flat yes or no. Propose a price between the buyer's latest terms and your asking price. The buyer can accept, counter back, or walk away. If the buyer countered you, "accept_offer" takes their latest price.
+  args: { offerId: "<ID from PENDING OFFERS>", priceCents: <integer>, message: "<your pitch in your brand voice>" }
+
+"pack_order" / "ship_order" / "deliver_order" — Fulfill orders step by step: PLACED → pack → ship → deliver. Buyers can only review once delivered, so don't leave them waiting.
+  args: { orderId: "<ID from ORDERS TO FULFILL>" } — "ship_order" also takes carrier: "<carrier name>", trackingNumber: "<tracking code>"
+
+"approve_return" / "deny_return" — Decide on a customer's return request. Approving restocks the item and refunds them; denying hurts your trust, so only deny with a clear, honest reason.
+  args: { returnId: "<ID from RETURN REQUESTS>", note: "<your message to the customer>" }
+
+"restock_listing" — Add stock to a listing. Sold-out listings go back on sale once restocked.
+  args: { listingId: "<ID from SOLD OUT LISTINGS or your listings>", quantity: <integer>, note: "<optional reason>", variantId: "<which variant, if the listing has variants>" }
+
+"update_product_copy" — Fix or sharpen a product's title/description. Changes are posted publicly; rewriting claims after people have bought hurts your claim-accuracy trust, so get it right early.
+  args: { productId: "<ID from your listings or unlisted products>", title: "<optional new title>", description: "<optional new description>", reason: "<why you changed it>" }
+
+"pause_listing" / "resume_listing" / "retire_listing" — Take a listing off the market for a while, put a paused one back on sale, or retire it for good. Pausing or retiring ends its promotion; retiring also turns down its open offers.
+  args: { listingId: "<ID from your listings or PAUSED LISTINGS>", reason: "<why>" }
+
+"pause_store" / "resume_store" / "close_store" — Pause your whole store (hidden from shoppers, promotions end), reopen it, or close it permanently. Closing retires every listing and can't be undone — only do it if you are truly done.
+  args: { storeId: "<your store ID>", reason: "<announcement to your customers>" }
+
 "update_price" — Adjust pricing. Explain why.
   args: { listingId: "<ID from your listings>", newPriceCents: <integer>, reason: "<your reasoning>" }
 
@@ -200,6 +224,18 @@ AVAILABLE ACTIONS (pick ONE):
 "reply_in_thread" — Reply to customer questions and comments on your listings. Address them BY NAME. If multiple customers are talking, join the conversation — answer questions, clarify details, thank people for interest. Check recentComments to see what was asked.
   args: { threadId: "<ID from threads>", content: "<your response to the customer>" }
 
+"pitch_listing" — Answer a shopper's looking-for thread with one of YOUR listings that fits. Say why it fits their budget and must-haves. You can sweeten it with a special price (at or below your listing price). One pitch per thread.
+  args: { threadId: "<looking-for thread ID>", listingId: "<your listing ID>", message: "<your pitch>", pitchPriceCents: <integer, optional> }
+
+"reply_to_review" — Respond publicly to a customer's review. Own the problem, explain, or offer to make it right — no arguing. One reply per review; replying quickly boosts your support-responsiveness trust.
+  args: { reviewId: "<ID from CRITICAL REVIEWS>", body: "<your public reply>" }
+
+"answer_challenge" — A customer publicly disputes a claim in your product copy. Back it up with concrete evidence (materials, process, measurements). If the challenger accepts it, your claim-accuracy trust goes up.
+  args: { challengeId: "<ID from CLAIMS CUSTOMERS ARE CHALLENGING>", evidence: "<your evidence>" }
+
+"concede_challenge" — The claim was overstated. Rewrite the title/description without it. Conceding costs less trust than being proven wrong.
+  args: { challengeId: "<ID from CLAIMS CUSTOMERS ARE CHALLENGING>", description: "<corrected description>", title: "<optional corrected title>", note: "<what you changed>" }
+
 "skip" — Do nothing this turn.
 
 RULES:
@@ -216,13 +252,25 @@ You have COMPLETE CREATIVE FREEDOM. Your personality should drive every decision
 AVAILABLE ACTIONS (pick ONE):
 
 "leave_review" — Write an HONEST review. Rate 1-5. Be HARSH when deserved. A realistic marketplace has plenty of 1-2 star reviews. If the price was too high, say so. If the description overpromised, call it out. If you're disappointed, give it 1 star. Channel YOUR personality — skeptics should be brutal, bargain hunters should complain about price.
-  args: { orderId: "<ID from ORDERS NEEDING REVIEW>", rating: <1-5>, body: "<your honest review>" }
+  args: { orderId: "<order_id from ORDERS NEEDING REVIEW>", listingId: "<its listing_id>", rating: <1-5>, body: "<your honest review>" }
 
 "purchase_from_offer" — Complete a purchase from an accepted offer.
   args: { offerId: "<ID from ACCEPTED OFFERS>" }
 
+"accept_counter" — Take a merchant's counter-offer at their price. Then buy it with "purchase_from_offer".
+  args: { offerId: "<ID from COUNTER-OFFERS>" }
+
+"counter_offer" — Push back on a merchant's counter-offer with a new price. Meet them in the middle or hold firm.
+  args: { offerId: "<ID from COUNTER-OFFERS>", priceCents: <integer>, message: "<your reasoning>" }
+
+"request_return" — Send back something you were unhappy with, if the store's return window is still open. Read their return policy first.
+  args: { orderId: "<ID from ORDERS YOU COULD RETURN>", reason: "<what went wrong>" }
+
+"withdraw_offer" — Take back an offer you no longer want (you bought elsewhere, or the merchant's counter isn't worth it).
+  args: { offerId: "<ID from OFFERS YOU NO LONGER NEED or COUNTER-OFFERS>" }
+
 "purchase_direct" — Buy a listing you've already interacted with.
-  args: { listingId: "<ID from LISTINGS YOU CAN BUY>" }
+  args: { listingId: "<ID from LISTINGS YOU CAN BUY>", variantId: "<pick one of the listing's variants, if it has any>" }
 
 "ask_question" — Post on a listing's discussion thread. You can either:
   (a) Ask a NEW question about the product (don't start with @, just ask your question)
@@ -231,17 +279,32 @@ AVAILABLE ACTIONS (pick ONE):
   args: { listingId: "<ID from active listings>", content: "<your question or reply>" }
 
 "make_offer" — Negotiate on price. Explain your reasoning in the message.
-  args: { listingId: "<ID from active listings>", proposedPriceCents: <integer>, buyerMessage: "<your pitch>" }
+  args: { listingId: "<ID from active listings>", proposedPriceCents: <integer>, buyerMessage: "<your pitch>", variantId: "<the variant you want, if the listing has variants>" }
 
 "reply_in_thread" — Continue an ongoing conversation. Respond directly to what someone said — agree, disagree, add your experience, ask a follow-up. Reference people BY NAME. Look at recentComments to see what was said.
   args: { threadId: "<ID from threads>", content: "<your reply to the conversation>" }
 
 "create_looking_for" — Post what you're looking for. Only when existing listings genuinely don't have what you want.
-  args: { title: "<what you want>", constraints: { budgetCents: <int>, category: "<type>", mustHaves: ["<feature>", ...] } }
+  args: { title: "<what you want>", constraints: { budgetCents: <int>, category: "<type>", mustHaves: ["<feature>", ...], deadline: "<YYYY-MM-DD, optional>" } }
+
+"accept_pitch" — A merchant pitched a listing on your looking-for post. Accepting opens an offer at their pitched price; buy it once they accept.
+  args: { pitchId: "<ID from pitches>" }
+
+"fulfill_looking_for" — You bought something that answers one of your looking-for posts. Mark it fulfilled so the thread closes and the store gets the credit.
+  args: { threadId: "<ID from fulfillable requests>", orderId: "<the order that fulfilled it>" }
+
+"challenge_claim" — Call out a specific claim in a listing's description that sounds exaggerated or unverifiable. Quote the exact words; the merchant must back it up or fix the copy.
+  args: { listingId: "<ID from active listings>", claim: "<exact words from the title or description>", details: "<why you doubt it>" }
+
+"accept_challenge_evidence" / "withdraw_challenge" — Settle a claim challenge you opened: accept the merchant's evidence if it convinced you, or drop the challenge.
+  args: { challengeId: "<ID from your answered challenges>", note: "<optional comment>" }
+
+"vote_review" — Rate another shopper's review helpful or unhelpful. Helpful votes make that reviewer's future reviews count for more; vote on substance, not on whether you agree.
+  args: { reviewId: "<ID from REVIEWS YOU COULD RATE>", helpful: <true or false> }
 
 "skip" — Do nothing this turn.
 
-LIFECYCLE: Review orders first → buy accepted offers → then explore/ask/offer/buy/reply.
+LIFECYCLE: Review orders first → buy accepted offers (they expire) → answer counter-offers → then explore/ask/offer/buy/reply.
 RULES:
 - ALWAYS use real IDs from YOUR SITUATION. NEVER make up IDs.
 - Write reviews that reflect YOUR actual opinion. Not everything is 5 stars.
@@ -266,6 +329,9 @@ Respond with ONLY the JSON object, no other text.`;
       recentThreads: (worldState.recentThreads || []).slice(0, 5),
       pendingOffers: (worldState.pendingOffers || []).slice(0, 5)
     };
+    if (agent.agent_type === 'MERCHANT' && worldState.categories?.length > 0) {
+      trimmed.categories = worldState.categories;
+    }
 
     let situation = '';
     if (agentContext) {
@@ -283,6 +349,27 @@ Respond with ONLY the JSON object, no other text.`;
         if (agentContext.myPendingOffers?.length > 0) {
           situation += `\nPENDING OFFERS (respond to these!):\n${JSON.stringify(agentContext.myPendingOffers.slice(0, 3), null, 2)}\n`;
         }
+        if (agentContext.ordersToFulfill?.length > 0) {
+          situation += `\nORDERS TO FULFILL (take the next_step!):\n${JSON.stringify(agentContext.ordersToFulfill.slice(0, 3), null, 2)}\n`;
+        }
+        if (agentContext.pendingReturns?.length > 0) {
+          situation += `\nRETURN REQUESTS (approve or deny):\n${JSON.stringify(agentContext.pendingReturns, null, 2)}\n`;
+        }
+        if (agentContext.soldOutListings?.length > 0) {
+          situation += `\nSOLD OUT LISTINGS (restock these!):\n${JSON.stringify(agentContext.soldOutListings, null, 2)}\n`;
+        }
+        if (agentContext.matchingDemand?.length > 0) {
+          situation += `\nSHOPPERS LOOKING FOR WHAT YOU SELL (pitch_listing your best match):\n${JSON.stringify(agentContext.matchingDemand, null, 2)}\n`;
+        }
+        if (agentContext.unansweredReviews?.length > 0) {
+          situation += `\nCRITICAL REVIEWS WITHOUT YOUR REPLY (reply_to_review — the sooner the better):\n${JSON.stringify(agentContext.unansweredReviews, null, 2)}\n`;
+        }
+        if (agentContext.openChallenges?.length > 0) {
+          situation += `\nCLAIMS CUSTOMERS ARE CHALLENGING (answer_challenge with evidence, or concede_challenge and fix the copy):\n${JSON.stringify(agentContext.openChallenges, null, 2)}\n`;
+        }
+        if (agentContext.pausedListings?.length > 0) {
+          situation += `\nPAUSED LISTINGS (resume or retire):\n${JSON.stringify(agentContext.pausedListings, null, 2)}\n`;
+        }
         if (agentContext.myListings?.length > 0) {
           situation += `\nYOUR ACTIVE LISTINGS:\n${JSON.stringify(agentContext.myListings.slice(0, 5), null, 2)}\n`;
         }
@@ -295,6 +382,27 @@ Respond with ONLY the JSON object, no other text.`;
         if (agentContext.acceptedOffers?.length > 0) {
           situation += `\nACCEPTED OFFERS (buy these!):\n${JSON.stringify(agentContext.acceptedOffers, null, 2)}\n`;
         }
+        if (agentContext.counteredOffers?.length > 0) {
+          situation += `\nCOUNTER-OFFERS (accept, counter back, or withdraw):\n${JSON.stringify(agentContext.counteredOffers, null, 2)}\n`;
+        }
+        if (agentContext.staleOffers?.length > 0) {
+          situation += `\nOFFERS YOU NO LONGER NEED (you already bought these — withdraw them):\n${JSON.stringify(agentContext.staleOffers, null, 2)}\n`;
+        }
+        if (agentContext.pitchesForMe?.length > 0) {
+          situation += `\nMERCHANT PITCHES ON YOUR LOOKING-FOR POSTS (accept_pitch the one you like):\n${JSON.stringify(agentContext.pitchesForMe, null, 2)}\n`;
+        }
+        if (agentContext.fulfillableRequests?.length > 0) {
+          situation += `\nLOOKING-FOR POSTS YOUR ORDERS ANSWERED (fulfill_looking_for to close them):\n${JSON.stringify(agentContext.fulfillableRequests, null, 2)}\n`;
+        }
+        if (agentContext.challengesToSettle?.length > 0) {
+          situation += `\nMERCHANTS ANSWERED YOUR CLAIM CHALLENGES (accept_challenge_evidence if convinced, else withdraw_challenge or leave it open):\n${JSON.stringify(agentContext.challengesToSettle, null, 2)}\n`;
+        }
+        if (agentContext.reviewsToRate?.length > 0) {
+          situation += `\nREVIEWS YOU COULD RATE (vote_review — was it useful?):\n${JSON.stringify(agentContext.reviewsToRate, null, 2)}\n`;
+        }
+        if (agentContext.returnableOrders?.length > 0) {
+          situation += `\nORDERS YOU COULD RETURN (you rated these poorly):\n${JSON.stringify(agentContext.returnableOrders, null, 2)}\n`;
+        }
         if (agentContext.canPurchase?.length > 0) {
           situation += `\nLISTINGS YOU CAN BUY:\n${JSON.stringify(agentContext.canPurchase.slice(0, 3), null, 2)}\n`;
         }
@@ -305,7 +413,7 @@ Respond with ONLY the JSON object, no other text.`;
 
     // Supply check can force a specific action
     if (forceAction === 'create_product') {
-      instruction = `${agent.name}: Your store needs a NEW PRODUCT. Look at the existing marketplace listings — create something COMPLETELY DIFFERENT from what's already there. Invent a product that fits YOUR brand identity. Use "create_product" with your store ID, a creative title, and a vivid description. NO space/cosmic themes unless that's genuinely your brand.`;
+      instruction = `${agent.name}: Your store needs a NEW PRODUCT. Look at the existing marketplace listings — create something COMPLETELY DIFFERENT from what's already there. Invent a product that fits YOUR brand identity. Use "create_product" with your store ID, a creative title, a vivid description, a category and a few tags. NO space/cosmic themes unless that's genuinely your brand.`;
     }
     if (forceAction === 'create_store') {
       instruction = `${agent.name}: You need to create YOUR STORE first before you can sell anything. Use "create_store" with a creative name, tagline, and brand voice that reflect your unique personality. Make it distinctly YOURS.`;
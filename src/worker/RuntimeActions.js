@@ -11,11 +11,20 @@ const CatalogService = require('../services/commerce/CatalogService');
 const CommerceThreadService = require('../services/commerce/CommerceThreadService');
 const OfferService = require('../services/commerce/OfferService');
 const OrderService = require('../services/commerce/OrderService');
+const ReturnService = require('../services/commerce/ReturnService');
 const ReviewService = require('../services/commerce/ReviewService');
 const ActivityService = require('../services/commerce/ActivityService');
 const PromotionService = require('../services/commerce/PromotionService');
 const CommentService = require('../services/CommentService');
 const InteractionEvidenceService = require('../services/commerce/InteractionEvidenceService');
+const IdempotencyService = require('../services/commerce/IdempotencyService');
+const InventoryService = require('../services/commerce/InventoryService');
+const CategoryService = require('../services/commerce/CategoryService');
+const PitchService = require('../services/commerce/PitchService');
+const LookingForMatchService = require('../services/commerce/LookingForMatchService');
+const LookingForService = require('../services/commerce/LookingForService');
+const ClaimChallengeService = require('../services/commerce/ClaimChallengeService');
+const VoteService = require('../services/VoteService');
 const { queryOne, queryAll } = require('../config/database');
 const config = require('../config');
 
@@ -28,13 +37,52 @@ function isValidUUID(val) {
 
 class RuntimeActions {
   /**
-   * Execute an action with pre-flight validation.
+   * Execute an action, at most once per retry window.
+   * The idempotency key is derived from the action and its args after
+   * auto-resolution, so a retried tick replays the first outcome instead
+   * of, say, placing a second order, while a decision that resolves to a
+   * new target (the next unanswered review, say) still runs.
    */
   static async execute(actionType, args, agent) {
+    if (actionType === 'skip') return this._run(actionType, args || {}, agent);
+
+    let resolved;
+    try {
+      // Auto-resolve invalid args before keying and calling services
+      resolved = await this._resolveArgs(actionType, args || {}, agent);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const key = `runtime:${actionType}:${IdempotencyService.fingerprint(resolved)}`;
+    try {
+      const stored = await IdempotencyService.begin(
+        agent.id, key, key, config.idempotency.runtimeWindowSeconds
+      );
+      if (stored) return { ...JSON.parse(stored.response_body), replayed: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const outcome = await this._run(actionType, resolved, agent);
     try {
-      // Auto-resolve invalid args before calling services
-      args = await this._resolveArgs(actionType, args, agent);
+      // Only successes are kept; a failed attempt may be retried
+      if (outcome.success) {
+        await IdempotencyService.complete(agent.id, key, 200, JSON.stringify(outcome));
+      } else {
+        await IdempotencyService.release(agent.id, key);
+      }
+    } catch (error) {
+      console.warn(`[idempotency] ${actionType}: ${error.message}`);
+    }
+    return outcome;
+  }
 
+  /**
+   * Run an action (args already resolved) with pre-flight validation.
+   */
+  static async _run(actionType, args, agent) {
+    try {
       let result;
 
       switch (actionType) {
@@ -45,16 +93,25 @@ class RuntimeActions {
             tagline: (args.tagline || '').trim(),
             brandVoice: (args.brandVoice || args.brand_voice || '').trim(),
             returnPolicyText: (args.returnPolicyText || args.return_policy || '').trim(),
-            shippingPolicyText: (args.shippingPolicyText || args.shipping_policy || '').trim()
+            shippingPolicyText: (args.shippingPolicyText || args.shipping_policy || '').trim(),
+            fulfillmentMode: (args.fulfillmentMode || args.fulfillment_mode || 'INSTANT').toUpperCase()
           });
           break;
         }
         case 'create_product': {
           if (!isValidUUID(args.storeId)) throw new Error('Invalid storeId');
           if (!args.title || args.title.trim().length < 2) throw new Error('Product title required');
+          // An unrecognised category or oversized tags shouldn't sink the product
+          const category = await CategoryService.find(args.category);
+          const tags = Array.isArray(args.tags)
+            ? args.tags.filter(t => typeof t === 'string' && t.trim().length <= 30).slice(0, 10)
+            : undefined;
           result = await CatalogService.createProduct(agent.id, args.storeId, {
             title: args.title.trim(),
-            description: (args.description || '').trim()
+            description: (args.description || '').trim(),
+            variants: Array.isArray(args.variants) && args.variants.length > 0 ? args.variants : undefined,
+            category: category?.slug || null,
+            tags
           });
           break;
         }
@@ -67,7 +124,8 @@ class RuntimeActions {
             productId: args.productId || args.product_id,
             priceCents: price,
             currency: args.currency || 'USD',
-            inventoryOnHand: parseInt(args.inventoryOnHand || args.inventory || 20, 10)
+            inventoryOnHand: parseInt(args.inventoryOnHand || args.inventory || 20, 10),
+            variantId: isValidUUID(args.variantId) ? args.variantId : undefined
           });
           break;
         }
@@ -92,24 +150,46 @@ class RuntimeActions {
           result = await OfferService.rejectOffer(agent.id, args.offerId, rejectMsg || null);
           break;
         }
+        case 'counter_offer': {
+          if (!isValidUUID(args.offerId)) throw new Error('Invalid offerId');
+          const counterPrice = parseInt(args.priceCents || args.counterPriceCents || args.counter_price_cents || args.price, 10);
+          if (!counterPrice || counterPrice < 1) throw new Error('Invalid priceCents');
+          const counterMsg = (args.message || args.response || args.buyerMessage || '').trim();
+          result = await OfferService.counterOffer(agent.id, args.offerId, {
+            priceCents: counterPrice,
+            message: counterMsg || null
+          });
+          break;
+        }
+        case 'accept_counter': {
+          if (!isValidUUID(args.offerId)) throw new Error('Invalid offerId');
+          result = await OfferService.acceptCounter(agent.id, args.offerId, (args.message || '').trim() || null);
+          break;
+        }
+        case 'withdraw_offer': {
+          if (!isValidUUID(args.offerId)) throw new Error('Invalid offerId');
+          result = await OfferService.cancelOffer(agent.id, args.offerId);
+          break;
+        }
         case 'purchase_direct': {
           if (!isValidUUID(args.listingId)) throw new Error('Invalid listingId');
           // Pre-check listing is active
           const listing = await queryOne('SELECT status FROM listings WHERE id = $1', [args.listingId]);
           if (!listing || listing.status !== 'ACTIVE') throw new Error('Listing is not active');
-          result = await OrderService.purchaseDirect(agent.id, args.listingId, args.quantity || 1);
+          result = await OrderService.purchaseDirect(agent.id, args.listingId, args.quantity || 1, args.variantId || null);
           break;
         }
         case 'purchase_from_offer': {
           if (!isValidUUID(args.offerId)) throw new Error('Invalid offerId');
           // Pre-check offer is accepted and listing is active
           const offer = await queryOne(
-            `SELECT o.status, l.status as listing_status FROM offers o
+            `SELECT o.status, o.expires_at, l.status as listing_status FROM offers o
              JOIN listings l ON o.listing_id = l.id WHERE o.id = $1`, [args.offerId]);
           if (!offer) throw new Error('Offer not found');
           if (offer.status !== 'ACCEPTED') throw new Error('Offer is not accepted');
+          if (offer.expires_at && new Date(offer.expires_at) <= new Date()) throw new Error('Offer has expired');
           if (offer.listing_status !== 'ACTIVE') throw new Error('Listing is not active');
-          result = await OrderService.purchaseFromOffer(agent.id, args.offerId, args.quantity || 1);
+          result = await OrderService.purchaseFromOffer(agent.id, args.offerId, parseInt(args.quantity, 10) || undefined);
           break;
         }
         case 'leave_review': {
@@ -119,6 +199,8 @@ class RuntimeActions {
           const rating = Math.min(5, Math.max(1, parseInt(args.rating, 10) || 3));
           result = await ReviewService.leaveReview(agent.id, orderId, {
             rating,
+            listingId: isValidUUID(args.listingId) ? args.listingId : undefined,
+            variantId: isValidUUID(args.variantId) ? args.variantId : undefined,
             title: args.title || null,
             body: reviewBody.length > 0 ? reviewBody : null
           });
@@ -127,6 +209,33 @@ class RuntimeActions {
         case 'reply_in_thread':
           result = await this._replyInThread(agent, args);
           break;
+        case 'pitch_listing': {
+          if (!isValidUUID(args.threadId)) throw new Error('Invalid threadId');
+          if (!isValidUUID(args.listingId)) throw new Error('Invalid listingId');
+          const pitchPrice = parseInt(args.pitchPriceCents ?? args.price, 10);
+          result = await PitchService.createPitch(agent.id, args.threadId, {
+            listingId: args.listingId,
+            message: args.message || args.content || '',
+            pitchPriceCents: Number.isInteger(pitchPrice) && pitchPrice > 0 ? pitchPrice : null,
+            variantId: isValidUUID(args.variantId) ? args.variantId : null
+          });
+          break;
+        }
+        case 'accept_pitch': {
+          if (!isValidUUID(args.pitchId)) throw new Error('Invalid pitchId');
+          const pitch = await queryOne('SELECT thread_id FROM looking_for_pitches WHERE id = $1', [args.pitchId]);
+          if (!pitch) throw new Error('Pitch not found');
+          result = await PitchService.acceptPitch(agent.id, pitch.thread_id, args.pitchId, {
+            variantId: isValidUUID(args.variantId) ? args.variantId : null
+          });
+          break;
+        }
+        case 'fulfill_looking_for': {
+          if (!isValidUUID(args.threadId)) throw new Error('Invalid threadId');
+          if (!isValidUUID(args.orderId)) throw new Error('Invalid orderId');
+          result = await LookingForService.fulfill(agent.id, args.threadId, { orderId: args.orderId });
+          break;
+        }
         case 'promote_listing': {
           if (!isValidUUID(args.listingId)) throw new Error('Invalid listingId');
           const promoPriceCents = parseInt(args.promoPriceCents || args.promo_price_cents || args.price, 10);
@@ -156,13 +265,137 @@ class RuntimeActions {
           });
           break;
         }
+        case 'pause_listing':
+        case 'resume_listing':
+        case 'retire_listing': {
+          if (!isValidUUID(args.listingId)) throw new Error('Invalid listingId');
+          const listingAction = {
+            pause_listing: 'pauseListing', resume_listing: 'resumeListing', retire_listing: 'retireListing'
+          }[actionType];
+          result = await CatalogService[listingAction](agent.id, args.listingId, {
+            reason: (args.reason || args.note || '').trim() || null
+          });
+          break;
+        }
+        case 'pause_store':
+        case 'resume_store':
+        case 'close_store': {
+          if (!isValidUUID(args.storeId)) throw new Error('Invalid storeId');
+          const storeAction = { pause_store: 'pause', resume_store: 'resume', close_store: 'close' }[actionType];
+          result = await StoreService[storeAction](agent.id, args.storeId, {
+            reason: (args.reason || args.message || args.announcement || '').trim()
+          });
+          break;
+        }
+        case 'update_product_copy': {
+          if (!isValidUUID(args.productId)) throw new Error('Invalid productId');
+          result = await CatalogService.updateProductCopy(agent.id, args.productId, {
+            title: args.title ? String(args.title) : undefined,
+            description: args.description !== undefined ? String(args.description) : undefined,
+            reason: args.reason || 'Copy refresh'
+          });
+          break;
+        }
+        case 'restock_listing': {
+          if (!isValidUUID(args.listingId)) throw new Error('Invalid listingId');
+          const restockQty = parseInt(args.quantity || args.restockQuantity || args.amount, 10);
+          if (!restockQty || restockQty < 1) throw new Error('Invalid quantity');
+          result = await InventoryService.restock(agent.id, args.listingId, {
+            quantity: restockQty,
+            note: args.note || args.reason || null,
+            variantId: args.variantId || null
+          });
+          break;
+        }
+        case 'pack_order':
+          if (!isValidUUID(args.orderId)) throw new Error('Invalid orderId');
+          result = await OrderService.markPacked(agent.id, args.orderId);
+          break;
+        case 'ship_order': {
+          if (!isValidUUID(args.orderId)) throw new Error('Invalid orderId');
+          result = await OrderService.markShipped(agent.id, args.orderId, {
+            carrier: args.carrier || 'Moltbook Post',
+            trackingNumber: args.trackingNumber || args.tracking_number || null
+          });
+          break;
+        }
+        case 'deliver_order':
+          if (!isValidUUID(args.orderId)) throw new Error('Invalid orderId');
+          result = await OrderService.markDelivered(agent.id, args.orderId);
+          break;
         case 'update_policies':
           result = await StoreService.updatePolicies(agent.id, args.storeId, {
             returnPolicyText: args.returnPolicyText,
             shippingPolicyText: args.shippingPolicyText,
+            returnWindowDays: args.returnWindowDays !== undefined ? parseInt(args.returnWindowDays, 10) : undefined,
             reason: args.reason
           });
           break;
+        case 'request_return': {
+          if (!isValidUUID(args.orderId)) throw new Error('Invalid orderId');
+          result = await ReturnService.requestReturn(agent.id, args.orderId, {
+            reason: (args.reason || args.message || '').trim()
+          });
+          break;
+        }
+        case 'approve_return':
+        case 'deny_return': {
+          if (!isValidUUID(args.returnId)) throw new Error('Invalid returnId');
+          const note = (args.note || args.message || args.reason || '').trim() || undefined;
+          result = actionType === 'approve_return'
+            ? await ReturnService.approveReturn(agent.id, args.returnId, { note })
+            : await ReturnService.denyReturn(agent.id, args.returnId, { note });
+          break;
+        }
+        case 'reply_to_review': {
+          if (!isValidUUID(args.reviewId)) throw new Error('Invalid reviewId');
+          result = await ReviewService.replyToReview(agent.id, args.reviewId, {
+            body: args.body || args.content || args.message || args.reply || ''
+          });
+          break;
+        }
+        case 'vote_review': {
+          if (!isValidUUID(args.reviewId)) throw new Error('Invalid reviewId');
+          const helpful = args.helpful !== false && args.helpful !== 'false' && args.vote !== 'unhelpful';
+          result = helpful
+            ? await VoteService.upvoteReview(args.reviewId, agent.id)
+            : await VoteService.downvoteReview(args.reviewId, agent.id);
+          break;
+        }
+        case 'challenge_claim': {
+          if (!isValidUUID(args.listingId)) throw new Error('Invalid listingId');
+          result = await ClaimChallengeService.openChallenge(agent.id, {
+            listingId: args.listingId,
+            claim: args.claim || args.quote || '',
+            details: args.details || args.content || args.reason || ''
+          });
+          break;
+        }
+        case 'answer_challenge': {
+          if (!isValidUUID(args.challengeId)) throw new Error('Invalid challengeId');
+          result = await ClaimChallengeService.respond(agent.id, args.challengeId, {
+            evidence: args.evidence || args.content || args.message || ''
+          });
+          break;
+        }
+        case 'concede_challenge': {
+          if (!isValidUUID(args.challengeId)) throw new Error('Invalid challengeId');
+          result = await ClaimChallengeService.concede(agent.id, args.challengeId, {
+            title: typeof args.title === 'string' && args.title.trim() ? args.title : undefined,
+            description: typeof args.description === 'string' && args.description.trim() ? args.description : undefined,
+            note: args.note || args.reason
+          });
+          break;
+        }
+        case 'accept_challenge_evidence':
+        case 'withdraw_challenge': {
+          if (!isValidUUID(args.challengeId)) throw new Error('Invalid challengeId');
+          const note = args.note || args.message;
+          result = actionType === 'accept_challenge_evidence'
+            ? await ClaimChallengeService.accept(agent.id, args.challengeId, { note })
+            : await ClaimChallengeService.withdraw(agent.id, args.challengeId, { note });
+          break;
+        }
         case 'skip':
           result = { skipped: true };
           break;
@@ -190,31 +423,57 @@ class RuntimeActions {
     if (args.offer_id && !args.offerId) args.offerId = args.offer_id;
     if (args.order_id && !args.orderId) args.orderId = args.order_id;
     if (args.thread_id && !args.threadId) args.threadId = args.thread_id;
+    if (args.variant_id && !args.variantId) args.variantId = args.variant_id;
 
     // Auto-resolve storeId for merchants with a single store
-    if (['create_product', 'create_listing', 'update_policies'].includes(actionType)) {
+    if (['create_product', 'create_listing', 'update_policies', 'pause_store', 'resume_store', 'close_store'].includes(actionType)) {
       if (!isValidUUID(args.storeId)) {
         const store = await queryOne(
-          'SELECT id FROM stores WHERE owner_merchant_id = $1 LIMIT 1', [agent.id]
+          `SELECT id FROM stores WHERE owner_merchant_id = $1 AND status <> 'CLOSED'
+           ORDER BY created_at ASC LIMIT 1`, [agent.id]
         );
         if (store) args.storeId = store.id;
       }
     }
 
-    // Auto-resolve listingId: if invalid, try to find one from agent's store
+    // Auto-resolve listingId: my least recently touched active listing.
+    // Resolutions here must be deterministic: they feed the idempotency key.
     if (['update_price'].includes(actionType) && !isValidUUID(args.listingId)) {
       const listing = await queryOne(
         `SELECT l.id FROM listings l JOIN stores s ON l.store_id = s.id
          WHERE s.owner_merchant_id = $1 AND l.status = 'ACTIVE'
-         ORDER BY RANDOM() LIMIT 1`, [agent.id]
+         ORDER BY l.updated_at ASC, l.id LIMIT 1`, [agent.id]
+      );
+      if (listing) args.listingId = listing.id;
+    }
+
+    // Auto-resolve productId for copy edits: my least recently touched product
+    if (actionType === 'update_product_copy' && !isValidUUID(args.productId)) {
+      const product = await queryOne(
+        `SELECT p.id FROM products p JOIN stores s ON p.store_id = s.id
+         WHERE s.owner_merchant_id = $1
+         ORDER BY p.updated_at ASC, p.id LIMIT 1`, [agent.id]
+      );
+      if (product) args.productId = product.id;
+    }
+
+    // Auto-resolve listingId for resume: my longest-paused listing
+    if (actionType === 'resume_listing' && !isValidUUID(args.listingId)) {
+      const listing = await queryOne(
+        `SELECT l.id FROM listings l JOIN stores s ON l.store_id = s.id
+         WHERE s.owner_merchant_id = $1 AND l.status = 'PAUSED'
+         ORDER BY l.updated_at ASC LIMIT 1`, [agent.id]
       );
       if (listing) args.listingId = listing.id;
     }
 
-    // Auto-resolve listingId for customer actions
+    // Auto-resolve listingId for customer actions: a stable per-agent pick,
+    // so customers spread across listings but a retry lands on the same one
     if (['ask_question', 'make_offer', 'purchase_direct'].includes(actionType) && !isValidUUID(args.listingId)) {
       const listing = await queryOne(
-        `SELECT id FROM listings WHERE status = 'ACTIVE' ORDER BY RANDOM() LIMIT 1`
+        `SELECT l.id FROM listings l JOIN stores s ON l.store_id = s.id
+         WHERE l.status = 'ACTIVE' AND s.status = 'ACTIVE'
+         ORDER BY md5(l.id::text || $1::text), l.id LIMIT 1`, [agent.id]
       );
       if (listing) args.listingId = listing.id;
     }
@@ -224,33 +483,226 @@ class RuntimeActions {
       const offer = await queryOne(
         `SELECT o.id FROM offers o JOIN stores s ON o.seller_store_id = s.id
          WHERE s.owner_merchant_id = $1 AND o.status = 'PROPOSED'
+           AND NOT EXISTS (SELECT 1 FROM offer_counters oc
+                           WHERE oc.offer_id = o.id AND oc.status = 'PENDING' AND oc.proposer_role = 'MERCHANT')
          ORDER BY o.created_at ASC LIMIT 1`, [agent.id]
       );
       if (offer) args.offerId = offer.id;
     }
 
-    // Auto-resolve offerId for purchase_from_offer
-    if (actionType === 'purchase_from_offer' && !isValidUUID(args.offerId)) {
+    // Auto-resolve offerId for counter_offer: whichever offer is waiting on this agent's move
+    if (actionType === 'counter_offer' && !isValidUUID(args.offerId)) {
+      const offer = agent.agent_type === 'MERCHANT'
+        ? await queryOne(
+          `SELECT o.id FROM offers o JOIN stores s ON o.seller_store_id = s.id
+           WHERE s.owner_merchant_id = $1 AND o.status = 'PROPOSED'
+             AND NOT EXISTS (SELECT 1 FROM offer_counters oc
+                             WHERE oc.offer_id = o.id AND oc.status = 'PENDING' AND oc.proposer_role = 'MERCHANT')
+           ORDER BY o.created_at ASC LIMIT 1`, [agent.id])
+        : await queryOne(
+          `SELECT o.id FROM offers o
+           JOIN offer_counters oc ON oc.offer_id = o.id AND oc.status = 'PENDING' AND oc.proposer_role = 'MERCHANT'
+           WHERE o.buyer_customer_id = $1 AND o.status = 'PROPOSED'
+           ORDER BY oc.created_at ASC LIMIT 1`, [agent.id]);
+      if (offer) args.offerId = offer.id;
+    }
+
+    // Auto-resolve offerId for accept_counter (customer accepting a merchant counter)
+    if (actionType === 'accept_counter' && !isValidUUID(args.offerId)) {
       const offer = await queryOne(
         `SELECT o.id FROM offers o
-         JOIN listings l ON o.listing_id = l.id
-         WHERE o.buyer_customer_id = $1 AND o.status = 'ACCEPTED' AND l.status = 'ACTIVE'
+         JOIN offer_counters oc ON oc.offer_id = o.id AND oc.status = 'PENDING' AND oc.proposer_role = 'MERCHANT'
+         WHERE o.buyer_customer_id = $1 AND o.status = 'PROPOSED'
+         ORDER BY oc.created_at ASC LIMIT 1`, [agent.id]
+      );
+      if (offer) args.offerId = offer.id;
+    }
+
+    // Auto-resolve offerId for withdraw_offer: prefer offers on listings already bought another way
+    if (actionType === 'withdraw_offer' && !isValidUUID(args.offerId)) {
+      const offer = await queryOne(
+        `SELECT o.id FROM offers o
+         WHERE o.buyer_customer_id = $1 AND o.status IN ('PROPOSED', 'ACCEPTED')
+           AND NOT EXISTS (SELECT 1 FROM orders ord WHERE ord.source_offer_id = o.id)
+         ORDER BY EXISTS (SELECT 1 FROM orders ord JOIN order_items oi ON oi.order_id = ord.id
+                          WHERE ord.buyer_customer_id = o.buyer_customer_id AND oi.listing_id = o.listing_id) DESC,
+                  o.created_at ASC
          LIMIT 1`, [agent.id]
       );
       if (offer) args.offerId = offer.id;
     }
 
-    // Auto-resolve orderId for leave_review
-    if (actionType === 'leave_review' && !isValidUUID(args.orderId)) {
+    // Auto-resolve orderId for fulfillment steps: oldest order of mine waiting on that step
+    const FULFILLMENT_FROM = { pack_order: 'PLACED', ship_order: 'PACKED', deliver_order: 'SHIPPED' };
+    if (FULFILLMENT_FROM[actionType] && !isValidUUID(args.orderId)) {
+      const order = await queryOne(
+        `SELECT o.id FROM orders o JOIN stores s ON o.store_id = s.id
+         WHERE s.owner_merchant_id = $1 AND o.status = $2
+         ORDER BY o.placed_at ASC LIMIT 1`, [agent.id, FULFILLMENT_FROM[actionType]]
+      );
+      if (order) args.orderId = order.id;
+    }
+
+    // Auto-resolve listingId for restock: my emptiest listing, sold-out first
+    if (actionType === 'restock_listing' && !isValidUUID(args.listingId)) {
+      const listing = await queryOne(
+        `SELECT l.id FROM listings l JOIN stores s ON l.store_id = s.id
+         WHERE s.owner_merchant_id = $1 AND l.status IN ('SOLD_OUT', 'ACTIVE')
+         ORDER BY (l.status = 'SOLD_OUT') DESC, l.inventory_on_hand ASC
+         LIMIT 1`, [agent.id]
+      );
+      if (listing) args.listingId = listing.id;
+    }
+
+    // Auto-resolve variantId when the listed product comes in variants:
+    // buyers take the best-stocked variant, restocks go to the emptiest
+    if (['make_offer', 'purchase_direct', 'restock_listing'].includes(actionType) && isValidUUID(args.listingId)) {
+      const variant = await queryOne(
+        `SELECT v.id FROM listings l
+         JOIN product_variants v ON v.product_id = l.product_id
+         WHERE l.id = $1 AND (l.variant_id IS NULL OR v.id = l.variant_id)
+         ORDER BY (v.id = $2::uuid) IS TRUE DESC, v.inventory_on_hand ${actionType === 'restock_listing' ? 'ASC' : 'DESC'}
+         LIMIT 1`, [args.listingId, isValidUUID(args.variantId) ? args.variantId : null]
+      );
+      args.variantId = variant ? variant.id : null;
+    }
+
+    // Auto-resolve returnId for merchant return decisions
+    if (['approve_return', 'deny_return'].includes(actionType) && !isValidUUID(args.returnId)) {
+      const request = await queryOne(
+        `SELECT rr.id FROM return_requests rr JOIN stores s ON rr.store_id = s.id
+         WHERE s.owner_merchant_id = $1 AND rr.status = 'REQUESTED'
+         ORDER BY rr.created_at ASC LIMIT 1`, [agent.id]
+      );
+      if (request) args.returnId = request.id;
+    }
+
+    // Auto-resolve orderId for request_return: a returnable order I reviewed poorly
+    if (actionType === 'request_return' && !isValidUUID(args.orderId)) {
       const order = await queryOne(
         `SELECT o.id FROM orders o
+         JOIN stores s ON o.store_id = s.id
+         LEFT JOIN reviews r ON r.order_id = o.id
          WHERE o.buyer_customer_id = $1 AND o.status = 'DELIVERED'
-           AND NOT EXISTS (SELECT 1 FROM reviews r WHERE r.order_id = o.id)
+           AND o.delivered_at + s.return_window_days * INTERVAL '1 day' > NOW()
+           AND NOT EXISTS (SELECT 1 FROM return_requests rr WHERE rr.order_id = o.id)
+         ORDER BY r.rating ASC NULLS LAST, o.delivered_at DESC
          LIMIT 1`, [agent.id]
       );
       if (order) args.orderId = order.id;
     }
 
+    // Auto-resolve offerId for purchase_from_offer
+    if (actionType === 'purchase_from_offer' && !isValidUUID(args.offerId)) {
+      const offer = await queryOne(
+        `SELECT o.id FROM offers o
+         JOIN listings l ON o.listing_id = l.id
+         WHERE o.buyer_customer_id = $1 AND o.status = 'ACCEPTED' AND l.status = 'ACTIVE'
+           AND (o.expires_at IS NULL OR o.expires_at > NOW())
+         LIMIT 1`, [agent.id]
+      );
+      if (offer) args.offerId = offer.id;
+    }
+
+    // Auto-resolve orderId + listingId for leave_review: an unreviewed line of a delivered order
+    if (actionType === 'leave_review' && (!isValidUUID(args.orderId) || !isValidUUID(args.listingId))) {
+      const line = await queryOne(
+        `SELECT o.id, oi.listing_id, oi.variant_id FROM orders o
+         JOIN order_items oi ON oi.order_id = o.id
+         WHERE o.buyer_customer_id = $1 AND o.status = 'DELIVERED'
+           AND ($2::uuid IS NULL OR o.id = $2)
+           AND NOT EXISTS (SELECT 1 FROM reviews r WHERE r.order_item_id = oi.id)
+         LIMIT 1`, [agent.id, isValidUUID(args.orderId) ? args.orderId : null]
+      );
+      if (line) {
+        args.orderId = line.id;
+        args.listingId = line.listing_id;
+        args.variantId = line.variant_id;
+      }
+    }
+
+    // Auto-resolve pitch_listing: an unanswered thread my listings match, and my best match for it
+    if (actionType === 'pitch_listing' && (!isValidUUID(args.threadId) || !isValidUUID(args.listingId))) {
+      const demand = await LookingForMatchService.getDemandForMerchant(agent.id, { threads: 5, matchesPerThread: 1 });
+      const target = demand.find(d => d.id === args.threadId) || demand[0];
+      if (target) {
+        args.threadId = target.id;
+        if (!isValidUUID(args.listingId)) args.listingId = target.matches[0].listingId;
+      }
+    }
+
+    // Auto-resolve pitchId for accept_pitch: the cheapest pending pitch on my threads
+    if (actionType === 'accept_pitch' && !isValidUUID(args.pitchId)) {
+      const pitch = await queryOne(
+        `SELECT lp.id FROM looking_for_pitches lp
+         JOIN posts t ON lp.thread_id = t.id
+         JOIN listings l ON lp.listing_id = l.id
+         WHERE t.author_id = $1 AND t.thread_status = 'OPEN'
+           AND lp.status = 'PENDING' AND l.status = 'ACTIVE'
+         ORDER BY COALESCE(lp.pitch_price_cents, l.price_cents) ASC LIMIT 1`, [agent.id]
+      );
+      if (pitch) args.pitchId = pitch.id;
+    }
+
+    // Auto-resolve fulfill_looking_for: my open request and the order that answered it
+    // (a pitched or matching one — never whatever I happened to buy last)
+    if (actionType === 'fulfill_looking_for' && (!isValidUUID(args.threadId) || !isValidUUID(args.orderId))) {
+      const fulfillable = await LookingForService.getFulfillable(agent.id, 5);
+      const target = fulfillable.find(f => f.thread_id === args.threadId) || fulfillable[0];
+      if (target) {
+        args.threadId = target.thread_id;
+        args.orderId = target.order_id;
+      }
+    }
+
+    // Auto-resolve reviewId for reply_to_review: my worst-rated unanswered critical review
+    if (actionType === 'reply_to_review' && !isValidUUID(args.reviewId)) {
+      const review = await queryOne(
+        `SELECT r.id FROM reviews r
+         JOIN orders o ON r.order_id = o.id
+         JOIN stores s ON o.store_id = s.id
+         WHERE s.owner_merchant_id = $1
+           AND r.rating <= 3
+           AND NOT EXISTS (SELECT 1 FROM review_replies rr WHERE rr.review_id = r.id)
+         ORDER BY r.rating ASC, r.created_at ASC LIMIT 1`, [agent.id]
+      );
+      if (review) args.reviewId = review.id;
+    }
+
+    // Auto-resolve reviewId for vote_review: the newest review I haven't voted on, on a listing I've seen
+    if (actionType === 'vote_review' && !isValidUUID(args.reviewId)) {
+      const review = await queryOne(
+        `SELECT r.id FROM reviews r
+         JOIN order_items oi ON r.order_item_id = oi.id
+         WHERE r.author_customer_id != $1
+           AND EXISTS (SELECT 1 FROM interaction_evidence ie WHERE ie.customer_id = $1 AND ie.listing_id = oi.listing_id)
+           AND NOT EXISTS (SELECT 1 FROM votes v WHERE v.agent_id = $1 AND v.target_type = 'review' AND v.target_id = r.id)
+         ORDER BY r.created_at DESC LIMIT 1`, [agent.id]
+      );
+      if (review) args.reviewId = review.id;
+    }
+
+    // Auto-resolve challengeId for answer_challenge / concede_challenge: the oldest open challenge on my stores
+    if (['answer_challenge', 'concede_challenge'].includes(actionType) && !isValidUUID(args.challengeId)) {
+      const challenge = await queryOne(
+        `SELECT cc.id FROM claim_challenges cc JOIN stores s ON cc.store_id = s.id
+         WHERE s.owner_merchant_id = $1 AND cc.status = 'OPEN'
+         ORDER BY cc.created_at ASC LIMIT 1`, [agent.id]
+      );
+      if (challenge) args.challengeId = challenge.id;
+    }
+
+    // Auto-resolve challengeId for accept_challenge_evidence / withdraw_challenge: my oldest answered challenge
+    if (['accept_challenge_evidence', 'withdraw_challenge'].includes(actionType) && !isValidUUID(args.challengeId)) {
+      const challenge = await queryOne(
+        `SELECT id FROM claim_challenges
+         WHERE challenger_id = $1 AND status = ANY($2)
+         ORDER BY responded_at ASC NULLS LAST, created_at ASC LIMIT 1`,
+        [agent.id, actionType === 'accept_challenge_evidence' ? ['RESPONDED'] : ['RESPONDED', 'OPEN']]
+      );
+      if (challenge) args.challengeId = challenge.id;
+    }
+
     // Auto-resolve threadId for reply_in_thread
     if (actionType === 'reply_in_thread' && !isValidUUID(args.threadId)) {
       const thread = await queryOne(
@@ -349,7 +801,8 @@ class RuntimeActions {
       listingId,
       proposedPriceCents: price,
       currency: args.currency || 'USD',
-      buyerMessage: args.buyerMessage || args.buyer_message || args.message || 'Interested in this listing.'
+      buyerMessage: args.buyerMessage || args.buyer_message || args.message || 'Interested in this listing.',
+      variantId: args.variantId || null
     });
   }
 
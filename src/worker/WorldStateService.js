@@ -5,6 +5,11 @@
  */
 
 const { queryAll, queryOne } = require('../config/database');
+const InventoryService = require('../services/commerce/InventoryService');
+const VariantService = require('../services/commerce/VariantService');
+const CategoryService = require('../services/commerce/CategoryService');
+const LookingForMatchService = require('../services/commerce/LookingForMatchService');
+const LookingForService = require('../services/commerce/LookingForService');
 
 class WorldStateService {
   /**
@@ -17,14 +22,18 @@ class WorldStateService {
       pendingOffers,
       eligiblePurchasers,
       unreviewedOrders,
-      agents
+      ordersInFulfillment,
+      agents,
+      categories
     ] = await Promise.all([
       this.getActiveListings(),
       this.getRecentCommerceThreads(),
       this.getPendingOffers(),
       this.getEligiblePurchasers(),
       this.getUnreviewedOrders(),
-      this.getActiveAgents()
+      this.getOrdersInFulfillment(),
+      this.getActiveAgents(),
+      CategoryService.listSlugs()
     ]);
 
     return {
@@ -33,7 +42,9 @@ class WorldStateService {
       pendingOffers,
       eligiblePurchasers,
       unreviewedOrders,
+      ordersInFulfillment,
       agents,
+      categories,
       timestamp: new Date().toISOString()
     };
   }
@@ -44,29 +55,36 @@ class WorldStateService {
   static async getActiveListings() {
     return queryAll(
       `SELECT l.id, l.price_cents, l.currency, l.inventory_on_hand, l.status,
+              ${InventoryService.availableQuantitySql()} as inventory_available,
+              ${VariantService.listingVariantsSql()} as variants,
               p.title as product_title, p.description as product_description,
+              c.slug as category, p.tags,
               s.id as store_id, s.name as store_name, s.owner_merchant_id
        FROM listings l
        JOIN products p ON l.product_id = p.id
        JOIN stores s ON l.store_id = s.id
-       WHERE l.status = 'ACTIVE'
+       LEFT JOIN categories c ON p.category_id = c.id
+       WHERE l.status = 'ACTIVE' AND s.status = 'ACTIVE'
        ORDER BY l.created_at DESC
        LIMIT 50`
     );
   }
 
   /**
-   * Recent commerce threads (LAUNCH_DROP, LOOKING_FOR)
+   * Recent open commerce threads (LAUNCH_DROP, LOOKING_FOR, NEGOTIATION).
+   * Looking-for threads past their deadline are left out even before the
+   * expiry sweep closes them.
    */
   static async getRecentCommerceThreads() {
     const threads = await queryAll(
       `SELECT p.id, p.title, p.thread_type, p.thread_status, p.comment_count,
-              p.context_listing_id, p.context_store_id,
+              p.context_listing_id, p.context_store_id, p.deadline_at,
               a.name as author_name
        FROM posts p
        JOIN agents a ON p.author_id = a.id
        WHERE p.thread_type IN ('LAUNCH_DROP', 'LOOKING_FOR', 'NEGOTIATION')
          AND p.thread_status = 'OPEN'
+         AND (p.deadline_at IS NULL OR p.deadline_at > NOW())
        ORDER BY p.created_at DESC
        LIMIT 30`
     );
@@ -97,18 +115,20 @@ class WorldStateService {
   }
 
   /**
-   * Open offers pending merchant action
+   * Open offers pending action (merchant, or buyer if the merchant countered)
    */
   static async getPendingOffers() {
     return queryAll(
       `SELECT o.id, o.listing_id, o.buyer_customer_id, o.seller_store_id,
               o.proposed_price_cents, o.status,
+              CASE WHEN oc.proposer_role = 'MERCHANT' THEN 'BUYER' ELSE 'MERCHANT' END as awaiting,
               a.name as buyer_name,
               s.name as store_name
        FROM offers o
        JOIN agents a ON o.buyer_customer_id = a.id
        JOIN stores s ON o.seller_store_id = s.id
-       WHERE o.status = 'PROPOSED'
+       LEFT JOIN offer_counters oc ON oc.offer_id = o.id AND oc.status = 'PENDING'
+       WHERE o.status = 'PROPOSED' AND (o.expires_at IS NULL OR o.expires_at > NOW())
        ORDER BY o.created_at ASC
        LIMIT 20`
     );
@@ -125,29 +145,44 @@ class WorldStateService {
        FROM interaction_evidence ie
        JOIN agents a ON ie.customer_id = a.id
        WHERE NOT EXISTS (
-         SELECT 1 FROM orders o
+         SELECT 1 FROM orders o JOIN order_items oi ON oi.order_id = o.id
          WHERE o.buyer_customer_id = ie.customer_id
-           AND o.listing_id = ie.listing_id
+           AND oi.listing_id = ie.listing_id
        )
        LIMIT 20`
     );
   }
 
   /**
-   * Delivered orders without reviews
+   * Orders still moving through simulated shipping
+   */
+  static async getOrdersInFulfillment() {
+    return queryAll(
+      `SELECT o.id as order_id, o.status, o.store_id, s.owner_merchant_id
+       FROM orders o
+       JOIN stores s ON o.store_id = s.id
+       WHERE o.status IN ('PLACED', 'PACKED', 'SHIPPED')
+       ORDER BY o.placed_at ASC
+       LIMIT 20`
+    );
+  }
+
+  /**
+   * Delivered order lines without reviews
    */
   static async getUnreviewedOrders() {
     return queryAll(
-      `SELECT o.id as order_id, o.buyer_customer_id, o.listing_id, o.store_id,
+      `SELECT o.id as order_id, o.buyer_customer_id, oi.listing_id, oi.variant_id, o.store_id,
               a.name as buyer_name,
               p.title as product_title
        FROM orders o
+       JOIN order_items oi ON oi.order_id = o.id
        JOIN agents a ON o.buyer_customer_id = a.id
-       JOIN listings l ON o.listing_id = l.id
+       JOIN listings l ON oi.listing_id = l.id
        JOIN products p ON l.product_id = p.id
        WHERE o.status = 'DELIVERED'
          AND NOT EXISTS (
-           SELECT 1 FROM reviews r WHERE r.order_id = o.id
+           SELECT 1 FROM reviews r WHERE r.order_item_id = oi.id
          )
        ORDER BY o.placed_at ASC
        LIMIT 20`
@@ -180,15 +215,21 @@ class WorldStateService {
   }
 
   static async _getMerchantContext(agentId) {
-    const [myStores, myListings, unlistedProducts, myPendingOffers, myThreadsWithQuestions] = await Promise.all([
-      // My stores
+    const [
+      myStores, myListings, unlistedProducts, myPendingOffers, myThreadsWithQuestions, ordersToFulfill, pendingReturns,
+      soldOutListings, pausedListings, matchingDemand, openChallenges, unansweredReviews
+    ] = await Promise.all([
+      // My stores (closed ones are gone for good)
       queryAll(
-        `SELECT id, name, status FROM stores WHERE owner_merchant_id = $1`,
+        `SELECT id, name, status FROM stores WHERE owner_merchant_id = $1 AND status <> 'CLOSED'`,
         [agentId]
       ),
       // My active listings
       queryAll(
-        `SELECT l.id, l.price_cents, l.inventory_on_hand, p.title as product_title
+        `SELECT l.id, l.product_id, l.price_cents, l.inventory_on_hand,
+                ${InventoryService.availableQuantitySql()} as inventory_available,
+                ${VariantService.listingVariantsSql()} as variants,
+                p.title as product_title
          FROM listings l JOIN products p ON l.product_id = p.id
          WHERE l.store_id IN (SELECT id FROM stores WHERE owner_merchant_id = $1)
            AND l.status = 'ACTIVE'`,
@@ -203,16 +244,22 @@ class WorldStateService {
          LIMIT 10`,
         [agentId]
       ),
-      // Offers pending MY response (on my store's listings)
+      // Offers pending MY response (on my store's listings), with the buyer's latest terms
       queryAll(
         `SELECT o.id, o.proposed_price_cents, o.listing_id, a.name as buyer_name,
-                p.title as product_title
+                p.title as product_title, l.price_cents as listing_price_cents,
+                COALESCE(oc.price_cents, o.proposed_price_cents) as latest_price_cents,
+                oc.message as latest_counter_message,
+                COALESCE(oc.round, 0) as counter_round
          FROM offers o
          JOIN agents a ON o.buyer_customer_id = a.id
          JOIN listings l ON o.listing_id = l.id
          JOIN products p ON l.product_id = p.id
+         LEFT JOIN offer_counters oc ON oc.offer_id = o.id AND oc.status = 'PENDING'
          WHERE o.seller_store_id IN (SELECT id FROM stores WHERE owner_merchant_id = $1)
            AND o.status = 'PROPOSED'
+           AND (o.expires_at IS NULL OR o.expires_at > NOW())
+           AND (oc.id IS NULL OR oc.proposer_role = 'BUYER')
          LIMIT 10`,
         [agentId]
       ),
@@ -226,6 +273,89 @@ class WorldStateService {
          ORDER BY p.comment_count DESC
          LIMIT 5`,
         [agentId]
+      ),
+      // Orders waiting on my next fulfillment step
+      queryAll(
+        `SELECT o.id, o.status, o.placed_at, a.name as buyer_name, p.title as product_title,
+                CASE o.status WHEN 'PLACED' THEN 'pack_order'
+                              WHEN 'PACKED' THEN 'ship_order'
+                              ELSE 'deliver_order' END as next_step
+         FROM orders o
+         JOIN agents a ON o.buyer_customer_id = a.id
+         JOIN listings l ON o.listing_id = l.id
+         JOIN products p ON l.product_id = p.id
+         WHERE o.store_id IN (SELECT id FROM stores WHERE owner_merchant_id = $1)
+           AND o.status IN ('PLACED', 'PACKED', 'SHIPPED')
+         ORDER BY o.placed_at ASC
+         LIMIT 10`,
+        [agentId]
+      ),
+      // Return requests awaiting my decision
+      queryAll(
+        `SELECT rr.id as return_id, rr.reason, rr.created_at, a.name as customer_name,
+                p.title as product_title, o.total_price_cents
+         FROM return_requests rr
+         JOIN agents a ON rr.customer_id = a.id
+         JOIN orders o ON rr.order_id = o.id
+         JOIN listings l ON o.listing_id = l.id
+         JOIN products p ON l.product_id = p.id
+         WHERE rr.store_id IN (SELECT id FROM stores WHERE owner_merchant_id = $1)
+           AND rr.status = 'REQUESTED'
+         ORDER BY rr.created_at ASC
+         LIMIT 5`,
+        [agentId]
+      ),
+      // Listings that ran out of stock
+      queryAll(
+        `SELECT l.id, l.price_cents, p.title as product_title, l.updated_at
+         FROM listings l JOIN products p ON l.product_id = p.id
+         WHERE l.store_id IN (SELECT id FROM stores WHERE owner_merchant_id = $1)
+           AND l.status = 'SOLD_OUT'
+         ORDER BY l.updated_at ASC
+         LIMIT 5`,
+        [agentId]
+      ),
+      // Listings I took off the market
+      queryAll(
+        `SELECT l.id, l.price_cents, l.inventory_on_hand, p.title as product_title, l.updated_at
+         FROM listings l JOIN products p ON l.product_id = p.id
+         WHERE l.store_id IN (SELECT id FROM stores WHERE owner_merchant_id = $1)
+           AND l.status = 'PAUSED'
+         ORDER BY l.updated_at ASC
+         LIMIT 5`,
+        [agentId]
+      ),
+      // Looking-for threads my listings match that I haven't answered
+      LookingForMatchService.getDemandForMerchant(agentId, { threads: 3 }),
+      // Claim challenges on my products waiting for evidence or a correction
+      queryAll(
+        `SELECT cc.id as challenge_id, cc.claim, cc.details, cc.product_id, a.name as challenger_name,
+                p.title as product_title, p.description as product_description
+         FROM claim_challenges cc
+         JOIN agents a ON cc.challenger_id = a.id
+         JOIN products p ON cc.product_id = p.id
+         WHERE cc.store_id IN (SELECT id FROM stores WHERE owner_merchant_id = $1)
+           AND cc.status = 'OPEN'
+         ORDER BY cc.created_at ASC
+         LIMIT 3`,
+        [agentId]
+      ),
+      // Low-star reviews of my orders I haven't replied to
+      queryAll(
+        `SELECT r.id as review_id, r.rating, r.title, r.body, r.created_at,
+                a.name as customer_name, p.title as product_title
+         FROM reviews r
+         JOIN orders o ON r.order_id = o.id
+         JOIN order_items oi ON r.order_item_id = oi.id
+         JOIN agents a ON r.author_customer_id = a.id
+         JOIN listings l ON oi.listing_id = l.id
+         JOIN products p ON l.product_id = p.id
+         WHERE o.store_id IN (SELECT id FROM stores WHERE owner_merchant_id = $1)
+           AND r.rating <= 3
+           AND NOT EXISTS (SELECT 1 FROM review_replies rr WHERE rr.review_id = r.id)
+         ORDER BY r.rating ASC, r.created_at ASC
+         LIMIT 3`,
+        [agentId]
       )
     ]);
 
@@ -235,15 +365,32 @@ class WorldStateService {
       unlistedProducts,
       myPendingOffers,
       myThreadsWithQuestions,
+      ordersToFulfill,
+      pendingReturns,
+      soldOutListings,
+      pausedListings,
+      matchingDemand,
+      openChallenges,
+      unansweredReviews,
       summary: `You own ${myStores.length} store(s) with ${myListings.length} active listing(s). ` +
         `${unlistedProducts.length} product(s) need to be listed. ` +
         `${myPendingOffers.length} offer(s) await your response. ` +
+        `${ordersToFulfill.length} order(s) need fulfilling. ` +
+        `${pendingReturns.length} return request(s) await your decision. ` +
+        `${soldOutListings.length} listing(s) are sold out. ` +
+        `${pausedListings.length} listing(s) are paused. ` +
+        `${matchingDemand.length} shopper request(s) match what you sell. ` +
+        `${openChallenges.length} claim challenge(s) need your answer. ` +
+        `${unansweredReviews.length} critical review(s) have no reply from you. ` +
         `${myThreadsWithQuestions.length} thread(s) have customer activity.`
     };
   }
 
   static async _getCustomerContext(agentId) {
-    const [myEvidence, myOffers, myOrders, myUnreviewedOrders] = await Promise.all([
+    const [
+      myEvidence, myOffers, myOrders, myUnreviewedOrders, counteredOffers, returnableOrders, pitchesForMe,
+      fulfillableRequests, challengesToSettle, reviewsToRate
+    ] = await Promise.all([
       // Listings I've interacted with (have gating evidence)
       queryAll(
         `SELECT ie.listing_id, ie.type, p.title as product_title, l.price_cents
@@ -256,7 +403,7 @@ class WorldStateService {
       ),
       // My offers and their status
       queryAll(
-        `SELECT o.id, o.listing_id, o.status, o.proposed_price_cents,
+        `SELECT o.id, o.listing_id, o.status, o.proposed_price_cents, o.expires_at,
                 p.title as product_title, s.name as store_name
          FROM offers o
          JOIN listings l ON o.listing_id = l.id
@@ -267,28 +414,117 @@ class WorldStateService {
          LIMIT 10`,
         [agentId]
       ),
-      // My orders
+      // My orders, a row per line
       queryAll(
-        `SELECT o.id, o.listing_id, o.status, p.title as product_title
+        `SELECT o.id, oi.listing_id, o.status, o.source_offer_id, p.title as product_title
          FROM orders o
-         JOIN listings l ON o.listing_id = l.id
+         JOIN order_items oi ON oi.order_id = o.id
+         JOIN listings l ON oi.listing_id = l.id
          JOIN products p ON l.product_id = p.id
          WHERE o.buyer_customer_id = $1
          ORDER BY o.placed_at DESC
          LIMIT 10`,
         [agentId]
       ),
-      // My delivered orders without reviews
+      // Lines of my delivered orders without reviews
       queryAll(
-        `SELECT o.id as order_id, p.title as product_title, s.name as store_name
+        `SELECT o.id as order_id, oi.listing_id, oi.variant_id, p.title as product_title, s.name as store_name
          FROM orders o
-         JOIN listings l ON o.listing_id = l.id
+         JOIN order_items oi ON oi.order_id = o.id
+         JOIN listings l ON oi.listing_id = l.id
          JOIN products p ON l.product_id = p.id
          JOIN stores s ON o.store_id = s.id
          WHERE o.buyer_customer_id = $1 AND o.status = 'DELIVERED'
-           AND NOT EXISTS (SELECT 1 FROM reviews r WHERE r.order_id = o.id)
+           AND NOT EXISTS (SELECT 1 FROM reviews r WHERE r.order_item_id = oi.id)
+         LIMIT 5`,
+        [agentId]
+      ),
+      // Merchant counter-offers waiting on MY response
+      queryAll(
+        `SELECT o.id, o.listing_id, oc.price_cents as counter_price_cents,
+                oc.message as counter_message, oc.round as counter_round,
+                COALESCE((SELECT mine.price_cents FROM offer_counters mine
+                          WHERE mine.offer_id = o.id AND mine.proposer_role = 'BUYER'
+                          ORDER BY mine.round DESC LIMIT 1), o.proposed_price_cents) as my_last_price_cents,
+                l.price_cents as listing_price_cents,
+                p.title as product_title, s.name as store_name
+         FROM offers o
+         JOIN offer_counters oc ON oc.offer_id = o.id AND oc.status = 'PENDING' AND oc.proposer_role = 'MERCHANT'
+         JOIN listings l ON o.listing_id = l.id
+         JOIN products p ON l.product_id = p.id
+         JOIN stores s ON o.seller_store_id = s.id
+         WHERE o.buyer_customer_id = $1 AND o.status = 'PROPOSED'
+           AND (o.expires_at IS NULL OR o.expires_at > NOW())
+         ORDER BY oc.created_at ASC
          LIMIT 5`,
         [agentId]
+      ),
+      // Orders I was unhappy with that are still inside the store's return window
+      queryAll(
+        `SELECT o.id as order_id, r.rating, p.title as product_title, s.name as store_name,
+                s.return_policy_text,
+                o.delivered_at + s.return_window_days * INTERVAL '1 day' as return_deadline
+         FROM orders o
+         JOIN reviews r ON r.order_id = o.id
+         JOIN order_items oi ON r.order_item_id = oi.id
+         JOIN listings l ON oi.listing_id = l.id
+         JOIN products p ON l.product_id = p.id
+         JOIN stores s ON o.store_id = s.id
+         WHERE o.buyer_customer_id = $1 AND o.status = 'DELIVERED' AND r.rating <= 2
+           AND o.delivered_at + s.return_window_days * INTERVAL '1 day' > NOW()
+           AND NOT EXISTS (SELECT 1 FROM return_requests rr WHERE rr.order_id = o.id)
+         LIMIT 3`,
+        [agentId]
+      ),
+      // Merchant pitches on my looking-for threads I haven't taken up
+      queryAll(
+        `SELECT lp.id as pitch_id, lp.thread_id, t.title as thread_title, lp.message,
+                s.name as store_name, pr.title as product_title,
+                COALESCE(lp.pitch_price_cents, l.price_cents) as price_cents
+         FROM looking_for_pitches lp
+         JOIN posts t ON lp.thread_id = t.id
+         JOIN stores s ON lp.store_id = s.id
+         JOIN listings l ON lp.listing_id = l.id
+         JOIN products pr ON l.product_id = pr.id
+         WHERE t.author_id = $1 AND t.thread_status = 'OPEN'
+           AND lp.status = 'PENDING' AND l.status = 'ACTIVE'
+           AND NOT EXISTS (
+             SELECT 1 FROM looking_for_pitches taken
+             WHERE taken.thread_id = lp.thread_id AND taken.status = 'ACCEPTED'
+           )
+         ORDER BY lp.created_at DESC
+         LIMIT 5`,
+        [agentId]
+      ),
+      // My open looking-for posts that an order since has answered
+      LookingForService.getFulfillable(agentId),
+      // My claim challenges the merchant has answered with evidence
+      queryAll(
+        `SELECT cc.id as challenge_id, cc.claim, cc.merchant_evidence, s.name as store_name,
+                p.title as product_title
+         FROM claim_challenges cc
+         JOIN stores s ON cc.store_id = s.id
+         JOIN products p ON cc.product_id = p.id
+         WHERE cc.challenger_id = $1 AND cc.status = 'RESPONDED'
+         ORDER BY cc.responded_at ASC
+         LIMIT 3`,
+        [agentId]
+      ),
+      // Others' reviews of listings I've looked at that I haven't voted on
+      queryAll(
+        `SELECT r.id as review_id, r.rating, r.title, LEFT(r.body, 200) as body,
+                r.helpful_count, r.unhelpful_count, a.name as author_name, p.title as product_title
+         FROM reviews r
+         JOIN order_items oi ON r.order_item_id = oi.id
+         JOIN agents a ON r.author_customer_id = a.id
+         JOIN listings l ON oi.listing_id = l.id
+         JOIN products p ON l.product_id = p.id
+         WHERE r.author_customer_id != $1
+           AND EXISTS (SELECT 1 FROM interaction_evidence ie WHERE ie.customer_id = $1 AND ie.listing_id = oi.listing_id)
+           AND NOT EXISTS (SELECT 1 FROM votes v WHERE v.agent_id = $1 AND v.target_type = 'review' AND v.target_id = r.id)
+         ORDER BY r.created_at DESC
+         LIMIT 3`,
+        [agentId]
       )
     ]);
 
@@ -297,9 +533,16 @@ class WorldStateService {
       !myOrders.some(o => o.listing_id === e.listing_id)
     );
 
-    // Accepted offers I haven't purchased from
+    // Accepted offers I haven't purchased from (and that haven't lapsed)
     const acceptedOffers = myOffers.filter(o =>
-      o.status === 'ACCEPTED' && !myOrders.some(ord => ord.listing_id === o.listing_id)
+      o.status === 'ACCEPTED' && (!o.expires_at || new Date(o.expires_at) > new Date()) &&
+      !myOrders.some(ord => ord.listing_id === o.listing_id)
+    );
+
+    // Open offers on listings I've since bought another way
+    const staleOffers = myOffers.filter(o =>
+      (o.status === 'PROPOSED' || o.status === 'ACCEPTED') &&
+      myOrders.some(ord => ord.listing_id === o.listing_id && ord.source_offer_id !== o.id)
     );
 
     return {
@@ -309,10 +552,21 @@ class WorldStateService {
       myUnreviewedOrders,
       canPurchase,
       acceptedOffers,
+      counteredOffers,
+      staleOffers,
+      returnableOrders,
+      pitchesForMe,
+      fulfillableRequests,
+      challengesToSettle,
+      reviewsToRate,
       summary: `You've interacted with ${myEvidence.length} listing(s). ` +
-        `${myOffers.length} offer(s) made (${acceptedOffers.length} accepted). ` +
+        `${myOffers.length} offer(s) made (${acceptedOffers.length} accepted, ${counteredOffers.length} countered by merchants). ` +
         `${myOrders.length} order(s) placed. ` +
         `${myUnreviewedOrders.length} order(s) need reviews. ` +
+        `${pitchesForMe.length} merchant pitch(es) on your looking-for posts. ` +
+        `${fulfillableRequests.length} looking-for post(s) you can mark fulfilled. ` +
+        `${challengesToSettle.length} of your claim challenge(s) got an answer. ` +
+        `${reviewsToRate.length} review(s) on listings you've seen you could rate helpful or not. ` +
         `${canPurchase.length} listing(s) you can purchase now.`
     };
   }